@@ -0,0 +1,64 @@
+/**
+ * Project Planning Tools - Collaboration Server
+ *
+ * Serves the static tools, a small REST API and a WebSocket endpoint (/ws)
+ * that keeps one project document per room in sync between browsers.
+ *
+ * Environment:
+ *   PORT      HTTP port (default 3000)
+ *   DATA_DIR  Directory for room files (default ./data)
+ */
+
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import { createFileStore } from './storage/file-store.js';
+import { createApiRouter } from './routes/api.js';
+import { setupWebSocket } from './sync/websocket.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STATIC_ROOT = path.resolve(__dirname, '..');
+
+const store = createFileStore(DATA_DIR);
+await store.init();
+
+const app = express();
+const server = http.createServer(app);
+const sync = setupWebSocket(server, store);
+
+// Allow tools served from another origin (e.g. GitHub Pages) to use the API
+app.use('/api', (req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  res.set('Access-Control-Allow-Methods', 'GET, PUT, POST, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.sendStatus(204);
+    return;
+  }
+  next();
+});
+
+app.use('/api', express.json({ limit: '20mb' }), createApiRouter(store, sync));
+
+// Serve the tools themselves; the server directory is not exposed
+app.use('/server', (req, res) => res.sendStatus(404));
+app.use(express.static(STATIC_ROOT, { dotfiles: 'ignore' }));
+
+server.listen(PORT, () => {
+  console.log(`Project Planning Tools server running at http://localhost:${PORT}`);
+  console.log(`Room data directory: ${DATA_DIR}`);
+});
+
+// Persist pending room writes before exiting
+async function shutdown() {
+  sync.close();
+  server.close();
+  await store.flush();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,83 @@
+/**
+ * REST API - Room management
+ *
+ *   GET  /api/rooms           List rooms with user counts
+ *   GET  /api/rooms/:id       Get project data
+ *   PUT  /api/rooms/:id       Replace project data
+ *   POST /api/rooms/:id/init  First-connect upload (only stored if the room is empty)
+ */
+
+import express from 'express';
+import { isValidRoomId } from '../storage/file-store.js';
+
+/**
+ * Create the API router
+ * @param {Object} store - File store
+ * @param {Object} sync - WebSocket sync API
+ * @returns {express.Router}
+ */
+export function createApiRouter(store, sync) {
+  const router = express.Router();
+
+  router.param('id', (req, res, next, id) => {
+    if (!isValidRoomId(id)) {
+      res.status(400).json({ error: 'Invalid room ID' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/rooms', (req, res) => {
+    const rooms = store.list().map(room => ({ ...room, users: sync.userCount(room.id) }));
+    res.json({ rooms });
+  });
+
+  router.get('/rooms/:id', (req, res) => {
+    const room = store.get(req.params.id);
+    if (!room) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+    res.json({ id: room.id, revision: room.revision, updatedAt: room.updatedAt, data: room.data });
+  });
+
+  router.put('/rooms/:id', (req, res) => {
+    const data = req.body?.data;
+    if (!isProjectData(data)) {
+      res.status(400).json({ error: 'Body must be { data: <project> }' });
+      return;
+    }
+    const room = store.set(req.params.id, data);
+    sync.resetRoom(room.id);
+    res.json({ id: room.id, revision: room.revision });
+  });
+
+  router.post('/rooms/:id/init', (req, res) => {
+    const existing = store.get(req.params.id);
+    if (existing) {
+      res.json({ baseline: false, revision: existing.revision, data: existing.data });
+      return;
+    }
+
+    const data = req.body?.data;
+    if (!isProjectData(data)) {
+      res.status(400).json({ error: 'Body must be { data: <project> }' });
+      return;
+    }
+    const room = store.set(req.params.id, data);
+    res.status(201).json({ baseline: true, revision: room.revision });
+  });
+
+  return router;
+}
+
+/**
+ * Minimal shape check - full validation happens in the browser tools
+ * Also used for WebSocket joins (see sync/websocket.js).
+ * @param {*} data - Uploaded project data
+ * @returns {boolean}
+ */
+export function isProjectData(data) {
+  return !!data && typeof data === 'object' && !Array.isArray(data) &&
+    !!data.project && typeof data.project === 'object' && Array.isArray(data.tasks);
+}
@@ -0,0 +1,137 @@
+/**
+ * File Store - File-based JSON storage for rooms
+ * Each room is kept in memory and persisted to <dataDir>/<roomId>.json
+ * File shape: { id, revision, updatedAt, data }
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const ROOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const WRITE_DELAY = 500;
+
+/**
+ * Check whether a room ID is safe to use as a file name
+ * @param {string} roomId - Room ID
+ * @returns {boolean}
+ */
+export function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_PATTERN.test(roomId);
+}
+
+/**
+ * Create a file store
+ * @param {string} dataDir - Directory for room files
+ * @returns {Object} - Store API
+ */
+export function createFileStore(dataDir) {
+  const rooms = new Map();
+  const writeTimers = new Map();
+
+  /**
+   * Load every room file into memory
+   */
+  async function init() {
+    await fs.mkdir(dataDir, { recursive: true });
+    const files = await fs.readdir(dataDir);
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const room = JSON.parse(await fs.readFile(path.join(dataDir, file), 'utf8'));
+        if (isValidRoomId(room.id)) rooms.set(room.id, room);
+      } catch (err) {
+        console.error(`Failed to load room file ${file}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Write a room to disk
+   * @param {string} roomId - Room ID
+   */
+  async function writeRoom(roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const file = path.join(dataDir, `${roomId}.json`);
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(room));
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * Schedule a debounced write of a room
+   * @param {string} roomId - Room ID
+   */
+  function scheduleWrite(roomId) {
+    clearTimeout(writeTimers.get(roomId));
+    writeTimers.set(roomId, setTimeout(() => {
+      writeTimers.delete(roomId);
+      writeRoom(roomId).catch(err => console.error(`Failed to write room ${roomId}:`, err.message));
+    }, WRITE_DELAY));
+  }
+
+  return {
+    init,
+
+    /**
+     * List rooms (without their data)
+     * @returns {Array}
+     */
+    list() {
+      return [...rooms.values()].map(({ id, revision, updatedAt }) => ({ id, revision, updatedAt }));
+    },
+
+    /**
+     * Get a room
+     * @param {string} roomId - Room ID
+     * @returns {Object|null}
+     */
+    get(roomId) {
+      return rooms.get(roomId) || null;
+    },
+
+    /**
+     * Replace a room's project data
+     * @param {string} roomId - Room ID
+     * @param {Object} data - Project data
+     * @returns {Object} - Updated room
+     */
+    set(roomId, data) {
+      const previous = rooms.get(roomId);
+      const room = {
+        id: roomId,
+        revision: previous ? previous.revision + 1 : 1,
+        updatedAt: new Date().toISOString(),
+        data
+      };
+      rooms.set(roomId, room);
+      scheduleWrite(roomId);
+      return room;
+    },
+
+    /**
+     * Mark a room as modified in place and bump its revision
+     * @param {string} roomId - Room ID
+     * @returns {Object} - Updated room
+     */
+    touch(roomId) {
+      const room = rooms.get(roomId);
+      room.revision++;
+      room.updatedAt = new Date().toISOString();
+      scheduleWrite(roomId);
+      return room;
+    },
+
+    /**
+     * Write all pending changes immediately (used on shutdown)
+     */
+    async flush() {
+      const pending = [...writeTimers.keys()];
+      pending.forEach(roomId => clearTimeout(writeTimers.get(roomId)));
+      writeTimers.clear();
+      await Promise.all(pending.map(writeRoom));
+    }
+  };
+}
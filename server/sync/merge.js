@@ -0,0 +1,185 @@
+/**
+ * Merge - Apply client operations to a room document
+ * Operations are the typed changes produced by shared/js/change-feed.js:
+ *   { type, entity, collection, action, id, record, previous, order }
+ *
+ * Concurrent edits to the same record are resolved field by field:
+ * an update carries the record as the client last saw it (`previous`),
+ * so only the fields that client actually changed are written over the
+ * server's current record. When both sides changed the same field the
+ * latest operation wins and the edit is counted as a conflict.
+ */
+
+/**
+ * Deep-equal via JSON comparison (records are plain JSON)
+ */
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check whether a value is a plain JSON object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const KEYED_ACTIONS = new Set(['created', 'updated', 'deleted', 'reordered']);
+
+/**
+ * Check whether a value is a non-empty string
+ */
+function isName(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Find the first operation that cannot be applied to a document
+ * Batches are checked as a whole so a bad operation never leaves the
+ * document half-applied.
+ * @param {Object} doc - Room project data
+ * @param {Array} changes - Client operations
+ * @returns {string|null} - Reason the batch is rejected, or null when it is valid
+ */
+export function validateOperations(doc, changes) {
+  if (!Array.isArray(changes)) return 'Changes must be an array';
+
+  for (const change of changes) {
+    if (!isPlainObject(change)) return 'Changes must be objects';
+    const { collection, action } = change;
+    if (!isName(collection) || collection in Object.prototype) return 'Invalid collection';
+
+    if (action === 'replaced') continue;
+    if (!KEYED_ACTIONS.has(action)) return `Unknown action '${action}'`;
+    if (!isName(change.entity)) return 'Changes must name their entity';
+    if (doc[collection] !== undefined && !Array.isArray(doc[collection])) {
+      return `'${collection}' is not a list`;
+    }
+
+    if (action === 'reordered') {
+      if (!Array.isArray(change.order) || !change.order.every(isName)) {
+        return 'Reorders must list record IDs';
+      }
+      continue;
+    }
+
+    if (!isName(change.id)) return 'Changes must carry a record ID';
+    if (action !== 'deleted' && (!isPlainObject(change.record) || change.record.id !== change.id)) {
+      return `A ${change.entity}.${action} change must carry its record`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Deep clone a JSON value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Three-way merge of a record
+ * @param {Object} base - Record as the client last saw it
+ * @param {Object} current - Record currently on the server
+ * @param {Object} incoming - Record sent by the client
+ * @returns {Object} - { record, conflict }
+ */
+export function mergeRecord(base, current, incoming) {
+  const record = clone(current);
+  let conflict = false;
+  const keys = new Set([...Object.keys(base), ...Object.keys(incoming)]);
+
+  keys.forEach(key => {
+    if (same(base[key], incoming[key])) return; // client did not touch this field
+
+    if (!same(base[key], current[key]) && !same(current[key], incoming[key])) {
+      conflict = true;
+    }
+
+    if (incoming[key] === undefined) {
+      delete record[key];
+    } else {
+      record[key] = clone(incoming[key]);
+    }
+  });
+
+  return { record, conflict };
+}
+
+/**
+ * Apply operations to a document in place
+ * @param {Object} doc - Room project data
+ * @param {Array} changes - Client operations
+ * @throws {Error} - When the batch fails validateOperations (nothing is applied)
+ * @returns {Object} - { applied, resolved, conflicts }
+ *   applied: operations as they now stand on the server (broadcast to others)
+ *   resolved: operations whose outcome differs from what the sender sent
+ */
+export function applyOperations(doc, changes) {
+  const error = validateOperations(doc, changes);
+  if (error) throw new Error(error);
+
+  const applied = [];
+  const resolved = [];
+  let conflicts = 0;
+
+  changes.forEach(change => {
+    const { collection, action, entity } = change;
+
+    if (action === 'replaced') {
+      if (change.record === undefined) {
+        delete doc[collection];
+      } else {
+        doc[collection] = clone(change.record);
+      }
+      applied.push(change);
+      return;
+    }
+
+    if (!Array.isArray(doc[collection])) doc[collection] = [];
+    const list = doc[collection];
+    const index = list.findIndex(item => isPlainObject(item) && item.id === change.id);
+
+    if (action === 'created') {
+      if (index === -1) {
+        list.push(clone(change.record));
+      } else {
+        list[index] = clone(change.record);
+      }
+      applied.push(change);
+    } else if (action === 'updated') {
+      if (index === -1) {
+        // Deleted by someone else in the meantime - deletion wins
+        resolved.push({ ...change, type: `${entity}.deleted`, action: 'deleted', record: undefined, previous: undefined });
+        conflicts++;
+        return;
+      }
+
+      const current = list[index];
+      let record = clone(change.record);
+      if (change.previous && !same(change.previous, current)) {
+        const merged = mergeRecord(change.previous, current, change.record);
+        record = merged.record;
+        if (merged.conflict) conflicts++;
+      }
+
+      list[index] = record;
+      const outcome = { ...change, record: clone(record), previous: clone(current) };
+      applied.push(outcome);
+      if (!same(record, change.record)) resolved.push(outcome);
+    } else if (action === 'deleted') {
+      if (index !== -1) list.splice(index, 1);
+      applied.push(change);
+    } else if (action === 'reordered') {
+      const position = new Map(change.order.map((id, i) => [id, i]));
+      list.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+      applied.push(change);
+    }
+  });
+
+  return { applied, resolved, conflicts };
+}
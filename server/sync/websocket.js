@@ -0,0 +1,189 @@
+/**
+ * WebSocket Sync - Real-time room collaboration
+ *
+ * Client -> server messages:
+ *   { type: 'join', room, data }   data becomes the baseline if the room is empty
+ *   { type: 'ops', changes }       typed changes from change-feed.js; a batch
+ *                                  with any malformed change is rejected whole
+ *
+ * Server -> client messages:
+ *   { type: 'joined', room, baseline, data, revision, users }
+ *   { type: 'ops', changes, revision }           changes made by another client
+ *   { type: 'ack', revision, resolved, conflicts }  outcome of the client's own ops
+ *   { type: 'reset', data, revision }            document replaced via REST
+ *   { type: 'presence', users }
+ *   { type: 'error', message }
+ */
+
+import { WebSocketServer } from 'ws';
+import { isValidRoomId } from '../storage/file-store.js';
+import { applyOperations, isPlainObject, validateOperations } from './merge.js';
+import { isProjectData } from '../routes/api.js';
+
+/**
+ * Attach the WebSocket server to an HTTP server
+ * @param {http.Server} server - HTTP server
+ * @param {Object} store - File store
+ * @returns {Object} - Sync API used by the REST routes
+ */
+export function setupWebSocket(server, store) {
+  const wss = new WebSocketServer({ server, path: '/ws', maxPayload: 20 * 1024 * 1024 });
+
+  // roomId -> Set of sockets
+  const members = new Map();
+
+  const send = (socket, message) => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const broadcast = (roomId, message, except = null) => {
+    (members.get(roomId) || []).forEach(socket => {
+      if (socket !== except) send(socket, message);
+    });
+  };
+
+  const userCount = (roomId) => (members.get(roomId) || new Set()).size;
+
+  const leave = (socket) => {
+    const roomId = socket.roomId;
+    if (!roomId) return;
+    const sockets = members.get(roomId);
+    sockets.delete(socket);
+    if (sockets.size === 0) members.delete(roomId);
+    socket.roomId = null;
+    broadcast(roomId, { type: 'presence', users: userCount(roomId) });
+  };
+
+  function handleJoin(socket, message) {
+    const roomId = message.room;
+    if (!isValidRoomId(roomId)) {
+      send(socket, { type: 'error', message: 'Invalid room ID' });
+      return;
+    }
+
+    leave(socket);
+
+    // First-connect-uploads: the first client's project becomes the baseline
+    let room = store.get(roomId);
+    let baseline = false;
+    if (!room) {
+      if (!isProjectData(message.data)) {
+        send(socket, { type: 'error', message: 'Room is empty and no valid project was provided' });
+        return;
+      }
+      room = store.set(roomId, message.data);
+      baseline = true;
+    }
+
+    socket.roomId = roomId;
+    if (!members.has(roomId)) members.set(roomId, new Set());
+    members.get(roomId).add(socket);
+
+    send(socket, {
+      type: 'joined',
+      room: roomId,
+      baseline,
+      data: baseline ? null : room.data,
+      revision: room.revision,
+      users: userCount(roomId)
+    });
+    broadcast(roomId, { type: 'presence', users: userCount(roomId) }, socket);
+  }
+
+  function handleOps(socket, message) {
+    const roomId = socket.roomId;
+    const room = roomId && store.get(roomId);
+    if (!room) {
+      send(socket, { type: 'error', message: 'Join a room before sending changes' });
+      return;
+    }
+    if (!Array.isArray(message.changes) || message.changes.length === 0) return;
+    const error = validateOperations(room.data, message.changes);
+    if (error) {
+      send(socket, { type: 'error', message: `Changes rejected: ${error}` });
+      return;
+    }
+
+    const { applied, resolved, conflicts } = applyOperations(room.data, message.changes);
+    const { revision } = store.touch(roomId);
+
+    broadcast(roomId, { type: 'ops', changes: applied, revision }, socket);
+    send(socket, { type: 'ack', revision, resolved, conflicts });
+  }
+
+  wss.on('connection', (socket) => {
+    socket.roomId = null;
+    socket.isAlive = true;
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (err) {
+        send(socket, { type: 'error', message: 'Invalid JSON' });
+        return;
+      }
+
+      if (!isPlainObject(message)) {
+        send(socket, { type: 'error', message: 'Message must be an object' });
+        return;
+      }
+
+      // A malformed frame must never take the server down for everyone
+      try {
+        if (message.type === 'join') {
+          handleJoin(socket, message);
+        } else if (message.type === 'ops') {
+          handleOps(socket, message);
+        }
+      } catch (err) {
+        console.error(`Failed to handle ${message.type} message:`, err.message);
+        send(socket, { type: 'error', message: 'Could not process message' });
+      }
+    });
+
+    socket.on('close', () => leave(socket));
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, 30000);
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return {
+    userCount,
+
+    /**
+     * Notify room members that the document was replaced
+     * @param {string} roomId - Room ID
+     */
+    resetRoom(roomId) {
+      const room = store.get(roomId);
+      if (room) broadcast(roomId, { type: 'reset', data: room.data, revision: room.revision });
+    },
+
+    /**
+     * Close all connections
+     */
+    close() {
+      clearInterval(heartbeat);
+      wss.clients.forEach(socket => socket.terminate());
+      wss.close();
+    }
+  };
+}
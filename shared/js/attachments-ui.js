@@ -0,0 +1,185 @@
+/**
+ * Attachments UI Module - Task attachment list with image previews
+ * Renders a task's attachments inside a tool's task editor. Files are
+ * stored right away; their records go through the tool's
+ * onCommit(label, mutate) callback like comments-ui.js, which returns the
+ * tool's current project data for the re-render.
+ */
+
+import {
+  MAX_ATTACHMENT_SIZE,
+  generateAttachmentId,
+  getTaskAttachments,
+  isImageAttachment,
+  formatFileSize,
+  addAttachment,
+  deleteAttachment,
+  saveAttachmentFile,
+  loadAttachmentFile
+} from './attachments.js';
+import { downloadBlob } from './export.js';
+import { getActiveStorageKey } from './project-manager.js';
+
+// Project the page was loaded with
+const loadedStorageKey = getActiveStorageKey();
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Release the object URLs of a previous render
+ */
+function revokeUrls(container) {
+  (container._attachmentUrls || []).forEach(url => URL.revokeObjectURL(url));
+  container._attachmentUrls = [];
+}
+
+/**
+ * Render the attachments of a task
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @param {Object} options - { onCommit(label, mutate), disabled }
+ */
+export function renderTaskAttachments(container, projectData, taskId, { onCommit, disabled = false } = {}) {
+  if (!container) return;
+  revokeUrls(container);
+
+  // Keep the open preview across re-renders of the same task
+  if (container._attachmentTaskId !== taskId) container._previewId = null;
+  container._attachmentTaskId = taskId;
+
+  const attachments = getTaskAttachments(projectData, taskId);
+  const previewId = container._previewId;
+
+  container.innerHTML = `
+    <label class="form-label">Attachments${attachments.length > 0 ? ` (${attachments.length})` : ''}</label>
+    <ul class="attachment-list">
+      ${attachments.map(attachment => `
+        <li class="attachment" data-attachment-id="${attachment.id}">
+          <span class="attachment__thumb">${isImageAttachment(attachment) ? '' : '&#128196;'}</span>
+          <span class="attachment__info">
+            <span class="attachment__name" title="${escapeHtml(attachment.name)}">${escapeHtml(attachment.name)}</span>
+            <span class="attachment__size">${formatFileSize(attachment.size || 0)}</span>
+          </span>
+          <button type="button" class="attachment__btn" data-action="download" title="Download">&#8595;</button>
+          ${disabled ? '' : '<button type="button" class="attachment__btn" data-action="remove" title="Remove">&times;</button>'}
+        </li>
+      `).join('')}
+    </ul>
+    <div class="attachment-preview"></div>
+    ${disabled ? '' : `
+      <label class="btn btn--sm attachment-add">
+        + Attach files
+        <input type="file" multiple hidden>
+      </label>
+      <span class="attachment-hint">Up to ${formatFileSize(MAX_ATTACHMENT_SIZE)} each, stored in this browser</span>
+    `}
+  `;
+
+  const rerender = (current) => renderTaskAttachments(container, current || projectData, taskId, { onCommit, disabled });
+  const commit = (label, mutate) => rerender(onCommit && onCommit(label, mutate));
+
+  // Thumbnails load asynchronously from the file store
+  attachments.forEach(attachment => {
+    loadAttachmentFile(loadedStorageKey, attachment.id).then(blob => {
+      const row = container.querySelector(`[data-attachment-id="${attachment.id}"]`);
+      if (!row) return;
+      if (!blob) {
+        row.classList.add('attachment--missing');
+        row.querySelector('.attachment__size').textContent = 'File not stored in this browser';
+        return;
+      }
+      if (!isImageAttachment(attachment)) return;
+
+      const url = URL.createObjectURL(blob);
+      container._attachmentUrls.push(url);
+      row.querySelector('.attachment__thumb').innerHTML =
+        `<img src="${url}" alt="" data-action="preview" title="Show preview">`;
+      if (previewId === attachment.id) showPreview(container, url, attachment);
+    });
+  });
+
+  container.onclick = async (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const id = button.closest('[data-attachment-id]')?.dataset.attachmentId;
+    const attachment = attachments.find(a => a.id === id);
+    if (!attachment) return;
+
+    if (button.dataset.action === 'preview') {
+      if (container._previewId === id) {
+        hidePreview(container);
+      } else {
+        showPreview(container, button.src, attachment);
+      }
+    } else if (button.dataset.action === 'download') {
+      const blob = await loadAttachmentFile(loadedStorageKey, id);
+      if (blob) {
+        downloadBlob(blob, attachment.name);
+      } else {
+        alert('This file is not stored in this browser.');
+      }
+    } else if (button.dataset.action === 'remove') {
+      if (!confirm(`Remove "${attachment.name}"?`)) return;
+      if (container._previewId === id) hidePreview(container);
+      commit(`Removed attachment '${attachment.name}'`, (data) => deleteAttachment(data, id));
+    }
+  };
+
+  const input = container.querySelector('input[type="file"]');
+  if (input) {
+    input.onchange = async () => {
+      const files = [...input.files];
+      input.value = '';
+
+      const tooLarge = files.filter(file => file.size > MAX_ATTACHMENT_SIZE);
+      if (tooLarge.length > 0) {
+        alert(`Too large to attach (max ${formatFileSize(MAX_ATTACHMENT_SIZE)}):\n${tooLarge.map(f => f.name).join('\n')}`);
+      }
+
+      const stored = [];
+      for (const file of files.filter(f => f.size <= MAX_ATTACHMENT_SIZE)) {
+        const id = generateAttachmentId();
+        try {
+          await saveAttachmentFile(loadedStorageKey, id, file);
+          stored.push({ id, taskId, name: file.name, type: file.type, size: file.size });
+        } catch (err) {
+          console.error('Failed to store attachment:', err);
+          alert(`Could not store "${file.name}": ${err.message}`);
+        }
+      }
+      if (stored.length === 0) return;
+
+      const label = stored.length === 1 ? `Attached '${stored[0].name}'` : `Attached ${stored.length} files`;
+      commit(label, (data) => stored.forEach(record => addAttachment(data, record)));
+    };
+  }
+}
+
+/**
+ * Show an image attachment below the list
+ */
+function showPreview(container, url, attachment) {
+  container._previewId = attachment.id;
+  container.querySelector('.attachment-preview').innerHTML =
+    `<img src="${url}" alt="${escapeHtml(attachment.name)}" data-action="preview" data-attachment-id="${attachment.id}" title="Hide preview">`;
+  container.querySelectorAll('.attachment').forEach(row => {
+    row.classList.toggle('attachment--previewed', row.dataset.attachmentId === attachment.id);
+  });
+}
+
+/**
+ * Hide the image preview
+ */
+function hidePreview(container) {
+  container._previewId = null;
+  container.querySelector('.attachment-preview').innerHTML = '';
+  container.querySelectorAll('.attachment--previewed').forEach(row => row.classList.remove('attachment--previewed'));
+}
@@ -0,0 +1,300 @@
+/**
+ * Attachments Module - Files attached to tasks
+ * Attachment records live in projectData.attachments and point at their
+ * task with attachment.taskId. The files themselves are stored as blobs in
+ * a separate IndexedDB database, so the project JSON stays small.
+ *
+ * Attachment shape:
+ *   { id, taskId, name, type, size, createdAt }
+ *
+ * Blob records are keyed by "<project storage key>/<attachment id>".
+ * Removing an attachment only removes its record: the file is kept while
+ * undo may still bring the record back, and pruneAttachmentFiles() deletes
+ * files that have been unreferenced for longer than ORPHAN_GRACE_MS.
+ */
+
+import { createZip, downloadBlob } from './export.js';
+
+const DB_NAME = 'projectPlanningAttachments';
+const DB_VERSION = 1;
+const STORE_NAME = 'files';
+
+// Largest file that can be attached
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// How long an unreferenced file is kept before it is deleted
+const ORPHAN_GRACE_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Generate a unique attachment ID
+ * @returns {string} - Unique ID
+ */
+export function generateAttachmentId() {
+  return 'attach_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Get the attachments of a project
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Attachments
+ */
+export function getAttachments(projectData) {
+  return Array.isArray(projectData?.attachments) ? projectData.attachments : [];
+}
+
+/**
+ * Get the attachments of a task, oldest first
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @returns {Array} - Attachments
+ */
+export function getTaskAttachments(projectData, taskId) {
+  return getAttachments(projectData)
+    .filter(a => a.taskId === taskId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Check whether an attachment is an image browsers can preview
+ * @param {Object} attachment - Attachment
+ * @returns {boolean}
+ */
+export function isImageAttachment(attachment) {
+  return /^image\/(png|jpe?g|gif|webp|svg\+xml|bmp)$/.test(attachment?.type || '');
+}
+
+/**
+ * Format a file size like "1.2 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// ========== EDITING ==========
+
+/**
+ * Add an attachment record (store its file first with saveAttachmentFile)
+ * @param {Object} projectData - Project data
+ * @param {Object} attachment - { id, taskId, name, type, size }
+ * @returns {Object} - New attachment
+ */
+export function addAttachment(projectData, { id, taskId, name, type, size }) {
+  if (!Array.isArray(projectData.attachments)) projectData.attachments = [];
+
+  const attachment = {
+    id,
+    taskId,
+    name,
+    type: type || 'application/octet-stream',
+    size,
+    createdAt: new Date().toISOString()
+  };
+
+  projectData.attachments.push(attachment);
+  return attachment;
+}
+
+/**
+ * Remove an attachment record
+ * @param {Object} projectData - Project data
+ * @param {string} attachmentId - Attachment ID
+ * @returns {boolean} - Whether the attachment existed
+ */
+export function deleteAttachment(projectData, attachmentId) {
+  const before = getAttachments(projectData).length;
+  projectData.attachments = getAttachments(projectData).filter(a => a.id !== attachmentId);
+  return projectData.attachments.length < before;
+}
+
+/**
+ * Remove the attachment records of removed tasks
+ * @param {Object} projectData - Project data
+ * @param {Array} taskIds - Removed task IDs
+ */
+export function removeTaskAttachments(projectData, taskIds) {
+  if (!Array.isArray(projectData.attachments)) return;
+  const ids = new Set(taskIds);
+  projectData.attachments = projectData.attachments.filter(a => !ids.has(a.taskId));
+}
+
+// ========== FILE STORE ==========
+
+/**
+ * Open the attachment database (once per page)
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a request against the file store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} - Request result
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = operation(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Key of a file in the store
+ */
+function fileKey(projectKey, attachmentId) {
+  return `${projectKey}/${attachmentId}`;
+}
+
+/**
+ * Store the file of an attachment
+ * @param {string} projectKey - Project storage key
+ * @param {string} attachmentId - Attachment ID
+ * @param {Blob} blob - File contents
+ * @returns {Promise<void>}
+ */
+export async function saveAttachmentFile(projectKey, attachmentId, blob) {
+  await runRequest('readwrite', store =>
+    store.put({ blob, orphanedAt: null }, fileKey(projectKey, attachmentId))
+  );
+}
+
+/**
+ * Load the file of an attachment
+ * @param {string} projectKey - Project storage key
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Blob|null>} - File, or null when it is not on this device
+ */
+export async function loadAttachmentFile(projectKey, attachmentId) {
+  try {
+    const record = await runRequest('readonly', store => store.get(fileKey(projectKey, attachmentId)));
+    return record ? record.blob : null;
+  } catch (e) {
+    console.error('Failed to load attachment:', e);
+    return null;
+  }
+}
+
+/**
+ * Delete files of a project that no attachment record uses any more
+ * Files are first marked as orphaned and deleted on a later call once
+ * ORPHAN_GRACE_MS has passed, so undo can still restore their records.
+ * @param {string} projectKey - Project storage key
+ * @param {Array} keepIds - Attachment IDs still in use (all files go when empty)
+ * @param {Object} options - { immediate } deletes orphans without waiting
+ * @returns {Promise<number>} - Number of files deleted
+ */
+export async function pruneAttachmentFiles(projectKey, keepIds, { immediate = false } = {}) {
+  const db = await openDatabase();
+  const keep = new Set(keepIds.map(id => fileKey(projectKey, id)));
+  const prefix = `${projectKey}/`;
+  const now = Date.now();
+  let deleted = 0;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const request = tx.objectStore(STORE_NAME).openCursor(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      const record = cursor.value;
+
+      if (keep.has(cursor.key)) {
+        if (record.orphanedAt) cursor.update({ ...record, orphanedAt: null });
+      } else if (immediate || (record.orphanedAt && now - record.orphanedAt > ORPHAN_GRACE_MS)) {
+        cursor.delete();
+        deleted++;
+      } else if (!record.orphanedAt) {
+        cursor.update({ ...record, orphanedAt: now });
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(deleted);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Copy the files of a project to another project (used when duplicating)
+ * @param {string} fromKey - Source project storage key
+ * @param {string} toKey - Target project storage key
+ * @param {Array} attachmentIds - Attachment IDs to copy
+ * @returns {Promise<void>}
+ */
+export async function copyAttachmentFiles(fromKey, toKey, attachmentIds) {
+  for (const id of attachmentIds) {
+    const blob = await loadAttachmentFile(fromKey, id);
+    if (blob) await saveAttachmentFile(toKey, id, blob);
+  }
+}
+
+// ========== ARCHIVE EXPORT ==========
+
+/**
+ * Download a zip archive with the project JSON and all attachment files
+ * Files are stored under attachments/<attachment id>/<file name>; files
+ * that are not on this device are listed in missing.txt.
+ * @param {Object} projectData - Project data
+ * @param {string} projectKey - Project storage key
+ * @param {string} filename - Archive name (without extension)
+ * @returns {Promise<Object>} - { files, missing }
+ */
+export async function downloadArchive(projectData, projectKey, filename) {
+  const entries = [{ name: `${filename}.json`, data: JSON.stringify(projectData, null, 2) }];
+  const missing = [];
+
+  for (const attachment of getAttachments(projectData)) {
+    const blob = await loadAttachmentFile(projectKey, attachment.id);
+    if (blob) {
+      entries.push({
+        name: `attachments/${attachment.id}/${attachment.name}`,
+        data: new Uint8Array(await blob.arrayBuffer())
+      });
+    } else {
+      missing.push(attachment);
+    }
+  }
+
+  if (missing.length > 0) {
+    entries.push({
+      name: 'attachments/missing.txt',
+      data: 'Files not stored on the exporting device:\n' +
+        missing.map(a => `${a.id}/${a.name}`).join('\n') + '\n'
+    });
+  }
+
+  downloadBlob(createZip(entries), `${filename}.zip`);
+  return { files: entries.length - 1 - (missing.length > 0 ? 1 : 0), missing: missing.length };
+}
@@ -0,0 +1,416 @@
+/**
+ * Audit Log Module - Persistent change history
+ * Appends one entry per created, updated or deleted record (tasks, sprints,
+ * time entries, team members, epics, comments, attachments, baselines,
+ * retrospectives and retro items) to a log
+ * stored next to the project under `<storageKey>_audit`.
+ *
+ * The log is split into chunks of CHUNK_SIZE entries (`<auditKey>_<n>`),
+ * with `<auditKey>` holding the list of chunk numbers. A save only rewrites
+ * the newest chunk, and old entries are dropped a whole chunk at a time.
+ *
+ * Entries are recorded by change-feed.js whenever a tool saves, so every
+ * tool is covered without extra calls. Entries are never edited; reverting
+ * a change appends new entries that point at the reverted one (revertOf).
+ *
+ * Entry shape:
+ *   { id, timestamp, author, tool, entity, recordId, parentId, label,
+ *     action, fields: [{ field, from, to }], before, after, revertOf }
+ */
+
+import { saveToStorage, loadFromStorage, removeFromStorage } from './storage.js';
+
+const AUDIT_SUFFIX = '_audit';
+const AUTHOR_KEY = 'auditAuthor';
+const DEFAULT_AUTHOR = 'Local user';
+
+// Oldest entries are dropped beyond this to stay within storage quota
+const MAX_AUDIT_ENTRIES = 5000;
+const CHUNK_SIZE = 250;
+const MAX_CHUNKS = MAX_AUDIT_ENTRIES / CHUNK_SIZE;
+
+// Entities recorded in the log and the collection holding them
+export const AUDIT_ENTITIES = {
+  task: { collection: 'tasks', label: 'Task' },
+  sprint: { collection: 'sprints', label: 'Sprint' },
+  entry: { collection: 'timeEntries', label: 'Time entry' },
+  member: { collection: 'team', label: 'Team member' },
+  epic: { collection: 'epics', label: 'Epic' },
+  comment: { collection: 'comments', label: 'Comment' },
+  attachment: { collection: 'attachments', label: 'Attachment' },
+  baseline: { collection: 'baselines', label: 'Baseline' },
+  retro: { collection: 'retrospectives', label: 'Retrospective' },
+  retroItem: { collection: 'retrospectives', label: 'Retro item' }
+};
+
+// ========== KEYS & AUTHOR ==========
+
+/**
+ * Get the audit log key for a project storage key
+ * @param {string} storageKey - Project storage key
+ * @returns {string}
+ */
+export function getAuditKey(storageKey) {
+  return storageKey + AUDIT_SUFFIX;
+}
+
+/**
+ * Get the name recorded as author of local changes
+ * @returns {string}
+ */
+export function getAuditAuthor() {
+  return loadFromStorage(AUTHOR_KEY) || DEFAULT_AUTHOR;
+}
+
+/**
+ * Set the name recorded as author of local changes
+ * @param {string} name - Author name (empty resets to the default)
+ */
+export function setAuditAuthor(name) {
+  saveToStorage(AUTHOR_KEY, (name || '').trim() || DEFAULT_AUTHOR);
+}
+
+/**
+ * Get the ID of the tool the page belongs to (from the navigation element)
+ * @returns {string}
+ */
+function getCurrentTool() {
+  return document.querySelector('.nav-dropdown')?.dataset.current || 'unknown';
+}
+
+/**
+ * Generate a unique audit entry ID
+ * @returns {string}
+ */
+function generateAuditId() {
+  return 'audit_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// ========== RECORDING ==========
+
+/**
+ * Get the storage key of a chunk of the audit log
+ */
+function getChunkKey(auditKey, chunkId) {
+  return `${auditKey}_${chunkId}`;
+}
+
+/**
+ * Load one chunk of entries
+ */
+function loadChunk(auditKey, chunkId) {
+  const entries = loadFromStorage(getChunkKey(auditKey, chunkId));
+  return Array.isArray(entries) ? entries : [];
+}
+
+/**
+ * Load the chunk index, splitting a log saved as one array into chunks
+ * @param {string} auditKey - Audit log key
+ * @returns {Object} - { chunks } chunk numbers, oldest first
+ */
+function loadAuditIndex(auditKey) {
+  const saved = loadFromStorage(auditKey);
+  if (!Array.isArray(saved)) {
+    return saved && Array.isArray(saved.chunks) ? saved : { chunks: [] };
+  }
+
+  const index = { chunks: [] };
+  for (let start = 0; start < saved.length; start += CHUNK_SIZE) {
+    const chunkId = index.chunks.length;
+    saveToStorage(getChunkKey(auditKey, chunkId), saved.slice(start, start + CHUNK_SIZE));
+    index.chunks.push(chunkId);
+  }
+  saveToStorage(auditKey, index);
+  return index;
+}
+
+/**
+ * Load the audit log
+ * @param {string} auditKey - Audit log key
+ * @returns {Array} - Entries, oldest first
+ */
+export function loadAuditLog(auditKey) {
+  return loadAuditIndex(auditKey).chunks.flatMap(chunkId => loadChunk(auditKey, chunkId));
+}
+
+/**
+ * Delete the audit log and all its chunks
+ * @param {string} auditKey - Audit log key
+ */
+export function clearAuditLog(auditKey) {
+  loadAuditIndex(auditKey).chunks.forEach(chunkId => removeFromStorage(getChunkKey(auditKey, chunkId)));
+  removeFromStorage(auditKey);
+}
+
+/**
+ * Get a display label for a record
+ * @param {Object} record - Task, sprint, entry, member, retro or retro item
+ * @returns {string}
+ */
+export function getRecordLabel(record) {
+  if (!record) return '';
+  return record.name || record.title || record.text || record.notes || record.date || record.id || '';
+}
+
+/**
+ * List the fields that differ between two versions of a record
+ * @param {Object} before - Previous record
+ * @param {Object} after - New record
+ * @param {Array} ignore - Fields to skip
+ * @returns {Array} - [{ field, from, to }]
+ */
+export function diffFields(before, after, ignore = []) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const fields = [];
+  keys.forEach(field => {
+    if (ignore.includes(field)) return;
+    const from = before?.[field];
+    const to = after?.[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      fields.push({ field, from, to });
+    }
+  });
+  return fields;
+}
+
+/**
+ * Convert typed changes from change-feed.js to audit entries
+ * @param {Array} changes - Typed changes
+ * @returns {Array} - Entries without id/timestamp/author/tool
+ */
+function changesToEntries(changes) {
+  const entries = [];
+
+  changes.forEach(change => {
+    const { entity, action, id } = change;
+    if (!AUDIT_ENTITIES[entity] || !['created', 'updated', 'deleted'].includes(action)) return;
+
+    const record = change.record;
+    const previous = change.previous;
+
+    if (action === 'created') {
+      entries.push({ entity, recordId: id, label: getRecordLabel(record), action, after: record });
+    } else if (action === 'deleted') {
+      entries.push({ entity, recordId: id, label: getRecordLabel(previous), action, before: previous });
+    } else {
+      // Retro items are logged individually rather than as one retro update
+      const ignore = entity === 'retro' ? ['items'] : [];
+      const fields = diffFields(previous, record, ignore);
+      if (fields.length > 0) {
+        entries.push({ entity, recordId: id, label: getRecordLabel(record), action, fields });
+      }
+      if (entity === 'retro') {
+        entries.push(...diffRetroItems(id, previous?.items || [], record?.items || []));
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Diff the items of a retrospective into retroItem entries
+ */
+function diffRetroItems(retroId, oldItems, newItems) {
+  const entries = [];
+  const oldById = new Map(oldItems.map(item => [item.id, item]));
+  const newById = new Map(newItems.map(item => [item.id, item]));
+  const base = { entity: 'retroItem', parentId: retroId };
+
+  newItems.forEach(item => {
+    const previous = oldById.get(item.id);
+    if (!previous) {
+      entries.push({ ...base, recordId: item.id, label: getRecordLabel(item), action: 'created', after: item });
+      return;
+    }
+    const fields = diffFields(previous, item);
+    if (fields.length > 0) {
+      entries.push({ ...base, recordId: item.id, label: getRecordLabel(item), action: 'updated', fields });
+    }
+  });
+
+  oldItems.forEach(item => {
+    if (!newById.has(item.id)) {
+      entries.push({ ...base, recordId: item.id, label: getRecordLabel(item), action: 'deleted', before: item });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Append typed changes to the audit log
+ * @param {string} auditKey - Audit log key
+ * @param {Array} changes - Typed changes from change-feed.js
+ * @param {Object} options - { revertOf } ID of the entry being reverted
+ * @returns {Array} - Appended entries
+ */
+export function recordChanges(auditKey, changes, { revertOf = null } = {}) {
+  const partial = changesToEntries(changes);
+  if (partial.length === 0) return [];
+
+  const timestamp = new Date().toISOString();
+  const author = getAuditAuthor();
+  const tool = getCurrentTool();
+
+  const appended = partial.map(entry => ({
+    id: generateAuditId(),
+    timestamp,
+    author,
+    tool,
+    parentId: null,
+    ...entry,
+    revertOf
+  }));
+
+  // Fill the newest chunk, starting new ones as it fills up
+  const index = loadAuditIndex(auditKey);
+  let indexChanged = false;
+  let chunkId = index.chunks.length > 0 ? index.chunks[index.chunks.length - 1] : null;
+  let chunk = chunkId === null ? [] : loadChunk(auditKey, chunkId);
+  if (chunkId === null) {
+    chunkId = 0;
+    index.chunks.push(chunkId);
+    indexChanged = true;
+  }
+
+  appended.forEach(entry => {
+    if (chunk.length >= CHUNK_SIZE) {
+      saveToStorage(getChunkKey(auditKey, chunkId), chunk);
+      chunkId++;
+      chunk = [];
+      index.chunks.push(chunkId);
+      indexChanged = true;
+    }
+    chunk.push(entry);
+  });
+  saveToStorage(getChunkKey(auditKey, chunkId), chunk);
+
+  while (index.chunks.length > MAX_CHUNKS) {
+    removeFromStorage(getChunkKey(auditKey, index.chunks.shift()));
+    indexChanged = true;
+  }
+  if (indexChanged) saveToStorage(auditKey, index);
+
+  return appended;
+}
+
+// ========== QUERIES ==========
+
+/**
+ * Filter audit entries
+ * @param {Array} entries - Audit entries
+ * @param {Object} filters - { entity, from, to } (dates as YYYY-MM-DD, inclusive)
+ * @returns {Array} - Matching entries, newest first
+ */
+export function filterAuditLog(entries, { entity = '', from = '', to = '' } = {}) {
+  return entries.filter(entry => {
+    if (entity && entry.entity !== entity) return false;
+    const day = toLocalDay(entry.timestamp);
+    if (from && day < from) return false;
+    if (to && day > to) return false;
+    return true;
+  }).reverse();
+}
+
+/**
+ * Format an ISO timestamp as a local YYYY-MM-DD date
+ */
+function toLocalDay(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// ========== REVERT ==========
+
+/**
+ * Build the typed changes that undo an audit entry
+ * @param {Object} projectData - Current project data
+ * @param {Object} entry - Audit entry to revert
+ * @returns {Object} - { changes, error }
+ */
+export function buildRevertChanges(projectData, entry) {
+  const config = AUDIT_ENTITIES[entry.entity];
+  if (!config) return { changes: [], error: 'This change cannot be reverted.' };
+
+  const list = projectData[config.collection] || [];
+
+  if (entry.entity === 'retroItem') {
+    const retro = list.find(r => r.id === entry.parentId);
+    if (!retro) return { changes: [], error: 'The retrospective no longer exists.' };
+
+    const items = Array.isArray(retro.items) ? retro.items : [];
+    const result = revertRecord(items, entry);
+    if (result.error) return { changes: [], error: result.error };
+
+    const updated = { ...retro, items: result.list };
+    return { changes: [typedChange('retro', config.collection, 'updated', retro.id, updated, retro)] };
+  }
+
+  const result = revertRecord(list, entry);
+  if (result.error) return { changes: [], error: result.error };
+
+  const current = list.find(r => r.id === entry.recordId);
+  const next = result.list.find(r => r.id === entry.recordId);
+  let action = 'updated';
+  if (!current) action = 'created';
+  if (!next) action = 'deleted';
+
+  return { changes: [typedChange(entry.entity, config.collection, action, entry.recordId, next, current)] };
+}
+
+/**
+ * Undo an entry against a list of records
+ * @returns {Object} - { list, error }
+ */
+function revertRecord(list, entry) {
+  const index = list.findIndex(r => r.id === entry.recordId);
+  const current = list[index];
+
+  if (entry.action === 'created') {
+    if (!current) return { error: 'The record was already deleted.' };
+    return { list: list.filter(r => r.id !== entry.recordId) };
+  }
+
+  if (entry.action === 'deleted') {
+    if (current) return { error: 'The record already exists again.' };
+    if (!entry.before) return { error: 'The deleted record was not captured.' };
+    return { list: [...list, clone(entry.before)] };
+  }
+
+  if (!current) return { error: 'The record has been deleted since.' };
+  const restored = { ...current };
+  entry.fields.forEach(({ field, from }) => {
+    if (from === undefined) {
+      delete restored[field];
+    } else {
+      restored[field] = clone(from);
+    }
+  });
+  const next = [...list];
+  next[index] = restored;
+  return { list: next };
+}
+
+/**
+ * Build a typed change in the change-feed.js format
+ */
+function typedChange(entity, collection, action, id, record, previous) {
+  return {
+    type: `${entity}.${action}`,
+    entity,
+    collection,
+    action,
+    id,
+    record: record ? clone(record) : undefined,
+    previous: previous ? clone(previous) : undefined
+  };
+}
+
+/**
+ * Deep copy a JSON value
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
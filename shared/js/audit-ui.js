@@ -0,0 +1,230 @@
+/**
+ * Audit UI Module - Change history viewer
+ * Lists the open project's audit log (audit-log.js), filtered by entity
+ * type or date, and reverts individual changes through the page's change
+ * feed so the tool updates in place and other tabs receive the revert.
+ */
+
+import {
+  AUDIT_ENTITIES,
+  getAuditKey,
+  getAuditAuthor,
+  setAuditAuthor,
+  loadAuditLog,
+  filterAuditLog,
+  buildRevertChanges
+} from './audit-log.js';
+import { loadFromStorage } from './storage.js';
+import { getActiveStorageKey } from './project-manager.js';
+import { getActiveChangeFeed } from './change-feed.js';
+
+const MODAL_ID = 'auditLogModal';
+
+// Rendering every entry of a long history would make the modal sluggish
+const MAX_VISIBLE_ENTRIES = 200;
+
+// Project the page was loaded with
+const loadedStorageKey = getActiveStorageKey();
+
+const filters = { entity: '', from: '', to: '' };
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Open the change history modal
+ */
+export function openAuditLog() {
+  const modal = ensureModal();
+  modal.querySelector('#auditAuthor').value = getAuditAuthor();
+  setMessage('');
+  renderAuditList();
+  modal.classList.add('active');
+}
+
+/**
+ * Close the change history modal
+ */
+export function closeAuditLog() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  const entityOptions = Object.entries(AUDIT_ENTITIES)
+    .map(([entity, config]) => `<option value="${entity}">${config.label}</option>`)
+    .join('');
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay audit-modal';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2>Change History</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <div class="audit-filters">
+        <select class="form-input" id="auditEntity">
+          <option value="">All changes</option>
+          ${entityOptions}
+        </select>
+        <input type="date" class="form-input" id="auditFrom" title="From">
+        <input type="date" class="form-input" id="auditTo" title="To">
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="auditAuthor">Record my changes as</label>
+        <input type="text" class="form-input" id="auditAuthor" placeholder="Your name">
+      </div>
+      <p class="audit-message" id="auditMessage"></p>
+      <div class="audit-list" id="auditList"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeAuditLog();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'close') {
+      closeAuditLog();
+    } else if (button.dataset.action === 'revert') {
+      revertEntry(button.dataset.entryId);
+    }
+  });
+
+  const bindFilter = (id, name) => {
+    modal.querySelector(id).addEventListener('change', (e) => {
+      filters[name] = e.target.value;
+      renderAuditList();
+    });
+  };
+  bindFilter('#auditEntity', 'entity');
+  bindFilter('#auditFrom', 'from');
+  bindFilter('#auditTo', 'to');
+
+  modal.querySelector('#auditAuthor').addEventListener('change', (e) => {
+    setAuditAuthor(e.target.value);
+    e.target.value = getAuditAuthor();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeAuditLog();
+  });
+
+  return modal;
+}
+
+/**
+ * Show a message above the list
+ * @param {string} text - Message (empty to hide)
+ * @param {boolean} isError - Error styling
+ */
+function setMessage(text, isError = false) {
+  const message = document.getElementById('auditMessage');
+  if (!message) return;
+  message.textContent = text;
+  message.className = isError ? 'audit-message audit-message--error' : 'audit-message';
+}
+
+/**
+ * Format a field value for display
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? text.slice(0, 57) + '...' : text;
+}
+
+/**
+ * Render the filtered audit entries
+ */
+function renderAuditList() {
+  const list = document.getElementById('auditList');
+  if (!list) return;
+
+  const entries = loadAuditLog(getAuditKey(loadedStorageKey));
+  const reverted = new Set(entries.map(entry => entry.revertOf).filter(Boolean));
+  const matching = filterAuditLog(entries, filters);
+
+  if (matching.length === 0) {
+    list.innerHTML = '<p class="audit-empty">No changes recorded</p>';
+    return;
+  }
+
+  const rows = matching.slice(0, MAX_VISIBLE_ENTRIES).map(entry => {
+    const label = AUDIT_ENTITIES[entry.entity]?.label || entry.entity;
+    const isReverted = reverted.has(entry.id);
+    const fields = (entry.fields || []).map(({ field, from, to }) => `
+      <li><span class="audit-row__field">${escapeHtml(field)}</span>
+        ${escapeHtml(formatValue(from))} &rarr; ${escapeHtml(formatValue(to))}</li>
+    `).join('');
+
+    return `
+      <div class="audit-row${isReverted ? ' audit-row--reverted' : ''}">
+        <div class="audit-row__meta">
+          ${escapeHtml(new Date(entry.timestamp).toLocaleString())}
+          &middot; ${escapeHtml(entry.author)} &middot; ${escapeHtml(entry.tool)}
+          ${entry.revertOf ? '&middot; revert' : ''}
+        </div>
+        <div class="audit-row__summary">
+          ${label} <strong>${escapeHtml(entry.label || entry.recordId)}</strong> ${entry.action}
+        </div>
+        ${fields ? `<ul class="audit-row__fields">${fields}</ul>` : ''}
+        <div class="audit-row__actions">
+          ${isReverted
+            ? '<span class="project-row__badge">Reverted</span>'
+            : `<button class="btn btn--ghost" data-action="revert" data-entry-id="${entry.id}">Revert</button>`}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const more = matching.length > MAX_VISIBLE_ENTRIES
+    ? `<p class="audit-empty">Showing the latest ${MAX_VISIBLE_ENTRIES} of ${matching.length} changes</p>`
+    : '';
+
+  list.innerHTML = rows + more;
+}
+
+/**
+ * Revert a single audit entry
+ * @param {string} entryId - Audit entry ID
+ */
+function revertEntry(entryId) {
+  const entry = loadAuditLog(getAuditKey(loadedStorageKey)).find(e => e.id === entryId);
+  const feed = getActiveChangeFeed();
+  if (!entry || !feed) return;
+
+  const projectData = loadFromStorage(loadedStorageKey);
+  if (!projectData) return;
+
+  const { changes, error } = buildRevertChanges(projectData, entry);
+  if (error) {
+    setMessage(error, true);
+    return;
+  }
+
+  const label = AUDIT_ENTITIES[entry.entity]?.label || entry.entity;
+  if (!confirm(`Revert this change to ${label.toLowerCase()} "${entry.label || entry.recordId}"?`)) return;
+
+  feed.commit(changes, { revertOf: entry.id });
+  setMessage('Change reverted');
+  renderAuditList();
+}
@@ -0,0 +1,169 @@
+/**
+ * Auto-Schedule Module - Dependency links between planned tasks
+ * task.dependencies lists the IDs of a task's predecessors and
+ * task.dependencyLinks the type and lag of each link (see
+ * dependency-links.js). A finish-to-start successor should start after the
+ * last planned day of its predecessor, a start-to-start one no earlier
+ * than its first day, and so on, shifted by the lag in weeks; a link the
+ * successor does not keep is violated.
+ *
+ * Auto-scheduling (project.autoSchedule) pushes successors forward by whole
+ * weeks, so their planned weeks keep their shape and their dates keep their
+ * weekdays. Tasks are never pulled back. A successor stays where it is when
+ * work on it has started or the push would run past the end of the
+ * timeline; those are reported as conflicts.
+ */
+
+import { addDays, getDayIndex, getWorkDays, getTaskSpan } from './schedule.js';
+import { getDependencyLink } from './dependency-links.js';
+
+/**
+ * Check whether auto-scheduling is on for a project
+ * @param {Object} projectData - Project data
+ * @returns {boolean}
+ */
+export function usesAutoSchedule(projectData) {
+  return projectData?.project?.autoSchedule === true;
+}
+
+/**
+ * Get the successors of each task
+ * @param {Array} tasks - All tasks
+ * @returns {Map} - Task ID -> successor tasks
+ */
+function getSuccessorMap(tasks) {
+  const successors = new Map();
+  tasks.forEach(task => {
+    (task.dependencies || []).forEach(predecessorId => {
+      if (!successors.has(predecessorId)) successors.set(predecessorId, []);
+      successors.get(predecessorId).push(task);
+    });
+  });
+  return successors;
+}
+
+/**
+ * Weeks a successor has to move so it keeps its link to a predecessor
+ * @returns {number} - 0 when the link holds or either task is unscheduled
+ */
+function getRequiredShift(predecessor, successor, project, workDays) {
+  const before = getTaskSpan(predecessor, project, workDays);
+  const after = getTaskSpan(successor, project, workDays);
+  if (!before || !after) return 0;
+
+  const { type, lag } = getDependencyLink(successor, predecessor.id);
+  const day = (date) => getDayIndex(project, date);
+  const lagDays = lag * 7;
+  const shortfall = {
+    FS: day(before.endDate) + 1 + lagDays - day(after.startDate),
+    SS: day(before.startDate) + lagDays - day(after.startDate),
+    FF: day(before.endDate) + lagDays - day(after.endDate),
+    SF: day(before.startDate) - 1 + lagDays - day(after.endDate)
+  }[type];
+  return shortfall > 0 ? Math.ceil(shortfall / 7) : 0;
+}
+
+/**
+ * Get every dependency link between existing tasks
+ * @param {Object} projectData - Project data
+ * @returns {Array} - [{ fromId, toId, type, lag, violated }]
+ */
+export function getDependencyLinks(projectData) {
+  const project = projectData.project;
+  const workDays = getWorkDays(projectData);
+  const tasksById = new Map(projectData.tasks.map(task => [task.id, task]));
+  const links = [];
+
+  projectData.tasks.forEach(task => {
+    (task.dependencies || []).forEach(predecessorId => {
+      const predecessor = tasksById.get(predecessorId);
+      if (!predecessor) return;
+      links.push({
+        fromId: predecessorId,
+        toId: task.id,
+        ...getDependencyLink(task, predecessorId),
+        violated: getRequiredShift(predecessor, task, project, workDays) > 0
+      });
+    });
+  });
+
+  return links;
+}
+
+/**
+ * Get the violated links that start or end at a task
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @returns {Array} - [{ fromId, toId, type, lag, violated }]
+ */
+export function getTaskConflicts(projectData, taskId) {
+  return getDependencyLinks(projectData).filter(link =>
+    link.violated && (link.fromId === taskId || link.toId === taskId)
+  );
+}
+
+/**
+ * Move a task's planned weeks and dates by whole weeks
+ * @param {Object} task - Task
+ * @param {Object} project - Project with totalWeeks
+ * @param {number} weeks - Weeks to move (negative moves back)
+ * @returns {boolean} - False when the task would leave the timeline
+ */
+export function shiftTask(task, project, weeks) {
+  const planned = task.planned || [];
+  if (planned.length === 0 || weeks === 0) return true;
+  if (Math.min(...planned) + weeks < 1 || Math.max(...planned) + weeks > project.totalWeeks) return false;
+
+  task.planned = planned.map(w => w + weeks);
+  if (task.startDate && task.endDate) {
+    task.startDate = addDays(task.startDate, weeks * 7);
+    task.endDate = addDays(task.endDate, weeks * 7);
+  }
+  return true;
+}
+
+// ========== AUTO-SCHEDULE ==========
+
+/**
+ * Push the successors of changed tasks forward until every link holds
+ * @param {Object} projectData - Project data
+ * @param {Array} changedTaskIds - IDs of tasks whose planned weeks changed
+ * @returns {Object} - { moved: [{ taskId, weeks }], conflicts: [{ taskId, predecessorId, reason }] }
+ *   reason is 'started' (the successor has actual weeks) or 'timeline'
+ */
+export function autoSchedule(projectData, changedTaskIds) {
+  const project = projectData.project;
+  const workDays = getWorkDays(projectData);
+  const tasksById = new Map(projectData.tasks.map(task => [task.id, task]));
+  const successors = getSuccessorMap(projectData.tasks);
+  const moved = new Map();
+  const conflicts = [];
+  const queue = [...changedTaskIds];
+  // Each task can be pushed at most once per predecessor change; the cap
+  // guards against dependency cycles in imported data
+  let budget = projectData.tasks.length * projectData.tasks.length + queue.length;
+
+  while (queue.length > 0 && budget-- > 0) {
+    const predecessor = tasksById.get(queue.shift());
+    if (!predecessor) continue;
+
+    (successors.get(predecessor.id) || []).forEach(successor => {
+      const weeks = getRequiredShift(predecessor, successor, project, workDays);
+      if (weeks === 0) return;
+
+      if ((successor.reality || []).length > 0) {
+        conflicts.push({ taskId: successor.id, predecessorId: predecessor.id, reason: 'started' });
+      } else if (!shiftTask(successor, project, weeks)) {
+        conflicts.push({ taskId: successor.id, predecessorId: predecessor.id, reason: 'timeline' });
+      } else {
+        moved.set(successor.id, (moved.get(successor.id) || 0) + weeks);
+        queue.push(successor.id);
+      }
+    });
+  }
+
+  return {
+    moved: [...moved].map(([taskId, weeks]) => ({ taskId, weeks })),
+    conflicts
+  };
+}
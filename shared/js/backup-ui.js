@@ -0,0 +1,325 @@
+/**
+ * Backup UI Module - Backup browser
+ * Lists every snapshot kept by backup.js for the open project, shows what
+ * differs from the current data and restores either the whole snapshot or
+ * only the selected records. Restores go through the page's change feed,
+ * so the tool updates in place and the restore shows up in the audit log.
+ */
+
+import { createBackup, listBackups, restoreBackup } from './backup.js';
+import { loadFromStorage } from './storage.js';
+import { migrateToLatest } from './unified-data.js';
+import { getActiveStorageKey, getActiveBackupKey } from './project-manager.js';
+import { diffProjectData, getActiveChangeFeed } from './change-feed.js';
+import { diffFields, getRecordLabel } from './audit-log.js';
+
+const MODAL_ID = 'backupManagerModal';
+
+// Project the page was loaded with
+const loadedStorageKey = getActiveStorageKey();
+const loadedBackupKey = getActiveBackupKey();
+
+const COLLECTION_LABELS = {
+  tasks: 'Tasks',
+  sprints: 'Sprints',
+  timeEntries: 'Time entries',
+  team: 'Team',
+  retrospectives: 'Retrospectives',
+  epics: 'Epics',
+  comments: 'Comments',
+  attachments: 'Attachments',
+  baselines: 'Baselines'
+};
+
+// Changes between current data and the selected backup (current -> backup)
+let pendingChanges = [];
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Open the backup manager modal
+ */
+export function openBackupManager() {
+  const modal = ensureModal();
+  setMessage('');
+  renderBackupSelect();
+  renderDiff();
+  modal.classList.add('active');
+}
+
+/**
+ * Close the backup manager modal
+ */
+export function closeBackupManager() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay backup-modal';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2>Backups</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <div class="backup-toolbar">
+        <select class="form-input" id="backupSelect"></select>
+        <button class="btn btn--ghost" data-action="create">Back Up Now</button>
+      </div>
+      <p class="audit-message" id="backupMessage"></p>
+      <div class="backup-diff" id="backupDiff"></div>
+      <div class="backup-actions">
+        <button class="btn btn--ghost" data-action="restore-selected">Restore Selected</button>
+        <button class="btn btn--primary" data-action="restore-all">Restore Entire Backup</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeBackupManager();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (button) handleAction(button.dataset.action);
+  });
+
+  modal.querySelector('#backupSelect').addEventListener('change', () => {
+    setMessage('');
+    renderDiff();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeBackupManager();
+  });
+
+  return modal;
+}
+
+/**
+ * Show a message above the diff
+ * @param {string} text - Message (empty to hide)
+ * @param {boolean} isError - Error styling
+ */
+function setMessage(text, isError = false) {
+  const message = document.getElementById('backupMessage');
+  if (!message) return;
+  message.textContent = text;
+  message.className = isError ? 'audit-message audit-message--error' : 'audit-message';
+}
+
+/**
+ * Fill the snapshot selector, newest first
+ * @param {string} selected - Timestamp to select (defaults to the newest)
+ */
+function renderBackupSelect(selected = null) {
+  const select = document.getElementById('backupSelect');
+  const backups = listBackups(loadedBackupKey).slice().reverse();
+
+  if (backups.length === 0) {
+    select.innerHTML = '<option value="">No backups yet</option>';
+    select.disabled = true;
+    return;
+  }
+
+  select.disabled = false;
+  select.innerHTML = backups.map(backup => {
+    let taskCount = '?';
+    try {
+      taskCount = (JSON.parse(backup.data).tasks || []).length;
+    } catch (e) {
+      // Unreadable snapshot - still listed so it can be inspected
+    }
+    const isSelected = backup.timestamp === selected ? ' selected' : '';
+    return `<option value="${backup.timestamp}"${isSelected}>
+      ${escapeHtml(new Date(backup.timestamp).toLocaleString())} (${taskCount} tasks)
+    </option>`;
+  }).join('');
+}
+
+/**
+ * Load the selected snapshot at the current data version
+ * @returns {Object|null}
+ */
+function loadSelectedBackup() {
+  const timestamp = document.getElementById('backupSelect').value;
+  if (!timestamp) return null;
+  const data = restoreBackup(loadedBackupKey, timestamp);
+  return data ? migrateToLatest(data) : null;
+}
+
+/**
+ * Describe a single change between current data and the backup
+ * @returns {Object} - { badge, badgeClass, label, fields, selectable }
+ */
+function describeChange(change) {
+  switch (change.action) {
+    case 'created':
+      return { badge: 'Only in backup', badgeClass: 'added', label: getRecordLabel(change.record), selectable: true };
+    case 'deleted':
+      return { badge: 'Only in current', badgeClass: 'removed', label: getRecordLabel(change.previous), selectable: true };
+    case 'updated':
+      return {
+        badge: 'Changed',
+        badgeClass: 'changed',
+        label: getRecordLabel(change.record),
+        fields: diffFields(change.previous, change.record),
+        selectable: true
+      };
+    case 'reordered':
+      return { badge: 'Order differs', badgeClass: 'changed', label: '', selectable: false };
+    default:
+      return { badge: 'Differs', badgeClass: 'changed', label: change.collection, selectable: true };
+  }
+}
+
+/**
+ * Format a field value for display
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 40 ? text.slice(0, 37) + '...' : text;
+}
+
+/**
+ * Render the differences between current data and the selected backup
+ */
+function renderDiff() {
+  const container = document.getElementById('backupDiff');
+  pendingChanges = [];
+
+  const backup = loadSelectedBackup();
+  const current = loadFromStorage(loadedStorageKey);
+  if (!backup || !current) {
+    container.innerHTML = '<p class="audit-empty">Select a backup to compare</p>';
+    return;
+  }
+
+  pendingChanges = diffProjectData(current, backup);
+  if (pendingChanges.length === 0) {
+    container.innerHTML = '<p class="audit-empty">This backup matches the current data</p>';
+    return;
+  }
+
+  // Group by collection, keyed collections first
+  const groups = new Map();
+  pendingChanges.forEach((change, index) => {
+    const key = COLLECTION_LABELS[change.collection] ? change.collection : 'other';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ change, index });
+  });
+
+  const order = [...Object.keys(COLLECTION_LABELS), 'other'].filter(key => groups.has(key));
+
+  container.innerHTML = order.map(key => {
+    const rows = groups.get(key).map(({ change, index }) => {
+      const info = describeChange(change);
+      const fields = (info.fields || []).map(({ field, from, to }) => `
+        <li><span class="audit-row__field">${escapeHtml(field)}</span>
+          ${escapeHtml(formatValue(from))} &rarr; ${escapeHtml(formatValue(to))}</li>
+      `).join('');
+      const checkbox = info.selectable
+        ? `<input type="checkbox" data-change-index="${index}">`
+        : '<span class="backup-change__spacer"></span>';
+
+      return `
+        <label class="backup-change">
+          ${checkbox}
+          <span class="backup-change__badge backup-change__badge--${info.badgeClass}">${info.badge}</span>
+          <span class="backup-change__label">${escapeHtml(info.label || '')}</span>
+          ${fields ? `<ul class="audit-row__fields backup-change__fields">${fields}</ul>` : ''}
+        </label>
+      `;
+    }).join('');
+
+    const title = COLLECTION_LABELS[key] || 'Project settings';
+    return `
+      <div class="backup-group">
+        <div class="backup-group__title">${title} <span>(${groups.get(key).length})</span></div>
+        ${rows}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Handle a modal action
+ * @param {string} action - Action name
+ */
+function handleAction(action) {
+  switch (action) {
+    case 'close':
+      closeBackupManager();
+      return;
+
+    case 'create': {
+      const current = loadFromStorage(loadedStorageKey);
+      const timestamp = current ? createBackup(loadedBackupKey, current) : null;
+      if (!timestamp) {
+        setMessage('Backup failed', true);
+        return;
+      }
+      renderBackupSelect(timestamp);
+      renderDiff();
+      setMessage('Backup created');
+      return;
+    }
+
+    case 'restore-selected': {
+      const indexes = [...document.querySelectorAll('#backupDiff [data-change-index]:checked')]
+        .map(input => Number(input.dataset.changeIndex));
+      if (indexes.length === 0) {
+        setMessage('Select the records to restore first', true);
+        return;
+      }
+      restore(indexes.map(i => pendingChanges[i]));
+      return;
+    }
+
+    case 'restore-all':
+      if (pendingChanges.length === 0) return;
+      if (!confirm('Replace the current data with this backup? The current data is backed up first.')) return;
+      restore(pendingChanges);
+      return;
+  }
+}
+
+/**
+ * Apply changes from the backup, keeping a backup of the current data
+ * @param {Array} changes - Changes (current -> backup) to apply
+ */
+function restore(changes) {
+  const feed = getActiveChangeFeed();
+  const current = loadFromStorage(loadedStorageKey);
+  if (!feed || !current) {
+    setMessage('Restore is not available on this page', true);
+    return;
+  }
+
+  const selected = document.getElementById('backupSelect').value;
+  createBackup(loadedBackupKey, current);
+  feed.commit(changes);
+
+  renderBackupSelect(selected);
+  renderDiff();
+  setMessage(`Restored ${changes.length} change${changes.length === 1 ? '' : 's'} (previous data backed up)`);
+}
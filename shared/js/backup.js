@@ -1,8 +1,10 @@
 /**
  * Backup Module - Auto-backup system
- * Creates and manages automatic backups in localStorage
+ * Creates and manages automatic backups through the storage module
  */
 
+import { saveToStorage, loadFromStorage, removeFromStorage } from './storage.js';
+
 const DEFAULT_MAX_BACKUPS = 10;
 
 /**
@@ -13,7 +15,7 @@ const DEFAULT_MAX_BACKUPS = 10;
  */
 export function createBackup(backupKey, data, maxBackups = DEFAULT_MAX_BACKUPS) {
   try {
-    const backups = JSON.parse(localStorage.getItem(backupKey) || '[]');
+    const backups = loadFromStorage(backupKey) || [];
     const timestamp = new Date().toISOString();
     const backup = {
       timestamp,
@@ -27,8 +29,7 @@ export function createBackup(backupKey, data, maxBackups = DEFAULT_MAX_BACKUPS)
       backups.shift();
     }
 
-    localStorage.setItem(backupKey, JSON.stringify(backups));
-    return timestamp;
+    return saveToStorage(backupKey, backups) ? timestamp : null;
   } catch (e) {
     console.error('Failed to create backup:', e);
     return null;
@@ -42,7 +43,7 @@ export function createBackup(backupKey, data, maxBackups = DEFAULT_MAX_BACKUPS)
  */
 export function listBackups(backupKey) {
   try {
-    return JSON.parse(localStorage.getItem(backupKey) || '[]');
+    return loadFromStorage(backupKey) || [];
   } catch (e) {
     console.error('Failed to list backups:', e);
     return [];
@@ -92,5 +93,5 @@ export function getLatestBackup(backupKey) {
  * @param {string} backupKey - Storage key for backups
  */
 export function clearBackups(backupKey) {
-  localStorage.removeItem(backupKey);
+  removeFromStorage(backupKey);
 }
@@ -0,0 +1,309 @@
+/**
+ * Baselines UI Module - Baseline list and slippage report
+ * Renders inside a tool's modal. Baseline changes go through the tool's
+ * onCommit(label, mutate) callback like comments-ui.js, which returns the
+ * tool's current project data for the re-render; onShow(baselineId) picks
+ * the baseline the tool compares against (null for none).
+ */
+
+import {
+  getBaselines,
+  getBaseline,
+  createBaseline,
+  renameBaseline,
+  deleteBaseline,
+  compareToBaseline
+} from './baselines.js';
+import { downloadText, sanitizeFilename } from './export.js';
+
+const STATUS_LABELS = {
+  late: 'Late',
+  early: 'Early',
+  'on-baseline': 'On baseline',
+  added: 'Added',
+  removed: 'Removed',
+  unscheduled: 'Unscheduled'
+};
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Format a slip like "+2w" / "-1w" / "0" (empty when unknown)
+ * @param {number|null} value - Slip
+ * @param {string} unit - Unit suffix ('w' or 'd')
+ * @returns {string}
+ */
+export function formatSlip(value, unit = 'w') {
+  if (value === null || value === undefined) return '';
+  if (value === 0) return '0';
+  return `${value > 0 ? '+' : '−'}${Math.abs(value)}${unit}`;
+}
+
+/**
+ * Render a slip value with late/early coloring
+ */
+function slipCell(value, unit = 'w') {
+  const modifier = value > 0 ? ' baseline-slip--late' : value < 0 ? ' baseline-slip--early' : '';
+  return `<td class="baseline-slip${modifier}">${formatSlip(value, unit) || '–'}</td>`;
+}
+
+/**
+ * Format a week number for the report
+ */
+function weekCell(week) {
+  return `<td>${week === null ? '–' : `W${week}`}</td>`;
+}
+
+/**
+ * Format a date for the report
+ */
+function dateCell(date) {
+  return `<td>${date ? new Date(date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '–'}</td>`;
+}
+
+/**
+ * Render the baseline manager and the report for the shown baseline
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} projectData - Project data
+ * @param {Object} options - { shownBaselineId, onCommit(label, mutate), onShow(baselineId), disabled }
+ */
+export function renderBaselineManager(container, projectData, { shownBaselineId = null, onCommit, onShow, disabled = false } = {}) {
+  if (!container) return;
+
+  const baselines = getBaselines(projectData);
+  const shown = getBaseline(projectData, shownBaselineId);
+  const showAll = container._showAllTasks === true;
+
+  container.innerHTML = `
+    ${disabled ? '<p class="baseline-hint">Switch to edit mode to save, rename or delete baselines.</p>' : `
+      <div class="baseline-create">
+        <input type="text" class="form-input" data-role="name" placeholder="Baseline name (e.g. Approved plan)...">
+        <button type="button" class="btn btn--primary" data-action="create">Save Baseline</button>
+      </div>
+    `}
+    ${baselines.length === 0 ? '<p class="baseline-hint">No baselines yet. A baseline keeps a copy of the planned weeks, story points, milestone deadlines and sprint dates.</p>' : `
+      <ul class="baseline-list">
+        ${baselines.slice().reverse().map(baseline => `
+          <li class="baseline-row${baseline.id === shownBaselineId ? ' baseline-row--shown' : ''}" data-baseline-id="${baseline.id}">
+            <span class="baseline-row__name">${escapeHtml(baseline.name)}</span>
+            <span class="baseline-row__meta">${new Date(baseline.createdAt).toLocaleDateString()} · ${baseline.tasks.length} tasks</span>
+            <button type="button" class="btn btn--ghost" data-action="show">${baseline.id === shownBaselineId ? 'Hide' : 'Compare'}</button>
+            ${disabled ? '' : `
+              <button type="button" class="btn btn--ghost" data-action="rename">Rename</button>
+              <button type="button" class="btn-delete" data-action="delete" title="Delete baseline">&times;</button>
+            `}
+          </li>
+        `).join('')}
+      </ul>
+    `}
+    <div class="baseline-report"></div>
+  `;
+
+  if (shown) {
+    renderSlippageReport(container.querySelector('.baseline-report'), projectData, shown, showAll);
+  }
+
+  const rerender = (current, baselineId = shownBaselineId) => renderBaselineManager(container, current || projectData, {
+    shownBaselineId: baselineId, onCommit, onShow, disabled
+  });
+  const commit = (label, mutate) => rerender(onCommit && onCommit(label, mutate));
+
+  container.onclick = (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const id = button.closest('[data-baseline-id]')?.dataset.baselineId;
+    const baseline = getBaseline(projectData, id);
+
+    switch (button.dataset.action) {
+      case 'create': {
+        const input = container.querySelector('[data-role="name"]');
+        const name = input.value.trim() || `Baseline ${baselines.length + 1}`;
+        let created = null;
+        const current = onCommit && onCommit(`Saved baseline '${name}'`, (data) => {
+          created = createBaseline(data, name);
+        });
+        if (created && onShow) onShow(created.id);
+        rerender(current, created ? created.id : shownBaselineId);
+        break;
+      }
+      case 'show': {
+        const next = id === shownBaselineId ? null : id;
+        if (onShow) onShow(next);
+        rerender(projectData, next);
+        break;
+      }
+      case 'rename': {
+        const name = prompt('Baseline name:', baseline?.name || '');
+        if (!baseline || !name || !name.trim()) return;
+        commit(`Renamed baseline '${baseline.name}'`, (data) => renameBaseline(data, id, name));
+        break;
+      }
+      case 'delete': {
+        if (!baseline || !confirm(`Delete the baseline "${baseline.name}"?`)) return;
+        if (id === shownBaselineId && onShow) onShow(null);
+        const current = onCommit && onCommit(`Deleted baseline '${baseline.name}'`, (data) => deleteBaseline(data, id));
+        rerender(current, id === shownBaselineId ? null : shownBaselineId);
+        break;
+      }
+      case 'download':
+        downloadSlippageCsv(projectData, shown);
+        break;
+    }
+  };
+
+  container.onchange = (e) => {
+    if (e.target.dataset.role !== 'show-all') return;
+    container._showAllTasks = e.target.checked;
+    rerender(projectData);
+  };
+
+  const nameInput = container.querySelector('[data-role="name"]');
+  if (nameInput) {
+    nameInput.onkeydown = (e) => {
+      if (e.key === 'Enter') container.querySelector('[data-action="create"]').click();
+    };
+  }
+}
+
+/**
+ * Render the slippage report of a baseline
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} projectData - Project data
+ * @param {Object} baseline - Baseline to compare with
+ * @param {boolean} showAll - Include tasks that match the baseline
+ */
+function renderSlippageReport(container, projectData, baseline, showAll) {
+  const { tasks, milestones, sprints, summary } = compareToBaseline(projectData, baseline);
+  // Tasks without weeks in both the baseline and the plan have nothing to compare
+  const isChanged = (row) => row.startSlip || row.durationChange || row.pointsChange ||
+    (row.status === 'unscheduled' ? row.baselineStart !== null || row.forecastFinish !== null : row.status !== 'on-baseline');
+  const changedTasks = tasks.filter(row => !row.isMilestone && (showAll || isChanged(row)));
+  const changedSprints = sprints.filter(row => row.status !== 'on-baseline' || row.startSlipDays);
+
+  const statusCell = (row) => `<td><span class="baseline-status baseline-status--${row.status}">${STATUS_LABELS[row.status]}</span></td>`;
+
+  container.innerHTML = `
+    <div class="baseline-report__header">
+      <h3>Slippage vs. ${escapeHtml(baseline.name)}</h3>
+      <button type="button" class="btn btn--ghost" data-action="download">Download CSV</button>
+    </div>
+    <div class="baseline-summary">
+      <span><strong class="baseline-slip${summary.projectSlip > 0 ? ' baseline-slip--late' : summary.projectSlip < 0 ? ' baseline-slip--early' : ''}">${formatSlip(summary.projectSlip)}</strong> project finish</span>
+      <span><strong>${summary.late}</strong> late</span>
+      <span><strong>${summary.early}</strong> early</span>
+      <span><strong>${summary.milestonesLate}</strong> milestones late</span>
+      <span><strong>${summary.added}</strong> added</span>
+      <span><strong>${summary.removed}</strong> removed</span>
+    </div>
+
+    ${milestones.length > 0 ? `
+      <h4 class="baseline-report__title">Milestones</h4>
+      <table class="baseline-table">
+        <thead><tr><th>Milestone</th><th>Baseline</th><th>Forecast</th><th>Slip</th><th>Deadline</th><th>Moved</th><th></th></tr></thead>
+        <tbody>
+          ${milestones.map(row => `
+            <tr>
+              <td class="baseline-table__name">${escapeHtml(row.name)}</td>
+              ${weekCell(row.baselineFinish)}
+              ${weekCell(row.forecastFinish)}
+              ${slipCell(row.finishSlip)}
+              ${dateCell(row.currentDeadline)}
+              ${slipCell(row.deadlineSlipDays, 'd')}
+              ${statusCell(row)}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : ''}
+
+    <h4 class="baseline-report__title">
+      Tasks
+      <label class="baseline-report__toggle"><input type="checkbox" data-role="show-all"${showAll ? ' checked' : ''}> Show unchanged</label>
+    </h4>
+    ${changedTasks.length === 0 ? '<p class="baseline-hint">All tasks match the baseline.</p>' : `
+      <table class="baseline-table">
+        <thead><tr><th>Task</th><th>Baseline</th><th>Current</th><th>Start</th><th>Finish</th><th>Points</th><th></th></tr></thead>
+        <tbody>
+          ${changedTasks.map(row => `
+            <tr>
+              <td class="baseline-table__name">${escapeHtml(row.name)}</td>
+              <td>${row.baselineStart === null ? '–' : `W${row.baselineStart}–${row.baselineFinish}`}</td>
+              <td>${row.currentStart === null && row.forecastFinish === null ? '–' : `W${row.currentStart ?? '?'}–${row.forecastFinish ?? '?'}`}</td>
+              ${slipCell(row.startSlip)}
+              ${slipCell(row.finishSlip)}
+              <td>${row.pointsChange ? (row.pointsChange > 0 ? '+' : '') + row.pointsChange : ''}</td>
+              ${statusCell(row)}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `}
+
+    ${changedSprints.length > 0 ? `
+      <h4 class="baseline-report__title">Sprints</h4>
+      <table class="baseline-table">
+        <thead><tr><th>Sprint</th><th>Baseline end</th><th>Current end</th><th>Start</th><th>End</th><th></th></tr></thead>
+        <tbody>
+          ${changedSprints.map(row => `
+            <tr>
+              <td class="baseline-table__name">${escapeHtml(row.name)}</td>
+              ${dateCell(row.baselineEnd)}
+              ${dateCell(row.currentEnd)}
+              ${slipCell(row.startSlipDays, 'd')}
+              ${slipCell(row.endSlipDays, 'd')}
+              ${statusCell(row)}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : ''}
+  `;
+}
+
+/**
+ * Download the slippage report as CSV (one row per task, milestone and sprint)
+ * @param {Object} projectData - Project data
+ * @param {Object} baseline - Baseline to compare with
+ */
+export function downloadSlippageCsv(projectData, baseline) {
+  if (!baseline) return;
+  const { tasks, milestones, sprints } = compareToBaseline(projectData, baseline);
+  const deadlines = new Map(milestones.map(row => [row.taskId, row]));
+  const quote = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const slip = (value, unit) => (value === null || value === undefined ? null : `${value}${unit}`);
+
+  const lines = [
+    ['Type', 'Name', 'Baseline start', 'Baseline finish', 'Current start', 'Forecast finish',
+      'Start slip', 'Finish slip', 'Points change', 'Deadline', 'Deadline slip', 'Status']
+  ];
+  tasks.forEach(row => {
+    const milestone = deadlines.get(row.taskId);
+    lines.push([
+      row.isMilestone ? 'Milestone' : 'Task', row.name,
+      row.baselineStart, row.baselineFinish, row.currentStart, row.forecastFinish,
+      slip(row.startSlip, 'w'), slip(row.finishSlip, 'w'), row.pointsChange,
+      milestone?.currentDeadline, slip(milestone?.deadlineSlipDays, 'd'), STATUS_LABELS[row.status]
+    ]);
+  });
+  sprints.forEach(row => {
+    lines.push([
+      'Sprint', row.name, row.baselineStart, row.baselineEnd, row.currentStart, row.currentEnd,
+      slip(row.startSlipDays, 'd'), slip(row.endSlipDays, 'd'),
+      null, null, null, STATUS_LABELS[row.status]
+    ]);
+  });
+
+  const projectName = projectData.project.title || 'project';
+  downloadText(lines.map(line => line.map(quote).join(',')).join('\n') + '\n',
+    `${sanitizeFilename(projectName)}-slippage-${sanitizeFilename(baseline.name)}.csv`, 'text/csv');
+}
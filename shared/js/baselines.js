@@ -0,0 +1,259 @@
+/**
+ * Baselines Module - Saved snapshots of the schedule
+ * A baseline freezes the planned weeks, story points and milestone
+ * deadlines of every task and the dates of every sprint, so later plan
+ * changes can be measured against it.
+ *
+ * Baseline shape:
+ *   { id, name, createdAt, projectStart,
+ *     tasks: [{ taskId, name, planned, storyPoints, isMilestone, milestoneDeadline }],
+ *     sprints: [{ sprintId, name, startDate, endDate }] }
+ *
+ * Week numbers are stored as they were when the baseline was saved;
+ * projectStart lets them be shifted when the project start date moves.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a unique baseline ID
+ * @returns {string} - Unique ID
+ */
+export function generateBaselineId() {
+  return 'baseline_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Get the baselines of a project, oldest first
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Baselines
+ */
+export function getBaselines(projectData) {
+  return Array.isArray(projectData?.baselines) ? projectData.baselines : [];
+}
+
+/**
+ * Find a baseline by ID
+ * @param {Object} projectData - Project data
+ * @param {string} baselineId - Baseline ID
+ * @returns {Object|null}
+ */
+export function getBaseline(projectData, baselineId) {
+  return getBaselines(projectData).find(b => b.id === baselineId) || null;
+}
+
+// ========== EDITING ==========
+
+/**
+ * Save the current schedule as a new baseline
+ * @param {Object} projectData - Project data
+ * @param {string} name - Baseline name
+ * @returns {Object} - New baseline
+ */
+export function createBaseline(projectData, name) {
+  if (!Array.isArray(projectData.baselines)) projectData.baselines = [];
+
+  const baseline = {
+    id: generateBaselineId(),
+    name: name.trim() || `Baseline ${projectData.baselines.length + 1}`,
+    createdAt: new Date().toISOString(),
+    projectStart: projectData.project.startDate,
+    tasks: projectData.tasks.map(task => ({
+      taskId: task.id,
+      name: task.name,
+      planned: [...(task.planned || [])],
+      storyPoints: task.storyPoints ?? null,
+      isMilestone: task.isMilestone === true,
+      milestoneDeadline: task.milestoneDeadline || null
+    })),
+    sprints: (projectData.sprints || []).map(sprint => ({
+      sprintId: sprint.id,
+      name: sprint.name,
+      startDate: sprint.startDate || null,
+      endDate: sprint.endDate || null
+    }))
+  };
+
+  projectData.baselines.push(baseline);
+  return baseline;
+}
+
+/**
+ * Rename a baseline
+ * @param {Object} projectData - Project data
+ * @param {string} baselineId - Baseline ID
+ * @param {string} name - New name
+ * @returns {boolean} - Success
+ */
+export function renameBaseline(projectData, baselineId, name) {
+  const baseline = getBaseline(projectData, baselineId);
+  if (!baseline || !name.trim()) return false;
+  baseline.name = name.trim();
+  return true;
+}
+
+/**
+ * Delete a baseline
+ * @param {Object} projectData - Project data
+ * @param {string} baselineId - Baseline ID
+ * @returns {boolean} - Whether the baseline existed
+ */
+export function deleteBaseline(projectData, baselineId) {
+  const before = getBaselines(projectData).length;
+  projectData.baselines = getBaselines(projectData).filter(b => b.id !== baselineId);
+  return projectData.baselines.length < before;
+}
+
+// ========== COMPARISON ==========
+
+/**
+ * Number of weeks the project start moved since the baseline was saved
+ * Adding it to a baseline week gives the same calendar week in the
+ * current numbering.
+ */
+function getWeekShift(baseline, project) {
+  if (!baseline.projectStart || !project?.startDate) return 0;
+  const days = Math.round((new Date(baseline.projectStart) - new Date(project.startDate)) / DAY_MS);
+  return Math.round(days / 7);
+}
+
+/**
+ * Get the baseline's planned weeks per task, in current week numbers
+ * @param {Object} projectData - Project data
+ * @param {Object} baseline - Baseline
+ * @returns {Map} - Task ID -> week numbers
+ */
+export function getBaselineWeeks(projectData, baseline) {
+  const shift = getWeekShift(baseline, projectData.project);
+  const weeks = new Map();
+  (baseline?.tasks || []).forEach(entry => {
+    weeks.set(entry.taskId, entry.planned.map(w => w + shift));
+  });
+  return weeks;
+}
+
+/**
+ * Days between two YYYY-MM-DD dates (null when either is missing)
+ */
+function daysBetween(from, to) {
+  if (!from || !to) return null;
+  return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+/**
+ * Difference of two numbers (null when either is missing)
+ */
+function difference(from, to) {
+  return from === null || to === null ? null : to - from;
+}
+
+/**
+ * Classify a compared record by its finish slip
+ */
+function getSlipStatus(inBaseline, exists, slip) {
+  if (!inBaseline) return 'added';
+  if (!exists) return 'removed';
+  if (slip === null) return 'unscheduled';
+  if (slip > 0) return 'late';
+  if (slip < 0) return 'early';
+  return 'on-baseline';
+}
+
+/**
+ * Compare the current schedule with a baseline
+ * A task's forecast finish is the later of its planned finish and its
+ * last actual week, so work running past the plan counts as slip.
+ * @param {Object} projectData - Project data
+ * @param {Object} baseline - Baseline
+ * @returns {Object} - { tasks, milestones, sprints, summary }
+ */
+export function compareToBaseline(projectData, baseline) {
+  const baselineWeeks = getBaselineWeeks(projectData, baseline);
+  const baselineTasks = new Map((baseline.tasks || []).map(entry => [entry.taskId, entry]));
+  const currentTasks = new Map(projectData.tasks.map(task => [task.id, task]));
+  const first = (weeks) => (weeks && weeks.length > 0 ? Math.min(...weeks) : null);
+  const last = (weeks) => (weeks && weeks.length > 0 ? Math.max(...weeks) : null);
+
+  const taskIds = [...currentTasks.keys(), ...[...baselineTasks.keys()].filter(id => !currentTasks.has(id))];
+
+  const tasks = taskIds.map(taskId => {
+    const task = currentTasks.get(taskId);
+    const entry = baselineTasks.get(taskId);
+    const planned = baselineWeeks.get(taskId);
+
+    const baselineStart = first(planned);
+    const baselineFinish = last(planned);
+    const currentStart = task ? first(task.planned) : null;
+    const plannedFinish = task ? last(task.planned) : null;
+    const actualFinish = task ? last(task.reality) : null;
+    const forecastFinish = plannedFinish === null ? actualFinish
+      : actualFinish === null ? plannedFinish : Math.max(plannedFinish, actualFinish);
+    const finishSlip = difference(baselineFinish, forecastFinish);
+
+    return {
+      taskId,
+      name: task ? task.name : entry.name,
+      category: task ? task.category : null,
+      isMilestone: task ? task.isMilestone === true : entry.isMilestone,
+      baselineStart,
+      baselineFinish,
+      currentStart,
+      forecastFinish,
+      startSlip: difference(baselineStart, currentStart),
+      finishSlip,
+      durationChange: difference(planned ? planned.length : null, task ? (task.planned || []).length : null),
+      pointsChange: entry && task ? difference(entry.storyPoints ?? null, task.storyPoints ?? null) : null,
+      status: getSlipStatus(Boolean(entry), Boolean(task), finishSlip)
+    };
+  });
+
+  const milestones = tasks
+    .filter(row => row.isMilestone)
+    .map(row => {
+      const baselineDeadline = baselineTasks.get(row.taskId)?.milestoneDeadline || null;
+      const currentDeadline = currentTasks.get(row.taskId)?.milestoneDeadline || null;
+      return {
+        ...row,
+        baselineDeadline,
+        currentDeadline,
+        deadlineSlipDays: daysBetween(baselineDeadline, currentDeadline)
+      };
+    });
+
+  const baselineSprints = new Map((baseline.sprints || []).map(entry => [entry.sprintId, entry]));
+  const currentSprints = new Map((projectData.sprints || []).map(sprint => [sprint.id, sprint]));
+  const sprintIds = [...currentSprints.keys(), ...[...baselineSprints.keys()].filter(id => !currentSprints.has(id))];
+
+  const sprints = sprintIds.map(sprintId => {
+    const sprint = currentSprints.get(sprintId);
+    const entry = baselineSprints.get(sprintId);
+    const endSlipDays = entry && sprint ? daysBetween(entry.endDate, sprint.endDate) : null;
+    return {
+      sprintId,
+      name: sprint ? sprint.name : entry.name,
+      baselineStart: entry?.startDate || null,
+      baselineEnd: entry?.endDate || null,
+      currentStart: sprint?.startDate || null,
+      currentEnd: sprint?.endDate || null,
+      startSlipDays: entry && sprint ? daysBetween(entry.startDate, sprint.startDate) : null,
+      endSlipDays,
+      status: getSlipStatus(Boolean(entry), Boolean(sprint), endSlipDays)
+    };
+  });
+
+  const compared = tasks.filter(row => row.finishSlip !== null);
+  const summary = {
+    late: tasks.filter(row => row.status === 'late').length,
+    early: tasks.filter(row => row.status === 'early').length,
+    added: tasks.filter(row => row.status === 'added').length,
+    removed: tasks.filter(row => row.status === 'removed').length,
+    milestonesLate: milestones.filter(row => row.status === 'late' || row.deadlineSlipDays > 0).length,
+    maxSlip: compared.length > 0 ? Math.max(0, ...compared.map(row => row.finishSlip)) : 0,
+    projectSlip: difference(
+      last(compared.map(row => row.baselineFinish)),
+      last(compared.map(row => row.forecastFinish))
+    ) || 0
+  };
+
+  return { tasks, milestones, sprints, summary };
+}
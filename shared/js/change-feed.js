@@ -0,0 +1,366 @@
+/**
+ * Change Feed Module - Granular cross-tab change events
+ * Publishes typed changes (task.updated, sprint.created, entry.deleted, ...)
+ * whenever a tool saves, so other open tabs can merge them into their
+ * in-memory project instead of replacing it wholesale.
+ *
+ * Uses BroadcastChannel when available and falls back to diffing the full
+ * document from `storage` events otherwise. When the active project is
+ * linked to a collaboration server room, changes are also exchanged with
+ * the server (see collab-client.js); without a reachable server the tools
+ * simply keep working locally.
+ *
+ * Published changes are also appended to the project's audit log
+ * (audit-log.js).
+ *
+ * Usage:
+ *   const feed = createChangeFeed(STORAGE_KEY, projectData);
+ *   feed.subscribe(changes => { applyChanges(projectData, changes); renderApp(); });
+ *   // in save():
+ *   feed.publish(projectData);
+ *
+ * Change shape:
+ *   { type, entity, collection, action, id, record, previous, order }
+ *   action is 'created' | 'updated' | 'deleted' | 'reordered' | 'replaced'
+ *   previous is the record before an update or delete (used for server-side
+ *   merging and the audit log)
+ */
+
+import { saveToStorage } from './storage.js';
+import { getActiveProject, getActiveStorageKey } from './project-manager.js';
+import { connectToServer, getQueueKey } from './collab-client.js';
+import { getAuditKey, recordChanges } from './audit-log.js';
+
+const CHANNEL_NAME = 'project-planning-changes';
+
+// Top-level arrays whose records are diffed individually by ID
+const COLLECTIONS = {
+  tasks: 'task',
+  sprints: 'sprint',
+  timeEntries: 'entry',
+  retrospectives: 'retro',
+  team: 'member',
+  epics: 'epic',
+  comments: 'comment',
+  attachments: 'attachment',
+  baselines: 'baseline'
+};
+
+// Unique per tab so a tab ignores its own messages
+const TAB_ID = 'tab_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+
+// Feed of the project this page has open (see getActiveChangeFeed)
+let activeFeed = null;
+
+// ========== DIFF ==========
+
+/**
+ * Check whether every record of a collection has an ID
+ */
+function isKeyed(list) {
+  return Array.isArray(list) && list.every(item => item && typeof item === 'object' &&
+    typeof item.id === 'string' && item.id.length > 0);
+}
+
+/**
+ * Diff two project documents into typed changes
+ * @param {Object} before - Previous project data
+ * @param {Object} after - New project data
+ * @returns {Array} - Changes
+ */
+export function diffProjectData(before, after) {
+  const changes = [];
+  before = before || {};
+  after = after || {};
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    const oldValue = before[key];
+    const newValue = after[key];
+    const entity = COLLECTIONS[key];
+
+    if (entity && isKeyed(oldValue || []) && isKeyed(newValue || [])) {
+      diffCollection(key, entity, oldValue || [], newValue || [], changes);
+      return;
+    }
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        type: `${entity || key}.replaced`,
+        entity: entity || key,
+        collection: key,
+        action: 'replaced',
+        record: newValue === undefined ? undefined : JSON.parse(JSON.stringify(newValue))
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Diff a keyed collection
+ */
+function diffCollection(collection, entity, oldList, newList, changes) {
+  const oldById = new Map(oldList.map(item => [item.id, item]));
+  const newById = new Map(newList.map(item => [item.id, item]));
+  const change = (action, id, record, previous) => changes.push({
+    type: `${entity}.${action}`,
+    entity,
+    collection,
+    action,
+    id,
+    record: record ? JSON.parse(JSON.stringify(record)) : undefined,
+    previous: previous ? JSON.parse(JSON.stringify(previous)) : undefined
+  });
+
+  newList.forEach(item => {
+    const previous = oldById.get(item.id);
+    if (!previous) {
+      change('created', item.id, item);
+    } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+      change('updated', item.id, item, previous);
+    }
+  });
+
+  oldList.forEach(item => {
+    if (!newById.has(item.id)) change('deleted', item.id, null, item);
+  });
+
+  // Array order matters for some tools (e.g. Gantt task order)
+  const oldOrder = oldList.map(item => item.id).filter(id => newById.has(id));
+  const newOrder = newList.map(item => item.id).filter(id => oldById.has(id));
+  if (oldOrder.join('\n') !== newOrder.join('\n')) {
+    changes.push({
+      type: `${entity}.reordered`,
+      entity,
+      collection,
+      action: 'reordered',
+      order: newList.map(item => item.id)
+    });
+  }
+}
+
+// ========== APPLY ==========
+
+/**
+ * Apply changes to project data in place
+ * @param {Object} projectData - Project data to update
+ * @param {Array} changes - Changes from diffProjectData()
+ * @returns {Object} - The same project data
+ */
+export function applyChanges(projectData, changes) {
+  changes.forEach(change => {
+    const { collection, action } = change;
+
+    if (action === 'replaced') {
+      if (change.record === undefined) {
+        delete projectData[collection];
+      } else {
+        projectData[collection] = JSON.parse(JSON.stringify(change.record));
+      }
+      return;
+    }
+
+    if (!Array.isArray(projectData[collection])) {
+      projectData[collection] = [];
+    }
+    const list = projectData[collection];
+    const index = list.findIndex(item => item.id === change.id);
+
+    if (action === 'created' || action === 'updated') {
+      const record = JSON.parse(JSON.stringify(change.record));
+      if (index === -1) {
+        list.push(record);
+      } else {
+        list[index] = record;
+      }
+    } else if (action === 'deleted') {
+      if (index !== -1) list.splice(index, 1);
+    } else if (action === 'reordered') {
+      const position = new Map(change.order.map((id, i) => [id, i]));
+      list.sort((a, b) => (position.get(a.id) ?? Infinity) - (position.get(b.id) ?? Infinity));
+    }
+  });
+
+  return projectData;
+}
+
+/**
+ * Find the latest change affecting a record
+ * @param {Array} changes - Changes
+ * @param {string} entity - Entity name ('task', 'sprint', 'entry', 'retro', 'member', 'epic')
+ * @param {string} id - Record ID
+ * @returns {Object|undefined}
+ */
+export function findChange(changes, entity, id) {
+  if (!id) return undefined;
+  return [...changes].reverse().find(c => c.entity === entity && c.id === id &&
+    (c.action === 'updated' || c.action === 'deleted'));
+}
+
+// ========== FEED ==========
+
+/**
+ * Create a change feed for a project storage key
+ * @param {string} storageKey - Storage key of the open project
+ * @param {Object} projectData - Current project data (baseline for diffs)
+ * @returns {Object} - Feed with publish, subscribe and reset methods
+ */
+export function createChangeFeed(storageKey, projectData) {
+  let snapshot = JSON.parse(JSON.stringify(projectData));
+  const subscribers = [];
+  const auditKey = getAuditKey(storageKey);
+  const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+  const deliver = (changes, { persist = false } = {}) => {
+    if (changes.length === 0) return;
+    applyChanges(snapshot, changes);
+
+    // Server changes have no local tab that saved them
+    if (persist) saveToStorage(storageKey, snapshot);
+
+    subscribers.forEach(handler => {
+      try {
+        handler(changes);
+      } catch (err) {
+        console.error('Change feed subscriber failed:', err);
+      }
+    });
+  };
+
+  if (channel) {
+    channel.onmessage = (e) => {
+      const message = e.data;
+      if (!message || message.source === TAB_ID || message.storageKey !== storageKey) return;
+      deliver(message.changes);
+    };
+  } else {
+    window.addEventListener('storage', (e) => {
+      if (e.key !== storageKey || !e.newValue) return;
+      try {
+        deliver(diffProjectData(snapshot, JSON.parse(e.newValue)));
+      } catch (err) {
+        console.error('Failed to sync from storage event:', err);
+      }
+    });
+  }
+
+  // Exchange changes with the collaboration server for linked projects
+  const project = storageKey === getActiveStorageKey() ? getActiveProject() : null;
+  const remote = project?.serverUrl && project?.serverRoom
+    ? connectToServer({
+      serverUrl: project.serverUrl,
+      room: project.serverRoom,
+      getData: () => snapshot,
+      onJoined: (data) => deliver(diffProjectData(snapshot, data), { persist: true }),
+      onChanges: (changes) => deliver(changes, { persist: true }),
+      queueKey: getQueueKey(storageKey)
+    })
+    : null;
+
+  const feed = {
+    storageKey,
+
+    /**
+     * Publish changes since the last publish or received update
+     * @param {Object} data - Current project data
+     * @returns {Array} - Published changes
+     */
+    publish(data) {
+      const changes = diffProjectData(snapshot, data);
+      if (changes.length === 0) return changes;
+
+      snapshot = JSON.parse(JSON.stringify(data));
+      if (channel) {
+        channel.postMessage({ source: TAB_ID, storageKey, changes });
+      }
+      if (remote) remote.send(changes);
+      recordChanges(auditKey, changes);
+      return changes;
+    },
+
+    /**
+     * Apply changes made outside the tool (e.g. an audit log revert) as a
+     * local edit: subscribers merge them, then they are saved and published
+     * @param {Array} changes - Typed changes
+     * @param {Object} options - { revertOf } audit entry being reverted
+     */
+    commit(changes, { revertOf = null } = {}) {
+      if (changes.length === 0) return;
+
+      deliver(changes, { persist: true });
+      if (channel) {
+        channel.postMessage({ source: TAB_ID, storageKey, changes });
+      }
+      if (remote) remote.send(changes);
+      recordChanges(auditKey, changes, { revertOf });
+    },
+
+    /**
+     * Receive changes made in other tabs
+     * @param {Function} handler - Called with an array of changes
+     */
+    subscribe(handler) {
+      subscribers.push(handler);
+    },
+
+    /**
+     * Reset the diff baseline without publishing (e.g. after an import)
+     * @param {Object} data - Project data
+     */
+    reset(data) {
+      snapshot = JSON.parse(JSON.stringify(data));
+    }
+  };
+
+  if (storageKey === getActiveStorageKey()) activeFeed = feed;
+  return feed;
+}
+
+/**
+ * Get the change feed of the project open in this page
+ * @returns {Object|null} - Feed created by the tool, or null before setup
+ */
+export function getActiveChangeFeed() {
+  return activeFeed;
+}
+
+// ========== EDIT CONFLICT NOTICE ==========
+
+/**
+ * Warn inside an open modal that its record changed in another tab
+ * @param {string} modalId - ID of the modal overlay or popover
+ * @param {Object} change - Change affecting the open record
+ */
+export function showEditConflict(modalId, change) {
+  const modal = document.getElementById(modalId);
+  if (!modal) return;
+
+  const panel = modal.querySelector('.modal-panel') || modal;
+  let notice = panel.querySelector('.sync-conflict');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'sync-conflict';
+    const header = panel.querySelector('.modal-header, h4');
+    if (header) {
+      header.after(notice);
+    } else {
+      panel.prepend(notice);
+    }
+  }
+
+  notice.textContent = change.action === 'deleted'
+    ? 'This item was deleted in another tab. Saving will have no effect.'
+    : 'This item was changed in another tab. Saving will overwrite those changes.';
+}
+
+/**
+ * Remove the edit conflict notice from a modal
+ * @param {string} modalId - ID of the modal overlay or popover
+ */
+export function clearEditConflict(modalId) {
+  const notice = document.getElementById(modalId)?.querySelector('.sync-conflict');
+  if (notice) notice.remove();
+}
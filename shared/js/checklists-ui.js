@@ -0,0 +1,148 @@
+/**
+ * Checklists UI Module - Checklist badge and task editor
+ * The editor works on its own rows and writes them back to the task with
+ * applyChecklistEditor() when the task editor is saved.
+ */
+
+import {
+  generateChecklistItemId,
+  getChecklist,
+  getChecklistProgress
+} from './checklists.js';
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// ========== BADGE ==========
+
+/**
+ * Render a "3/5" checklist progress badge
+ * @param {Object} task - Task
+ * @returns {string} - HTML ('' for tasks without a checklist)
+ */
+export function renderChecklistBadge(task) {
+  const { done, total } = getChecklistProgress(task);
+  if (total === 0) return '';
+  const complete = done === total ? ' checklist-badge--complete' : '';
+  return `<span class="checklist-badge${complete}" title="${done} of ${total} checklist items done">☑ ${done}/${total}</span>`;
+}
+
+// ========== EDITOR ==========
+
+/**
+ * Render one editor row
+ */
+function renderItemRow(item, disabled) {
+  const off = disabled ? ' disabled' : '';
+  return `
+    <li class="checklist-item" data-item-id="${item.id}">
+      <input type="checkbox" class="checklist-item__done"${item.done ? ' checked' : ''}${off}>
+      <input type="text" class="form-input checklist-item__text" value="${escapeHtml(item.text)}"${off}>
+      ${disabled ? '' : `
+        <button type="button" class="checklist-item__btn" data-action="up" title="Move up">↑</button>
+        <button type="button" class="checklist-item__btn" data-action="down" title="Move down">↓</button>
+        <button type="button" class="checklist-item__btn" data-action="remove" title="Remove">&times;</button>
+      `}
+    </li>
+  `;
+}
+
+/**
+ * Render the checklist editor for a task
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} task - Task being edited
+ * @param {Object} options - { disabled }
+ */
+export function renderChecklistEditor(container, task, { disabled = false } = {}) {
+  if (!container) return;
+
+  const items = getChecklist(task);
+
+  container.innerHTML = `
+    <label class="form-label">Checklist <span class="checklist-editor__count"></span></label>
+    <ul class="checklist-editor__items">
+      ${items.map(item => renderItemRow(item, disabled)).join('')}
+    </ul>
+    ${disabled ? '' : `
+      <div class="checklist-editor__add">
+        <input type="text" class="form-input" data-role="new-item" placeholder="Add an item...">
+        <button type="button" class="btn btn--sm" data-action="add">+ Add</button>
+      </div>
+    `}
+  `;
+
+  const list = container.querySelector('.checklist-editor__items');
+  const newItem = container.querySelector('[data-role="new-item"]');
+
+  const addItem = () => {
+    const text = newItem.value.trim();
+    if (!text) return;
+    list.insertAdjacentHTML('beforeend', renderItemRow({ id: generateChecklistItemId(), text, done: false }, false));
+    newItem.value = '';
+    newItem.focus();
+    updateCount(container);
+  };
+
+  container.onclick = (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    const row = button.closest('.checklist-item');
+
+    if (button.dataset.action === 'add') {
+      addItem();
+    } else if (button.dataset.action === 'up' && row.previousElementSibling) {
+      list.insertBefore(row, row.previousElementSibling);
+    } else if (button.dataset.action === 'down' && row.nextElementSibling) {
+      list.insertBefore(row.nextElementSibling, row);
+    } else if (button.dataset.action === 'remove') {
+      row.remove();
+    }
+    updateCount(container);
+  };
+
+  container.onchange = () => updateCount(container);
+
+  if (newItem) {
+    newItem.onkeydown = (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addItem();
+      }
+    };
+  }
+
+  updateCount(container);
+}
+
+/**
+ * Show "done/total" next to the editor label
+ */
+function updateCount(container) {
+  const rows = container.querySelectorAll('.checklist-item');
+  const done = container.querySelectorAll('.checklist-item__done:checked').length;
+  container.querySelector('.checklist-editor__count').textContent = rows.length > 0 ? `${done}/${rows.length}` : '';
+}
+
+/**
+ * Write the editor's items back to the task, in their shown order
+ * Items with empty text are dropped.
+ * @param {HTMLElement} container - Element passed to renderChecklistEditor()
+ * @param {Object} task - Task to update
+ */
+export function applyChecklistEditor(container, task) {
+  if (!container || !container.querySelector('.checklist-editor__items')) return;
+
+  task.checklist = [...container.querySelectorAll('.checklist-item')]
+    .map(row => ({
+      id: row.dataset.itemId,
+      text: row.querySelector('.checklist-item__text').value.trim(),
+      done: row.querySelector('.checklist-item__done').checked
+    }))
+    .filter(item => item.text);
+}
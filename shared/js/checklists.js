@@ -0,0 +1,96 @@
+/**
+ * Checklists Module - Ordered checklist items per task
+ * Items live in task.checklist in display order.
+ *
+ * Item shape:
+ *   { id, text, done }
+ *
+ * When the project enables project.checklistProgress, tasks with a
+ * checklist take their Gantt progress and status from the share of items
+ * done instead of from their planned and reality weeks.
+ */
+
+/**
+ * Generate a unique checklist item ID
+ * @returns {string} - Unique ID
+ */
+export function generateChecklistItemId() {
+  return 'check_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Get the checklist of a task
+ * @param {Object} task - Task
+ * @returns {Array} - Items
+ */
+export function getChecklist(task) {
+  return Array.isArray(task?.checklist) ? task.checklist : [];
+}
+
+/**
+ * Check whether a task has checklist items
+ * @param {Object} task - Task
+ * @returns {boolean}
+ */
+export function hasChecklist(task) {
+  return getChecklist(task).length > 0;
+}
+
+/**
+ * Count the done items of a task's checklist
+ * @param {Object} task - Task
+ * @returns {Object} - { done, total, percent }
+ */
+export function getChecklistProgress(task) {
+  const items = getChecklist(task);
+  const done = items.filter(item => item.done).length;
+  return {
+    done,
+    total: items.length,
+    percent: items.length > 0 ? Math.round((done / items.length) * 100) : 0
+  };
+}
+
+/**
+ * Check whether checklists drive task progress in this project
+ * @param {Object} projectData - Project data
+ * @returns {boolean}
+ */
+export function usesChecklistProgress(projectData) {
+  return projectData?.project?.checklistProgress === true;
+}
+
+/**
+ * Copy a checklist for a new task, with new IDs and nothing done
+ * @param {Array} checklist - Items to copy
+ * @returns {Array} - New items
+ */
+export function copyChecklist(checklist) {
+  return (checklist || []).map(item => ({
+    id: generateChecklistItemId(),
+    text: item.text,
+    done: false
+  }));
+}
+
+/**
+ * Derive a Gantt status from checklist completion
+ * The share of items done is compared with the share of planned weeks
+ * that have passed, mirroring deriveStatus() for weeks.
+ * @param {Object} task - Task with a checklist
+ * @param {number} currentWeek - Current week number
+ * @returns {string} - 'complete', 'ahead', 'on-track', 'behind' or 'not-started'
+ */
+export function deriveChecklistStatus(task, currentWeek) {
+  const { done, total, percent } = getChecklistProgress(task);
+  if (total > 0 && done === total) return 'complete';
+
+  const planned = task.planned || [];
+  if (!currentWeek || planned.length === 0) return done > 0 ? 'on-track' : 'not-started';
+
+  const expected = Math.round((planned.filter(w => w <= currentWeek).length / planned.length) * 100);
+  if (percent > expected) return 'ahead';
+  if (percent >= expected && expected > 0) return 'on-track';
+  if (currentWeek < Math.min(...planned)) return 'not-started';
+  return 'behind';
+}
@@ -0,0 +1,212 @@
+/**
+ * Collaboration Client Module - WebSocket connection to the collaboration server
+ * Transport used by change-feed.js for projects linked to a server room.
+ *
+ * The first client to join an empty room uploads its project as the
+ * baseline; later clients receive the server's document. Changes made
+ * while the server is unreachable keep working locally, are queued, and
+ * are re-sent (and merged server-side) once the connection comes back.
+ * The queue is kept in storage, so offline edits survive a page reload
+ * and are replayed on top of the server's document when joining.
+ *
+ * Connection state is announced with `collab-status` window events
+ * ({ state, room, users, message }), which status.js reports to the user.
+ */
+
+import { saveToStorage, loadFromStorage, removeFromStorage } from './storage.js';
+
+const RECONNECT_MIN = 1000;
+const RECONNECT_MAX = 30000;
+const QUEUE_SUFFIX = '_pending';
+
+/**
+ * Get the storage key of the offline queue for a project storage key
+ * @param {string} storageKey - Project storage key
+ * @returns {string}
+ */
+export function getQueueKey(storageKey) {
+  return storageKey + QUEUE_SUFFIX;
+}
+
+/**
+ * Convert a server URL to its WebSocket endpoint
+ * @param {string} serverUrl - e.g. http://localhost:3000
+ * @returns {string} - e.g. ws://localhost:3000/ws
+ */
+export function toSocketUrl(serverUrl) {
+  const url = new URL(serverUrl, window.location.href);
+  url.protocol = url.protocol === 'https:' || url.protocol === 'wss:' ? 'wss:' : 'ws:';
+  url.pathname = url.pathname.replace(/\/$/, '') + '/ws';
+  return url.toString();
+}
+
+/**
+ * Announce a connection state change
+ */
+function announce(state, room, detail = {}) {
+  window.dispatchEvent(new CustomEvent('collab-status', {
+    detail: { state, room, ...detail }
+  }));
+}
+
+/**
+ * Connect to a collaboration room
+ * @param {Object} options
+ * @param {string} options.serverUrl - Server base URL
+ * @param {string} options.room - Room ID
+ * @param {Function} options.getData - Returns the current local project data
+ * @param {Function} options.onJoined - Called with the server document when joining a non-empty room
+ * @param {Function} options.onChanges - Called with changes that must be applied locally
+ * @param {string} options.queueKey - Storage key that keeps unsent changes across reloads
+ * @returns {Object} - { send, disconnect, getState }
+ */
+export function connectToServer({ serverUrl, room, getData, onJoined, onChanges, queueKey = null }) {
+  let socket = null;
+  let state = 'connecting';
+  let joined = false;
+  let closed = false;
+  let retryDelay = RECONNECT_MIN;
+  let retryTimer = null;
+  let pending = (queueKey && loadFromStorage(queueKey)) || [];
+
+  const setState = (next, detail = {}) => {
+    const changed = next !== state;
+    state = next;
+    if (changed || detail.users !== undefined) announce(state, room, detail);
+  };
+
+  const savePending = () => {
+    if (!queueKey) return;
+    if (pending.length > 0) {
+      saveToStorage(queueKey, pending);
+    } else {
+      removeFromStorage(queueKey);
+    }
+  };
+
+  function connect() {
+    if (closed) return;
+
+    try {
+      socket = new WebSocket(toSocketUrl(serverUrl));
+    } catch (err) {
+      console.error('Invalid collaboration server URL:', err);
+      setState('offline', { message: 'Invalid server URL' });
+      return;
+    }
+
+    socket.addEventListener('open', () => {
+      retryDelay = RECONNECT_MIN;
+      socket.send(JSON.stringify({ type: 'join', room, data: getData() }));
+    });
+
+    socket.addEventListener('message', (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch (err) {
+        return;
+      }
+      handleMessage(message);
+    });
+
+    socket.addEventListener('close', () => {
+      socket = null;
+      joined = false;
+      if (closed) return;
+      setState('offline');
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX);
+    });
+
+    // 'close' follows 'error', which handles the retry
+    socket.addEventListener('error', () => {});
+  }
+
+  function handleMessage(message) {
+    switch (message.type) {
+      case 'joined': {
+        joined = true;
+        const queued = pending;
+        pending = [];
+        savePending();
+
+        if (!message.baseline) {
+          // Take the server document, then replay edits made while offline
+          onJoined(message.data);
+          if (queued.length > 0) {
+            onChanges(queued);
+            send(queued);
+          }
+        }
+        setState('online', {
+          users: message.users,
+          baseline: message.baseline,
+          replayed: message.baseline ? 0 : queued.length
+        });
+        break;
+      }
+
+      case 'ops':
+        onChanges(message.changes);
+        break;
+
+      case 'ack':
+        if (message.resolved?.length > 0) onChanges(message.resolved);
+        if (message.conflicts > 0) {
+          announce('conflict', room, { conflicts: message.conflicts });
+        }
+        break;
+
+      case 'reset':
+        onJoined(message.data);
+        break;
+
+      case 'presence':
+        setState('online', { users: message.users });
+        break;
+
+      case 'error':
+        console.error('Collaboration server error:', message.message);
+        announce('error', room, { message: message.message });
+        break;
+    }
+  }
+
+  /**
+   * Send local changes (queued while offline)
+   * @param {Array} changes - Typed changes
+   */
+  function send(changes) {
+    if (changes.length === 0) return;
+    if (joined && socket && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify({ type: 'ops', changes }));
+    } else {
+      pending.push(...changes);
+      savePending();
+    }
+  }
+
+  connect();
+
+  return {
+    send,
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    disconnect() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    },
+
+    /**
+     * Get the connection state
+     * @returns {string} - 'connecting' | 'online' | 'offline'
+     */
+    getState() {
+      return state;
+    }
+  };
+}
@@ -0,0 +1,260 @@
+/**
+ * Comments UI Module - Task discussion panel
+ * Renders a task's comment threads (with reply, edit and delete) and its
+ * activity stream inside a tool's task editor.
+ *
+ * The panel does not save by itself: every change goes through the
+ * tool's onCommit(label, mutate) callback, so it follows the tool's usual
+ * undo, save and render flow. onCommit returns the tool's current project
+ * data, which the panel re-renders from.
+ */
+
+import {
+  getCommentThreads,
+  getTaskComments,
+  getMemberName,
+  addComment,
+  updateComment,
+  deleteComment,
+  getTaskActivity
+} from './comments.js';
+import { loadAuditLog, getAuditKey, getAuditAuthor } from './audit-log.js';
+import { getActiveStorageKey } from './project-manager.js';
+
+// Project the page was loaded with
+const loadedStorageKey = getActiveStorageKey();
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Format an ISO timestamp like "Mar 3, 14:05"
+ */
+function formatTimestamp(timestamp) {
+  return new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+}
+
+/**
+ * Render the discussion panel of a task
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @param {Object} options - { onCommit(label, mutate), disabled, compact }
+ */
+export function renderTaskDiscussion(container, projectData, taskId, { onCommit, disabled = false, compact = false } = {}) {
+  if (!container) return;
+
+  // Keep the open tab, reply and edit state across re-renders of the same task
+  const state = container._discussion?.taskId === taskId
+    ? container._discussion
+    : { taskId, tab: 'comments', replyTo: null, editingId: null };
+  container._discussion = state;
+
+  const team = (projectData.team || []).map(getMemberName).filter(Boolean);
+  const lastAuthor = state.author || getAuditAuthor();
+  const defaultAuthor = team.includes(lastAuthor) ? lastAuthor : (team[0] || lastAuthor);
+  const commentCount = getTaskComments(projectData, taskId).length;
+
+  container.innerHTML = `
+    <div class="task-discussion${compact ? ' task-discussion--compact' : ''}">
+      <div class="task-discussion__tabs">
+        <button type="button" class="task-discussion__tab${state.tab === 'comments' ? ' task-discussion__tab--active' : ''}" data-action="tab" data-tab="comments">Comments${commentCount > 0 ? ` (${commentCount})` : ''}</button>
+        <button type="button" class="task-discussion__tab${state.tab === 'activity' ? ' task-discussion__tab--active' : ''}" data-action="tab" data-tab="activity">Activity</button>
+      </div>
+      ${state.tab === 'comments'
+        ? renderComments(projectData, taskId, state, disabled, team, defaultAuthor)
+        : renderActivity(projectData, taskId)}
+    </div>
+  `;
+
+  const commit = (label, mutate) => {
+    const current = (onCommit && onCommit(label, mutate)) || projectData;
+    renderTaskDiscussion(container, current, taskId, { onCommit, disabled, compact });
+  };
+
+  container.onclick = (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    e.stopPropagation();
+    handleAction(button.dataset.action, button.dataset, container, state, commit, taskId);
+    if (['tab', 'reply', 'edit', 'cancel'].includes(button.dataset.action)) {
+      renderTaskDiscussion(container, projectData, taskId, { onCommit, disabled, compact });
+    }
+  };
+}
+
+/**
+ * Render the comment threads and the composer
+ */
+function renderComments(projectData, taskId, state, disabled, team, defaultAuthor) {
+  const threads = getCommentThreads(projectData, taskId);
+
+  const renderComment = (comment, isReply) => {
+    const isEditing = state.editingId === comment.id;
+    const actions = disabled ? '' : `
+      <div class="comment__actions">
+        ${isReply ? '' : `<button type="button" data-action="reply" data-comment-id="${comment.id}">Reply</button>`}
+        <button type="button" data-action="edit" data-comment-id="${comment.id}">Edit</button>
+        <button type="button" data-action="delete" data-comment-id="${comment.id}">Delete</button>
+      </div>
+    `;
+
+    return `
+      <div class="comment${isReply ? ' comment--reply' : ''}">
+        <div class="comment__header">
+          <span class="comment__author">${escapeHtml(comment.author || 'Unknown')}</span>
+          <span class="comment__time">${formatTimestamp(comment.createdAt)}${comment.editedAt ? ' · edited' : ''}</span>
+        </div>
+        ${isEditing ? `
+          <textarea class="form-input comment__editor" rows="2">${escapeHtml(comment.text)}</textarea>
+          <div class="comment__actions">
+            <button type="button" data-action="save-edit" data-comment-id="${comment.id}">Save</button>
+            <button type="button" data-action="cancel">Cancel</button>
+          </div>
+        ` : `
+          <div class="comment__text">${escapeHtml(comment.text)}</div>
+          ${actions}
+        `}
+      </div>
+    `;
+  };
+
+  const threadsHtml = threads.map(({ comment, replies }) => `
+    <div class="comment-thread">
+      ${renderComment(comment, false)}
+      ${replies.map(reply => renderComment(reply, true)).join('')}
+      ${state.replyTo === comment.id ? `
+        <div class="comment-reply-box">
+          <textarea class="form-input comment__reply" rows="2" placeholder="Write a reply..."></textarea>
+          <div class="comment__actions">
+            <button type="button" data-action="post-reply" data-comment-id="${comment.id}">Reply</button>
+            <button type="button" data-action="cancel">Cancel</button>
+          </div>
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+
+  const authorOptions = (team.length > 0 ? team : [defaultAuthor])
+    .map(name => `<option value="${escapeHtml(name)}"${name === defaultAuthor ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+    .join('');
+
+  const composer = disabled
+    ? '<p class="task-discussion__hint">Switch to edit mode to comment</p>'
+    : `
+      <div class="comment-composer">
+        <textarea class="form-input comment-composer__text" rows="2" placeholder="Write a comment..."></textarea>
+        <div class="comment-composer__footer">
+          <select class="form-input comment-composer__author" title="Comment as">${authorOptions}</select>
+          <button type="button" class="btn btn--primary" data-action="post">Comment</button>
+        </div>
+      </div>
+    `;
+
+  return `
+    <div class="comment-list">
+      ${threadsHtml || '<p class="task-discussion__hint">No comments yet</p>'}
+    </div>
+    ${composer}
+  `;
+}
+
+/**
+ * Render the activity stream, newest first
+ */
+function renderActivity(projectData, taskId) {
+  const entries = loadAuditLog(getAuditKey(loadedStorageKey));
+  const activity = getTaskActivity(entries, taskId, projectData);
+
+  getTaskComments(projectData, taskId).forEach(comment => {
+    activity.push({ timestamp: comment.createdAt, author: comment.author, text: 'commented' });
+  });
+  activity.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  if (activity.length === 0) {
+    return '<p class="task-discussion__hint">No activity recorded yet</p>';
+  }
+
+  return `
+    <ul class="activity-list">
+      ${activity.map(item => `
+        <li class="activity-item">
+          <span class="activity-item__text"><strong>${escapeHtml(item.author || 'Someone')}</strong> ${escapeHtml(item.text)}</span>
+          <span class="activity-item__time">${formatTimestamp(item.timestamp)}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Handle a panel action
+ */
+function handleAction(action, data, container, state, commit, taskId) {
+  const author = container.querySelector('.comment-composer__author')?.value || state.author || getAuditAuthor();
+
+  switch (action) {
+    case 'tab':
+      state.tab = data.tab;
+      return;
+
+    case 'reply':
+      state.replyTo = data.commentId;
+      state.editingId = null;
+      return;
+
+    case 'edit':
+      state.editingId = data.commentId;
+      state.replyTo = null;
+      return;
+
+    case 'cancel':
+      state.replyTo = null;
+      state.editingId = null;
+      return;
+
+    case 'post': {
+      const text = container.querySelector('.comment-composer__text').value;
+      if (!text.trim()) return;
+      state.author = author;
+      commit('Added comment', (projectData) => addComment(projectData, { taskId, author, text }));
+      return;
+    }
+
+    case 'post-reply': {
+      const text = container.querySelector('.comment__reply').value;
+      if (!text.trim()) return;
+      state.author = author;
+      state.replyTo = null;
+      commit('Replied to comment', (projectData) =>
+        addComment(projectData, { taskId, replyTo: data.commentId, author, text })
+      );
+      return;
+    }
+
+    case 'save-edit': {
+      const text = container.querySelector('.comment__editor').value;
+      if (!text.trim()) return;
+      state.editingId = null;
+      commit('Edited comment', (projectData) => updateComment(projectData, data.commentId, text));
+      return;
+    }
+
+    case 'delete':
+      if (!confirm('Delete this comment and its replies?')) return;
+      commit('Deleted comment', (projectData) => deleteComment(projectData, data.commentId));
+      return;
+  }
+}
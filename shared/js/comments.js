@@ -0,0 +1,180 @@
+/**
+ * Comments Module - Task comments and activity stream
+ * Comments live in projectData.comments and point at their task with
+ * comment.taskId. A reply points at the comment it answers with
+ * comment.replyTo; replies always attach to the top comment of a thread.
+ *
+ * Comment shape:
+ *   { id, taskId, replyTo, author, text, createdAt, editedAt }
+ *
+ * The activity stream is not stored: it is read from the audit log
+ * (audit-log.js), which already records every column move, sprint
+ * change and time entry with its author and time.
+ */
+
+import { formatDuration } from './unified-data.js';
+
+/**
+ * Generate a unique comment ID
+ * @returns {string} - Unique ID
+ */
+export function generateCommentId() {
+  return 'comment_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Get the comments of a project
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Comments
+ */
+export function getComments(projectData) {
+  return Array.isArray(projectData?.comments) ? projectData.comments : [];
+}
+
+/**
+ * Get the comments on a task, oldest first
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @returns {Array} - Comments
+ */
+export function getTaskComments(projectData, taskId) {
+  return getComments(projectData)
+    .filter(c => c.taskId === taskId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Group a task's comments into threads
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @returns {Array} - [{ comment, replies }] oldest thread first
+ */
+export function getCommentThreads(projectData, taskId) {
+  const comments = getTaskComments(projectData, taskId);
+  const ids = new Set(comments.map(c => c.id));
+  const threads = comments
+    .filter(c => !c.replyTo || !ids.has(c.replyTo))
+    .map(comment => ({ comment, replies: [] }));
+  const byId = new Map(threads.map(thread => [thread.comment.id, thread]));
+
+  comments.forEach(c => {
+    if (c.replyTo && byId.has(c.replyTo)) byId.get(c.replyTo).replies.push(c);
+  });
+
+  return threads;
+}
+
+/**
+ * Get the display name of a team member (members may be names or objects)
+ * @param {Object|string} member - Team member
+ * @returns {string}
+ */
+export function getMemberName(member) {
+  return typeof member === 'string' ? member : member?.name || '';
+}
+
+// ========== EDITING ==========
+
+/**
+ * Add a comment to a task
+ * @param {Object} projectData - Project data
+ * @param {Object} commentData - { taskId, replyTo, author, text }
+ * @returns {Object|null} - New comment, or null for empty text
+ */
+export function addComment(projectData, { taskId, replyTo = null, author = '', text }) {
+  if (!text || !text.trim()) return null;
+  if (!Array.isArray(projectData.comments)) projectData.comments = [];
+
+  // Replies to a reply join the top comment of its thread
+  const parent = getComments(projectData).find(c => c.id === replyTo);
+  const comment = {
+    id: generateCommentId(),
+    taskId,
+    replyTo: parent ? (parent.replyTo || parent.id) : null,
+    author: author.trim(),
+    text: text.trim(),
+    createdAt: new Date().toISOString(),
+    editedAt: null
+  };
+
+  projectData.comments.push(comment);
+  return comment;
+}
+
+/**
+ * Change the text of a comment
+ * @param {Object} projectData - Project data
+ * @param {string} commentId - Comment ID
+ * @param {string} text - New text
+ * @returns {boolean} - Whether the comment changed
+ */
+export function updateComment(projectData, commentId, text) {
+  const comment = getComments(projectData).find(c => c.id === commentId);
+  if (!comment || !text || !text.trim() || comment.text === text.trim()) return false;
+
+  comment.text = text.trim();
+  comment.editedAt = new Date().toISOString();
+  return true;
+}
+
+/**
+ * Delete a comment and its replies
+ * @param {Object} projectData - Project data
+ * @param {string} commentId - Comment ID
+ * @returns {number} - Number of comments removed
+ */
+export function deleteComment(projectData, commentId) {
+  const before = getComments(projectData).length;
+  projectData.comments = getComments(projectData)
+    .filter(c => c.id !== commentId && c.replyTo !== commentId);
+  return before - projectData.comments.length;
+}
+
+/**
+ * Delete the comments of removed tasks
+ * @param {Object} projectData - Project data
+ * @param {Array} taskIds - Removed task IDs
+ */
+export function removeTaskComments(projectData, taskIds) {
+  if (!Array.isArray(projectData.comments)) return;
+  const ids = new Set(taskIds);
+  projectData.comments = projectData.comments.filter(c => !ids.has(c.taskId));
+}
+
+// ========== ACTIVITY ==========
+
+/**
+ * Build a task's activity stream from audit log entries
+ * @param {Array} entries - Audit log entries (audit-log.js)
+ * @param {string} taskId - Task ID
+ * @param {Object} projectData - Project data (column and sprint names)
+ * @returns {Array} - [{ timestamp, author, text }] oldest first
+ */
+export function getTaskActivity(entries, taskId, projectData) {
+  const columns = projectData.workflow?.columns || [];
+  const columnName = (id) => columns.find(c => c.id === id)?.name || id || 'none';
+  const sprintName = (id) => (projectData.sprints || []).find(s => s.id === id)?.name || 'a deleted sprint';
+  const activity = [];
+  const push = (entry, text) => activity.push({ timestamp: entry.timestamp, author: entry.author, text });
+
+  entries.forEach(entry => {
+    if (entry.entity === 'task' && entry.recordId === taskId) {
+      if (entry.action === 'created') {
+        push(entry, 'created the task');
+        return;
+      }
+      (entry.fields || []).forEach(({ field, from, to }) => {
+        if (field === 'board' && from?.columnId !== to?.columnId) {
+          push(entry, `moved it from ${columnName(from?.columnId)} to ${columnName(to?.columnId)}`);
+        } else if (field === 'sprintId') {
+          push(entry, to ? `added it to ${sprintName(to)}` : `moved it from ${sprintName(from)} to the backlog`);
+        }
+      });
+    } else if (entry.entity === 'entry' && entry.action === 'created' && entry.after?.taskId === taskId) {
+      const minutes = entry.after.durationMinutes || 0;
+      push(entry, `logged ${formatDuration(minutes)}${entry.after.date ? ` on ${entry.after.date}` : ''}`);
+    }
+  });
+
+  return activity;
+}
@@ -0,0 +1,475 @@
+/**
+ * Custom Fields UI Module - Field editors, view controls and field manager
+ * Builds the inputs for a task's custom field values (custom-fields.js),
+ * the filter/group-by controls shown in tool headers, and the modal where
+ * the project's field definitions are managed.
+ *
+ * Definition changes go through the page's change feed, so the open tool
+ * updates in place and other tabs receive the new fields.
+ */
+
+import {
+  FIELD_TYPES,
+  EMPTY_FILTER,
+  generateFieldId,
+  generateOptionId,
+  hasOptions,
+  getCustomFields,
+  getFieldValue,
+  setFieldValue,
+  pruneFieldValues
+} from './custom-fields.js';
+import { loadFromStorage } from './storage.js';
+import { getActiveStorageKey } from './project-manager.js';
+import { diffProjectData, getActiveChangeFeed } from './change-feed.js';
+
+const MODAL_ID = 'customFieldsModal';
+
+// Project the page was loaded with
+const loadedStorageKey = getActiveStorageKey();
+
+// Definitions being edited in the manager (saved as a whole)
+let draftFields = [];
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// ========== TASK EDITORS ==========
+
+/**
+ * Render inputs for a task's custom field values
+ * @param {HTMLElement} container - Element to fill (emptied first)
+ * @param {Array} fields - Field definitions
+ * @param {Object} task - Task being edited
+ * @param {Object} options - { disabled, compact } compact uses popover markup
+ */
+export function renderFieldEditors(container, fields, task, { disabled = false, compact = false } = {}) {
+  if (!container) return;
+  container.style.display = fields.length > 0 ? '' : 'none';
+
+  container.innerHTML = fields.map(field => {
+    const value = getFieldValue(task, field);
+    const input = renderFieldInput(field, value, disabled, compact);
+    if (compact) {
+      return `
+        <div class="popover-field">
+          <label>${escapeHtml(field.name)}</label>
+          ${input}
+        </div>
+      `;
+    }
+    return `
+      <div class="form-group">
+        <label class="form-label">${escapeHtml(field.name)}</label>
+        ${input}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the input for one field
+ */
+function renderFieldInput(field, value, disabled, compact) {
+  const attrs = `data-field-id="${field.id}"${disabled ? ' disabled' : ''}`;
+  const inputClass = compact ? '' : 'form-input';
+
+  switch (field.type) {
+    case 'number':
+      return `<input type="number" step="any" class="${inputClass}" ${attrs} value="${value ?? ''}">`;
+    case 'date':
+      return `<input type="date" class="${inputClass}" ${attrs} value="${value ?? ''}">`;
+    case 'checkbox':
+      return `<input type="checkbox" class="custom-field-checkbox" ${attrs}${value ? ' checked' : ''}>`;
+    case 'select':
+      return `
+        <select class="${inputClass}" ${attrs}>
+          <option value="">None</option>
+          ${field.options.map(o => `<option value="${o.id}"${o.id === value ? ' selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+        </select>
+      `;
+    case 'multiselect':
+      return `
+        <div class="custom-field-options" ${attrs}>
+          ${field.options.map(o => `
+            <label class="custom-field-option">
+              <input type="checkbox" value="${o.id}"${(value || []).includes(o.id) ? ' checked' : ''}${disabled ? ' disabled' : ''}>
+              ${escapeHtml(o.label)}
+            </label>
+          `).join('') || '<span class="custom-field-empty">No options defined</span>'}
+        </div>
+      `;
+    default:
+      return `<input type="text" class="${inputClass}" ${attrs} value="${escapeHtml(value ?? '')}">`;
+  }
+}
+
+/**
+ * Copy the values from rendered editors onto a task
+ * @param {HTMLElement} container - Element passed to renderFieldEditors()
+ * @param {Array} fields - Field definitions
+ * @param {Object} task - Task to update
+ */
+export function applyFieldEditors(container, fields, task) {
+  if (!container) return;
+
+  fields.forEach(field => {
+    const input = container.querySelector(`[data-field-id="${field.id}"]`);
+    if (!input) return;
+
+    let value;
+    if (field.type === 'checkbox') {
+      value = input.checked;
+    } else if (field.type === 'multiselect') {
+      value = [...input.querySelectorAll('input:checked')].map(box => box.value);
+    } else {
+      value = input.value;
+    }
+    setFieldValue(task, field, value);
+  });
+}
+
+// ========== VIEW CONTROLS ==========
+
+/**
+ * Render the filter and group-by controls for custom fields
+ * Hidden when the project has no custom fields.
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} projectData - Project data
+ * @param {Object} view - { filterFieldId, filterValue, groupByFieldId } (updated in place)
+ * @param {Function} onChange - Called after the view changed
+ */
+export function renderFieldViewControls(container, projectData, view, onChange) {
+  if (!container) return;
+
+  const fields = getCustomFields(projectData);
+
+  // Forget fields that were removed since
+  if (view.filterFieldId && !fields.some(f => f.id === view.filterFieldId)) {
+    view.filterFieldId = '';
+    view.filterValue = '';
+  }
+  if (view.groupByFieldId && !fields.some(f => f.id === view.groupByFieldId)) {
+    view.groupByFieldId = '';
+  }
+
+  if (fields.length === 0) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+  container.style.display = '';
+
+  const fieldOptions = (selectedId) => fields
+    .map(f => `<option value="${f.id}"${f.id === selectedId ? ' selected' : ''}>${escapeHtml(f.name)}</option>`)
+    .join('');
+
+  const filterField = fields.find(f => f.id === view.filterFieldId);
+
+  container.innerHTML = `
+    <select class="field-view__select" data-view="filterFieldId" title="Filter by custom field">
+      <option value="">Filter: none</option>
+      ${fieldOptions(view.filterFieldId)}
+    </select>
+    ${filterField ? renderFilterValueInput(filterField, view.filterValue) : ''}
+    <select class="field-view__select" data-view="groupByFieldId" title="Group by custom field">
+      <option value="">Group: none</option>
+      ${fieldOptions(view.groupByFieldId)}
+    </select>
+  `;
+
+  container.querySelectorAll('[data-view]').forEach(input => {
+    input.addEventListener('change', () => {
+      view[input.dataset.view] = input.value;
+      if (input.dataset.view === 'filterFieldId') view.filterValue = '';
+      onChange();
+    });
+  });
+}
+
+/**
+ * Render the filter value input for a field
+ */
+function renderFilterValueInput(field, value) {
+  const attrs = 'class="field-view__value" data-view="filterValue"';
+  const emptyOption = `<option value="${EMPTY_FILTER}"${value === EMPTY_FILTER ? ' selected' : ''}>(empty)</option>`;
+
+  if (hasOptions(field.type)) {
+    return `
+      <select ${attrs}>
+        <option value="">Any</option>
+        ${field.options.map(o => `<option value="${o.id}"${o.id === value ? ' selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+        ${emptyOption}
+      </select>
+    `;
+  }
+  if (field.type === 'checkbox') {
+    return `
+      <select ${attrs}>
+        <option value="">Any</option>
+        <option value="true"${value === 'true' ? ' selected' : ''}>Checked</option>
+        <option value="false"${value === 'false' ? ' selected' : ''}>Unchecked</option>
+      </select>
+    `;
+  }
+
+  const placeholder = field.type === 'text' ? 'Contains...' : (field.type === 'date' ? 'e.g. < 2026-06-01' : 'e.g. >= 3');
+  return `<input type="text" ${attrs} placeholder="${placeholder}" value="${escapeHtml(value || '')}">`;
+}
+
+// ========== FIELD MANAGER ==========
+
+/**
+ * Open the custom field manager for the open project
+ */
+export function openFieldManager() {
+  const modal = ensureModal();
+  const current = loadFromStorage(loadedStorageKey);
+  draftFields = JSON.parse(JSON.stringify(getCustomFields(current)));
+  setMessage('');
+  renderFieldList();
+  modal.classList.add('active');
+}
+
+/**
+ * Close the custom field manager
+ */
+export function closeFieldManager() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  const typeOptions = Object.entries(FIELD_TYPES)
+    .map(([type, label]) => `<option value="${type}">${label}</option>`)
+    .join('');
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay custom-fields-modal';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2>Custom Fields</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <p class="audit-message" id="customFieldsMessage"></p>
+      <div class="custom-fields-list" id="customFieldsList"></div>
+      <div class="custom-fields-add">
+        <input type="text" class="form-input" id="newFieldName" placeholder="New field name...">
+        <select class="form-input" id="newFieldType">${typeOptions}</select>
+        <button class="btn-add" data-action="add-field">+ Add</button>
+      </div>
+      <div style="display: flex; gap: 8px; margin-top: 20px;">
+        <button class="btn btn--primary" data-action="save">Save</button>
+        <button class="btn" data-action="close">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeFieldManager();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (button) handleAction(button.dataset.action, button.dataset);
+  });
+
+  // Keep the draft in sync with name and option label inputs
+  modal.querySelector('#customFieldsList').addEventListener('input', (e) => {
+    const field = draftFields.find(f => f.id === e.target.dataset.fieldId);
+    if (!field) return;
+    if (e.target.dataset.optionId) {
+      const option = field.options.find(o => o.id === e.target.dataset.optionId);
+      if (option) option.label = e.target.value;
+    } else if (e.target.dataset.role === 'name') {
+      field.name = e.target.value;
+    }
+  });
+
+  modal.querySelector('#customFieldsList').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && e.target.dataset.role === 'new-option') {
+      handleAction('add-option', e.target.dataset);
+    }
+  });
+
+  modal.querySelector('#newFieldName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAction('add-field', {});
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeFieldManager();
+  });
+
+  return modal;
+}
+
+/**
+ * Show a message above the field list
+ * @param {string} text - Message (empty to hide)
+ * @param {boolean} isError - Error styling
+ */
+function setMessage(text, isError = false) {
+  const message = document.getElementById('customFieldsMessage');
+  if (!message) return;
+  message.textContent = text;
+  message.className = isError ? 'audit-message audit-message--error' : 'audit-message';
+}
+
+/**
+ * Render the draft field definitions
+ */
+function renderFieldList() {
+  const list = document.getElementById('customFieldsList');
+
+  if (draftFields.length === 0) {
+    list.innerHTML = '<p class="audit-empty">No custom fields yet</p>';
+    return;
+  }
+
+  list.innerHTML = draftFields.map((field, index) => {
+    const options = hasOptions(field.type) ? `
+      <div class="custom-fields-row__options">
+        ${field.options.map(option => `
+          <span class="custom-fields-option">
+            <input type="text" class="form-input" data-field-id="${field.id}" data-option-id="${option.id}" value="${escapeHtml(option.label)}">
+            <button class="btn-delete" data-action="remove-option" data-field-id="${field.id}" data-option-id="${option.id}" title="Remove option">&times;</button>
+          </span>
+        `).join('')}
+        <input type="text" class="form-input custom-fields-option__new" data-role="new-option" data-field-id="${field.id}" placeholder="Add option...">
+        <button class="btn-add" data-action="add-option" data-field-id="${field.id}">+</button>
+      </div>
+    ` : '';
+
+    return `
+      <div class="custom-fields-row">
+        <div class="custom-fields-row__main">
+          <input type="text" class="form-input" data-role="name" data-field-id="${field.id}" value="${escapeHtml(field.name)}">
+          <span class="project-row__badge">${FIELD_TYPES[field.type] || field.type}</span>
+          <button class="btn btn--ghost" data-action="move-up" data-field-id="${field.id}" title="Move up"${index === 0 ? ' disabled' : ''}>&uarr;</button>
+          <button class="btn-delete" data-action="remove-field" data-field-id="${field.id}" title="Remove field">&times;</button>
+        </div>
+        ${options}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Handle a manager action
+ * @param {string} action - Action name
+ * @param {Object} data - Dataset of the clicked element
+ */
+function handleAction(action, data) {
+  const field = draftFields.find(f => f.id === data.fieldId);
+
+  switch (action) {
+    case 'close':
+      closeFieldManager();
+      return;
+
+    case 'add-field': {
+      const nameInput = document.getElementById('newFieldName');
+      const name = nameInput.value.trim();
+      if (!name) {
+        setMessage('Enter a field name', true);
+        return;
+      }
+      draftFields.push({
+        id: generateFieldId(),
+        name,
+        type: document.getElementById('newFieldType').value,
+        options: []
+      });
+      nameInput.value = '';
+      setMessage('');
+      renderFieldList();
+      return;
+    }
+
+    case 'remove-field':
+      draftFields = draftFields.filter(f => f.id !== data.fieldId);
+      renderFieldList();
+      return;
+
+    case 'move-up': {
+      const index = draftFields.indexOf(field);
+      if (index > 0) {
+        draftFields.splice(index - 1, 0, draftFields.splice(index, 1)[0]);
+        renderFieldList();
+      }
+      return;
+    }
+
+    case 'add-option': {
+      if (!field) return;
+      const input = document.querySelector(`#customFieldsList [data-role="new-option"][data-field-id="${field.id}"]`);
+      const label = input.value.trim();
+      if (!label) return;
+      field.options.push({ id: generateOptionId(), label });
+      renderFieldList();
+      document.querySelector(`#customFieldsList [data-role="new-option"][data-field-id="${field.id}"]`).focus();
+      return;
+    }
+
+    case 'remove-option':
+      if (!field) return;
+      field.options = field.options.filter(o => o.id !== data.optionId);
+      renderFieldList();
+      return;
+
+    case 'save':
+      saveFields();
+      return;
+  }
+}
+
+/**
+ * Save the draft definitions through the change feed
+ */
+function saveFields() {
+  const feed = getActiveChangeFeed();
+  const current = loadFromStorage(loadedStorageKey);
+  if (!feed || !current) {
+    setMessage('Custom fields cannot be edited on this page', true);
+    return;
+  }
+
+  const fields = draftFields.map(field => ({
+    ...field,
+    name: field.name.trim(),
+    options: hasOptions(field.type)
+      ? field.options.map(o => ({ ...o, label: o.label.trim() })).filter(o => o.label)
+      : []
+  }));
+
+  if (fields.some(f => !f.name)) {
+    setMessage('Every field needs a name', true);
+    return;
+  }
+
+  const next = JSON.parse(JSON.stringify(current));
+  next.customFields = fields;
+  const affected = pruneFieldValues(next);
+  if (affected > 0 && !confirm(`Values on ${affected} task(s) belong to removed fields or options and will be cleared. Continue?`)) {
+    return;
+  }
+
+  feed.commit(diffProjectData(current, next));
+  closeFieldManager();
+}
@@ -0,0 +1,299 @@
+/**
+ * Custom Fields Module - Project-level task field definitions
+ * Definitions live in projectData.customFields; each task keeps its values
+ * in task.customFields keyed by field ID. Empty values are not stored.
+ *
+ * Definition shape:
+ *   { id, name, type, options: [{ id, label }] }
+ *
+ * Value per type:
+ *   text: string, number: number, date: 'YYYY-MM-DD', checkbox: true,
+ *   select: option ID, multiselect: array of option IDs
+ */
+
+// Supported field types and their display names
+export const FIELD_TYPES = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  select: 'Single select',
+  multiselect: 'Multi select',
+  checkbox: 'Checkbox'
+};
+
+// Filter value matching tasks that have no value for the field
+export const EMPTY_FILTER = '__empty__';
+
+/**
+ * Generate a unique field ID
+ * @returns {string} - Unique ID
+ */
+export function generateFieldId() {
+  return 'field_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Generate a unique select option ID
+ * @returns {string} - Unique ID
+ */
+export function generateOptionId() {
+  return 'opt_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Check whether a field type has a list of options
+ * @param {string} type - Field type
+ * @returns {boolean}
+ */
+export function hasOptions(type) {
+  return type === 'select' || type === 'multiselect';
+}
+
+/**
+ * Get the custom field definitions of a project
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Field definitions
+ */
+export function getCustomFields(projectData) {
+  return Array.isArray(projectData?.customFields) ? projectData.customFields : [];
+}
+
+// ========== VALUES ==========
+
+/**
+ * Coerce a raw value to the stored form for a field
+ * @param {Object} field - Field definition
+ * @param {*} value - Raw value (e.g. from a form input)
+ * @returns {*} - Stored value, or null when empty or invalid
+ */
+export function normalizeFieldValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const optionIds = new Set((field.options || []).map(o => o.id));
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(value).trim();
+      return text || null;
+    }
+    case 'number': {
+      const number = typeof value === 'number' ? value : parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'date':
+      return /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : null;
+    case 'checkbox':
+      return value === true || value === 'true' ? true : null;
+    case 'select':
+      return optionIds.has(value) ? value : null;
+    case 'multiselect': {
+      const ids = (Array.isArray(value) ? value : [value]).filter(id => optionIds.has(id));
+      return ids.length > 0 ? [...new Set(ids)] : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get a task's value for a field
+ * @param {Object} task - Task
+ * @param {Object} field - Field definition
+ * @returns {*} - Stored value or null
+ */
+export function getFieldValue(task, field) {
+  return normalizeFieldValue(field, task?.customFields?.[field.id]);
+}
+
+/**
+ * Set a task's value for a field, removing it when empty
+ * @param {Object} task - Task
+ * @param {Object} field - Field definition
+ * @param {*} value - Raw value
+ */
+export function setFieldValue(task, field, value) {
+  const normalized = normalizeFieldValue(field, value);
+  if (!task.customFields || typeof task.customFields !== 'object') {
+    task.customFields = {};
+  }
+  if (normalized === null) {
+    delete task.customFields[field.id];
+  } else {
+    task.customFields[field.id] = normalized;
+  }
+}
+
+/**
+ * Format a task's value for display
+ * @param {Object} field - Field definition
+ * @param {*} value - Stored value
+ * @returns {string} - Display text ('' when empty)
+ */
+export function formatFieldValue(field, value) {
+  if (value === null || value === undefined) return '';
+
+  const optionLabel = (id) => (field.options || []).find(o => o.id === id)?.label || '';
+
+  switch (field.type) {
+    case 'checkbox':
+      return value ? 'Yes' : '';
+    case 'select':
+      return optionLabel(value);
+    case 'multiselect':
+      return value.map(optionLabel).filter(Boolean).join(', ');
+    case 'date':
+      return new Date(value + 'T00:00:00').toLocaleDateString();
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Drop task values for fields and options that no longer exist
+ * @param {Object} projectData - Project data
+ * @returns {number} - Number of tasks changed
+ */
+export function pruneFieldValues(projectData) {
+  const fields = new Map(getCustomFields(projectData).map(f => [f.id, f]));
+  let changed = 0;
+
+  (projectData.tasks || []).forEach(task => {
+    const values = task.customFields || {};
+    const next = {};
+    Object.entries(values).forEach(([fieldId, value]) => {
+      const field = fields.get(fieldId);
+      const normalized = field ? normalizeFieldValue(field, value) : null;
+      if (normalized !== null) next[fieldId] = normalized;
+    });
+    if (JSON.stringify(next) !== JSON.stringify(values)) {
+      task.customFields = next;
+      changed++;
+    }
+  });
+
+  return changed;
+}
+
+// ========== FILTERING & GROUPING ==========
+
+/**
+ * Check whether a task matches a field filter
+ * Number and date filters accept a comparison prefix: >, >=, <, <=, =
+ * (e.g. ">= 3" or "< 2026-06-01"); text filters match a substring.
+ * @param {Object} task - Task
+ * @param {Object} field - Field definition
+ * @param {string} filter - Filter value ('' matches everything)
+ * @returns {boolean}
+ */
+export function matchesFieldFilter(task, field, filter) {
+  if (!field || filter === '' || filter === null || filter === undefined) return true;
+
+  const value = getFieldValue(task, field);
+  if (filter === EMPTY_FILTER) return value === null;
+
+  switch (field.type) {
+    case 'text':
+      return value !== null && value.toLowerCase().includes(String(filter).toLowerCase());
+    case 'checkbox':
+      return filter === 'true' ? value === true : value === null;
+    case 'select':
+      return value === filter;
+    case 'multiselect':
+      return value !== null && value.includes(filter);
+    case 'number':
+    case 'date':
+      return value !== null && compareFilter(field.type, value, String(filter));
+    default:
+      return true;
+  }
+}
+
+/**
+ * Evaluate a comparison filter against a number or date value
+ */
+function compareFilter(type, value, filter) {
+  const match = filter.trim().match(/^(>=|<=|>|<|=)?\s*(.+)$/);
+  if (!match) return true;
+
+  const operator = match[1] || '=';
+  const target = type === 'number' ? parseFloat(match[2]) : match[2];
+  if (type === 'number' && !Number.isFinite(target)) return true;
+
+  switch (operator) {
+    case '>': return value > target;
+    case '>=': return value >= target;
+    case '<': return value < target;
+    case '<=': return value <= target;
+    default: return value === target;
+  }
+}
+
+/**
+ * Group tasks by their value for a field
+ * Tasks with several values of a multi select appear in each group;
+ * tasks without a value are grouped last.
+ * @param {Array} tasks - Tasks (order is kept within each group)
+ * @param {Object} field - Field definition
+ * @returns {Array} - [{ key, label, tasks }]
+ */
+export function groupTasksByField(tasks, field) {
+  const groups = new Map();
+  const add = (key, label, task) => {
+    if (!groups.has(key)) groups.set(key, { key, label, tasks: [] });
+    groups.get(key).tasks.push(task);
+  };
+
+  // Option groups follow the defined option order
+  if (hasOptions(field.type)) {
+    (field.options || []).forEach(option => groups.set(option.id, { key: option.id, label: option.label, tasks: [] }));
+  }
+
+  const emptyTasks = [];
+  tasks.forEach(task => {
+    const value = getFieldValue(task, field);
+    if (value === null) {
+      emptyTasks.push(task);
+    } else if (field.type === 'multiselect') {
+      value.forEach(id => add(id, '', task));
+    } else if (field.type !== 'select') {
+      add(String(value), formatFieldValue(field, value), task);
+    } else {
+      add(value, '', task);
+    }
+  });
+
+  let result = [...groups.values()].filter(group => group.tasks.length > 0);
+  if (!hasOptions(field.type)) {
+    result.sort((a, b) => (field.type === 'number'
+      ? parseFloat(a.key) - parseFloat(b.key)
+      : a.key.localeCompare(b.key)));
+  }
+  if (emptyTasks.length > 0) {
+    result.push({ key: EMPTY_FILTER, label: `No ${field.name}`, tasks: emptyTasks });
+  }
+  return result;
+}
+
+/**
+ * Apply a tool's field view (filter and grouping) settings to tasks
+ * @param {Array} tasks - Tasks
+ * @param {Object} projectData - Project data
+ * @param {Object} view - { filterFieldId, filterValue }
+ * @returns {Array} - Matching tasks
+ */
+export function filterTasksByField(tasks, projectData, view) {
+  if (!view?.filterFieldId) return tasks;
+  const field = getCustomFields(projectData).find(f => f.id === view.filterFieldId);
+  return tasks.filter(task => matchesFieldFilter(task, field, view.filterValue));
+}
+
+/**
+ * Get the field a tool's view groups by
+ * @param {Object} projectData - Project data
+ * @param {Object} view - { groupByFieldId }
+ * @returns {Object|null} - Field definition
+ */
+export function getGroupByField(projectData, view) {
+  if (!view?.groupByFieldId) return null;
+  return getCustomFields(projectData).find(f => f.id === view.groupByFieldId) || null;
+}
@@ -0,0 +1,510 @@
+/**
+ * Data Validator Module - Schema and referential integrity checks
+ * Validates project files against the unified data model before import
+ *
+ * Every problem found is reported as:
+ *   { severity, path, message, repair }
+ * where severity is 'fatal' (file cannot be imported), 'error' (can be
+ * auto-repaired via repair()) or 'warning' (informational).
+ *
+ * Checks run on the raw file, before migrateToLatest(). Fields that older
+ * versions did not have yet are only required for current-version files;
+ * references are checked whenever both sides are present.
+ */
+
+import {
+  DATA_VERSION,
+  defaultWorkflow,
+  generateTaskId,
+  generateSprintId,
+  generateTimeEntryId,
+  generateRetroId,
+  generateMemberId,
+  cloneProjectData
+} from './unified-data.js';
+import { FIELD_TYPES } from './custom-fields.js';
+import { generateEpicId } from './epics.js';
+import { generateCommentId } from './comments.js';
+import { generateChecklistItemId } from './checklists.js';
+import { generateAttachmentId } from './attachments.js';
+import { generateBaselineId } from './baselines.js';
+import { isValidDependencyLink, pruneDependencyLinks } from './dependency-links.js';
+
+const DEFAULT_CATEGORY_COLOR = '#a78bfa';
+
+// Date strings in task dates and recurrence rules (YYYY-MM-DD)
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Short label for a record in messages
+ */
+function label(record, fallback) {
+  return record && record.name ? `"${record.name}"` : fallback;
+}
+
+/**
+ * Validate project data
+ * @param {Object} data - Raw project data (any version)
+ * @returns {Object} - { valid, fatal, problems }
+ */
+export function validateProjectData(data) {
+  const problems = [];
+  const add = (severity, path, message, repair = null) => {
+    problems.push({ severity, path, message, repair });
+  };
+
+  // ---- Top-level structure ----
+  if (!isObject(data)) {
+    add('fatal', '', 'File does not contain a project object');
+    return summarize(problems);
+  }
+  if (!isObject(data.project)) {
+    add('fatal', 'project', 'Missing "project" section');
+  }
+  if (!Array.isArray(data.tasks)) {
+    add('fatal', 'tasks', 'Missing "tasks" list');
+  }
+  if (problems.length > 0) return summarize(problems);
+
+  const isCurrent = (data.version || 0) >= DATA_VERSION;
+
+  if (data.version > DATA_VERSION) {
+    add('warning', 'version', `File was saved by a newer version (v${data.version}); unknown fields may be lost`);
+  }
+
+  if (typeof data.project.title !== 'string' || !data.project.title.trim()) {
+    add('error', 'project.title', 'Project has no title', () => {
+      data.project.title = 'Imported Project';
+    });
+  }
+
+  if (!isObject(data.categories)) {
+    add('error', 'categories', 'Missing or invalid "categories" map', () => {
+      data.categories = {};
+    });
+  }
+
+  ['team', 'sprints', 'timeEntries', 'retrospectives', 'customFields', 'labels', 'epics', 'comments', 'attachments', 'baselines'].forEach(key => {
+    if (data[key] !== undefined && !Array.isArray(data[key])) {
+      add('error', key, `"${key}" is not a list`, () => {
+        data[key] = [];
+      });
+    }
+  });
+
+  if (data.workflow !== undefined && (!isObject(data.workflow) || !Array.isArray(data.workflow.columns))) {
+    add('error', 'workflow', 'Invalid workflow configuration', () => {
+      data.workflow = JSON.parse(JSON.stringify(defaultWorkflow));
+    });
+  }
+
+  const sprints = Array.isArray(data.sprints) ? data.sprints : [];
+  const team = Array.isArray(data.team) ? data.team : [];
+  const timeEntries = Array.isArray(data.timeEntries) ? data.timeEntries : [];
+  const retrospectives = Array.isArray(data.retrospectives) ? data.retrospectives : [];
+  const categories = isObject(data.categories) ? data.categories : {};
+  const columns = isObject(data.workflow) && Array.isArray(data.workflow.columns) ? data.workflow.columns : null;
+  const customFields = Array.isArray(data.customFields) ? data.customFields : [];
+  const labels = Array.isArray(data.labels) ? data.labels : [];
+  const epics = Array.isArray(data.epics) ? data.epics : [];
+  const comments = Array.isArray(data.comments) ? data.comments : [];
+  const attachments = Array.isArray(data.attachments) ? data.attachments : [];
+  const baselines = Array.isArray(data.baselines) ? data.baselines : [];
+
+  // ---- Custom field definitions ----
+  const fieldIds = new Set();
+  customFields.forEach((field, index) => {
+    const path = `customFields[${index}]`;
+    if (!isObject(field) || !field.id || fieldIds.has(field.id) || !FIELD_TYPES[field.type]) {
+      add('error', path, `Custom field ${label(field, `#${index + 1}`)} is invalid`, () => {
+        data.customFields = data.customFields.filter(f => f !== field);
+      });
+      return;
+    }
+    fieldIds.add(field.id);
+  });
+
+  // ---- Labels ----
+  const labelIds = new Set();
+  labels.forEach((item, index) => {
+    if (!isObject(item) || !item.id || labelIds.has(item.id)) {
+      add('error', `labels[${index}]`, `Label ${label(item, `#${index + 1}`)} is invalid`, () => {
+        data.labels = data.labels.filter(l => l !== item);
+      });
+      return;
+    }
+    labelIds.add(item.id);
+  });
+
+  // ---- Record IDs ----
+  checkIds(data.tasks, 'tasks', 'Task', generateTaskId, isCurrent, add);
+  checkIds(sprints, 'sprints', 'Sprint', generateSprintId, isCurrent, add);
+  checkIds(timeEntries, 'timeEntries', 'Time entry', generateTimeEntryId, isCurrent, add);
+  checkIds(retrospectives, 'retrospectives', 'Retrospective', generateRetroId, isCurrent, add);
+  checkIds(team.filter(isObject), 'team', 'Team member', generateMemberId, isCurrent, add);
+  checkIds(epics, 'epics', 'Epic', generateEpicId, isCurrent, add);
+  checkIds(comments, 'comments', 'Comment', generateCommentId, isCurrent, add);
+  checkIds(attachments, 'attachments', 'Attachment', generateAttachmentId, isCurrent, add);
+  checkIds(baselines, 'baselines', 'Baseline', generateBaselineId, isCurrent, add);
+
+  const taskIds = new Set(data.tasks.filter(isObject).map(t => t.id));
+  const sprintIds = new Set(sprints.filter(isObject).map(s => s.id));
+  const memberIds = new Set(team.filter(isObject).map(m => m.id));
+  const epicIds = new Set(epics.filter(isObject).map(e => e.id));
+  const columnIds = columns ? new Set(columns.map(c => c.id)) : null;
+
+  // ---- Tasks ----
+  data.tasks.forEach((task, index) => {
+    const path = `tasks[${index}]`;
+    const name = label(task, `Task #${index + 1}`);
+
+    if (!isObject(task)) {
+      add('error', path, `Task #${index + 1} is not an object`, () => {
+        data.tasks = data.tasks.filter(t => t !== task);
+      });
+      return;
+    }
+
+    if (typeof task.name !== 'string' || !task.name.trim()) {
+      add('error', `${path}.name`, `Task #${index + 1} has no name`, () => {
+        task.name = 'Untitled task';
+      });
+    }
+
+    ['planned', 'reality'].forEach(field => {
+      const weeks = task[field];
+      if (weeks === undefined) return;
+      if (!Array.isArray(weeks) || weeks.some(w => !Number.isInteger(w) || w < 1)) {
+        add('error', `${path}.${field}`, `${name} has invalid ${field} weeks`, () => {
+          task[field] = Array.isArray(task[field])
+            ? task[field].filter(w => Number.isInteger(w) && w >= 1)
+            : [];
+        });
+      }
+    });
+
+    if (task.category && !(task.category in categories)) {
+      add('error', `${path}.category`, `${name} uses unknown category "${task.category}"`, () => {
+        if (!isObject(data.categories)) data.categories = {};
+        data.categories[task.category] = DEFAULT_CATEGORY_COLOR;
+      });
+    }
+
+    if (task.sprintId && !sprintIds.has(task.sprintId)) {
+      add('error', `${path}.sprintId`, `${name} references missing sprint "${task.sprintId}"`, () => {
+        task.sprintId = null;
+      });
+    }
+
+    if (task.epicId && !epicIds.has(task.epicId)) {
+      add('error', `${path}.epicId`, `${name} references missing epic "${task.epicId}"`, () => {
+        task.epicId = null;
+      });
+    }
+
+    if (task.assigneeId && !memberIds.has(task.assigneeId)) {
+      add('error', `${path}.assigneeId`, `${name} references missing team member "${task.assigneeId}"`, () => {
+        task.assigneeId = null;
+      });
+    }
+
+    if (task.customFields !== undefined && !isObject(task.customFields)) {
+      add('error', `${path}.customFields`, `${name} has invalid custom field values`, () => {
+        task.customFields = {};
+      });
+    } else if (task.customFields && Object.keys(task.customFields).some(id => !fieldIds.has(id))) {
+      add('warning', `${path}.customFields`, `${name} has values for undefined custom fields; they will be ignored`);
+    }
+
+    if (Array.isArray(task.labels) && task.labels.some(id => !labelIds.has(id))) {
+      add('error', `${path}.labels`, `${name} references missing labels`, () => {
+        task.labels = task.labels.filter(id => labelIds.has(id));
+      });
+    }
+
+    checkTaskRefs(task, 'dependencies', path, name, taskIds, add);
+    checkDependencyLinks(task, path, name, add);
+    checkTaskRefs(task, 'milestoneDependencies', path, name, taskIds, add);
+    checkParent(task, data.tasks, path, name, taskIds, add);
+
+    if ((task.startDate || task.endDate) && !isValidTaskDates(task)) {
+      add('error', `${path}.startDate`, `${name} has invalid planned dates; they will be taken from its planned weeks`, () => {
+        task.startDate = null;
+        task.endDate = null;
+      });
+    }
+
+    if (task.recurrence && !isValidRecurrence(task.recurrence)) {
+      add('error', `${path}.recurrence`, `${name} has an invalid repeat rule`, () => {
+        task.recurrence = null;
+      });
+    }
+
+    if (task.checklist !== undefined && !isValidChecklist(task.checklist)) {
+      add('error', `${path}.checklist`, `${name} has invalid checklist items`, () => {
+        task.checklist = (Array.isArray(task.checklist) ? task.checklist : [])
+          .filter(item => isObject(item) && typeof item.text === 'string' && item.text.trim())
+          .map(item => ({
+            id: typeof item.id === 'string' && item.id ? item.id : generateChecklistItemId(),
+            text: item.text,
+            done: item.done === true
+          }));
+      });
+    }
+
+    if (columnIds && task.board?.columnId && !columnIds.has(task.board.columnId)) {
+      add('error', `${path}.board.columnId`, `${name} is in missing board column "${task.board.columnId}"`, () => {
+        task.board.columnId = columns[0]?.id || 'backlog';
+      });
+    }
+  });
+
+  // ---- Time entries ----
+  timeEntries.forEach((entry, index) => {
+    const path = `timeEntries[${index}]`;
+    if (!isObject(entry)) {
+      add('error', path, `Time entry #${index + 1} is not an object`, () => {
+        data.timeEntries = data.timeEntries.filter(e => e !== entry);
+      });
+      return;
+    }
+    if (entry.taskId && !taskIds.has(entry.taskId)) {
+      add('error', `${path}.taskId`, `Time entry on ${entry.date || 'unknown date'} references missing task "${entry.taskId}"`, () => {
+        entry.taskId = null;
+      });
+    }
+  });
+
+  // ---- Comments ----
+  const commentIds = new Set(comments.filter(isObject).map(c => c.id));
+  comments.forEach((comment, index) => {
+    const path = `comments[${index}]`;
+    if (!isObject(comment)) {
+      add('error', path, `Comment #${index + 1} is not an object`, () => {
+        data.comments = data.comments.filter(c => c !== comment);
+      });
+      return;
+    }
+    if (!taskIds.has(comment.taskId)) {
+      add('error', `${path}.taskId`, `Comment by ${comment.author || 'unknown author'} references missing task "${comment.taskId}"`, () => {
+        data.comments = data.comments.filter(c => c !== comment);
+      });
+    }
+    if (comment.replyTo && !commentIds.has(comment.replyTo)) {
+      add('error', `${path}.replyTo`, `Comment by ${comment.author || 'unknown author'} replies to a missing comment`, () => {
+        comment.replyTo = null;
+      });
+    }
+  });
+
+  // ---- Attachments ----
+  attachments.forEach((attachment, index) => {
+    const path = `attachments[${index}]`;
+    if (!isObject(attachment) || typeof attachment.name !== 'string') {
+      add('error', path, `Attachment #${index + 1} is invalid`, () => {
+        data.attachments = data.attachments.filter(a => a !== attachment);
+      });
+      return;
+    }
+    if (!taskIds.has(attachment.taskId)) {
+      add('error', `${path}.taskId`, `Attachment "${attachment.name}" references missing task "${attachment.taskId}"`, () => {
+        data.attachments = data.attachments.filter(a => a !== attachment);
+      });
+    }
+  });
+
+  // ---- Baselines ----
+  // Baselines may name tasks and sprints deleted since; only their shape is checked
+  baselines.forEach((baseline, index) => {
+    if (!isObject(baseline) || !Array.isArray(baseline.tasks) || !Array.isArray(baseline.sprints)) {
+      add('error', `baselines[${index}]`, `Baseline ${label(baseline, `#${index + 1}`)} is invalid`, () => {
+        data.baselines = data.baselines.filter(b => b !== baseline);
+      });
+    }
+  });
+
+  // ---- Retrospectives ----
+  retrospectives.forEach((retro, index) => {
+    const path = `retrospectives[${index}]`;
+    if (!isObject(retro)) {
+      add('error', path, `Retrospective #${index + 1} is not an object`, () => {
+        data.retrospectives = data.retrospectives.filter(r => r !== retro);
+      });
+      return;
+    }
+    if (retro.sprintId && !sprintIds.has(retro.sprintId)) {
+      add('error', `${path}.sprintId`, `Retrospective ${label(retro, `#${index + 1}`)} references missing sprint "${retro.sprintId}"`, () => {
+        retro.sprintId = null;
+      });
+    }
+  });
+
+  return summarize(problems);
+}
+
+/**
+ * Check ID presence (current-version files only) and uniqueness
+ */
+function checkIds(records, key, noun, generateId, isCurrent, add) {
+  const seen = new Set();
+  records.forEach((record, index) => {
+    if (!isObject(record)) return;
+    const path = `${key}[${index}].id`;
+
+    if (!record.id) {
+      if (isCurrent) {
+        add('error', path, `${noun} ${label(record, `#${index + 1}`)} has no ID`, () => {
+          record.id = generateId();
+        });
+      }
+      return;
+    }
+
+    if (seen.has(record.id)) {
+      add('error', path, `${noun} ${label(record, `#${index + 1}`)} duplicates ID "${record.id}"`, () => {
+        record.id = generateId();
+      });
+    }
+    seen.add(record.id);
+  });
+}
+
+/**
+ * Check the dependency types and lag of a task
+ */
+function checkDependencyLinks(task, path, name, add) {
+  const links = task.dependencyLinks;
+  if (links === undefined || links === null) return;
+
+  if (typeof links !== 'object' || Array.isArray(links)) {
+    add('error', `${path}.dependencyLinks`, `${name} has invalid dependency types`, () => {
+      task.dependencyLinks = {};
+    });
+  } else if (Object.entries(links).some(([id, link]) => !(task.dependencies || []).includes(id) || !isValidDependencyLink(link))) {
+    add('warning', `${path}.dependencyLinks`, `${name} has dependency types for links it does not have; they will be removed`, () => {
+      pruneDependencyLinks(task);
+    });
+  }
+}
+
+/**
+ * Check a list of task references on a task
+ */
+function checkTaskRefs(task, field, path, name, taskIds, add) {
+  const refs = task[field];
+  if (refs === undefined || refs === null) return;
+
+  if (!Array.isArray(refs)) {
+    add('error', `${path}.${field}`, `${name} has invalid ${field}`, () => {
+      task[field] = [];
+    });
+    return;
+  }
+
+  refs.forEach(refId => {
+    if (refId === task.id) {
+      add('error', `${path}.${field}`, `${name} depends on itself`, () => {
+        task[field] = task[field].filter(id => id !== refId);
+      });
+    } else if (!taskIds.has(refId)) {
+      add('error', `${path}.${field}`, `${name} references missing task "${refId}" in ${field}`, () => {
+        task[field] = task[field].filter(id => id !== refId);
+      });
+    }
+  });
+}
+
+/**
+ * Check a task's parent reference and that the parent chain has no cycle
+ */
+function checkParent(task, tasks, path, name, taskIds, add) {
+  if (!task.parentId) return;
+
+  if (!taskIds.has(task.parentId)) {
+    add('error', `${path}.parentId`, `${name} references missing parent task "${task.parentId}"`, () => {
+      task.parentId = null;
+    });
+    return;
+  }
+
+  const byId = new Map(tasks.filter(isObject).map(t => [t.id, t]));
+  const seen = new Set();
+  let current = task;
+  while (current && current.parentId && !seen.has(current.id)) {
+    seen.add(current.id);
+    if (current.parentId === task.id) {
+      add('error', `${path}.parentId`, `${name} is its own ancestor`, () => {
+        task.parentId = null;
+      });
+      return;
+    }
+    current = byId.get(current.parentId);
+  }
+}
+
+/**
+ * Check that a task's planned dates are a YYYY-MM-DD span
+ */
+function isValidTaskDates(task) {
+  return ISO_DATE.test(task.startDate || '') && ISO_DATE.test(task.endDate || '') &&
+    task.startDate <= task.endDate;
+}
+
+/**
+ * Check the shape of a task's recurrence
+ */
+function isValidRecurrence(recurrence) {
+  const rule = recurrence.rule;
+  return isObject(recurrence) &&
+    typeof recurrence.seriesId === 'string' &&
+    ISO_DATE.test(recurrence.date || '') &&
+    isObject(rule) &&
+    Number.isInteger(rule.interval) && rule.interval >= 1 &&
+    Array.isArray(rule.weekdays) && rule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+    ISO_DATE.test(rule.startDate || '');
+}
+
+/**
+ * Check the shape of a task's checklist
+ */
+function isValidChecklist(checklist) {
+  return Array.isArray(checklist) && checklist.every(item =>
+    isObject(item) &&
+    typeof item.id === 'string' && item.id &&
+    typeof item.text === 'string' && item.text.trim() &&
+    typeof item.done === 'boolean'
+  );
+}
+
+/**
+ * Build the validation result
+ */
+function summarize(problems) {
+  const fatal = problems.some(p => p.severity === 'fatal');
+  return {
+    valid: !fatal && !problems.some(p => p.severity === 'error'),
+    fatal,
+    problems
+  };
+}
+
+/**
+ * Repair all fixable problems
+ * @param {Object} data - Raw project data
+ * @returns {Object} - Repaired copy (input is not modified)
+ */
+export function repairProjectData(data) {
+  const repaired = cloneProjectData(data);
+  const { problems } = validateProjectData(repaired);
+  problems.forEach(problem => {
+    if (problem.repair) problem.repair();
+  });
+  return repaired;
+}
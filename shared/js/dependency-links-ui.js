@@ -0,0 +1,41 @@
+/**
+ * Dependency Links UI Module - Type and lag controls for dependency lists
+ * Used by the predecessor and successor lists of the PERT and Dependencies
+ * task modals. Edits call the page's updateDependencyLink(fromId, toId,
+ * field, value) global.
+ */
+
+import { DEPENDENCY_TYPES, getDependencyLink, formatDependencyLink } from './dependency-links.js';
+
+/**
+ * Render the type and lag of a dependency
+ * In edit mode this is a type select and a lag input (weeks, negative for
+ * a lead); otherwise a badge for links that are not plain finish-to-start.
+ * Milestone-only links (milestoneDependencies) have no settings.
+ * @param {Object} successor - Successor task
+ * @param {string} predecessorId - Predecessor task ID
+ * @param {boolean} editMode - Whether the link can be edited
+ * @returns {string} - HTML
+ */
+export function renderDependencyLinkControls(successor, predecessorId, editMode) {
+  if (!(successor.dependencies || []).includes(predecessorId)) return '';
+  const link = getDependencyLink(successor, predecessorId);
+
+  if (!editMode) {
+    const label = formatDependencyLink(link);
+    const type = DEPENDENCY_TYPES.find(t => t.id === link.type);
+    return label ? `<span class="dependency-link-badge" title="${type.name}">${label}</span>` : '';
+  }
+
+  const args = `'${predecessorId}', '${successor.id}'`;
+  return `
+    <span class="dependency-link" onclick="event.stopPropagation()">
+      <select class="dependency-link__type" title="Dependency type" onchange="updateDependencyLink(${args}, 'type', this.value)">
+        ${DEPENDENCY_TYPES.map(t => `<option value="${t.id}" title="${t.name}: ${t.hint}" ${t.id === link.type ? 'selected' : ''}>${t.id}</option>`).join('')}
+      </select>
+      <input type="number" class="dependency-link__lag" step="1" value="${link.lag}"
+        title="Lag in weeks (negative for a lead)" onchange="updateDependencyLink(${args}, 'lag', this.value)">
+      <span class="dependency-link__unit">w</span>
+    </span>
+  `;
+}
@@ -0,0 +1,100 @@
+/**
+ * Dependency Links Module - Types and lag of task dependencies
+ * task.dependencies stays the list of predecessor IDs every tool reads.
+ * task.dependencyLinks holds the settings of links that are not plain
+ * finish-to-start, keyed by predecessor ID:
+ *   { [predecessorId]: { type: 'FS' | 'SS' | 'FF' | 'SF', lag } }
+ *
+ * lag is in weeks; a negative lag is a lead. A missing entry means
+ * finish-to-start with no lag.
+ */
+
+export const DEPENDENCY_TYPES = [
+  { id: 'FS', name: 'Finish-to-start', hint: 'starts after the predecessor finishes' },
+  { id: 'SS', name: 'Start-to-start', hint: 'starts when the predecessor starts' },
+  { id: 'FF', name: 'Finish-to-finish', hint: 'finishes when the predecessor finishes' },
+  { id: 'SF', name: 'Start-to-finish', hint: 'finishes when the predecessor starts' }
+];
+
+const DEFAULT_LINK = { type: 'FS', lag: 0 };
+
+/**
+ * Check whether a value is a valid link setting
+ * @param {Object} link - { type, lag }
+ * @returns {boolean}
+ */
+export function isValidDependencyLink(link) {
+  return Boolean(link) && DEPENDENCY_TYPES.some(t => t.id === link.type) && Number.isInteger(link.lag);
+}
+
+/**
+ * Get the type and lag of a dependency
+ * @param {Object} task - Successor task
+ * @param {string} predecessorId - Predecessor task ID
+ * @returns {Object} - { type, lag }
+ */
+export function getDependencyLink(task, predecessorId) {
+  const link = task?.dependencyLinks?.[predecessorId];
+  return isValidDependencyLink(link) ? { type: link.type, lag: link.lag } : { ...DEFAULT_LINK };
+}
+
+/**
+ * Set the type and/or lag of a dependency
+ * Plain finish-to-start links without lag are not stored.
+ * @param {Object} task - Successor task
+ * @param {string} predecessorId - Predecessor task ID
+ * @param {Object} changes - { type, lag }
+ * @returns {boolean} - False when the task does not depend on the predecessor or the values are invalid
+ */
+export function setDependencyLink(task, predecessorId, changes) {
+  if (!(task.dependencies || []).includes(predecessorId)) return false;
+  const link = { ...getDependencyLink(task, predecessorId), ...changes };
+  if (!isValidDependencyLink(link)) return false;
+
+  if (!task.dependencyLinks || typeof task.dependencyLinks !== 'object') task.dependencyLinks = {};
+  if (link.type === DEFAULT_LINK.type && link.lag === DEFAULT_LINK.lag) {
+    delete task.dependencyLinks[predecessorId];
+  } else {
+    task.dependencyLinks[predecessorId] = link;
+  }
+  return true;
+}
+
+/**
+ * Forget the settings of a removed dependency
+ * @param {Object} task - Successor task
+ * @param {string} predecessorId - Predecessor task ID
+ */
+export function removeDependencyLink(task, predecessorId) {
+  if (task.dependencyLinks) delete task.dependencyLinks[predecessorId];
+}
+
+/**
+ * Drop link settings for predecessors the task no longer depends on and
+ * settings that are not valid
+ * @param {Object} task - Successor task
+ * @returns {number} - Number of entries removed
+ */
+export function pruneDependencyLinks(task) {
+  if (!task.dependencyLinks || typeof task.dependencyLinks !== 'object') return 0;
+  const dependencies = task.dependencies || [];
+  let removed = 0;
+  Object.keys(task.dependencyLinks).forEach(predecessorId => {
+    if (!dependencies.includes(predecessorId) || !isValidDependencyLink(task.dependencyLinks[predecessorId])) {
+      delete task.dependencyLinks[predecessorId];
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Short label of a link, e.g. "SS +1w" or "FS -2w" (empty for plain FS)
+ * @param {Object} link - { type, lag }
+ * @returns {string}
+ */
+export function formatDependencyLink(link) {
+  if (link.type === DEFAULT_LINK.type && link.lag === 0) return '';
+  const lag = link.lag === 0 ? '' : ` ${link.lag > 0 ? '+' : ''}${link.lag}w`;
+  return `${link.type}${lag}`;
+}
@@ -0,0 +1,156 @@
+/**
+ * Epics Module - Features that span several sprints
+ * Epics live in projectData.epics; tasks join one with task.epicId.
+ *
+ * Epic shape:
+ *   { id, name, color, goal, targetDate }
+ *
+ * Progress counts story points of the epic's tasks in the Done column.
+ * The forecast divides the remaining points by the average velocity of
+ * completed sprints (calculateVelocity) and projects that many sprints
+ * of average length from today.
+ */
+
+import { calculateVelocity } from './unified-data.js';
+
+// Sprint length assumed when no sprint has dates yet
+const DEFAULT_SPRINT_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a unique epic ID
+ * @returns {string} - Unique ID
+ */
+export function generateEpicId() {
+  return 'epic_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Get the epics of a project
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Epics
+ */
+export function getEpics(projectData) {
+  return Array.isArray(projectData?.epics) ? projectData.epics : [];
+}
+
+/**
+ * Get the epic a task belongs to
+ * @param {Object} task - Task
+ * @param {Object} projectData - Project data
+ * @returns {Object|null} - Epic
+ */
+export function getTaskEpic(task, projectData) {
+  if (!task?.epicId) return null;
+  return getEpics(projectData).find(e => e.id === task.epicId) || null;
+}
+
+/**
+ * Get the tasks of an epic
+ * @param {Array} tasks - All tasks
+ * @param {string} epicId - Epic ID
+ * @returns {Array} - Tasks
+ */
+export function getEpicTasks(tasks, epicId) {
+  return tasks.filter(t => t.epicId === epicId);
+}
+
+/**
+ * Remove an epic and unlink its tasks
+ * @param {Object} projectData - Project data
+ * @param {string} epicId - Epic ID
+ * @returns {boolean} - Whether the epic existed
+ */
+export function deleteEpic(projectData, epicId) {
+  const epics = getEpics(projectData);
+  if (!epics.some(e => e.id === epicId)) return false;
+
+  projectData.epics = epics.filter(e => e.id !== epicId);
+  projectData.tasks.forEach(task => {
+    if (task.epicId === epicId) task.epicId = null;
+  });
+  return true;
+}
+
+/**
+ * Average sprint length in days, from sprints that have dates
+ * @param {Array} sprints - Sprints
+ * @returns {number} - Days
+ */
+function getAverageSprintDays(sprints) {
+  const lengths = sprints
+    .filter(s => s.startDate && s.endDate)
+    .map(s => Math.round((new Date(s.endDate) - new Date(s.startDate)) / DAY_MS) + 1)
+    .filter(days => days > 0);
+
+  if (lengths.length === 0) return DEFAULT_SPRINT_DAYS;
+  return Math.round(lengths.reduce((sum, days) => sum + days, 0) / lengths.length);
+}
+
+/**
+ * Calculate an epic's progress and forecasted finish
+ * @param {Object} epic - Epic
+ * @param {Array} tasks - All tasks
+ * @param {Array} sprints - All sprints
+ * @param {Date} today - Reference date (defaults to now)
+ * @returns {Object} - { totalPoints, donePoints, remainingPoints, totalTasks,
+ *   doneTasks, unestimated, percent, sprintIds, velocity, sprintsRemaining,
+ *   forecastDate, status }
+ */
+export function calculateEpicProgress(epic, tasks, sprints, today = new Date()) {
+  const epicTasks = getEpicTasks(tasks, epic.id);
+  const isDone = (t) => t.board?.columnId === 'done';
+
+  const totalPoints = epicTasks.reduce((sum, t) => sum + (t.storyPoints || 0), 0);
+  const donePoints = epicTasks.filter(isDone).reduce((sum, t) => sum + (t.storyPoints || 0), 0);
+  const remainingPoints = totalPoints - donePoints;
+  const doneTasks = epicTasks.filter(isDone).length;
+  const unestimated = epicTasks.filter(t => t.storyPoints === null || t.storyPoints === undefined).length;
+
+  // Sprints the epic has tasks in, in sprint order
+  const sprintIds = sprints
+    .filter(s => epicTasks.some(t => t.sprintId === s.id))
+    .map(s => s.id);
+
+  const velocity = calculateVelocity(tasks, sprints).average;
+  let sprintsRemaining = null;
+  let forecastDate = null;
+
+  if (epicTasks.length > 0 && doneTasks === epicTasks.length) {
+    sprintsRemaining = 0;
+  } else if (velocity > 0 && remainingPoints > 0) {
+    sprintsRemaining = Math.ceil(remainingPoints / velocity);
+    const finish = new Date(today.getTime() + sprintsRemaining * getAverageSprintDays(sprints) * DAY_MS);
+    forecastDate = finish.toISOString().split('T')[0];
+  }
+
+  return {
+    totalPoints,
+    donePoints,
+    remainingPoints,
+    totalTasks: epicTasks.length,
+    doneTasks,
+    unestimated,
+    percent: totalPoints > 0
+      ? Math.round((donePoints / totalPoints) * 100)
+      : (epicTasks.length > 0 ? Math.round((doneTasks / epicTasks.length) * 100) : 0),
+    sprintIds,
+    velocity,
+    sprintsRemaining,
+    forecastDate,
+    status: getEpicStatus(epic, epicTasks.length, doneTasks, forecastDate)
+  };
+}
+
+/**
+ * Classify an epic against its target date
+ * @returns {string} - 'done', 'on-track', 'at-risk', 'no-forecast' or 'not-started'
+ */
+function getEpicStatus(epic, totalTasks, doneTasks, forecastDate) {
+  if (totalTasks === 0) return 'not-started';
+  if (doneTasks === totalTasks) return 'done';
+  if (!forecastDate) return 'no-forecast';
+  if (!epic.targetDate) return 'on-track';
+  return forecastDate <= epic.targetDate ? 'on-track' : 'at-risk';
+}
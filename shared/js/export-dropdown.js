@@ -11,6 +11,7 @@
 // Export type definitions - maps type to label and handler function name
 const EXPORT_TYPES = {
   json: { label: 'JSON', handler: 'exportToJSON' },
+  archive: { label: 'Full Archive', handler: 'exportArchive' },
   excel: { label: 'Excel', handler: 'exportToExcel' },
   pdf: { label: 'PDF', handler: 'exportToPDF' },
   png: { label: 'PNG', handler: ['exportToPNG', 'exportChart'] }, // PERT uses exportToPNG, Burndown uses exportChart
@@ -0,0 +1,126 @@
+/**
+ * Import Dialog Module - Validation report before importing a project file
+ * Shows every problem found by data-validator.js and lets the user
+ * auto-repair the file or cancel the import.
+ *
+ * Usage in a tool's handleFileImport:
+ *   const validated = await confirmImport(imported);
+ *   if (!validated) return; // cancelled or not importable
+ */
+
+import { validateProjectData, repairProjectData } from './data-validator.js';
+
+const MODAL_ID = 'importReportModal';
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Validate imported data and ask the user how to proceed when needed
+ * @param {Object} data - Raw imported project data
+ * @returns {Promise<Object|null>} - Data to import (repaired if chosen), or null to cancel
+ */
+export function confirmImport(data) {
+  const result = validateProjectData(data);
+
+  // Nothing to report - import as-is
+  if (result.problems.length === 0) {
+    return Promise.resolve(data);
+  }
+
+  return new Promise(resolve => {
+    const modal = renderModal(result);
+
+    const finish = (value) => {
+      document.removeEventListener('keydown', onKeydown, true);
+      modal.remove();
+      resolve(value);
+    };
+
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(null);
+      }
+    };
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        finish(null);
+        return;
+      }
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'repair') {
+        finish(repairProjectData(data));
+      } else if (action === 'import') {
+        finish(data);
+      } else if (action === 'cancel') {
+        finish(null);
+      }
+    });
+
+    document.addEventListener('keydown', onKeydown, true);
+    modal.classList.add('active');
+  });
+}
+
+/**
+ * Build and attach the report modal
+ * @param {Object} result - Validation result
+ * @returns {HTMLElement}
+ */
+function renderModal(result) {
+  document.getElementById(MODAL_ID)?.remove();
+
+  const errors = result.problems.filter(p => p.severity !== 'warning');
+  const summary = result.fatal
+    ? 'This file cannot be imported.'
+    : errors.length > 0
+      ? `Found ${errors.length} problem${errors.length === 1 ? '' : 's'}. Auto-repair fixes them before importing.`
+      : 'The file can be imported, but note the following:';
+
+  const items = result.problems.map(problem => `
+    <li class="import-report__item import-report__item--${problem.severity}">
+      <span class="import-report__message">${escapeHtml(problem.message)}</span>
+      ${problem.path ? `<code class="import-report__path">${escapeHtml(problem.path)}</code>` : ''}
+    </li>
+  `).join('');
+
+  let actions;
+  if (result.fatal) {
+    actions = '<button class="btn btn--primary" data-action="cancel">Close</button>';
+  } else if (errors.length > 0) {
+    actions = `
+      <button class="btn btn--primary" data-action="repair">Auto-repair &amp; Import</button>
+      <button class="btn" data-action="cancel">Cancel</button>
+    `;
+  } else {
+    actions = `
+      <button class="btn btn--primary" data-action="import">Import</button>
+      <button class="btn" data-action="cancel">Cancel</button>
+    `;
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2>Import Check</h2>
+        <button class="modal-close" data-action="cancel">&times;</button>
+      </div>
+      <p class="import-report__summary">${summary}</p>
+      <ul class="import-report">${items}</ul>
+      <div class="import-report__actions">${actions}</div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  return modal;
+}
@@ -0,0 +1,287 @@
+/**
+ * Labels UI Module - Label chips, task label picker and label manager
+ * Renders the labels of labels.js on cards and rows, the checkbox picker
+ * used in task editors, and the modal where project labels are managed.
+ *
+ * Label changes go through the page's change feed, so the open tool
+ * updates in place and other tabs receive the new labels.
+ */
+
+import {
+  LABEL_COLORS,
+  generateLabelId,
+  getLabels,
+  getTaskLabels,
+  pruneTaskLabels
+} from './labels.js';
+import { loadFromStorage } from './storage.js';
+import { getActiveStorageKey } from './project-manager.js';
+import { diffProjectData, getActiveChangeFeed } from './change-feed.js';
+
+const MODAL_ID = 'labelManagerModal';
+
+// Project the page was loaded with
+const loadedStorageKey = getActiveStorageKey();
+
+// Labels being edited in the manager (saved as a whole)
+let draftLabels = [];
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// ========== CHIPS ==========
+
+/**
+ * Render a task's labels as chips
+ * @param {Object} task - Task
+ * @param {Object} projectData - Project data
+ * @param {Object} options - { compact } renders colored dots instead of named chips
+ * @returns {string} - HTML ('' when the task has no labels)
+ */
+export function renderLabelChips(task, projectData, { compact = false } = {}) {
+  const labels = getTaskLabels(task, projectData);
+  if (labels.length === 0) return '';
+
+  const chips = labels.map(label => compact
+    ? `<span class="label-dot" style="--label-color: ${label.color};" title="${escapeHtml(label.name)}"></span>`
+    : `<span class="label-chip" style="--label-color: ${label.color};">${escapeHtml(label.name)}</span>`
+  ).join('');
+
+  return `<span class="label-chips">${chips}</span>`;
+}
+
+// ========== PICKER ==========
+
+/**
+ * Render checkboxes to pick a task's labels
+ * @param {HTMLElement} container - Element to fill (hidden when the project has no labels)
+ * @param {Object} projectData - Project data
+ * @param {Object} task - Task being edited
+ * @param {Object} options - { disabled, compact } compact uses popover markup
+ */
+export function renderLabelPicker(container, projectData, task, { disabled = false, compact = false } = {}) {
+  if (!container) return;
+
+  const labels = getLabels(projectData);
+  container.style.display = labels.length > 0 ? '' : 'none';
+
+  const selected = new Set(Array.isArray(task.labels) ? task.labels : []);
+  container.innerHTML = `
+    <label${compact ? '' : ' class="form-label"'}>Labels</label>
+    <div class="label-picker">
+      ${labels.map(label => `
+        <label class="label-picker__option" style="--label-color: ${label.color};">
+          <input type="checkbox" value="${label.id}"${selected.has(label.id) ? ' checked' : ''}${disabled ? ' disabled' : ''}>
+          <span class="label-chip">${escapeHtml(label.name)}</span>
+        </label>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Copy the picked labels onto a task
+ * @param {HTMLElement} container - Element passed to renderLabelPicker()
+ * @param {Object} task - Task to update
+ */
+export function applyLabelPicker(container, task) {
+  if (!container || container.style.display === 'none') return;
+  task.labels = [...container.querySelectorAll('input:checked')].map(box => box.value);
+}
+
+// ========== LABEL MANAGER ==========
+
+/**
+ * Open the label manager for the open project
+ */
+export function openLabelManager() {
+  const modal = ensureModal();
+  const current = loadFromStorage(loadedStorageKey);
+  draftLabels = JSON.parse(JSON.stringify(getLabels(current)));
+  setMessage('');
+  renderLabelList();
+  modal.classList.add('active');
+}
+
+/**
+ * Close the label manager
+ */
+export function closeLabelManager() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay label-manager-modal';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel">
+      <div class="modal-header">
+        <h2>Labels</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <p class="audit-message" id="labelManagerMessage"></p>
+      <div class="label-manager-list" id="labelManagerList"></div>
+      <div class="label-manager-add">
+        <input type="text" class="form-input" id="newLabelName" placeholder="New label (e.g. bug, tech-debt)...">
+        <button class="btn-add" data-action="add">+ Add</button>
+      </div>
+      <div style="display: flex; gap: 8px; margin-top: 20px;">
+        <button class="btn btn--primary" data-action="save">Save</button>
+        <button class="btn" data-action="close">Cancel</button>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeLabelManager();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (button) handleAction(button.dataset.action, button.dataset.labelId);
+  });
+
+  // Keep the draft in sync with name and color inputs
+  modal.querySelector('#labelManagerList').addEventListener('input', (e) => {
+    const label = draftLabels.find(l => l.id === e.target.dataset.labelId);
+    if (!label) return;
+    if (e.target.type === 'color') {
+      label.color = e.target.value;
+      const chip = e.target.closest('.label-manager-row').querySelector('.label-chip');
+      chip.style.setProperty('--label-color', label.color);
+    } else {
+      label.name = e.target.value;
+    }
+  });
+
+  modal.querySelector('#newLabelName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAction('add');
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeLabelManager();
+  });
+
+  return modal;
+}
+
+/**
+ * Show a message above the label list
+ * @param {string} text - Message (empty to hide)
+ * @param {boolean} isError - Error styling
+ */
+function setMessage(text, isError = false) {
+  const message = document.getElementById('labelManagerMessage');
+  if (!message) return;
+  message.textContent = text;
+  message.className = isError ? 'audit-message audit-message--error' : 'audit-message';
+}
+
+/**
+ * Render the draft labels
+ */
+function renderLabelList() {
+  const list = document.getElementById('labelManagerList');
+
+  if (draftLabels.length === 0) {
+    list.innerHTML = '<p class="audit-empty">No labels yet</p>';
+    return;
+  }
+
+  list.innerHTML = draftLabels.map(label => `
+    <div class="label-manager-row">
+      <span class="label-chip" style="--label-color: ${label.color};">&nbsp;</span>
+      <input type="text" class="form-input" data-label-id="${label.id}" value="${escapeHtml(label.name)}">
+      <input type="color" class="color-picker" data-label-id="${label.id}" value="${label.color}">
+      <button class="btn-delete" data-action="remove" data-label-id="${label.id}" title="Remove label">&times;</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Handle a manager action
+ * @param {string} action - Action name
+ * @param {string} labelId - Label the action applies to
+ */
+function handleAction(action, labelId) {
+  switch (action) {
+    case 'close':
+      closeLabelManager();
+      return;
+
+    case 'add': {
+      const input = document.getElementById('newLabelName');
+      const name = input.value.trim();
+      if (!name) {
+        setMessage('Enter a label name', true);
+        return;
+      }
+      if (draftLabels.some(l => l.name.trim().toLowerCase() === name.toLowerCase())) {
+        setMessage(`Label "${name}" already exists`, true);
+        return;
+      }
+      draftLabels.push({
+        id: generateLabelId(),
+        name,
+        color: LABEL_COLORS[draftLabels.length % LABEL_COLORS.length]
+      });
+      input.value = '';
+      setMessage('');
+      renderLabelList();
+      return;
+    }
+
+    case 'remove':
+      draftLabels = draftLabels.filter(l => l.id !== labelId);
+      renderLabelList();
+      return;
+
+    case 'save':
+      saveLabels();
+      return;
+  }
+}
+
+/**
+ * Save the draft labels through the change feed
+ */
+function saveLabels() {
+  const feed = getActiveChangeFeed();
+  const current = loadFromStorage(loadedStorageKey);
+  if (!feed || !current) {
+    setMessage('Labels cannot be edited on this page', true);
+    return;
+  }
+
+  const labels = draftLabels.map(label => ({ ...label, name: label.name.trim() }));
+  if (labels.some(l => !l.name)) {
+    setMessage('Every label needs a name', true);
+    return;
+  }
+
+  const next = JSON.parse(JSON.stringify(current));
+  next.labels = labels;
+  const affected = pruneTaskLabels(next);
+  if (affected > 0 && !confirm(`Removed labels are attached to ${affected} task(s) and will be taken off. Continue?`)) {
+    return;
+  }
+
+  feed.commit(diffProjectData(current, next));
+  closeLabelManager();
+}
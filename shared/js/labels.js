@@ -0,0 +1,118 @@
+/**
+ * Labels Module - Project-level colored task labels
+ * Definitions live in projectData.labels; tasks reference them by ID in
+ * task.labels, so renaming or recoloring a label updates every task.
+ *
+ * Label shape:
+ *   { id, name, color }
+ *
+ * Tool searches accept label terms: "#bug" keeps tasks with a label whose
+ * name starts with "bug"; several terms must all match. Spaces in label
+ * names are written as dashes ("#tech-debt" matches "Tech debt").
+ */
+
+// Palette offered for new labels
+export const LABEL_COLORS = [
+  '#ef4444',
+  '#f97316',
+  '#fbbf24',
+  '#22c55e',
+  '#06b6d4',
+  '#6366f1',
+  '#a78bfa',
+  '#ec4899',
+  '#71717a'
+];
+
+/**
+ * Generate a unique label ID
+ * @returns {string} - Unique ID
+ */
+export function generateLabelId() {
+  return 'label_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Get the label definitions of a project
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Labels
+ */
+export function getLabels(projectData) {
+  return Array.isArray(projectData?.labels) ? projectData.labels : [];
+}
+
+/**
+ * Get the labels attached to a task, in project order
+ * @param {Object} task - Task
+ * @param {Object|Array} projectData - Project data or label definitions
+ * @returns {Array} - Labels
+ */
+export function getTaskLabels(task, projectData) {
+  const ids = Array.isArray(task?.labels) ? task.labels : [];
+  if (ids.length === 0) return [];
+  const labels = Array.isArray(projectData) ? projectData : getLabels(projectData);
+  return labels.filter(label => ids.includes(label.id));
+}
+
+/**
+ * Drop label IDs that no longer exist from all tasks
+ * @param {Object} projectData - Project data
+ * @returns {number} - Number of tasks changed
+ */
+export function pruneTaskLabels(projectData) {
+  const ids = new Set(getLabels(projectData).map(label => label.id));
+  let changed = 0;
+
+  (projectData.tasks || []).forEach(task => {
+    if (!Array.isArray(task.labels)) return;
+    const kept = task.labels.filter(id => ids.has(id));
+    if (kept.length !== task.labels.length) {
+      task.labels = kept;
+      changed++;
+    }
+  });
+
+  return changed;
+}
+
+// ========== SEARCH ==========
+
+/**
+ * Normalize a label name for search ("Tech debt" -> "tech-debt")
+ */
+function toSearchTerm(name) {
+  return name.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Split a search query into free text and label terms
+ * @param {string} query - Search query
+ * @returns {Object} - { text, labels } with text lowercased and trimmed
+ */
+export function parseSearchQuery(query) {
+  const text = [];
+  const labels = [];
+
+  (query || '').split(/\s+/).forEach(word => {
+    if (word.length > 1 && word.startsWith('#')) {
+      labels.push(toSearchTerm(word.slice(1)));
+    } else if (word) {
+      text.push(word);
+    }
+  });
+
+  return { text: text.join(' ').toLowerCase(), labels };
+}
+
+/**
+ * Check whether a task has a label matching every term
+ * @param {Object} task - Task
+ * @param {Array} terms - Label terms from parseSearchQuery()
+ * @param {Object} projectData - Project data
+ * @returns {boolean}
+ */
+export function matchesLabelTerms(task, terms, projectData) {
+  if (!terms || terms.length === 0) return true;
+  const names = getTaskLabels(task, projectData).map(label => toSearchTerm(label.name));
+  return terms.every(term => names.some(name => name.startsWith(term)));
+}
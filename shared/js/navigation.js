@@ -5,9 +5,19 @@
  * Usage: Add a nav element with data-current attribute:
  *   <nav class="nav-dropdown" data-current="gantt"></nav>
  *
- * The module will automatically populate the dropdown.
+ * The module will automatically populate the dropdown, including the
+ * project switcher backed by project-manager.js, the change history
+ * viewer (audit-ui.js), the backup browser (backup-ui.js), the custom
+ * field manager (custom-fields-ui.js) and the label manager (labels-ui.js).
  */
 
+import { listProjects, getActiveProjectId } from './project-manager.js';
+import { switchProject, openProjectManager, setupProjectIndexSync } from './project-ui.js';
+import { openAuditLog } from './audit-ui.js';
+import { openBackupManager } from './backup-ui.js';
+import { openFieldManager } from './custom-fields-ui.js';
+import { openLabelManager } from './labels-ui.js';
+
 // Tool definitions - add new tools here
 const TOOLS = [
   { id: 'gantt', number: '01', label: 'Gantt', path: 'gantt' },
@@ -28,6 +38,10 @@ const CHEVRON_ICON = `<svg class="nav-dropdown__chevron" viewBox="0 0 24 24" fil
   <polyline points="6 9 12 15 18 9"/>
 </svg>`;
 
+const FOLDER_ICON = `<svg class="nav-dropdown__icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+  <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+</svg>`;
+
 const HOME_ICON = `<svg class="nav-dropdown__icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
   <path d="M3 9l9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/>
   <polyline points="9 22 9 12 15 12 15 22"/>
@@ -53,6 +67,29 @@ export function initNavigation() {
 
   if (!trigger || !menu) return;
 
+  // Project switcher
+  menu.addEventListener('click', (e) => {
+    const item = e.target.closest('[data-project-id], [data-project-action]');
+    if (!item) return;
+    e.preventDefault();
+    closeDropdown(dropdown, trigger);
+    if (item.dataset.projectId) {
+      switchProject(item.dataset.projectId);
+    } else if (item.dataset.projectAction === 'history') {
+      openAuditLog();
+    } else if (item.dataset.projectAction === 'backups') {
+      openBackupManager();
+    } else if (item.dataset.projectAction === 'fields') {
+      openFieldManager();
+    } else if (item.dataset.projectAction === 'labels') {
+      openLabelManager();
+    } else {
+      openProjectManager();
+    }
+  });
+
+  setupProjectIndexSync();
+
   // Toggle on click
   trigger.addEventListener('click', (e) => {
     e.stopPropagation();
@@ -126,6 +163,18 @@ function generateDropdownHTML(currentTool) {
     </a>`;
   }).join('\n          ');
 
+  const activeProjectId = getActiveProjectId();
+  const projectItems = listProjects().map(project => {
+    const isActive = project.id === activeProjectId;
+    const activeClass = isActive ? ' nav-dropdown__item--active' : '';
+    const ariaCurrent = isActive ? ' aria-current="true"' : '';
+
+    return `<button class="nav-dropdown__item nav-dropdown__item--project${activeClass}" role="menuitem" data-project-id="${project.id}"${ariaCurrent}>
+      ${FOLDER_ICON}
+      <span class="nav-dropdown__project-name">${escapeHtml(project.name)}</span>
+    </button>`;
+  }).join('\n          ');
+
   return `
     <button class="nav-dropdown__trigger" aria-haspopup="true" aria-expanded="false">
       <span class="station-badge__number">${currentTool.number}</span>
@@ -139,6 +188,24 @@ function generateDropdownHTML(currentTool) {
       </a>
       <div class="nav-dropdown__divider"></div>
       ${toolItems}
+      <div class="nav-dropdown__divider"></div>
+      <div class="nav-dropdown__section">Project</div>
+      ${projectItems}
+      <button class="nav-dropdown__item nav-dropdown__item--project" role="menuitem" data-project-action="manage">
+        Manage Projects...
+      </button>
+      <button class="nav-dropdown__item nav-dropdown__item--project" role="menuitem" data-project-action="history">
+        Change History...
+      </button>
+      <button class="nav-dropdown__item nav-dropdown__item--project" role="menuitem" data-project-action="backups">
+        Backups...
+      </button>
+      <button class="nav-dropdown__item nav-dropdown__item--project" role="menuitem" data-project-action="fields">
+        Custom Fields...
+      </button>
+      <button class="nav-dropdown__item nav-dropdown__item--project" role="menuitem" data-project-action="labels">
+        Labels...
+      </button>
     </div>
   `;
 }
@@ -150,3 +217,12 @@ function closeDropdown(dropdown, trigger) {
   dropdown.classList.remove('nav-dropdown--open');
   trigger.setAttribute('aria-expanded', 'false');
 }
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
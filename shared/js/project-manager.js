@@ -0,0 +1,324 @@
+/**
+ * Project Manager Module - Multi-project registry
+ * Keeps a list of local projects and resolves per-project storage keys
+ *
+ * The registry lives under the `projectIndex` storage key:
+ *   { activeProjectId, projects: [{ id, name, serverUrl, serverRoom, archived, createdAt, updatedAt }] }
+ *
+ * The default project keeps the legacy `ganttProject` key so existing data
+ * is picked up without copying; every other project stores its data under
+ * `project_<id>` and its backups under `project_<id>_backups`.
+ */
+
+import { saveToStorage, loadFromStorage, removeFromStorage } from './storage.js';
+import { clearBackups } from './backup.js';
+import { getAuditKey, clearAuditLog } from './audit-log.js';
+import { getQueueKey } from './collab-client.js';
+import { getAttachments, copyAttachmentFiles, pruneAttachmentFiles } from './attachments.js';
+import { STORAGE_KEY, BACKUP_KEY, createEmptyProjectData } from './unified-data.js';
+
+export const PROJECT_INDEX_KEY = 'projectIndex';
+export const DEFAULT_PROJECT_ID = 'default';
+
+/**
+ * Generate a unique project ID
+ * @returns {string}
+ */
+export function generateProjectId() {
+  return 'proj_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// ========== INDEX ==========
+
+/**
+ * Build the initial index, adopting any existing single-project data
+ * @returns {Object}
+ */
+function createInitialIndex() {
+  const legacy = loadFromStorage(STORAGE_KEY);
+  const now = new Date().toISOString();
+  return {
+    activeProjectId: DEFAULT_PROJECT_ID,
+    projects: [{
+      id: DEFAULT_PROJECT_ID,
+      name: legacy?.project?.title || 'My Project',
+      serverUrl: null,
+      serverRoom: null,
+      archived: false,
+      createdAt: now,
+      updatedAt: now
+    }]
+  };
+}
+
+/**
+ * Get the project index, creating it on first use
+ * @returns {Object} - { activeProjectId, projects }
+ */
+export function getProjectIndex() {
+  let index = loadFromStorage(PROJECT_INDEX_KEY);
+
+  if (!index || !Array.isArray(index.projects) || index.projects.length === 0) {
+    index = createInitialIndex();
+    saveToStorage(PROJECT_INDEX_KEY, index);
+  }
+
+  // Active project must exist and not be archived
+  const active = index.projects.find(p => p.id === index.activeProjectId && !p.archived);
+  if (!active) {
+    const fallback = index.projects.find(p => !p.archived) || index.projects[0];
+    fallback.archived = false;
+    index.activeProjectId = fallback.id;
+    saveToStorage(PROJECT_INDEX_KEY, index);
+  }
+
+  return index;
+}
+
+/**
+ * Persist the project index
+ * @param {Object} index - Project index
+ */
+function saveProjectIndex(index) {
+  saveToStorage(PROJECT_INDEX_KEY, index);
+}
+
+// ========== KEYS ==========
+
+/**
+ * Get the storage key for a project's data
+ * @param {string} projectId - Project ID
+ * @returns {string}
+ */
+export function getProjectStorageKey(projectId) {
+  return projectId === DEFAULT_PROJECT_ID ? STORAGE_KEY : 'project_' + projectId;
+}
+
+/**
+ * Get the storage key for a project's backups
+ * @param {string} projectId - Project ID
+ * @returns {string}
+ */
+export function getProjectBackupKey(projectId) {
+  return projectId === DEFAULT_PROJECT_ID ? BACKUP_KEY : 'project_' + projectId + '_backups';
+}
+
+/**
+ * Get the storage key of the active project
+ * @returns {string}
+ */
+export function getActiveStorageKey() {
+  return getProjectStorageKey(getActiveProjectId());
+}
+
+/**
+ * Get the backup key of the active project
+ * @returns {string}
+ */
+export function getActiveBackupKey() {
+  return getProjectBackupKey(getActiveProjectId());
+}
+
+// ========== QUERIES ==========
+
+/**
+ * List projects in the registry
+ * @param {Object} options - { includeArchived }
+ * @returns {Array}
+ */
+export function listProjects({ includeArchived = false } = {}) {
+  const { projects } = getProjectIndex();
+  return includeArchived ? projects : projects.filter(p => !p.archived);
+}
+
+/**
+ * Get a project entry by ID
+ * @param {string} projectId - Project ID
+ * @returns {Object|null}
+ */
+export function getProject(projectId) {
+  return getProjectIndex().projects.find(p => p.id === projectId) || null;
+}
+
+/**
+ * Get the ID of the active project
+ * @returns {string}
+ */
+export function getActiveProjectId() {
+  return getProjectIndex().activeProjectId;
+}
+
+/**
+ * Get the active project entry
+ * @returns {Object}
+ */
+export function getActiveProject() {
+  const index = getProjectIndex();
+  return index.projects.find(p => p.id === index.activeProjectId);
+}
+
+// ========== MUTATIONS ==========
+
+/**
+ * Make a project the active one
+ * @param {string} projectId - Project ID
+ * @returns {boolean} - Success
+ */
+export function setActiveProject(projectId) {
+  const index = getProjectIndex();
+  const project = index.projects.find(p => p.id === projectId);
+  if (!project || project.archived) return false;
+
+  index.activeProjectId = projectId;
+  saveProjectIndex(index);
+  return true;
+}
+
+/**
+ * Create a new project
+ * @param {string} name - Project name
+ * @param {Object} data - Initial project data (optional, defaults to an empty project)
+ * @returns {Object} - The new project entry
+ */
+export function createProject(name, data = null) {
+  const index = getProjectIndex();
+  const now = new Date().toISOString();
+  const project = {
+    id: generateProjectId(),
+    name: name.trim() || 'Untitled Project',
+    serverUrl: null,
+    serverRoom: null,
+    archived: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const projectData = data ? JSON.parse(JSON.stringify(data)) : createEmptyProjectData(project.name);
+  if (projectData.project) projectData.project.title = project.name;
+  saveToStorage(getProjectStorageKey(project.id), projectData);
+
+  index.projects.push(project);
+  saveProjectIndex(index);
+  return project;
+}
+
+/**
+ * Rename a project (also updates the stored project title)
+ * @param {string} projectId - Project ID
+ * @param {string} name - New name
+ * @returns {boolean} - Success
+ */
+export function renameProject(projectId, name) {
+  const index = getProjectIndex();
+  const project = index.projects.find(p => p.id === projectId);
+  if (!project || !name.trim()) return false;
+
+  project.name = name.trim();
+  project.updatedAt = new Date().toISOString();
+  saveProjectIndex(index);
+
+  const key = getProjectStorageKey(projectId);
+  const data = loadFromStorage(key);
+  if (data?.project) {
+    data.project.title = project.name;
+    saveToStorage(key, data);
+  }
+  return true;
+}
+
+/**
+ * Link a project to a collaboration server room, or unlink it
+ * @param {string} projectId - Project ID
+ * @param {string|null} serverUrl - Server base URL (null to disconnect)
+ * @param {string|null} serverRoom - Room ID (null to disconnect)
+ * @returns {boolean} - Success
+ */
+export function setProjectServer(projectId, serverUrl, serverRoom) {
+  const index = getProjectIndex();
+  const project = index.projects.find(p => p.id === projectId);
+  if (!project) return false;
+
+  project.serverUrl = serverUrl && serverRoom ? serverUrl : null;
+  project.serverRoom = serverUrl && serverRoom ? serverRoom : null;
+  project.updatedAt = new Date().toISOString();
+  saveProjectIndex(index);
+  return true;
+}
+
+/**
+ * Duplicate a project's data into a new project
+ * @param {string} projectId - Source project ID
+ * @param {string} name - Name for the copy (optional)
+ * @returns {Object|null} - The new project entry
+ */
+export function duplicateProject(projectId, name) {
+  const source = getProject(projectId);
+  if (!source) return null;
+
+  const data = loadFromStorage(getProjectStorageKey(projectId));
+  const project = createProject(name || source.name + ' (copy)', data);
+
+  // Attachment files are stored per project; copy them in the background
+  const attachmentIds = getAttachments(data).map(a => a.id);
+  if (attachmentIds.length > 0) {
+    copyAttachmentFiles(getProjectStorageKey(projectId), getProjectStorageKey(project.id), attachmentIds)
+      .catch(e => console.error('Failed to copy attachments:', e));
+  }
+  return project;
+}
+
+/**
+ * Archive or unarchive a project. The active project cannot be archived
+ * while it is the only visible one.
+ * @param {string} projectId - Project ID
+ * @param {boolean} archived - Archive state
+ * @returns {boolean} - Success
+ */
+export function archiveProject(projectId, archived = true) {
+  const index = getProjectIndex();
+  const project = index.projects.find(p => p.id === projectId);
+  if (!project) return false;
+
+  if (archived) {
+    const others = index.projects.filter(p => p.id !== projectId && !p.archived);
+    if (others.length === 0) return false;
+    if (index.activeProjectId === projectId) {
+      index.activeProjectId = others[0].id;
+    }
+  }
+
+  project.archived = archived;
+  project.updatedAt = new Date().toISOString();
+  saveProjectIndex(index);
+  return true;
+}
+
+/**
+ * Delete a project with its data and backups. The last project cannot be deleted.
+ * @param {string} projectId - Project ID
+ * @returns {boolean} - Success
+ */
+export function deleteProject(projectId) {
+  const index = getProjectIndex();
+  if (index.projects.length <= 1) return false;
+
+  const idx = index.projects.findIndex(p => p.id === projectId);
+  if (idx === -1) return false;
+
+  index.projects.splice(idx, 1);
+  if (index.activeProjectId === projectId) {
+    const next = index.projects.find(p => !p.archived) || index.projects[0];
+    next.archived = false;
+    index.activeProjectId = next.id;
+  }
+  saveProjectIndex(index);
+
+  removeFromStorage(getProjectStorageKey(projectId));
+  clearAuditLog(getAuditKey(getProjectStorageKey(projectId)));
+  removeFromStorage(getQueueKey(getProjectStorageKey(projectId)));
+  removeFromStorage(getProjectStorageKey(projectId) + '_gantt_view');
+  clearBackups(getProjectBackupKey(projectId));
+  pruneAttachmentFiles(getProjectStorageKey(projectId), [], { immediate: true })
+    .catch(e => console.error('Failed to delete attachments:', e));
+  return true;
+}
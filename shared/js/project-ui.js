@@ -0,0 +1,337 @@
+/**
+ * Project UI Module - Project management modal
+ * Lists local projects and provides create, rename, duplicate,
+ * archive and delete actions. Switching projects reloads the page so
+ * each tool's loadData() opens the newly selected project.
+ *
+ * New projects are set up in the template wizard (templates-ui.js), and
+ * any project can be saved as a template for later projects.
+ *
+ * The open project can also be linked to a collaboration server room
+ * (see server/ and collab-client.js); linking reloads the page as well.
+ */
+
+import {
+  PROJECT_INDEX_KEY,
+  listProjects,
+  getProject,
+  getActiveProjectId,
+  getProjectStorageKey,
+  setActiveProject,
+  createProject,
+  renameProject,
+  duplicateProject,
+  archiveProject,
+  deleteProject,
+  setProjectServer
+} from './project-manager.js';
+import { loadFromStorage } from './storage.js';
+import { saveProjectAsTemplate } from './templates.js';
+import { openProjectWizard } from './templates-ui.js';
+
+const MODAL_ID = 'projectManagerModal';
+const DEFAULT_SERVER_URL = 'http://localhost:3000';
+
+// Project the page was loaded with - tools keep writing to its keys
+const loadedProjectId = getActiveProjectId();
+
+let showArchived = false;
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Switch to another project and reload the current tool
+ * @param {string} projectId - Project ID
+ */
+export function switchProject(projectId) {
+  if (projectId === loadedProjectId) return;
+  if (setActiveProject(projectId)) {
+    window.location.reload();
+  }
+}
+
+/**
+ * Open the project manager modal
+ */
+export function openProjectManager() {
+  const modal = ensureModal();
+  renderProjectList();
+  renderCollaboration();
+  modal.classList.add('active');
+  modal.querySelector('#projectNewName').focus();
+}
+
+/**
+ * Close the project manager modal
+ */
+export function closeProjectManager() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay project-modal';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2>Projects</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <div class="form-group">
+        <label class="form-label">New Project</label>
+        <div class="project-create">
+          <input type="text" class="form-input" id="projectNewName" placeholder="Project name...">
+          <button class="btn btn--primary" data-action="create">Create...</button>
+        </div>
+      </div>
+      <div class="project-list" id="projectList"></div>
+      <label class="project-archived-toggle">
+        <input type="checkbox" id="projectShowArchived"> Show archived
+      </label>
+      <div class="project-collab" id="projectCollab"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeProjectManager();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (button) handleAction(button.dataset.action, button.dataset.projectId);
+  });
+
+  modal.querySelector('#projectNewName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleAction('create');
+  });
+
+  modal.querySelector('#projectShowArchived').addEventListener('change', (e) => {
+    showArchived = e.target.checked;
+    renderProjectList();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeProjectManager();
+  });
+
+  return modal;
+}
+
+/**
+ * Render the list of projects into the modal
+ */
+function renderProjectList() {
+  const list = document.getElementById('projectList');
+  if (!list) return;
+
+  const projects = listProjects({ includeArchived: showArchived });
+
+  list.innerHTML = projects.map(project => {
+    const isActive = project.id === loadedProjectId;
+    const classes = ['project-row'];
+    if (isActive) classes.push('project-row--active');
+    if (project.archived) classes.push('project-row--archived');
+
+    const openButton = !isActive && !project.archived
+      ? `<button class="btn btn--ghost" data-action="open" data-project-id="${project.id}">Open</button>`
+      : '';
+    const archiveButton = project.archived
+      ? `<button class="btn btn--ghost" data-action="unarchive" data-project-id="${project.id}">Unarchive</button>`
+      : `<button class="btn btn--ghost" data-action="archive" data-project-id="${project.id}">Archive</button>`;
+
+    return `
+      <div class="${classes.join(' ')}">
+        <span class="project-row__name">${escapeHtml(project.name)}</span>
+        ${isActive ? '<span class="project-row__badge">Current</span>' : ''}
+        ${project.archived ? '<span class="project-row__badge">Archived</span>' : ''}
+        <div class="project-row__actions">
+          ${openButton}
+          <button class="btn btn--ghost" data-action="rename" data-project-id="${project.id}">Rename</button>
+          <button class="btn btn--ghost" data-action="duplicate" data-project-id="${project.id}">Duplicate</button>
+          <button class="btn btn--ghost" data-action="save-template" data-project-id="${project.id}" title="Save structure as a template">Template</button>
+          ${archiveButton}
+          <button class="btn-delete" data-action="delete" data-project-id="${project.id}" title="Delete project">&times;</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the collaboration settings of the open project
+ */
+function renderCollaboration() {
+  const container = document.getElementById('projectCollab');
+  if (!container) return;
+
+  const project = getProject(loadedProjectId);
+  if (!project) {
+    container.innerHTML = '';
+    return;
+  }
+
+  if (project.serverUrl && project.serverRoom) {
+    container.innerHTML = `
+      <label class="form-label">Collaboration</label>
+      <p class="project-collab__status">
+        Linked to room <strong>${escapeHtml(project.serverRoom)}</strong>
+        on ${escapeHtml(project.serverUrl)}
+      </p>
+      <button class="btn btn--ghost" data-action="disconnect">Disconnect</button>
+    `;
+    return;
+  }
+
+  container.innerHTML = `
+    <label class="form-label">Collaboration</label>
+    <p class="project-collab__status">
+      Link this project to a server room to edit it together with others.
+      The first person to join an empty room uploads their copy.
+    </p>
+    <div class="project-collab__fields">
+      <input type="text" class="form-input" id="projectServerUrl" placeholder="Server URL" value="${escapeHtml(DEFAULT_SERVER_URL)}">
+      <input type="text" class="form-input" id="projectServerRoom" placeholder="Room" value="${escapeHtml(project.id)}">
+      <button class="btn btn--primary" data-action="connect">Connect</button>
+    </div>
+  `;
+}
+
+/**
+ * Handle a modal action
+ * @param {string} action - Action name
+ * @param {string} projectId - Target project ID
+ */
+function handleAction(action, projectId) {
+  const isLoaded = projectId === loadedProjectId;
+
+  switch (action) {
+    case 'close':
+      closeProjectManager();
+      return;
+
+    case 'create': {
+      const input = document.getElementById('projectNewName');
+      openProjectWizard({
+        name: input.value.trim(),
+        onCreate: (name, data) => {
+          const project = createProject(name, data);
+          switchProject(project.id);
+        }
+      });
+      return;
+    }
+
+    case 'open':
+      switchProject(projectId);
+      return;
+
+    case 'rename': {
+      const project = listProjects({ includeArchived: true }).find(p => p.id === projectId);
+      const name = prompt('Project name:', project?.name || '');
+      if (!name || !renameProject(projectId, name)) return;
+      if (isLoaded) {
+        window.location.reload();
+        return;
+      }
+      break;
+    }
+
+    case 'duplicate':
+      duplicateProject(projectId);
+      break;
+
+    case 'save-template': {
+      const project = listProjects({ includeArchived: true }).find(p => p.id === projectId);
+      const data = loadFromStorage(getProjectStorageKey(projectId));
+      if (!data) {
+        alert('This project has no saved data yet.');
+        return;
+      }
+      const name = prompt('Template name:', project?.name || '');
+      if (!name || !name.trim()) return;
+      const template = saveProjectAsTemplate(data, name);
+      alert(`Saved "${template.name}". It is offered when you create a new project.`);
+      return;
+    }
+
+    case 'archive':
+      if (!archiveProject(projectId, true)) {
+        alert('At least one project must remain active.');
+        return;
+      }
+      if (isLoaded) {
+        window.location.reload();
+        return;
+      }
+      break;
+
+    case 'unarchive':
+      archiveProject(projectId, false);
+      break;
+
+    case 'connect': {
+      const serverUrl = document.getElementById('projectServerUrl').value.trim();
+      const room = document.getElementById('projectServerRoom').value.trim();
+      if (!serverUrl || !/^[A-Za-z0-9_-]{1,64}$/.test(room)) {
+        alert('Enter a server URL and a room name (letters, numbers, - and _ only).');
+        return;
+      }
+      setProjectServer(loadedProjectId, serverUrl, room);
+      window.location.reload();
+      return;
+    }
+
+    case 'disconnect':
+      setProjectServer(loadedProjectId, null, null);
+      window.location.reload();
+      return;
+
+    case 'delete': {
+      const project = listProjects({ includeArchived: true }).find(p => p.id === projectId);
+      if (!confirm(`Delete "${project?.name}" and all of its backups? This cannot be undone.`)) return;
+      if (!deleteProject(projectId)) {
+        alert('The last remaining project cannot be deleted.');
+        return;
+      }
+      if (isLoaded) {
+        window.location.reload();
+        return;
+      }
+      break;
+    }
+  }
+
+  renderProjectList();
+}
+
+/**
+ * Reload when another tab removes or archives the project this page has open
+ */
+export function setupProjectIndexSync() {
+  window.addEventListener('storage', (e) => {
+    if (e.key !== PROJECT_INDEX_KEY) return;
+    const stillOpen = listProjects().some(p => p.id === loadedProjectId);
+    if (!stillOpen) {
+      window.location.reload();
+    } else {
+      renderProjectList();
+    }
+  });
+}
@@ -0,0 +1,216 @@
+/**
+ * Recurrence UI Module - Repeat editor and recurrence badges
+ * Renders the "Repeat" section of task editors and applies it with
+ * recurrence.js. For a task that already belongs to a series, the editor
+ * asks whether changes apply to this task only or to the whole series.
+ */
+
+import {
+  WEEKDAY_NAMES,
+  isRecurring,
+  getSeriesTasks,
+  normalizeRule,
+  isSameRule,
+  describeRule,
+  createSeries,
+  updateSeriesRule,
+  applyToSeries,
+  endSeries
+} from './recurrence.js';
+import { addDays, formatDate } from './schedule.js';
+
+// Interval choices offered in the frequency select (weeks)
+const INTERVALS = [1, 2, 3, 4];
+
+// Weekdays in Monday-first display order
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Get the first day of a task's first planned week
+ */
+function getDefaultStartDate(projectData, task) {
+  const start = projectData.project?.startDate || formatDate(new Date());
+  const week = (task.planned || [])[0];
+  return week ? addDays(start, (week - 1) * 7) : start;
+}
+
+// ========== BADGE ==========
+
+/**
+ * Render a badge for recurring tasks with the occurrence date
+ * @param {Object} task - Task
+ * @param {Object} options - { compact } renders only the icon
+ * @returns {string} - HTML ('' for tasks that do not repeat)
+ */
+export function renderRecurrenceBadge(task, { compact = false } = {}) {
+  if (!isRecurring(task)) return '';
+  const date = new Date(task.recurrence.date + 'T00:00:00')
+    .toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const title = escapeHtml(`${describeRule(task.recurrence.rule)} (${date})`);
+  return compact
+    ? `<span class="recurrence-icon" title="${title}">↻</span>`
+    : `<span class="recurrence-badge" title="${title}">↻ ${date}</span>`;
+}
+
+// ========== EDITOR ==========
+
+/**
+ * Render the repeat editor for a task
+ * @param {HTMLElement} container - Element to fill
+ * @param {Object} projectData - Project data
+ * @param {Object} task - Task being edited
+ * @param {Object} options - { disabled, compact } compact uses popover markup
+ */
+export function renderRecurrenceEditor(container, projectData, task, { disabled = false, compact = false } = {}) {
+  if (!container) return;
+
+  const inSeries = isRecurring(task);
+  const rule = inSeries
+    ? normalizeRule(task.recurrence.rule)
+    : normalizeRule({ startDate: getDefaultStartDate(projectData, task) });
+  const ends = rule.until ? 'until' : (rule.count ? 'count' : 'never');
+  const inputClass = compact ? '' : 'form-input';
+  const labelClass = compact ? '' : ' class="form-label"';
+
+  let seriesInfo = '';
+  if (inSeries) {
+    const series = getSeriesTasks(projectData.tasks, task.recurrence.seriesId);
+    const position = series.findIndex(t => t.id === task.id) + 1;
+    seriesInfo = `
+      <p class="recurrence-summary">${escapeHtml(describeRule(rule))} · occurrence ${position} of ${series.length}</p>
+      <div class="recurrence-scope">
+        <label><input type="radio" name="recurrenceScope" value="this" checked${disabled ? ' disabled' : ''}> This task only</label>
+        <label><input type="radio" name="recurrenceScope" value="series"${disabled ? ' disabled' : ''}> All open tasks in the series</label>
+      </div>
+    `;
+  }
+
+  container.innerHTML = `
+    <label${labelClass}>Repeat</label>
+    ${seriesInfo}
+    <div class="recurrence-rule">
+      <select class="${inputClass}" data-role="interval">
+        <option value="">Does not repeat</option>
+        ${INTERVALS.map(n => `
+          <option value="${n}"${inSeries && rule.interval === n ? ' selected' : ''}>${n === 1 ? 'Every week' : `Every ${n} weeks`}</option>
+        `).join('')}
+      </select>
+      <div class="recurrence-details">
+        <div class="recurrence-weekdays">
+          ${WEEKDAY_ORDER.map(day => `
+            <label class="recurrence-weekday">
+              <input type="checkbox" value="${day}"${rule.weekdays.includes(day) ? ' checked' : ''}>
+              ${WEEKDAY_NAMES[day]}
+            </label>
+          `).join('')}
+        </div>
+        <div class="recurrence-row">
+          <span>Starts</span>
+          <input type="date" class="${inputClass}" data-role="start" value="${rule.startDate}"${projectData.project?.startDate ? ` min="${projectData.project.startDate}"` : ''}>
+        </div>
+        <div class="recurrence-row">
+          <span>Ends</span>
+          <select class="${inputClass}" data-role="ends">
+            <option value="never"${ends === 'never' ? ' selected' : ''}>With the project</option>
+            <option value="until"${ends === 'until' ? ' selected' : ''}>On date</option>
+            <option value="count"${ends === 'count' ? ' selected' : ''}>After</option>
+          </select>
+          <input type="date" class="${inputClass}" data-role="until" value="${rule.until || ''}">
+          <input type="number" class="${inputClass}" data-role="count" min="1" value="${rule.count || ''}" placeholder="times">
+        </div>
+      </div>
+    </div>
+  `;
+
+  const interval = container.querySelector('[data-role="interval"]');
+  // Keep an interval that is not one of the presets
+  if (inSeries && !INTERVALS.includes(rule.interval)) {
+    interval.insertAdjacentHTML('beforeend', `<option value="${rule.interval}" selected>Every ${rule.interval} weeks</option>`);
+  }
+
+  const update = () => updateEditorState(container, disabled);
+  container.oninput = update;
+  container.onchange = update;
+  update();
+}
+
+/**
+ * Show and enable the editor parts that apply to the current choices
+ */
+function updateEditorState(container, disabled) {
+  const scope = container.querySelector('input[name="recurrenceScope"]:checked');
+  const ruleLocked = disabled || (scope && scope.value === 'this');
+  const repeats = container.querySelector('[data-role="interval"]').value !== '';
+  const ends = container.querySelector('[data-role="ends"]').value;
+
+  container.querySelectorAll('.recurrence-rule select, .recurrence-rule input').forEach(input => {
+    input.disabled = ruleLocked;
+  });
+  container.querySelector('.recurrence-details').style.display = repeats ? '' : 'none';
+  container.querySelector('[data-role="until"]').style.display = ends === 'until' ? '' : 'none';
+  container.querySelector('[data-role="count"]').style.display = ends === 'count' ? '' : 'none';
+}
+
+/**
+ * Read the rule from the editor
+ * @returns {Object|null} - Rule, or null for "Does not repeat"
+ */
+function readRule(container) {
+  const interval = container.querySelector('[data-role="interval"]').value;
+  const startDate = container.querySelector('[data-role="start"]').value;
+  if (!interval || !startDate) return null;
+
+  const ends = container.querySelector('[data-role="ends"]').value;
+  return normalizeRule({
+    interval,
+    weekdays: [...container.querySelectorAll('.recurrence-weekdays input:checked')].map(box => box.value),
+    startDate,
+    until: ends === 'until' ? container.querySelector('[data-role="until"]').value : null,
+    count: ends === 'count' ? container.querySelector('[data-role="count"]').value : null
+  });
+}
+
+/**
+ * Apply the repeat editor to a task (call after the task's own fields
+ * were saved, so series-wide changes copy the new values)
+ * @param {HTMLElement} container - Element passed to renderRecurrenceEditor()
+ * @param {Object} projectData - Project data
+ * @param {Object} task - Edited task
+ * @returns {string|null} - Status message describing series changes
+ */
+export function applyRecurrenceEditor(container, projectData, task) {
+  if (!container || !container.querySelector('[data-role="interval"]')) return null;
+
+  const rule = readRule(container);
+
+  if (!isRecurring(task)) {
+    if (!rule) return null;
+    const created = createSeries(projectData, task.id, rule);
+    return `Repeating task created with ${created + 1} occurrence(s)`;
+  }
+
+  const scope = container.querySelector('input[name="recurrenceScope"]:checked')?.value || 'this';
+  if (scope === 'this') return null;
+
+  if (!rule) {
+    const removed = endSeries(projectData, task.id);
+    return `Series ended${removed > 0 ? `, ${removed} upcoming occurrence(s) removed` : ''}`;
+  }
+
+  const updated = applyToSeries(projectData, task.id);
+  if (isSameRule(rule, task.recurrence.rule)) {
+    return `Series updated (${updated + 1} task(s))`;
+  }
+
+  const { created, removed } = updateSeriesRule(projectData, task.recurrence.seriesId, rule, task.id);
+  return `Series updated: ${created} added, ${removed} removed`;
+}
@@ -0,0 +1,347 @@
+/**
+ * Recurrence Module - Recurring tasks and chores
+ * A recurring task is a series of ordinary tasks, one per occurrence.
+ * Every instance carries the series rule in task.recurrence, so each one
+ * can be edited, moved through the board or deleted on its own.
+ *
+ * task.recurrence shape:
+ *   { seriesId, date, rule: { interval, weekdays, startDate, until, count } }
+ *
+ * - interval: repeat every N weeks
+ * - weekdays: days of the week (0 = Sunday ... 6 = Saturday)
+ * - startDate: first day the series may occur (YYYY-MM-DD)
+ * - until / count: optional end date or number of occurrences
+ *
+ * Instances are planned in the Gantt week of their date and start in the
+ * Kanban backlog. Occurrences outside the project timeline are not created.
+ * Dates use the UTC day math of schedule.js, so an occurrence lands in the
+ * same week the scheduler computes for its date.
+ */
+
+import { generateTaskId } from './unified-data.js';
+import { removeTaskComments } from './comments.js';
+import { removeTaskAttachments } from './attachments.js';
+import { copyChecklist } from './checklists.js';
+import { pruneDependencyLinks } from './dependency-links.js';
+import { parseDate, addDays, getWeekOfDate } from './schedule.js';
+
+// Safety limit for series without an end
+const MAX_OCCURRENCES = 200;
+
+// Fields copied from the edited instance when a change applies to the series
+export const SERIES_FIELDS = [
+  'name',
+  'category',
+  'storyPoints',
+  'assignee',
+  'priority',
+  'notes',
+  'labels',
+  'customFields',
+  'epicId'
+];
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Generate a unique series ID
+ * @returns {string} - Unique ID
+ */
+export function generateSeriesId() {
+  return 'series_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+/**
+ * Check whether a task belongs to a series
+ * @param {Object} task - Task
+ * @returns {boolean}
+ */
+export function isRecurring(task) {
+  return Boolean(task?.recurrence?.seriesId);
+}
+
+/**
+ * Get the instances of a series, in date order
+ * @param {Array} tasks - All tasks
+ * @param {string} seriesId - Series ID
+ * @returns {Array} - Tasks
+ */
+export function getSeriesTasks(tasks, seriesId) {
+  return tasks
+    .filter(t => t.recurrence?.seriesId === seriesId)
+    .sort((a, b) => (a.recurrence.date || '').localeCompare(b.recurrence.date || ''));
+}
+
+/**
+ * Clean up a rule from user input
+ * @param {Object} rule - Raw rule
+ * @returns {Object} - { interval, weekdays, startDate, until, count }
+ */
+export function normalizeRule(rule) {
+  const weekdays = [...new Set((rule.weekdays || []).map(Number))]
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort((a, b) => a - b);
+
+  return {
+    interval: Math.max(1, parseInt(rule.interval) || 1),
+    weekdays: weekdays.length > 0 ? weekdays : [parseDate(rule.startDate).getUTCDay()],
+    startDate: rule.startDate,
+    until: rule.until || null,
+    count: parseInt(rule.count) > 0 ? parseInt(rule.count) : null
+  };
+}
+
+/**
+ * Check whether two rules produce the same occurrences
+ * @returns {boolean}
+ */
+export function isSameRule(a, b) {
+  return JSON.stringify(normalizeRule(a)) === JSON.stringify(normalizeRule(b));
+}
+
+/**
+ * Describe a rule in words ("Every 2 weeks on Mon, Thu until Jun 30")
+ * @param {Object} rule - Rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const { interval, weekdays, until, count } = normalizeRule(rule);
+  let text = interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+  text += ` on ${weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+  if (until) {
+    text += ` until ${parseDate(until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+  } else if (count) {
+    text += `, ${count} times`;
+  }
+  return text;
+}
+
+/**
+ * Get the last day of the project timeline
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function getProjectEndDate(project) {
+  if (!project?.startDate || !project.totalWeeks) return null;
+  return addDays(project.startDate, project.totalWeeks * 7 - 1);
+}
+
+/**
+ * List the occurrence dates of a rule
+ * Weeks are counted from the Monday of the start date's week. Dates
+ * outside the project timeline are left out, as their tasks would have no
+ * Gantt week.
+ * @param {Object} rule - Rule
+ * @param {Object} project - Project (its timeline bounds the series)
+ * @returns {Array} - YYYY-MM-DD dates
+ */
+export function getOccurrenceDates(rule, project) {
+  const { interval, weekdays, startDate, until, count } = normalizeRule(rule);
+  const projectStart = project?.startDate || null;
+  const projectEnd = getProjectEndDate(project);
+  const limit = count || MAX_OCCURRENCES;
+  const dates = [];
+
+  const weekStart = addDays(startDate, -((parseDate(startDate).getUTCDay() + 6) % 7));
+
+  // Weekdays in Monday-first order so dates come out sorted
+  const offsets = weekdays.map(day => (day + 6) % 7).sort((a, b) => a - b);
+
+  for (let cycle = 0; dates.length < limit; cycle++) {
+    for (const offset of offsets) {
+      const iso = addDays(weekStart, cycle * interval * 7 + offset);
+
+      if (iso < startDate || (projectStart && iso < projectStart)) continue;
+      if ((until && iso > until) || (projectEnd && iso > projectEnd)) return dates;
+
+      dates.push(iso);
+      if (dates.length >= limit) return dates;
+    }
+
+    // Without an end date or project timeline, stop at the safety limit
+    if (!until && !projectEnd && cycle >= MAX_OCCURRENCES) break;
+  }
+
+  return dates;
+}
+
+// ========== SERIES EDITING ==========
+
+/**
+ * Check whether an instance has not been started yet
+ */
+function isUntouched(task) {
+  return (task.reality || []).length === 0 && (task.board?.columnId || 'backlog') === 'backlog';
+}
+
+/**
+ * Create an instance of a series from a source task
+ */
+function createInstance(projectData, source, recurrence) {
+  const backlogTasks = projectData.tasks.filter(t => t.board?.columnId === 'backlog');
+  const copy = JSON.parse(JSON.stringify(source));
+
+  return {
+    ...copy,
+    id: generateTaskId(),
+    planned: [getWeekOfDate(projectData.project, recurrence.date)],
+    startDate: recurrence.date,
+    endDate: recurrence.date,
+    reality: [],
+    isMilestone: false,
+    sprintId: null,
+    dependencies: [],
+    dependencyLinks: {},
+    milestoneDependencies: [],
+    checklist: copyChecklist(copy.checklist),
+    recurrence,
+    board: {
+      columnId: 'backlog',
+      position: backlogTasks.length
+    }
+  };
+}
+
+/**
+ * Insert instances after the last task of their series
+ */
+function insertInstances(projectData, seriesId, instances) {
+  if (instances.length === 0) return;
+  const lastIndex = projectData.tasks.reduce(
+    (last, t, index) => (t.recurrence?.seriesId === seriesId ? index : last), -1
+  );
+  projectData.tasks.splice(lastIndex + 1, 0, ...instances);
+}
+
+/**
+ * Turn a task into the first instance of a new series and create the rest
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task to repeat
+ * @param {Object} rule - Rule
+ * @returns {number} - Number of instances created (excluding the task)
+ */
+export function createSeries(projectData, taskId, rule) {
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!task) return 0;
+
+  const normalized = normalizeRule(rule);
+  const dates = getOccurrenceDates(normalized, projectData.project);
+  if (dates.length === 0) return 0;
+
+  const seriesId = generateSeriesId();
+  task.recurrence = { seriesId, date: dates[0], rule: normalized };
+  task.planned = [getWeekOfDate(projectData.project, dates[0])];
+  task.startDate = dates[0];
+  task.endDate = dates[0];
+
+  const instances = dates.slice(1).map(date =>
+    createInstance(projectData, task, { seriesId, date, rule: normalized })
+  );
+  insertInstances(projectData, seriesId, instances);
+
+  return instances.length;
+}
+
+/**
+ * Change the rule of a series
+ * Instances on dates the new rule keeps stay as they are; untouched
+ * instances on dropped dates are removed and missing dates are created.
+ * Started or finished instances and the edited instance are never removed.
+ * @param {Object} projectData - Project data
+ * @param {string} seriesId - Series ID
+ * @param {Object} rule - New rule
+ * @param {string} sourceTaskId - Edited instance; new instances copy it
+ * @returns {Object} - { created, removed }
+ */
+export function updateSeriesRule(projectData, seriesId, rule, sourceTaskId = null) {
+  const series = getSeriesTasks(projectData.tasks, seriesId);
+  if (series.length === 0) return { created: 0, removed: 0 };
+
+  const normalized = normalizeRule(rule);
+  const dates = getOccurrenceDates(normalized, projectData.project);
+  const keepDates = new Set(dates);
+
+  const removed = series.filter(t =>
+    t.id !== sourceTaskId && !keepDates.has(t.recurrence.date) && isUntouched(t)
+  );
+  const removedIds = new Set(removed.map(t => t.id));
+  const kept = series.filter(t => !removedIds.has(t.id));
+  kept.forEach(t => {
+    t.recurrence.rule = normalized;
+  });
+
+  const source = kept.find(t => t.id === sourceTaskId) || kept[0];
+  const existingDates = new Set(kept.map(t => t.recurrence.date));
+  const instances = dates
+    .filter(date => !existingDates.has(date))
+    .map(date => createInstance(projectData, source, { seriesId, date, rule: normalized }));
+
+  insertInstances(projectData, seriesId, instances);
+  removeTasks(projectData, removedIds);
+
+  return { created: instances.length, removed: removed.length };
+}
+
+/**
+ * Copy the series fields of an instance to the other open instances
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Edited instance
+ * @returns {number} - Number of instances updated
+ */
+export function applyToSeries(projectData, taskId) {
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!isRecurring(task)) return 0;
+
+  const others = getSeriesTasks(projectData.tasks, task.recurrence.seriesId)
+    .filter(t => t.id !== taskId && t.board?.columnId !== 'done');
+
+  others.forEach(other => {
+    SERIES_FIELDS.forEach(field => {
+      if (task[field] === undefined) return;
+      other[field] = JSON.parse(JSON.stringify(task[field]));
+    });
+    other.parentId = task.parentId || null;
+  });
+
+  return others.length;
+}
+
+/**
+ * End a series at an instance
+ * Untouched instances dated after it are removed and the remaining
+ * instances become ordinary tasks.
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Instance to end the series at
+ * @returns {number} - Number of instances removed
+ */
+export function endSeries(projectData, taskId) {
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!isRecurring(task)) return 0;
+
+  const series = getSeriesTasks(projectData.tasks, task.recurrence.seriesId);
+  const removedIds = new Set(series
+    .filter(t => t.recurrence.date > task.recurrence.date && isUntouched(t))
+    .map(t => t.id));
+
+  series.forEach(t => {
+    if (!removedIds.has(t.id)) t.recurrence = null;
+  });
+  removeTasks(projectData, removedIds);
+
+  return removedIds.size;
+}
+
+/**
+ * Remove tasks and references to them
+ */
+function removeTasks(projectData, ids) {
+  if (ids.size === 0) return;
+  projectData.tasks = projectData.tasks.filter(t => !ids.has(t.id));
+  removeTaskComments(projectData, [...ids]);
+  removeTaskAttachments(projectData, [...ids]);
+  projectData.tasks.forEach(t => {
+    if (ids.has(t.parentId)) t.parentId = null;
+    if (Array.isArray(t.dependencies)) t.dependencies = t.dependencies.filter(id => !ids.has(id));
+    pruneDependencyLinks(t);
+  });
+}
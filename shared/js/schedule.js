@@ -0,0 +1,257 @@
+/**
+ * Schedule Module - Day-level task dates
+ * task.startDate / task.endDate hold the planned span of a task as
+ * YYYY-MM-DD dates. task.planned keeps the week numbers of that span (every
+ * week with at least one work day in it), so tools that work in weeks keep
+ * reading task.planned unchanged.
+ *
+ * Dates are handled in UTC to stay clear of time zone and DST shifts.
+ * Day 0 is the project start date; week N covers days (N-1)*7 to N*7-1.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mon-Fri (0=Sun, 6=Sat), as in calendarSettings
+export const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+/**
+ * Parse a YYYY-MM-DD date as UTC midnight
+ * @param {string} dateStr - Date string
+ * @returns {Date}
+ */
+export function parseDate(dateStr) {
+  return new Date(`${dateStr.slice(0, 10)}T00:00:00Z`);
+}
+
+/**
+ * Format a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateStr - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export function addDays(dateStr, days) {
+  return formatDate(new Date(parseDate(dateStr).getTime() + days * DAY_MS));
+}
+
+/**
+ * Get the work days of a project
+ * @param {Object} projectData - Project data
+ * @returns {Array} - Weekday numbers (0=Sun, 6=Sat)
+ */
+export function getWorkDays(projectData) {
+  const workDays = projectData?.calendarSettings?.workDays;
+  return Array.isArray(workDays) && workDays.length > 0 ? workDays : DEFAULT_WORK_DAYS;
+}
+
+/**
+ * Check whether a date is a work day
+ * @param {string} dateStr - Date string
+ * @param {Array} workDays - Weekday numbers
+ * @returns {boolean}
+ */
+export function isWorkDay(dateStr, workDays = DEFAULT_WORK_DAYS) {
+  return workDays.includes(parseDate(dateStr).getUTCDay());
+}
+
+/**
+ * Number of days the project timeline shows (whole weeks)
+ * @param {Object} project - Project with totalWeeks
+ * @returns {number}
+ */
+export function getTotalDays(project) {
+  return (project.totalWeeks || 0) * 7;
+}
+
+/**
+ * Get the date of a day of the timeline
+ * @param {Object} project - Project with startDate
+ * @param {number} dayIndex - Day index (0 = project start)
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getDateOfDay(project, dayIndex) {
+  return addDays(project.startDate, dayIndex);
+}
+
+/**
+ * Get the timeline day index of a date
+ * @param {Object} project - Project with startDate
+ * @param {string} dateStr - Date string
+ * @returns {number} - Day index (negative before the project start)
+ */
+export function getDayIndex(project, dateStr) {
+  return Math.round((parseDate(dateStr) - parseDate(project.startDate)) / DAY_MS);
+}
+
+/**
+ * Get the week number a date falls in
+ * @param {Object} project - Project with startDate
+ * @param {string} dateStr - Date string
+ * @returns {number} - Week number (1-based)
+ */
+export function getWeekOfDate(project, dateStr) {
+  return Math.floor(getDayIndex(project, dateStr) / 7) + 1;
+}
+
+/**
+ * Get today's timeline day index, or null outside the timeline
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @returns {number|null}
+ */
+export function getTodayIndex(project) {
+  const index = getDayIndex(project, formatDate(new Date()));
+  return index >= 0 && index < getTotalDays(project) ? index : null;
+}
+
+/**
+ * Count the work days of a span
+ * @param {string} startDate - First day
+ * @param {string} endDate - Last day
+ * @param {Array} workDays - Weekday numbers
+ * @returns {number}
+ */
+export function countWorkDays(startDate, endDate, workDays = DEFAULT_WORK_DAYS) {
+  let count = 0;
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    if (isWorkDay(date, workDays)) count++;
+  }
+  return count;
+}
+
+/**
+ * Get the weeks of a span that contain at least one work day
+ * Weeks outside the project timeline are left out.
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @param {string} startDate - First day
+ * @param {string} endDate - Last day
+ * @param {Array} workDays - Weekday numbers
+ * @returns {Array} - Sorted week numbers
+ */
+export function getWeeksOfSpan(project, startDate, endDate, workDays = DEFAULT_WORK_DAYS) {
+  const weeks = new Set();
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const week = getWeekOfDate(project, date);
+    if (week >= 1 && week <= project.totalWeeks && isWorkDay(date, workDays)) weeks.add(week);
+  }
+  return [...weeks].sort((a, b) => a - b);
+}
+
+/**
+ * Get the span of a set of weeks, from the first work day of the first
+ * week to the last work day of the last week
+ * @param {Object} project - Project with startDate
+ * @param {Array} weeks - Week numbers
+ * @param {Array} workDays - Weekday numbers
+ * @returns {Object|null} - { startDate, endDate } or null without weeks
+ */
+export function getSpanOfWeeks(project, weeks, workDays = DEFAULT_WORK_DAYS) {
+  if (!weeks || weeks.length === 0) return null;
+  const firstDay = (Math.min(...weeks) - 1) * 7;
+  const lastDay = Math.max(...weeks) * 7 - 1;
+
+  let start = firstDay;
+  while (start < firstDay + 6 && !isWorkDay(getDateOfDay(project, start), workDays)) start++;
+  let end = lastDay;
+  while (end > lastDay - 6 && !isWorkDay(getDateOfDay(project, end), workDays)) end--;
+
+  return { startDate: getDateOfDay(project, start), endDate: getDateOfDay(project, end) };
+}
+
+/**
+ * Get the planned span of a task
+ * The stored dates are used while they still match the task's planned
+ * weeks; after week-level edits (e.g. from another tool) the span is
+ * derived from the weeks instead.
+ * @param {Object} task - Task
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @param {Array} workDays - Weekday numbers
+ * @returns {Object|null} - { startDate, endDate } or null when unscheduled
+ */
+export function getTaskSpan(task, project, workDays = DEFAULT_WORK_DAYS) {
+  const planned = task.planned || [];
+  if (planned.length === 0) return null;
+
+  if (task.startDate && task.endDate && task.startDate <= task.endDate) {
+    const weeks = getWeeksOfSpan(project, task.startDate, task.endDate, workDays);
+    if (weeks.length > 0 && weeks[0] === Math.min(...planned) && weeks[weeks.length - 1] === Math.max(...planned)) {
+      return { startDate: task.startDate, endDate: task.endDate };
+    }
+  }
+
+  return getSpanOfWeeks(project, planned, workDays);
+}
+
+/**
+ * Check whether a task is planned on a day
+ * The day must be a work day inside the task's span whose week is planned,
+ * so gaps in the planned weeks stay empty.
+ * @param {Object|null} span - Span from getTaskSpan()
+ * @param {Array} planned - Planned week numbers
+ * @param {Object} project - Project with startDate
+ * @param {string} dateStr - Date string
+ * @param {Array} workDays - Weekday numbers
+ * @returns {boolean}
+ */
+export function isPlannedOnDay(span, planned, project, dateStr, workDays = DEFAULT_WORK_DAYS) {
+  return Boolean(span) && dateStr >= span.startDate && dateStr <= span.endDate &&
+    isWorkDay(dateStr, workDays) && planned.includes(getWeekOfDate(project, dateStr));
+}
+
+// ========== EDITING ==========
+
+/**
+ * Set the planned span of a task and update its planned weeks
+ * @param {Object} task - Task
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @param {string|null} startDate - First day (null unschedules the task)
+ * @param {string|null} endDate - Last day
+ * @param {Array} workDays - Weekday numbers
+ * @returns {boolean} - False when the span has no work day in the timeline
+ */
+export function setTaskDates(task, project, startDate, endDate, workDays = DEFAULT_WORK_DAYS) {
+  if (!startDate || !endDate) {
+    task.startDate = null;
+    task.endDate = null;
+    task.planned = [];
+    return true;
+  }
+  if (endDate < startDate) [startDate, endDate] = [endDate, startDate];
+
+  const weeks = getWeeksOfSpan(project, startDate, endDate, workDays);
+  if (weeks.length === 0) return false;
+
+  task.startDate = startDate;
+  task.endDate = endDate;
+  task.planned = weeks;
+  return true;
+}
+
+/**
+ * Bring a task's dates in line with its planned weeks after a week-level
+ * edit, keeping day precision at ends that did not move
+ * @param {Object} task - Task
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @param {Array} workDays - Weekday numbers
+ */
+export function syncTaskDates(task, project, workDays = DEFAULT_WORK_DAYS) {
+  const planned = task.planned || [];
+  const weekSpan = getSpanOfWeeks(project, planned, workDays);
+  if (!weekSpan) {
+    task.startDate = null;
+    task.endDate = null;
+    return;
+  }
+
+  const keepStart = task.startDate && getWeekOfDate(project, task.startDate) === Math.min(...planned);
+  const keepEnd = task.endDate && getWeekOfDate(project, task.endDate) === Math.max(...planned);
+  task.startDate = keepStart ? task.startDate : weekSpan.startDate;
+  task.endDate = keepEnd && task.endDate >= task.startDate ? task.endDate : weekSpan.endDate;
+}
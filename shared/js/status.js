@@ -19,6 +19,13 @@ export function initStatus(elementId, options = {}) {
   if (!statusElement) {
     console.warn(`Status element with ID "${elementId}" not found`);
   }
+  window.addEventListener('storage-error', (e) => {
+    showStatus(getStorageErrorMessage(e.detail), 'error', options);
+  });
+  window.addEventListener('collab-status', (e) => {
+    const { message, success } = getCollabStatusMessage(e.detail);
+    showStatus(message, success, options);
+  });
   return {
     show: (message, success) => showStatus(message, success, options),
     clear: () => clearStatus(options)
@@ -101,7 +108,7 @@ export function createStatusManager(elementId, options = {}) {
   const duration = options.duration || DEFAULT_DURATION;
   const readyText = options.readyText || DEFAULT_READY_TEXT;
 
-  return {
+  const manager = {
     show(message, success = false) {
       if (timeout) clearTimeout(timeout);
 
@@ -126,4 +133,53 @@ export function createStatusManager(elementId, options = {}) {
       element.className = 'status';
     }
   };
+
+  // Report failed saves from storage.js
+  window.addEventListener('storage-error', (e) => {
+    manager.show(getStorageErrorMessage(e.detail), 'error');
+  });
+
+  // Report collaboration server connection changes from collab-client.js
+  window.addEventListener('collab-status', (e) => {
+    const { message, success } = getCollabStatusMessage(e.detail);
+    manager.show(message, success);
+  });
+
+  return manager;
+}
+
+/**
+ * Build a user-facing message for a storage-error event
+ * @param {Object} detail - Event detail from storage.js ({ key, error, quotaExceeded })
+ * @returns {string}
+ */
+export function getStorageErrorMessage(detail) {
+  if (detail.quotaExceeded) {
+    return 'Storage full - export JSON and delete old projects or backups';
+  }
+  return 'Save failed - changes may not persist';
+}
+
+/**
+ * Build a user-facing message for a collab-status event
+ * @param {Object} detail - Event detail from collab-client.js ({ state, room, users, conflicts, message })
+ * @returns {Object} - { message, success } for show()
+ */
+export function getCollabStatusMessage(detail) {
+  switch (detail.state) {
+    case 'online':
+      if (detail.baseline) {
+        return { message: `Uploaded project to room ${detail.room}`, success: true };
+      }
+      if (detail.replayed > 0) {
+        return { message: `Connected to room ${detail.room} and re-sent ${detail.replayed} offline change${detail.replayed === 1 ? '' : 's'}`, success: true };
+      }
+      return { message: `Connected to room ${detail.room} (${detail.users ?? 1} online)`, success: true };
+    case 'offline':
+      return { message: detail.message || 'Server unreachable - working offline', success: false };
+    case 'conflict':
+      return { message: `Merged ${detail.conflicts} concurrent edit${detail.conflicts === 1 ? '' : 's'}`, success: true };
+    default:
+      return { message: `Server error: ${detail.message || 'unknown'}`, success: 'error' };
+  }
 }
@@ -1,60 +1,291 @@
 /**
- * Storage Module - localStorage save/load utilities
+ * Storage Module - Persistent key/value storage utilities
  * Generic storage operations for any tool
+ *
+ * Data lives in IndexedDB when available and falls back to localStorage
+ * otherwise. Values are held in an in-memory cache that is hydrated before
+ * any importing module runs (top-level await), so the load/save/remove
+ * functions keep their synchronous signatures. Writes go to the cache
+ * immediately and are persisted to IndexedDB in the background.
+ *
+ * Storage failures (e.g. quota exceeded) are announced with a
+ * `storage-error` window event, which status.js reports to the user.
+ * Changes made in other tabs are re-dispatched as regular `storage`
+ * events so existing cross-tab listeners keep working.
  */
 
+const DB_NAME = 'projectPlanningTools';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+const OPEN_TIMEOUT = 3000;
+const CHANNEL_NAME = 'project-planning-storage';
+
+// localStorage keys moved into IndexedDB on first run
+const MIGRATED_KEY_PATTERNS = [/^ganttProject/, /^projectIndex$/, /^project_/];
+
+let db = null;
+const cache = new Map();
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+// ========== ERROR REPORTING ==========
+
+/**
+ * Check whether an error is a storage quota error
+ * @param {Error} e - Error thrown by localStorage or IndexedDB
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(e) {
+  return !!e && (
+    e.name === 'QuotaExceededError' ||
+    e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    e.code === 22
+  );
+}
+
 /**
- * Save data to localStorage
+ * Announce a storage failure to listeners (see status.js)
+ * @param {string} key - Storage key that failed
+ * @param {Error} error - Underlying error
+ */
+function reportStorageError(key, error) {
+  console.error(`Failed to save "${key}" to ${getStorageBackend()}:`, error);
+  if (typeof window === 'undefined') return;
+
+  // Dispatch after the caller's own status message (e.g. "Saved") so the error stays visible
+  setTimeout(() => {
+    window.dispatchEvent(new CustomEvent('storage-error', {
+      detail: { key, error, quotaExceeded: isQuotaExceededError(error) }
+    }));
+  }, 0);
+}
+
+// ========== INDEXEDDB BACKEND ==========
+
+/**
+ * Open the IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('IndexedDB open timed out')), OPEN_TIMEOUT);
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(STORE_NAME)) {
+        database.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => {
+      clearTimeout(timer);
+      resolve(request.result);
+    };
+    request.onerror = () => {
+      clearTimeout(timer);
+      reject(request.error);
+    };
+  });
+}
+
+/**
+ * Read every entry of the store into the cache
+ * @returns {Promise<void>}
+ */
+function hydrateCache() {
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cache.set(cursor.key, cursor.value);
+        cursor.continue();
+      } else {
+        resolve();
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a write transaction against the store
+ * @param {Function} operation - Receives the object store
+ * @returns {Promise<void>}
+ */
+function writeTransaction(operation) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    operation(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Move existing localStorage data into IndexedDB (one-time)
+ * Keys already present in IndexedDB are left untouched, and so are their
+ * localStorage copies, which may hold edits made while IndexedDB was
+ * unavailable. Copied keys are only removed once the transaction has committed.
+ * @returns {Promise<void>}
+ */
+async function migrateFromLocalStorage() {
+  const entries = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (MIGRATED_KEY_PATTERNS.some(pattern => pattern.test(key)) && !cache.has(key)) {
+      entries.push([key, localStorage.getItem(key)]);
+    }
+  }
+  if (entries.length === 0) return;
+
+  await writeTransaction(store => {
+    entries.forEach(([key, value]) => store.put(value, key));
+  });
+
+  entries.forEach(([key, value]) => {
+    cache.set(key, value);
+    localStorage.removeItem(key);
+  });
+}
+
+/**
+ * Persist a cache entry to IndexedDB and notify other tabs
+ * @param {string} key - Storage key
+ * @param {string|null} value - Serialized value, or null to delete
+ */
+function persist(key, value) {
+  writeTransaction(store => {
+    if (value === null) {
+      store.delete(key);
+    } else {
+      store.put(value, key);
+    }
+  }).then(() => {
+    if (channel) channel.postMessage({ key, value });
+  }).catch(e => reportStorageError(key, e));
+}
+
+/**
+ * Apply changes broadcast by other tabs and re-dispatch them as storage events
+ */
+function setupChannel() {
+  if (!channel) return;
+  channel.onmessage = (e) => {
+    const { key, value } = e.data;
+    const oldValue = cache.has(key) ? cache.get(key) : null;
+
+    if (value === null) {
+      cache.delete(key);
+    } else {
+      cache.set(key, value);
+    }
+
+    window.dispatchEvent(new StorageEvent('storage', { key, oldValue, newValue: value }));
+  };
+}
+
+/**
+ * Initialize the storage backend
+ * Opens IndexedDB, migrates localStorage data and hydrates the cache.
+ * Falls back to localStorage when IndexedDB is unavailable.
+ * @returns {Promise<string>} - Active backend name
+ */
+export async function initStorage() {
+  if (db || typeof indexedDB === 'undefined') return getStorageBackend();
+
+  try {
+    db = await openDatabase();
+    await hydrateCache();
+    await migrateFromLocalStorage();
+    setupChannel();
+  } catch (e) {
+    console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+    db = null;
+    cache.clear();
+  }
+
+  return getStorageBackend();
+}
+
+/**
+ * Get the name of the active storage backend
+ * @returns {string} - 'indexedDB' or 'localStorage'
+ */
+export function getStorageBackend() {
+  return db ? 'indexedDB' : 'localStorage';
+}
+
+// ========== PUBLIC API ==========
+
+/**
+ * Save data to storage
  * @param {string} key - Storage key
  * @param {Object} data - Data to save
  */
 export function saveToStorage(key, data) {
   try {
-    localStorage.setItem(key, JSON.stringify(data));
+    const value = JSON.stringify(data);
+    if (db) {
+      cache.set(key, value);
+      persist(key, value);
+    } else {
+      localStorage.setItem(key, value);
+    }
     return true;
   } catch (e) {
-    console.error('Failed to save to localStorage:', e);
+    reportStorageError(key, e);
     return false;
   }
 }
 
 /**
- * Load data from localStorage
+ * Load data from storage
  * @param {string} key - Storage key
  * @returns {Object|null} - Parsed data or null
  */
 export function loadFromStorage(key) {
   try {
-    const saved = localStorage.getItem(key);
+    const saved = db ? cache.get(key) : localStorage.getItem(key);
     if (saved) {
       return JSON.parse(saved);
     }
     return null;
   } catch (e) {
-    console.error('Failed to load from localStorage:', e);
+    console.error('Failed to load from storage:', e);
     return null;
   }
 }
 
 /**
- * Remove data from localStorage
+ * Remove data from storage
  * @param {string} key - Storage key
  */
 export function removeFromStorage(key) {
   try {
-    localStorage.removeItem(key);
+    if (db) {
+      cache.delete(key);
+      persist(key, null);
+    } else {
+      localStorage.removeItem(key);
+    }
     return true;
   } catch (e) {
-    console.error('Failed to remove from localStorage:', e);
+    console.error('Failed to remove from storage:', e);
     return false;
   }
 }
 
 /**
- * Check if key exists in localStorage
+ * Check if key exists in storage
  * @param {string} key - Storage key
  * @returns {boolean}
  */
 export function hasStorageKey(key) {
-  return localStorage.getItem(key) !== null;
+  return db ? cache.has(key) : localStorage.getItem(key) !== null;
 }
+
+// Hydrate before any importing module runs
+await initStorage();
@@ -0,0 +1,66 @@
+/**
+ * Task Hierarchy UI Module - Parent badges and parent pickers
+ * Shared markup for showing where a task sits in the work breakdown
+ * structure (task-hierarchy.js) and for choosing a task's parent.
+ */
+
+import {
+  getParentId,
+  hasChildren,
+  getRollup,
+  getParentCandidates,
+  getWbsNumbers
+} from './task-hierarchy.js';
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Render a task's hierarchy badges: its parent, and for parents the
+ * subtask roll-up (done/total subtasks and story points)
+ * @param {Object} task - Task
+ * @param {Array} tasks - All tasks
+ * @returns {string} - HTML ('' for top-level tasks without subtasks)
+ */
+export function renderHierarchyBadges(task, tasks) {
+  const badges = [];
+
+  const parent = tasks.find(t => t.id === getParentId(task));
+  if (parent) {
+    badges.push(`<span class="hierarchy-badge hierarchy-badge--parent" title="Subtask of ${escapeHtml(parent.name)}">↑ ${escapeHtml(parent.name)}</span>`);
+  }
+
+  if (hasChildren(tasks, task.id)) {
+    const rollup = getRollup(tasks, task.id);
+    const points = rollup.storyPoints !== null ? ` · ${rollup.storyPoints} pts` : '';
+    badges.push(`<span class="hierarchy-badge hierarchy-badge--rollup" title="${rollup.progress}% of subtask work done">☰ ${rollup.done}/${rollup.total}${points}</span>`);
+  }
+
+  return badges.length > 0 ? `<span class="hierarchy-badges">${badges.join('')}</span>` : '';
+}
+
+/**
+ * Fill a select with the tasks that can become a task's parent
+ * @param {HTMLSelectElement} select - Select element
+ * @param {Array} tasks - All tasks
+ * @param {Object} task - Task being edited
+ */
+export function fillParentSelect(select, tasks, task) {
+  if (!select) return;
+
+  const wbsNumbers = getWbsNumbers(tasks);
+  select.innerHTML = '<option value="">None (top level)</option>';
+  getParentCandidates(tasks, task.id).forEach(candidate => {
+    const opt = document.createElement('option');
+    opt.value = candidate.id;
+    opt.textContent = `${wbsNumbers.get(candidate.id) || ''} ${candidate.name}`.trim();
+    if (candidate.id === getParentId(task)) opt.selected = true;
+    select.appendChild(opt);
+  });
+}
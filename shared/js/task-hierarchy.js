@@ -0,0 +1,263 @@
+/**
+ * Task Hierarchy Module - Parent/child tasks and work breakdown structure
+ * A task points to its parent with task.parentId (null for top-level
+ * tasks). Children share their parent's category; the order of
+ * projectData.tasks gives the order of siblings.
+ *
+ * WBS numbers start with the category position, so the first subtask of
+ * the second task in the first category is "1.2.1".
+ *
+ * Parents summarize their subtasks instead of storing copies:
+ * getRollup() derives planned/reality weeks, story points and progress
+ * from the subtree whenever a tool renders it.
+ */
+
+import { hasChecklist, getChecklistProgress } from './checklists.js';
+
+/**
+ * Get the parent ID of a task
+ * @param {Object} task - Task
+ * @returns {string|null}
+ */
+export function getParentId(task) {
+  return task?.parentId || null;
+}
+
+/**
+ * Get the direct children of a task, in task order
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Parent task ID
+ * @returns {Array} - Child tasks
+ */
+export function getChildren(tasks, taskId) {
+  return tasks.filter(t => getParentId(t) === taskId);
+}
+
+/**
+ * Check whether a task has subtasks
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task ID
+ * @returns {boolean}
+ */
+export function hasChildren(tasks, taskId) {
+  return tasks.some(t => getParentId(t) === taskId);
+}
+
+/**
+ * Get the IDs of all tasks below a task
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task ID
+ * @returns {Set} - Descendant IDs
+ */
+export function getDescendantIds(tasks, taskId) {
+  const ids = new Set();
+  const stack = [taskId];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    tasks.forEach(t => {
+      if (getParentId(t) === current && !ids.has(t.id)) {
+        ids.add(t.id);
+        stack.push(t.id);
+      }
+    });
+  }
+
+  return ids;
+}
+
+/**
+ * Get the ancestors of a task, nearest first
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task ID
+ * @returns {Array} - Ancestor tasks
+ */
+export function getAncestors(tasks, taskId) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const ancestors = [];
+  const seen = new Set([taskId]);
+  let parent = byId.get(getParentId(byId.get(taskId)));
+
+  while (parent && !seen.has(parent.id)) {
+    ancestors.push(parent);
+    seen.add(parent.id);
+    parent = byId.get(getParentId(parent));
+  }
+
+  return ancestors;
+}
+
+// ========== EDITING ==========
+
+/**
+ * Get the tasks that can become the parent of a task
+ * (excludes the task itself and its descendants, which would form a cycle)
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task ID
+ * @returns {Array} - Candidate parent tasks
+ */
+export function getParentCandidates(tasks, taskId) {
+  const excluded = getDescendantIds(tasks, taskId);
+  excluded.add(taskId);
+  return tasks.filter(t => !excluded.has(t.id));
+}
+
+/**
+ * Set or clear the parent of a task
+ * The task and its subtree move to the parent's category.
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task ID
+ * @param {string|null} parentId - New parent ID (null for top level)
+ * @returns {boolean} - Whether the parent changed
+ */
+export function setParent(tasks, taskId, parentId) {
+  const task = tasks.find(t => t.id === taskId);
+  if (!task) return false;
+
+  const nextParentId = parentId || null;
+  if (getParentId(task) === nextParentId) return false;
+
+  if (nextParentId) {
+    const parent = getParentCandidates(tasks, taskId).find(t => t.id === nextParentId);
+    if (!parent) return false;
+
+    task.parentId = nextParentId;
+    if (task.category !== parent.category) {
+      const subtree = getDescendantIds(tasks, taskId);
+      tasks.forEach(t => {
+        if (t.id === taskId || subtree.has(t.id)) t.category = parent.category;
+      });
+    }
+  } else {
+    task.parentId = null;
+  }
+
+  return true;
+}
+
+/**
+ * Hand a task's children to its own parent (call before deleting it)
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task being removed
+ * @returns {number} - Number of children moved up
+ */
+export function detachChildren(tasks, taskId) {
+  const task = tasks.find(t => t.id === taskId);
+  const children = getChildren(tasks, taskId);
+  children.forEach(child => {
+    child.parentId = getParentId(task);
+  });
+  return children.length;
+}
+
+// ========== ORDERING & WBS ==========
+
+/**
+ * Order tasks depth-first so subtasks follow their parent
+ * Tasks whose parent is not in the list are treated as top level.
+ * @param {Array} tasks - Tasks (e.g. one category, possibly filtered)
+ * @returns {Array} - [{ task, depth }]
+ */
+export function orderByHierarchy(tasks) {
+  const ids = new Set(tasks.map(t => t.id));
+  const childrenOf = new Map();
+  const roots = [];
+
+  tasks.forEach(task => {
+    const parentId = getParentId(task);
+    if (parentId && ids.has(parentId) && parentId !== task.id) {
+      if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+      childrenOf.get(parentId).push(task);
+    } else {
+      roots.push(task);
+    }
+  });
+
+  const ordered = [];
+  const visited = new Set();
+  const visit = (task, depth) => {
+    if (visited.has(task.id)) return;
+    visited.add(task.id);
+    ordered.push({ task, depth });
+    (childrenOf.get(task.id) || []).forEach(child => visit(child, depth + 1));
+  };
+  roots.forEach(task => visit(task, 0));
+
+  return ordered;
+}
+
+/**
+ * Number every task in work breakdown structure order
+ * @param {Array} tasks - All tasks
+ * @returns {Map} - Task ID -> WBS number (e.g. "2.1.3")
+ */
+export function getWbsNumbers(tasks) {
+  const numbers = new Map();
+  const categories = [...new Set(tasks.map(t => t.category))];
+
+  categories.forEach((category, categoryIndex) => {
+    const counters = new Map();
+    orderByHierarchy(tasks.filter(t => t.category === category)).forEach(({ task, depth }) => {
+      const parentId = depth > 0 ? getParentId(task) : null;
+      const prefix = parentId ? numbers.get(parentId) : String(categoryIndex + 1);
+      const next = (counters.get(prefix) || 0) + 1;
+      counters.set(prefix, next);
+      numbers.set(task.id, `${prefix}.${next}`);
+    });
+  });
+
+  return numbers;
+}
+
+// ========== ROLL-UP ==========
+
+/**
+ * Summarize a task's subtree
+ * Weeks are the union over the task and all descendants. Story points and
+ * progress come from the leaf subtasks; progress is the share of leaf
+ * story points in Done (unestimated leaves count as one point; when every
+ * leaf is estimated at zero, each leaf counts the same). With
+ * checklistProgress, open leaves with a checklist count the share of
+ * their items done.
+ * @param {Array} tasks - All tasks
+ * @param {string} taskId - Task ID
+ * @param {Object} options - { checklistProgress }
+ * @returns {Object} - { planned, reality, storyPoints, progress, done, total }
+ */
+export function getRollup(tasks, taskId, { checklistProgress = false } = {}) {
+  const task = tasks.find(t => t.id === taskId);
+  const subtree = getDescendantIds(tasks, taskId);
+  const members = tasks.filter(t => subtree.has(t.id));
+  if (task) members.unshift(task);
+
+  const leaves = members.filter(t => !hasChildren(tasks, t.id));
+  const planned = new Set();
+  const reality = new Set();
+  members.forEach(t => {
+    (t.planned || []).forEach(w => planned.add(w));
+    (t.reality || []).forEach(w => reality.add(w));
+  });
+
+  const estimated = leaves.filter(t => t.storyPoints !== null && t.storyPoints !== undefined);
+  const pointsWeight = (t) => t.storyPoints ?? 1;
+  const hasPoints = leaves.some(t => pointsWeight(t) > 0);
+  const weight = hasPoints ? pointsWeight : () => 1;
+  const totalWeight = leaves.reduce((sum, t) => sum + weight(t), 0);
+  const doneLeaves = leaves.filter(t => t.board?.columnId === 'done');
+  const completion = (t) => {
+    if (t.board?.columnId === 'done') return 1;
+    return checklistProgress && hasChecklist(t) ? getChecklistProgress(t).percent / 100 : 0;
+  };
+  const doneWeight = leaves.reduce((sum, t) => sum + weight(t) * completion(t), 0);
+
+  return {
+    planned: [...planned].sort((a, b) => a - b),
+    reality: [...reality].sort((a, b) => a - b),
+    storyPoints: estimated.length > 0
+      ? estimated.reduce((sum, t) => sum + t.storyPoints, 0)
+      : null,
+    progress: totalWeight > 0 ? Math.round((doneWeight / totalWeight) * 100) : 0,
+    done: doneLeaves.length,
+    total: leaves.length
+  };
+}
@@ -0,0 +1,323 @@
+/**
+ * Templates UI Module - New-project wizard with a template gallery
+ * Step one picks a template (blank, built-in or saved); step two asks for
+ * the name, timeline, sprint length and team. The project itself is created
+ * by the caller's onCreate(name, data) callback.
+ */
+
+import {
+  SPRINT_LENGTHS,
+  getTemplates,
+  getTemplate,
+  deleteTemplate,
+  getDefaultEndDate,
+  createProjectDataFromTemplate
+} from './templates.js';
+
+const MODAL_ID = 'projectWizardModal';
+const BLANK_ID = 'blank';
+
+let selectedTemplate = null;
+let createCallback = null;
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Open the new-project wizard
+ * @param {Object} options - { name, onCreate(name, data) }
+ */
+export function openProjectWizard({ name = '', onCreate } = {}) {
+  const modal = ensureModal();
+  createCallback = onCreate;
+  selectedTemplate = null;
+  modal.querySelector('#wizardName').value = name;
+  showStep('gallery');
+  modal.classList.add('active');
+}
+
+/**
+ * Close the new-project wizard
+ */
+export function closeProjectWizard() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay project-wizard-modal';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2 id="wizardTitle">New Project</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <div class="wizard-step" data-step="gallery">
+        <p class="wizard-hint">Start from a template. Templates set up categories, board columns, labels, fields and team roles.</p>
+        <div class="template-gallery" id="templateGallery"></div>
+      </div>
+      <div class="wizard-step" data-step="details">
+        <div class="form-group">
+          <label class="form-label">Project Name</label>
+          <input type="text" class="form-input" id="wizardName" placeholder="Project name...">
+        </div>
+        <div class="wizard-row">
+          <div class="form-group">
+            <label class="form-label">Start Date</label>
+            <input type="date" class="form-input" id="wizardStart">
+          </div>
+          <div class="form-group">
+            <label class="form-label">End Date</label>
+            <input type="date" class="form-input" id="wizardEnd">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Sprint Length</label>
+            <select class="form-input" id="wizardSprintDays">
+              ${SPRINT_LENGTHS.map(option => `<option value="${option.days || ''}">${option.label}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Team</label>
+          <div class="wizard-team" id="wizardTeam"></div>
+          <button type="button" class="btn btn--ghost" data-action="add-member">+ Add member</button>
+        </div>
+        <p class="audit-message" id="wizardMessage"></p>
+        <div style="display: flex; gap: 8px; margin-top: 20px;">
+          <button class="btn btn--primary" data-action="create">Create Project</button>
+          <button class="btn" data-action="back">Back</button>
+        </div>
+      </div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeProjectWizard();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (button) handleAction(button.dataset.action, button);
+  });
+
+  // Template cards can be picked with the keyboard
+  modal.querySelector('#templateGallery').addEventListener('keydown', (e) => {
+    const card = e.target.closest('.template-card');
+    if (card && e.target === card && (e.key === 'Enter' || e.key === ' ')) {
+      e.preventDefault();
+      handleAction('pick', card);
+    }
+  });
+
+  // Keep the end date after the start date
+  modal.querySelector('#wizardStart').addEventListener('change', (e) => {
+    const end = modal.querySelector('#wizardEnd');
+    if (e.target.value && (!end.value || end.value < e.target.value)) {
+      end.value = getDefaultEndDate(selectedTemplate, e.target.value);
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeProjectWizard();
+  });
+
+  return modal;
+}
+
+/**
+ * Show one step of the wizard
+ * @param {string} step - 'gallery' or 'details'
+ */
+function showStep(step) {
+  const modal = document.getElementById(MODAL_ID);
+  modal.querySelectorAll('.wizard-step').forEach(el => {
+    el.style.display = el.dataset.step === step ? '' : 'none';
+  });
+
+  if (step === 'gallery') {
+    modal.querySelector('#wizardTitle').textContent = 'New Project';
+    renderGallery();
+  } else {
+    modal.querySelector('#wizardTitle').textContent = `New Project: ${selectedTemplate ? selectedTemplate.name : 'Blank'}`;
+    renderDetails();
+  }
+}
+
+/**
+ * Render the template cards
+ */
+function renderGallery() {
+  const gallery = document.getElementById('templateGallery');
+  const templates = getTemplates();
+
+  const card = (id, name, description, meta, deletable) => `
+    <div class="template-card" data-action="pick" data-template-id="${id}" role="button" tabindex="0">
+      <div class="template-card__header">
+        <span class="template-card__name">${escapeHtml(name)}</span>
+        ${deletable ? `<button class="btn-delete" data-action="delete-template" data-template-id="${id}" title="Delete template">&times;</button>` : ''}
+      </div>
+      <p class="template-card__description">${escapeHtml(description)}</p>
+      ${meta ? `<span class="template-card__meta">${escapeHtml(meta)}</span>` : ''}
+    </div>
+  `;
+
+  const describe = (template) => {
+    const parts = [`${Object.keys(template.categories || {}).length} categories`];
+    parts.push(`${(template.workflow?.columns || []).length} columns`);
+    if (template.sprintDays) parts.push(`${template.sprintDays / 7}-week sprints`);
+    return parts.join(' · ');
+  };
+
+  const builtIn = templates.filter(t => t.builtIn);
+  const saved = templates.filter(t => !t.builtIn);
+
+  gallery.innerHTML = `
+    ${card(BLANK_ID, 'Blank', 'An empty project with the default board.', '', false)}
+    ${builtIn.map(t => card(t.id, t.name, t.description, describe(t), false)).join('')}
+    ${saved.length > 0 ? '<div class="template-gallery__section">Saved Templates</div>' : ''}
+    ${saved.map(t => card(t.id, t.name, t.description || 'Saved from a project.', describe(t), true)).join('')}
+  `;
+}
+
+/**
+ * Fill the details step from the selected template
+ */
+function renderDetails() {
+  const today = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const start = `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`;
+
+  document.getElementById('wizardStart').value = start;
+  document.getElementById('wizardEnd').value = getDefaultEndDate(selectedTemplate, start);
+  document.getElementById('wizardSprintDays').value = selectedTemplate?.sprintDays || '';
+  document.getElementById('wizardTeam').innerHTML = '';
+  (selectedTemplate?.team || []).forEach(member => addMemberRow(member));
+  if (!selectedTemplate?.team?.length) addMemberRow({ name: '', role: '' });
+  setMessage('');
+
+  const name = document.getElementById('wizardName');
+  name.value = name.value.trim() || (selectedTemplate ? selectedTemplate.name : '');
+  name.focus();
+}
+
+/**
+ * Add a team member row to the details step
+ * @param {Object} member - { name, role, color, hoursPerWeek }
+ */
+function addMemberRow(member) {
+  const row = document.createElement('div');
+  row.className = 'wizard-team__row';
+  if (member.color) row.dataset.color = member.color;
+  if (member.hoursPerWeek) row.dataset.hours = member.hoursPerWeek;
+  row.innerHTML = `
+    <input type="text" class="form-input" data-role="name" placeholder="Name" value="${escapeHtml(member.name || '')}">
+    <input type="text" class="form-input" data-role="role" placeholder="Role" value="${escapeHtml(member.role || '')}">
+    <button type="button" class="btn-delete" data-action="remove-member" title="Remove">&times;</button>
+  `;
+  document.getElementById('wizardTeam').appendChild(row);
+}
+
+/**
+ * Read the team rows of the details step
+ * @returns {Array} - [{ name, role, color, hoursPerWeek }]
+ */
+function readTeam() {
+  return [...document.querySelectorAll('#wizardTeam .wizard-team__row')].map(row => ({
+    name: row.querySelector('[data-role="name"]').value,
+    role: row.querySelector('[data-role="role"]').value,
+    color: row.dataset.color || null,
+    hoursPerWeek: parseInt(row.dataset.hours) || null
+  }));
+}
+
+/**
+ * Show a message above the wizard buttons
+ */
+function setMessage(text) {
+  const message = document.getElementById('wizardMessage');
+  message.textContent = text;
+  message.className = text ? 'audit-message audit-message--error' : 'audit-message';
+}
+
+/**
+ * Handle a wizard action
+ * @param {string} action - Action name
+ * @param {HTMLElement} button - Clicked element
+ */
+function handleAction(action, button) {
+  switch (action) {
+    case 'close':
+      closeProjectWizard();
+      return;
+
+    case 'pick':
+      selectedTemplate = button.dataset.templateId === BLANK_ID ? null : getTemplate(button.dataset.templateId);
+      showStep('details');
+      return;
+
+    case 'delete-template': {
+      const template = getTemplate(button.dataset.templateId);
+      if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+      deleteTemplate(template.id);
+      renderGallery();
+      return;
+    }
+
+    case 'back':
+      showStep('gallery');
+      return;
+
+    case 'add-member':
+      addMemberRow({ name: '', role: '' });
+      document.querySelector('#wizardTeam .wizard-team__row:last-child [data-role="name"]').focus();
+      return;
+
+    case 'remove-member':
+      button.closest('.wizard-team__row').remove();
+      return;
+
+    case 'create': {
+      const nameInput = document.getElementById('wizardName');
+      const name = nameInput.value.trim();
+      const startDate = document.getElementById('wizardStart').value;
+      const endDate = document.getElementById('wizardEnd').value;
+
+      if (!name) {
+        setMessage('Enter a project name.');
+        nameInput.focus();
+        return;
+      }
+      if (!startDate || !endDate || endDate < startDate) {
+        setMessage('Choose a start date and an end date after it.');
+        return;
+      }
+
+      const data = createProjectDataFromTemplate(selectedTemplate, {
+        title: name,
+        startDate,
+        endDate,
+        team: readTeam(),
+        sprintDays: parseInt(document.getElementById('wizardSprintDays').value) || null
+      });
+      closeProjectWizard();
+      if (createCallback) createCallback(name, data);
+      return;
+    }
+  }
+}
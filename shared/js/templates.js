@@ -0,0 +1,451 @@
+/**
+ * Templates Module - Project templates for new projects
+ * A template holds the structure of a project without its work: categories,
+ * workflow, labels, custom fields, team roles and sprint cadence. Built-in
+ * templates also bring a few milestones and phase tasks, placed relative to
+ * the timeline chosen in the new-project wizard.
+ *
+ * Saved templates live under the `projectTemplates` storage key, shared by
+ * all projects:
+ *   [{ id, name, description, categories, workflow, labels, customFields,
+ *      team: [{ name, role, color, hoursPerWeek }], sprintDays, weeks,
+ *      checklistProgress, autoSchedule, calendarSettings, createdAt }]
+ *
+ * Built-in skeleton tasks use { name, category, from, to, milestone } where
+ * from and to are shares (0..1) of the timeline.
+ */
+
+import { saveToStorage, loadFromStorage } from './storage.js';
+import {
+  defaultWorkflow,
+  createEmptyProjectData,
+  calculateWeeksFromDates,
+  generateTaskId,
+  generateSprintId,
+  generateMemberId
+} from './unified-data.js';
+
+export const TEMPLATES_KEY = 'projectTemplates';
+
+// Sprint lengths offered by the wizard (days, null for no sprints)
+export const SPRINT_LENGTHS = [
+  { days: null, label: 'No sprints' },
+  { days: 7, label: '1 week' },
+  { days: 14, label: '2 weeks' },
+  { days: 21, label: '3 weeks' },
+  { days: 28, label: '4 weeks' }
+];
+
+// Colors handed out to new team members, as in the v9 migration
+const TEAM_COLORS = ['#a78bfa', '#f472b6', '#38bdf8', '#4ade80', '#fbbf24', '#fb923c', '#f87171', '#a3e635'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'scrum',
+    name: 'Scrum Team',
+    description: 'Two-week sprints, a review column and release milestones.',
+    categories: {
+      'Development': '#a78bfa',
+      'Design': '#f472b6',
+      'QA': '#38bdf8'
+    },
+    workflow: {
+      columns: [
+        { id: 'backlog', name: 'Backlog', color: '#6366f1', position: 0 },
+        { id: 'todo', name: 'To Do', color: '#a78bfa', position: 1 },
+        { id: 'in-progress', name: 'In Progress', color: '#fbbf24', position: 2 },
+        { id: 'review', name: 'Review', color: '#38bdf8', position: 3 },
+        { id: 'done', name: 'Done', color: '#22c55e', position: 4 }
+      ]
+    },
+    labels: [
+      { id: 'label_bug', name: 'Bug', color: '#ef4444' },
+      { id: 'label_feature', name: 'Feature', color: '#22c55e' },
+      { id: 'label_tech_debt', name: 'Tech debt', color: '#f97316' }
+    ],
+    customFields: [],
+    team: [
+      { name: '', role: 'Product Owner' },
+      { name: '', role: 'Scrum Master' },
+      { name: '', role: 'Developer' },
+      { name: '', role: 'Developer' }
+    ],
+    sprintDays: 14,
+    weeks: 12,
+    tasks: [
+      { name: 'First release', category: 'Development', from: 0.5, to: 0.5, milestone: true },
+      { name: 'Final release', category: 'Development', from: 1, to: 1, milestone: true }
+    ]
+  },
+  {
+    id: 'kanban-ops',
+    name: 'Kanban Ops',
+    description: 'Continuous flow for requests and incidents, no sprints.',
+    categories: {
+      'Requests': '#38bdf8',
+      'Incidents': '#f87171',
+      'Maintenance': '#4ade80'
+    },
+    workflow: {
+      columns: [
+        { id: 'backlog', name: 'Backlog', color: '#6366f1', position: 0 },
+        { id: 'todo', name: 'Ready', color: '#a78bfa', position: 1 },
+        { id: 'in-progress', name: 'In Progress', color: '#fbbf24', position: 2 },
+        { id: 'waiting', name: 'Waiting', color: '#fb923c', position: 3 },
+        { id: 'done', name: 'Done', color: '#22c55e', position: 4 }
+      ]
+    },
+    labels: [
+      { id: 'label_urgent', name: 'Urgent', color: '#ef4444' },
+      { id: 'label_customer', name: 'Customer', color: '#06b6d4' },
+      { id: 'label_internal', name: 'Internal', color: '#71717a' }
+    ],
+    customFields: [
+      {
+        id: 'field_service',
+        name: 'Service',
+        type: 'select',
+        options: [
+          { id: 'opt_web', label: 'Web' },
+          { id: 'opt_api', label: 'API' },
+          { id: 'opt_infra', label: 'Infrastructure' }
+        ]
+      },
+      { id: 'field_requester', name: 'Requester', type: 'text', options: [] }
+    ],
+    team: [
+      { name: '', role: 'Ops Lead' },
+      { name: '', role: 'Engineer' },
+      { name: '', role: 'Engineer' }
+    ],
+    sprintDays: null,
+    weeks: 13,
+    tasks: []
+  },
+  {
+    id: 'waterfall',
+    name: 'Waterfall',
+    description: 'Sequential phases, each closed by a sign-off milestone.',
+    categories: {
+      'Requirements': '#a78bfa',
+      'Design': '#f472b6',
+      'Implementation': '#38bdf8',
+      'Testing': '#fbbf24',
+      'Deployment': '#4ade80'
+    },
+    workflow: JSON.parse(JSON.stringify(defaultWorkflow)),
+    labels: [
+      { id: 'label_risk', name: 'Risk', color: '#ef4444' },
+      { id: 'label_change_request', name: 'Change request', color: '#f97316' }
+    ],
+    customFields: [],
+    team: [
+      { name: '', role: 'Project Manager' },
+      { name: '', role: 'Analyst' },
+      { name: '', role: 'Developer' },
+      { name: '', role: 'Tester' }
+    ],
+    sprintDays: null,
+    weeks: 26,
+    tasks: [
+      { name: 'Requirements phase', category: 'Requirements', from: 0, to: 0.15 },
+      { name: 'Requirements sign-off', category: 'Requirements', from: 0.15, to: 0.15, milestone: true },
+      { name: 'Design phase', category: 'Design', from: 0.15, to: 0.3 },
+      { name: 'Design sign-off', category: 'Design', from: 0.3, to: 0.3, milestone: true },
+      { name: 'Implementation phase', category: 'Implementation', from: 0.3, to: 0.7 },
+      { name: 'Code complete', category: 'Implementation', from: 0.7, to: 0.7, milestone: true },
+      { name: 'Testing phase', category: 'Testing', from: 0.7, to: 0.9 },
+      { name: 'Acceptance sign-off', category: 'Testing', from: 0.9, to: 0.9, milestone: true },
+      { name: 'Deployment phase', category: 'Deployment', from: 0.9, to: 1 },
+      { name: 'Go-live', category: 'Deployment', from: 1, to: 1, milestone: true }
+    ]
+  },
+  {
+    id: 'event',
+    name: 'Event Planning',
+    description: 'Venue, program and promotion tracks leading up to the event.',
+    categories: {
+      'Venue & Logistics': '#fb923c',
+      'Program': '#a78bfa',
+      'Promotion': '#f472b6',
+      'Registration': '#38bdf8'
+    },
+    workflow: JSON.parse(JSON.stringify(defaultWorkflow)),
+    labels: [
+      { id: 'label_vendor', name: 'Vendor', color: '#06b6d4' },
+      { id: 'label_budget', name: 'Budget', color: '#fbbf24' }
+    ],
+    customFields: [
+      { id: 'field_cost', name: 'Cost', type: 'number', options: [] },
+      { id: 'field_vendor', name: 'Vendor', type: 'text', options: [] }
+    ],
+    team: [
+      { name: '', role: 'Event Lead' },
+      { name: '', role: 'Coordinator' },
+      { name: '', role: 'Marketing' }
+    ],
+    sprintDays: null,
+    weeks: 16,
+    tasks: [
+      { name: 'Venue booked', category: 'Venue & Logistics', from: 0.2, to: 0.2, milestone: true },
+      { name: 'Program announced', category: 'Program', from: 0.45, to: 0.45, milestone: true },
+      { name: 'Promotion campaign', category: 'Promotion', from: 0.45, to: 0.95 },
+      { name: 'Registration closes', category: 'Registration', from: 0.9, to: 0.9, milestone: true },
+      { name: 'Event day', category: 'Program', from: 1, to: 1, milestone: true }
+    ]
+  }
+];
+
+/**
+ * Generate a unique template ID
+ * @returns {string} - Unique ID
+ */
+export function generateTemplateId() {
+  return 'tmpl_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// ========== SAVED TEMPLATES ==========
+
+/**
+ * Get the templates saved from projects
+ * @returns {Array} - Templates, newest first
+ */
+export function getSavedTemplates() {
+  const templates = loadFromStorage(TEMPLATES_KEY);
+  return Array.isArray(templates) ? templates : [];
+}
+
+/**
+ * Get all templates: built-in ones first, then saved ones
+ * @returns {Array} - Templates (built-in ones have builtIn: true)
+ */
+export function getTemplates() {
+  return [
+    ...BUILT_IN_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+    ...getSavedTemplates().map(template => ({ ...template, builtIn: false }))
+  ];
+}
+
+/**
+ * Find a template by ID
+ * @param {string} templateId - Template ID
+ * @returns {Object|null}
+ */
+export function getTemplate(templateId) {
+  return getTemplates().find(t => t.id === templateId) || null;
+}
+
+/**
+ * Get the most common sprint length of a project, rounded to whole weeks
+ * @param {Array} sprints - Sprints
+ * @returns {number|null} - Days, or null without dated sprints
+ */
+function getSprintCadence(sprints) {
+  const counts = new Map();
+  (sprints || []).forEach(sprint => {
+    if (!sprint.startDate || !sprint.endDate) return;
+    const days = Math.round((new Date(sprint.endDate) - new Date(sprint.startDate)) / DAY_MS) + 1;
+    const weeks = Math.max(1, Math.round(days / 7));
+    counts.set(weeks, (counts.get(weeks) || 0) + 1);
+  });
+  if (counts.size === 0) return null;
+
+  const [weeks] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+  return weeks * 7;
+}
+
+/**
+ * Save the structure of a project as a template
+ * Tasks, sprints, time entries, retrospectives, epics, comments and
+ * attachments are left out; team members keep their name and role.
+ * @param {Object} projectData - Project data
+ * @param {string} name - Template name
+ * @param {string} description - Template description
+ * @returns {Object} - The saved template
+ */
+export function saveProjectAsTemplate(projectData, name, description = '') {
+  const copy = JSON.parse(JSON.stringify(projectData));
+
+  const template = {
+    id: generateTemplateId(),
+    name: name.trim() || copy.project?.title || 'Untitled Template',
+    description: description.trim(),
+    categories: copy.categories || {},
+    workflow: copy.workflow || JSON.parse(JSON.stringify(defaultWorkflow)),
+    labels: copy.labels || [],
+    customFields: copy.customFields || [],
+    team: (copy.team || []).map(member => typeof member === 'string'
+      ? { name: member, role: '' }
+      : { name: member.name || '', role: member.role || '', color: member.color, hoursPerWeek: member.hoursPerWeek }
+    ),
+    sprintDays: getSprintCadence(copy.sprints),
+    weeks: copy.project?.totalWeeks || 13,
+    checklistProgress: copy.project?.checklistProgress === true,
+    autoSchedule: copy.project?.autoSchedule === true,
+    calendarSettings: copy.calendarSettings || null,
+    createdAt: new Date().toISOString()
+  };
+
+  saveToStorage(TEMPLATES_KEY, [template, ...getSavedTemplates()]);
+  return template;
+}
+
+/**
+ * Delete a saved template (built-in templates cannot be deleted)
+ * @param {string} templateId - Template ID
+ * @returns {boolean} - Whether the template existed
+ */
+export function deleteTemplate(templateId) {
+  const templates = getSavedTemplates();
+  const kept = templates.filter(t => t.id !== templateId);
+  if (kept.length === templates.length) return false;
+  saveToStorage(TEMPLATES_KEY, kept);
+  return true;
+}
+
+// ========== PROJECT CREATION ==========
+
+/**
+ * Format a date as YYYY-MM-DD (local time)
+ */
+function toISODate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a YYYY-MM-DD date (local time)
+ */
+function parseISODate(value) {
+  return new Date(value + 'T00:00:00');
+}
+
+/**
+ * Suggest an end date for a template's timeline
+ * @param {Object} template - Template (null for a blank project)
+ * @param {string} startDate - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getDefaultEndDate(template, startDate) {
+  const end = parseISODate(startDate);
+  end.setDate(end.getDate() + (template?.weeks || 13) * 7 - 1);
+  return toISODate(end);
+}
+
+/**
+ * Split a timeline into back-to-back sprints
+ * The last sprint ends with the timeline when the cadence does not fit.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @param {number} sprintDays - Sprint length in days
+ * @returns {Array} - Sprints
+ */
+export function createSprintSchedule(startDate, endDate, sprintDays) {
+  const sprints = [];
+  if (!sprintDays) return sprints;
+
+  const cursor = parseISODate(startDate);
+  while (toISODate(cursor) <= endDate) {
+    const end = new Date(cursor);
+    end.setDate(end.getDate() + sprintDays - 1);
+    const endISO = toISODate(end) < endDate ? toISODate(end) : endDate;
+
+    sprints.push({
+      id: generateSprintId(),
+      name: `Sprint ${sprints.length + 1}`,
+      goal: '',
+      startDate: toISODate(cursor),
+      endDate: endISO,
+      status: 'planning'
+    });
+
+    cursor.setDate(cursor.getDate() + sprintDays);
+  }
+
+  return sprints;
+}
+
+/**
+ * Create the skeleton tasks of a built-in template
+ */
+function createTemplateTasks(template, totalWeeks) {
+  const toWeek = (share) => Math.min(totalWeeks, Math.max(1, Math.ceil(share * totalWeeks)));
+
+  return (template.tasks || []).map((skeleton, index) => {
+    const first = toWeek(skeleton.from);
+    const last = Math.max(first, toWeek(skeleton.to));
+    const planned = [];
+    for (let week = first; week <= last; week++) planned.push(week);
+
+    return {
+      id: generateTaskId(),
+      category: skeleton.category,
+      name: skeleton.name,
+      planned,
+      reality: [],
+      assignee: '',
+      priority: '',
+      notes: '',
+      isMilestone: skeleton.milestone === true,
+      storyPoints: null,
+      sprintId: null,
+      dependencies: [],
+      dependencyLinks: {},
+      milestoneDependencies: [],
+      customFields: {},
+      labels: [],
+      parentId: null,
+      epicId: null,
+      recurrence: null,
+      checklist: [],
+      board: {
+        columnId: 'backlog',
+        position: index
+      }
+    };
+  });
+}
+
+/**
+ * Build the data of a new project from a template
+ * @param {Object|null} template - Template (null for a blank project)
+ * @param {Object} options - { title, startDate, endDate, team: [{ name, role, color, hoursPerWeek }], sprintDays }
+ * @returns {Object} - Project data at the current version
+ */
+export function createProjectDataFromTemplate(template, { title, startDate, endDate, team = [], sprintDays = null } = {}) {
+  const data = createEmptyProjectData(title);
+  const source = template ? JSON.parse(JSON.stringify(template)) : {};
+
+  if (startDate && endDate && endDate >= startDate) {
+    data.project.startDate = startDate;
+    data.project.endDate = endDate;
+    data.project.totalWeeks = calculateWeeksFromDates(startDate, endDate);
+  }
+  data.project.checklistProgress = source.checklistProgress === true;
+  data.project.autoSchedule = source.autoSchedule === true;
+
+  if (source.categories && Object.keys(source.categories).length > 0) data.categories = source.categories;
+  if (source.workflow?.columns) data.workflow = source.workflow;
+  if (Array.isArray(source.labels)) data.labels = source.labels;
+  if (Array.isArray(source.customFields)) data.customFields = source.customFields;
+  if (source.calendarSettings) data.calendarSettings = source.calendarSettings;
+
+  // Members without a name are left out
+  data.team = team
+    .filter(member => member.name && member.name.trim())
+    .map((member, index) => ({
+      id: generateMemberId(),
+      name: member.name.trim(),
+      role: (member.role || '').trim(),
+      color: member.color || TEAM_COLORS[index % TEAM_COLORS.length],
+      hoursPerWeek: member.hoursPerWeek || 40,
+      availability: []
+    }));
+
+  data.sprints = createSprintSchedule(data.project.startDate, data.project.endDate, sprintDays);
+  data.tasks = createTemplateTasks(source, data.project.totalWeeks);
+
+  return data;
+}
@@ -0,0 +1,137 @@
+/**
+ * Undo UI Module - Undo history panel
+ * Lists the labeled actions of an undo manager (undo.js) and jumps to any
+ * point in the history. The tool applies the resulting state itself.
+ *
+ * Usage:
+ *   openUndoHistory(undoManager, (steps) => {
+ *     const state = undoManager.jump(projectData, steps);
+ *     ...
+ *   });
+ */
+
+const MODAL_ID = 'undoHistoryModal';
+
+let activeManager = null;
+let activeJump = null;
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Open the undo history panel
+ * @param {Object} undoManager - Manager from createUndoManager()
+ * @param {Function} onJump - Called with the number of steps (negative = undo)
+ */
+export function openUndoHistory(undoManager, onJump) {
+  activeManager = undoManager;
+  activeJump = onJump;
+
+  const modal = ensureModal();
+  renderHistory();
+  modal.classList.add('active');
+}
+
+/**
+ * Close the undo history panel
+ */
+export function closeUndoHistory() {
+  const modal = document.getElementById(MODAL_ID);
+  if (modal) modal.classList.remove('active');
+}
+
+/**
+ * Create the modal element on first use
+ * @returns {HTMLElement}
+ */
+function ensureModal() {
+  let modal = document.getElementById(MODAL_ID);
+  if (modal) return modal;
+
+  modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.id = MODAL_ID;
+  modal.innerHTML = `
+    <div class="modal-panel modal-panel--wide">
+      <div class="modal-header">
+        <h2>History</h2>
+        <button class="modal-close" data-action="close">&times;</button>
+      </div>
+      <p class="undo-history__hint">Click an action to go back to before it, or forward to after it.</p>
+      <div class="undo-history" id="undoHistoryList"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeUndoHistory();
+      return;
+    }
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'close') {
+      closeUndoHistory();
+    } else if (button.dataset.action === 'jump' && activeJump) {
+      activeJump(Number(button.dataset.steps));
+      renderHistory();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeUndoHistory();
+  });
+
+  return modal;
+}
+
+/**
+ * Format a timestamp as a short time
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Render the history list: redoable actions on top, then the current
+ * state, then undoable actions from newest to oldest
+ */
+function renderHistory() {
+  const list = document.getElementById('undoHistoryList');
+  if (!list || !activeManager) return;
+
+  const history = activeManager.getHistory();
+
+  const row = (entry, steps, modifier) => `
+    <button class="undo-history__item undo-history__item--${modifier}" data-action="jump" data-steps="${steps}">
+      <span class="undo-history__label">${escapeHtml(entry.label)}</span>
+      <span class="undo-history__time">${formatTime(entry.timestamp)}</span>
+    </button>
+  `;
+
+  // Redo entries come next-first; show the furthest one on top
+  const redoRows = history.redo
+    .map((entry, i) => row(entry, i + 1, 'redo'))
+    .reverse()
+    .join('');
+  const undoRows = history.undo
+    .map((entry, i) => row(entry, -(i + 1), 'undo'))
+    .join('');
+
+  const empty = history.undo.length === 0 && history.redo.length === 0
+    ? '<p class="audit-empty">No actions yet</p>'
+    : '';
+
+  list.innerHTML = `
+    ${redoRows}
+    <div class="undo-history__current">Current state</div>
+    ${undoRows}
+    ${empty}
+  `;
+}
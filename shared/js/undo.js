@@ -1,57 +1,138 @@
 /**
  * Undo Module - Undo/Redo manager
  * Creates an undo/redo stack for any data type
+ *
+ * Each entry stores a label describing the action (e.g. "Moved 'Login page'
+ * to Done") together with the state before it, so the history panel
+ * (undo-ui.js) can show what an undo will revert. When a session key is
+ * given, the stacks are kept in sessionStorage and survive a reload.
  */
 
 const DEFAULT_MAX_STATES = 50;
+const DEFAULT_LABEL = 'Edit';
 
 /**
  * Create an undo manager
  * @param {number} maxStates - Maximum number of undo states to keep
- * @returns {Object} - Undo manager with saveState, undo, redo, canUndo, canRedo methods
+ * @param {Object} options - Configuration options
+ * @param {string} options.sessionKey - sessionStorage key to persist the stacks under
+ * @returns {Object} - Undo manager with saveState, undo, redo, jump, rebase, canUndo, canRedo methods
  */
-export function createUndoManager(maxStates = DEFAULT_MAX_STATES) {
+export function createUndoManager(maxStates = DEFAULT_MAX_STATES, options = {}) {
+  const { sessionKey = null } = options;
+
+  // Entries: { label, timestamp, state } with state serialized
   let undoStack = [];
   let redoStack = [];
 
+  /**
+   * Load stacks saved earlier in this browser session
+   */
+  function restore() {
+    if (!sessionKey) return;
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(sessionKey));
+      if (saved && Array.isArray(saved.undo) && Array.isArray(saved.redo)) {
+        undoStack = saved.undo;
+        redoStack = saved.redo;
+      }
+    } catch (e) {
+      console.warn('Failed to restore undo history:', e);
+    }
+  }
+
+  /**
+   * Save stacks to sessionStorage, dropping the oldest entries if it is full
+   */
+  function persist() {
+    if (!sessionKey) return;
+    while (true) {
+      try {
+        sessionStorage.setItem(sessionKey, JSON.stringify({ undo: undoStack, redo: redoStack }));
+        return;
+      } catch (e) {
+        if (undoStack.length === 0) {
+          console.warn('Undo history too large for session storage:', e);
+          return;
+        }
+        undoStack.splice(0, Math.ceil(undoStack.length / 2));
+      }
+    }
+  }
+
+  const createEntry = (state, label) => ({
+    label: label || DEFAULT_LABEL,
+    timestamp: new Date().toISOString(),
+    state: JSON.stringify(state)
+  });
+
+  /**
+   * Undo to previous state
+   * @param {Object} currentState - Current state (will be pushed to redo stack)
+   * @returns {Object|null} - Previous state or null if nothing to undo
+   */
+  function undo(currentState) {
+    if (undoStack.length === 0) {
+      return null;
+    }
+    const entry = undoStack.pop();
+    redoStack.push(createEntry(currentState, entry.label));
+    persist();
+    return JSON.parse(entry.state);
+  }
+
+  /**
+   * Redo to next state
+   * @param {Object} currentState - Current state (will be pushed to undo stack)
+   * @returns {Object|null} - Next state or null if nothing to redo
+   */
+  function redo(currentState) {
+    if (redoStack.length === 0) {
+      return null;
+    }
+    const entry = redoStack.pop();
+    undoStack.push(createEntry(currentState, entry.label));
+    persist();
+    return JSON.parse(entry.state);
+  }
+
+  restore();
+
   return {
     /**
      * Save current state to undo stack
      * @param {Object} state - Current state to save (will be serialized)
+     * @param {string} label - Description of the action about to be made
      */
-    saveState(state) {
-      undoStack.push(JSON.stringify(state));
+    saveState(state, label = DEFAULT_LABEL) {
+      undoStack.push(createEntry(state, label));
       if (undoStack.length > maxStates) {
         undoStack.shift();
       }
       // Clear redo stack on new action
       redoStack = [];
+      persist();
     },
 
-    /**
-     * Undo to previous state
-     * @param {Object} currentState - Current state (will be pushed to redo stack)
-     * @returns {Object|null} - Previous state or null if nothing to undo
-     */
-    undo(currentState) {
-      if (undoStack.length === 0) {
-        return null;
-      }
-      redoStack.push(JSON.stringify(currentState));
-      return JSON.parse(undoStack.pop());
-    },
+    undo,
+
+    redo,
 
     /**
-     * Redo to next state
-     * @param {Object} currentState - Current state (will be pushed to undo stack)
-     * @returns {Object|null} - Next state or null if nothing to redo
+     * Move several steps through the history at once
+     * @param {Object} currentState - Current state
+     * @param {number} steps - Negative to undo, positive to redo
+     * @returns {Object|null} - Resulting state or null if nothing changed
      */
-    redo(currentState) {
-      if (redoStack.length === 0) {
-        return null;
+    jump(currentState, steps) {
+      let state = null;
+      const step = steps < 0 ? undo : redo;
+      for (let i = 0; i < Math.abs(steps); i++) {
+        const next = step(state || currentState);
+        if (!next) break;
+        state = next;
       }
-      undoStack.push(JSON.stringify(currentState));
-      return JSON.parse(redoStack.pop());
+      return state;
     },
 
     /**
@@ -70,12 +151,53 @@ export function createUndoManager(maxStates = DEFAULT_MAX_STATES) {
       return redoStack.length > 0;
     },
 
+    /**
+     * Get the label of the action the next undo reverts
+     * @returns {string|null}
+     */
+    getUndoLabel() {
+      return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+    },
+
+    /**
+     * Get the label of the action the next redo reapplies
+     * @returns {string|null}
+     */
+    getRedoLabel() {
+      return redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null;
+    },
+
+    /**
+     * Get the labeled history without the stored states
+     * @returns {Object} - { undo: newest first, redo: next first } lists of { label, timestamp }
+     */
+    getHistory() {
+      const strip = ({ label, timestamp }) => ({ label, timestamp });
+      return {
+        undo: undoStack.map(strip).reverse(),
+        redo: redoStack.map(strip).reverse()
+      };
+    },
+
+    /**
+     * Rewrite every stored state, e.g. to carry changes made in another tab
+     * into the history so undo and redo only revert this tab's own actions
+     * @param {Function} transform - Receives a stored state and returns the rewritten one
+     */
+    rebase(transform) {
+      const rewrite = entry => ({ ...entry, state: JSON.stringify(transform(JSON.parse(entry.state))) });
+      undoStack = undoStack.map(rewrite);
+      redoStack = redoStack.map(rewrite);
+      persist();
+    },
+
     /**
      * Clear all undo/redo history
      */
     clear() {
       undoStack = [];
       redoStack = [];
+      persist();
     },
 
     /**
@@ -3,8 +3,10 @@
  * Provides data structure, migrations, and bidirectional sync
  */
 
-// Data format version (v12 adds task dependencies for PERT charts)
-export const DATA_VERSION = 13;
+import { getWorkDays, getSpanOfWeeks } from './schedule.js';
+
+// Data format version (v25 adds dependency types and lag)
+export const DATA_VERSION = 25;
 
 // Storage key (shared between tools)
 export const STORAGE_KEY = 'ganttProject';
@@ -522,6 +524,213 @@ function migrateV12ToV13(data) {
   return data;
 }
 
+/**
+ * Migrate project data from v13 to v14 format (adds custom task fields)
+ * Field definitions live in data.customFields, values in task.customFields
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV13ToV14(data) {
+  if (!Array.isArray(data.customFields)) {
+    data.customFields = [];
+  }
+
+  (data.tasks || []).forEach(task => {
+    if (!task.customFields || typeof task.customFields !== 'object' || Array.isArray(task.customFields)) {
+      task.customFields = {};
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Migrate project data from v14 to v15 format (adds task labels)
+ * Label definitions live in data.labels, task.labels holds label IDs
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV14ToV15(data) {
+  if (!Array.isArray(data.labels)) {
+    data.labels = [];
+  }
+
+  (data.tasks || []).forEach(task => {
+    if (!Array.isArray(task.labels)) {
+      task.labels = [];
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Migrate project data from v15 to v16 format (adds subtasks)
+ * task.parentId links a subtask to its parent (null for top-level tasks)
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV15ToV16(data) {
+  (data.tasks || []).forEach(task => {
+    if (task.parentId === undefined) {
+      task.parentId = null;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Migrate project data from v16 to v17 format (adds epics)
+ * Epics live in data.epics, task.epicId links a task to one
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV16ToV17(data) {
+  if (!Array.isArray(data.epics)) {
+    data.epics = [];
+  }
+
+  (data.tasks || []).forEach(task => {
+    if (task.epicId === undefined) {
+      task.epicId = null;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Migrate project data from v17 to v18 format (adds recurring tasks)
+ * task.recurrence holds the series of a recurring task (null otherwise)
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV17ToV18(data) {
+  (data.tasks || []).forEach(task => {
+    if (task.recurrence === undefined) {
+      task.recurrence = null;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Migrate project data from v18 to v19 format (adds task comments)
+ * Comments live in data.comments and reference their task by taskId
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV18ToV19(data) {
+  if (!Array.isArray(data.comments)) {
+    data.comments = [];
+  }
+
+  return data;
+}
+
+/**
+ * Migrate project data from v19 to v20 format (adds task checklists)
+ * project.checklistProgress lets checklists drive Gantt progress (off by default)
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV19ToV20(data) {
+  (data.tasks || []).forEach(task => {
+    if (!Array.isArray(task.checklist)) {
+      task.checklist = [];
+    }
+  });
+
+  if (data.project && typeof data.project.checklistProgress !== 'boolean') {
+    data.project.checklistProgress = false;
+  }
+
+  return data;
+}
+
+/**
+ * Migrate project data from v20 to v21 format (adds task attachments)
+ * Only attachment records live in the project data; files are stored
+ * separately by attachments.js
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV20ToV21(data) {
+  if (!Array.isArray(data.attachments)) {
+    data.attachments = [];
+  }
+
+  return data;
+}
+
+/**
+ * Migrate project data from v21 to v22 format (adds schedule baselines)
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV21ToV22(data) {
+  if (!Array.isArray(data.baselines)) {
+    data.baselines = [];
+  }
+
+  return data;
+}
+
+/**
+ * Migrate project data from v22 to v23 format (adds day-level task dates)
+ * task.startDate / task.endDate run from the first work day of the first
+ * planned week to the last work day of the last one (null when unscheduled)
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV22ToV23(data) {
+  const workDays = getWorkDays(data);
+
+  (data.tasks || []).forEach(task => {
+    if (task.startDate === undefined || task.endDate === undefined) {
+      const span = data.project?.startDate ? getSpanOfWeeks(data.project, task.planned || [], workDays) : null;
+      task.startDate = span ? span.startDate : null;
+      task.endDate = span ? span.endDate : null;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Migrate project data from v23 to v24 format (adds auto-scheduling)
+ * project.autoSchedule pushes successors forward when a predecessor's
+ * planned weeks change (off by default)
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV23ToV24(data) {
+  if (data.project && typeof data.project.autoSchedule !== 'boolean') {
+    data.project.autoSchedule = false;
+  }
+
+  return data;
+}
+
+/**
+ * Migrate project data from v24 to v25 format (adds dependency types and lag)
+ * task.dependencyLinks holds { type, lag } per predecessor ID for links that
+ * are not finish-to-start without lag; existing links stay plain FS
+ * @param {Object} data - Project data to migrate
+ * @returns {Object} - Migrated data
+ */
+function migrateV24ToV25(data) {
+  (data.tasks || []).forEach(task => {
+    if (!task.dependencyLinks || typeof task.dependencyLinks !== 'object' || Array.isArray(task.dependencyLinks)) {
+      task.dependencyLinks = {};
+    }
+  });
+
+  return data;
+}
+
 // ========== MIGRATION REGISTRY ==========
 
 /**
@@ -537,7 +746,19 @@ const migrations = {
   10: migrateV9ToV10,
   11: migrateV10ToV11,
   12: migrateV11ToV12,
-  13: migrateV12ToV13
+  13: migrateV12ToV13,
+  14: migrateV13ToV14,
+  15: migrateV14ToV15,
+  16: migrateV15ToV16,
+  17: migrateV16ToV17,
+  18: migrateV17ToV18,
+  19: migrateV18ToV19,
+  20: migrateV19ToV20,
+  21: migrateV20ToV21,
+  22: migrateV21ToV22,
+  23: migrateV22ToV23,
+  24: migrateV23ToV24,
+  25: migrateV24ToV25
 };
 
 /**
@@ -1309,6 +1530,40 @@ export function cloneProjectData(data) {
   return JSON.parse(JSON.stringify(data));
 }
 
+/**
+ * Create empty project data at the current version
+ * @param {string} title - Project title
+ * @returns {Object} - New project data
+ */
+export function createEmptyProjectData(title = 'New Project') {
+  return {
+    version: DATA_VERSION,
+    project: {
+      title,
+      startDate: new Date().toISOString().split('T')[0],
+      endDate: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+      totalWeeks: 13,
+      checklistProgress: false,
+      autoSchedule: false
+    },
+    team: [],
+    categories: {
+      'General': '#a78bfa'
+    },
+    workflow: JSON.parse(JSON.stringify(defaultWorkflow)),
+    sprints: [],
+    timeEntries: [],
+    tasks: [],
+    retrospectives: [],
+    customFields: [],
+    labels: [],
+    epics: [],
+    comments: [],
+    attachments: [],
+    baselines: []
+  };
+}
+
 // ========== RESOURCE CALENDAR HELPERS ==========
 
 /**
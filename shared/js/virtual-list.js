@@ -0,0 +1,208 @@
+/**
+ * Virtual List Module - Windowed and incremental rendering of long lists
+ * Large boards put only the items near the viewport in the DOM; spacers
+ * stand in for the rest, sized from the measured height of each item (or an
+ * estimate until it has been on screen). Rendered elements are cached per
+ * item with a signature of what they show, so a re-render rebuilds only the
+ * items whose signature changed and reuses the others.
+ *
+ * Items are identified by string keys. Lists below minItems are rendered in
+ * full, so small projects and printing behave as before.
+ */
+
+const DEFAULT_OVERSCAN = 600;
+const DEFAULT_MIN_ITEMS = 150;
+
+/**
+ * Create a virtual list
+ * @param {Object} options - Configuration
+ * @param {Function} options.estimateHeight - (item) => px for items not measured yet
+ * @param {number} options.overscan - px rendered above and below the viewport
+ * @param {number} options.minItems - Lists shorter than this are rendered in full
+ * @returns {Object} - Virtual list with getRange, getHeight, measure, isVirtual, cache methods
+ */
+export function createVirtualList(options = {}) {
+  const estimateHeight = options.estimateHeight || (() => 40);
+  const overscan = options.overscan ?? DEFAULT_OVERSCAN;
+  const minItems = options.minItems ?? DEFAULT_MIN_ITEMS;
+  const heights = new Map();
+  const cache = new Map();
+  let cacheContext = null;
+  let renderAll = false;
+
+  const heightOf = (item) => heights.get(item.key) ?? estimateHeight(item);
+
+  return {
+    /**
+     * Whether a list of this length is windowed
+     * @param {number} count - Number of items
+     * @returns {boolean}
+     */
+    isVirtual(count) {
+      return !renderAll && count >= minItems;
+    },
+
+    /**
+     * Render every item, e.g. while printing
+     * @param {boolean} all - Whether to turn windowing off
+     */
+    setRenderAll(all) {
+      renderAll = all;
+    },
+
+    /**
+     * Get the items to render for a viewport
+     * @param {Array} items - Items with a key
+     * @param {number} viewTop - Top of the viewport, in px from the first item
+     * @param {number} viewBottom - Bottom of the viewport, in px from the first item
+     * @returns {Object} - { start, end, before, after }: items [start, end) and the spacer heights
+     */
+    getRange(items, viewTop, viewBottom) {
+      if (!this.isVirtual(items.length)) {
+        return { start: 0, end: items.length, before: 0, after: 0 };
+      }
+      const top = viewTop - overscan;
+      const bottom = viewBottom + overscan;
+      let y = 0;
+      let start = items.length;
+      let before = 0;
+      let end = items.length;
+
+      for (let i = 0; i < items.length; i++) {
+        const height = heightOf(items[i]);
+        if (start === items.length && y + height > top) {
+          start = i;
+          before = y;
+        }
+        y += height;
+        if (start !== items.length && y >= bottom) {
+          end = i + 1;
+          break;
+        }
+      }
+
+      // Scrolled past the end: keep the last screenful
+      if (start === items.length) {
+        start = Math.max(0, items.length - 1);
+        before = y - heightOf(items[start]);
+      }
+
+      let after = 0;
+      for (let i = end; i < items.length; i++) after += heightOf(items[i]);
+      return { start, end, before, after };
+    },
+
+    /**
+     * Get the height of an item: measured, or estimated until it is rendered
+     * @param {Object} item - Item with a key
+     * @returns {number} - Height in px
+     */
+    getHeight(item) {
+      return heightOf(item);
+    },
+
+    /**
+     * Record the rendered height of an item
+     * @param {string} key - Item key
+     * @param {number} height - Height in px
+     */
+    measure(key, height) {
+      if (height > 0) heights.set(key, height);
+    },
+
+    /**
+     * Start a render pass; cached elements from another context are dropped
+     * @param {string} context - Everything outside the items that changes how they render
+     */
+    beginPass(context) {
+      if (context !== cacheContext) {
+        cache.clear();
+        heights.clear();
+        cacheContext = context;
+      }
+    },
+
+    /**
+     * Get the cached elements of an item, rendering them when the item changed
+     * @param {string} key - Item key
+     * @param {string} signature - Serialized data the elements show
+     * @param {Function} renderItem - () => elements (a node or an array of nodes)
+     * @returns {Array} - Nodes of the item
+     */
+    getElements(key, signature, renderItem) {
+      const cached = cache.get(key);
+      if (cached && cached.signature === signature) return cached.nodes;
+      const rendered = renderItem();
+      const nodes = Array.isArray(rendered) ? rendered : [rendered];
+      cache.set(key, { signature, nodes });
+      return nodes;
+    },
+
+    /**
+     * Forget the cached elements of items that are gone
+     * @param {Set} keys - Keys of the current items
+     */
+    prune(keys) {
+      cache.forEach((_, key) => {
+        if (!keys.has(key)) cache.delete(key);
+      });
+    }
+  };
+}
+
+/**
+ * Put nodes between two markers of a parent, touching only what changed
+ * Nodes already in place stay attached, so scrolling a window keeps the
+ * items that remain visible (and any drag in progress on them).
+ * @param {HTMLElement} parent - Parent element
+ * @param {Array} nodes - Nodes in their new order
+ * @param {Node|null} startMarker - Node the list follows (null for the start of parent)
+ * @param {Node|null} endMarker - Node the list precedes (null for the end of parent)
+ */
+export function placeNodes(parent, nodes, startMarker = null, endMarker = null) {
+  const wanted = new Set(nodes);
+  let node = startMarker ? startMarker.nextSibling : parent.firstChild;
+  while (node && node !== endMarker) {
+    const next = node.nextSibling;
+    if (!wanted.has(node)) node.remove();
+    node = next;
+  }
+
+  let cursor = startMarker ? startMarker.nextSibling : parent.firstChild;
+  nodes.forEach(item => {
+    if (item === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      parent.insertBefore(item, cursor);
+    }
+  });
+}
+
+/**
+ * Create a spacer standing in for items outside the window
+ * @param {string} className - Spacer class
+ * @returns {HTMLElement}
+ */
+export function createSpacer(className) {
+  const spacer = document.createElement('div');
+  spacer.className = className;
+  spacer.setAttribute('aria-hidden', 'true');
+  return spacer;
+}
+
+/**
+ * Call a function at most once per animation frame
+ * @param {Function} fn - Function to throttle
+ * @returns {Function} - Throttled function
+ */
+export function throttleToFrame(fn) {
+  let pending = false;
+  return (...args) => {
+    if (pending) return;
+    pending = true;
+    requestAnimationFrame(() => {
+      pending = false;
+      fn(...args);
+    });
+  };
+}
@@ -7,16 +7,18 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 import { initExportDropdown } from '../../../shared/js/export-dropdown.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow,
@@ -30,6 +32,10 @@ import { renderChart, exportChartAsImage } from './burndown-chart.js';
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let selectedSprintId = null;
@@ -39,12 +45,13 @@ let saveCount = 0;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_burndown' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -134,6 +141,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -143,8 +151,8 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
 }
 
 // ========== RENDER ==========
@@ -256,7 +264,7 @@ window.recordSnapshot = function() {
   const sprint = projectData.sprints.find(s => s.id === selectedSprintId);
   if (!sprint) return;
 
-  saveState();
+  saveState(`Recorded snapshot for '${sprint.name}'`);
 
   // Sync completedAt timestamps for any done tasks missing them
   const sprintTasks = projectData.tasks.filter(t => t.sprintId === sprint.id);
@@ -286,7 +294,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
 
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
 
@@ -327,13 +335,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate to v9 if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -357,54 +368,64 @@ async function handleFileImport(e) {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-
-          // Update selected sprint if it no longer exists
-          if (selectedSprintId && !projectData.sprints.find(s => s.id === selectedSprintId)) {
-            const activeSprint = projectData.sprints.find(s => s.status === 'active');
-            selectedSprintId = activeSprint ? activeSprint.id :
-                               (projectData.sprints.length > 0 ? projectData.sprints[0].id : null);
-          }
-
-          // Burndown is calculated dynamically, just re-render
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    // Update selected sprint if it no longer exists
+    if (selectedSprintId && !projectData.sprints.find(s => s.id === selectedSprintId)) {
+      const activeSprint = projectData.sprints.find(s => s.status === 'active');
+      selectedSprintId = activeSprint ? activeSprint.id :
+                         (projectData.sprints.length > 0 ? projectData.sprints[0].id : null);
     }
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
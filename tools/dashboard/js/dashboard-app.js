@@ -8,11 +8,13 @@ import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey } from '../../../shared/js/project-manager.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
   migrateToLatest,
   calculateProgress,
   calculateVariance,
@@ -36,13 +38,18 @@ import {
   renderMilestones,
   renderVelocity,
   renderTeamCapacity,
+  renderEpics,
   renderQuickLinks
 } from './dashboard-render.js';
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+
 let projectData = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
@@ -128,6 +135,7 @@ function renderApp() {
   renderMilestones(projectData, 'milestonesContent');
   renderVelocity(projectData, 'velocityContent');
   renderTeamCapacity(projectData, 'teamCapacityContent');
+  renderEpics(projectData, 'epicsContent');
   renderQuickLinks('quickLinksContent');
 }
 
@@ -221,17 +229,13 @@ function showKeyboardHelp() {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        projectData = migrateToLatest(newData);
-        renderApp();
-        statusManager.show('Data synced from another tab', 'info');
-      } catch (err) {
-        console.error('Failed to sync data:', err);
-      }
-    }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact
+    applyChanges(projectData, changes);
+
+    renderApp();
+    statusManager.show('Data synced from another tab', 'info');
   });
 }
 
@@ -243,8 +247,18 @@ async function handleFileSelect(e) {
 
   try {
     const data = await readJSONFile(file);
-    projectData = migrateToLatest(data);
+
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(data);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
+    }
+
+    projectData = migrateToLatest(validated);
     saveToStorage(STORAGE_KEY, projectData);
+    if (changeFeed) changeFeed.publish(projectData);
     renderApp();
     statusManager.show('Project imported successfully', 'success');
   } catch (err) {
@@ -14,6 +14,7 @@ import {
   getWeekEnd,
   defaultWorkflow
 } from '../../../shared/js/unified-data.js';
+import { getEpics, calculateEpicProgress } from '../../../shared/js/epics.js';
 
 // Tool definitions for quick links
 const TOOLS = [
@@ -406,6 +407,84 @@ export function renderQuickLinks(containerId) {
   `;
 }
 
+/**
+ * Render Epics card
+ */
+export function renderEpics(data, containerId) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const epics = getEpics(data);
+
+  if (epics.length === 0) {
+    container.innerHTML = `
+      <div class="empty-state">
+        <svg class="empty-state__icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polygon points="12 2 2 7 12 12 22 7 12 2"/>
+          <polyline points="2 17 12 22 22 17"/>
+          <polyline points="2 12 12 17 22 12"/>
+        </svg>
+        <div class="empty-state__title">No Epics</div>
+        <div class="empty-state__text">Group tasks that span several sprints</div>
+        <a href="../sprint/index.html" class="empty-state__link">Go to Sprint Planner</a>
+      </div>
+    `;
+    return;
+  }
+
+  const progressById = new Map(epics.map(epic =>
+    [epic.id, calculateEpicProgress(epic, data.tasks || [], data.sprints || [])]
+  ));
+
+  const epicsHTML = epics.map(epic => {
+    const progress = progressById.get(epic.id);
+    let forecastText = 'No forecast';
+    if (progress.status === 'done') {
+      forecastText = 'Done';
+    } else if (progress.forecastDate) {
+      forecastText = `Forecast ${formatShortDate(progress.forecastDate)}`;
+    }
+
+    return `
+      <div class="epic-row" style="--epic-color: ${epic.color};">
+        <div class="epic-row__name">${escapeHtml(epic.name)}</div>
+        <div class="epic-row__track">
+          <div class="epic-row__fill" style="width: ${progress.percent}%;"></div>
+        </div>
+        <div class="epic-row__points">${progress.donePoints}/${progress.totalPoints} pts</div>
+        <div class="epic-row__forecast epic-row__forecast--${progress.status}">
+          ${forecastText}${epic.targetDate ? ` <span class="epic-row__target">/ target ${formatShortDate(epic.targetDate)}</span>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const atRisk = [...progressById.values()].filter(p => p.status === 'at-risk').length;
+
+  container.innerHTML = `
+    <div class="epic-rows">
+      ${epicsHTML}
+    </div>
+    ${atRisk > 0 ? `<div class="milestone-summary">${atRisk} epic(s) forecast past target</div>` : ''}
+  `;
+}
+
+/**
+ * Format an ISO date as "Mar 14"
+ */
+function formatShortDate(date) {
+  return new Date(date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Escape HTML special characters
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
 /**
  * Truncate string with ellipsis
  */
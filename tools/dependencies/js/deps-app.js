@@ -8,16 +8,20 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 import { initExportDropdown } from '../../../shared/js/export-dropdown.js';
+import { setDependencyLink } from '../../../shared/js/dependency-links.js';
+import { renderDependencyLinkControls } from '../../../shared/js/dependency-links-ui.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   defaultWorkflow
 } from '../../../shared/js/unified-data.js';
@@ -48,6 +52,10 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let drawMode = false;
@@ -60,13 +68,14 @@ let saveCount = 0;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 let networkInitialized = false;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_dependencies' });
   statusManager = createStatusManager('status');
 
   initNavigation();
@@ -147,6 +156,7 @@ function initializeNetwork() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   saveCount++;
@@ -155,8 +165,12 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getTaskName(taskId) {
+  return projectData.tasks.find(t => t.id === taskId)?.name || 'task';
 }
 
 // ========== RENDER ==========
@@ -231,7 +245,8 @@ function renderDiagram(tasks, options = {}) {
     fitView,
     searchQuery,
     categoryFilter,
-    statusFilter
+    statusFilter,
+    projectData
   });
 }
 
@@ -283,7 +298,7 @@ function handleNodeDoubleClick(nodeId) {
 }
 
 function handleEdgeAdd(fromId, toId) {
-  saveState();
+  saveState(`Added dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
   if (addDependency(projectData, fromId, toId)) {
     save();
     statusManager.show('Dependency created', true);
@@ -297,7 +312,7 @@ function handleEdgeAdd(fromId, toId) {
 }
 
 function handleEdgeDelete(fromId, toId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
   if (removeDependency(projectData, fromId, toId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -385,6 +400,7 @@ function openTaskModal(nodeId) {
           <div class="dependency-item__info">
             <span class="dependency-item__name">${escapeHtml(pred.name)}</span>
           </div>
+          ${renderDependencyLinkControls(task, pred.id, editMode)}
           ${editMode ? `<button class="dependency-item__remove" onclick="removePredecessor('${pred.id}', '${nodeId}')">&times;</button>` : ''}
         </div>
       `).join('')
@@ -403,6 +419,7 @@ function openTaskModal(nodeId) {
           <div class="dependency-item__info">
             <span class="dependency-item__name">${escapeHtml(succ.name)}</span>
           </div>
+          ${renderDependencyLinkControls(succ, nodeId, editMode)}
           ${editMode ? `<button class="dependency-item__remove" onclick="removeSuccessor('${nodeId}', '${succ.id}')">&times;</button>` : ''}
         </div>
       `).join('')
@@ -424,6 +441,7 @@ function getColumnName(columnId) {
 
 window.closeTaskModal = function() {
   document.getElementById('taskModal').classList.remove('active');
+  clearEditConflict('taskModal');
 };
 
 window.addDependencyFromModal = function() {
@@ -431,7 +449,7 @@ window.addDependencyFromModal = function() {
   const predId = select.value;
   if (!predId || !selectedNodeId) return;
 
-  saveState();
+  saveState(`Added dependency '${getTaskName(predId)}' -> '${getTaskName(selectedNodeId)}'`);
   if (addDependency(projectData, predId, selectedNodeId)) {
     save();
     statusManager.show('Dependency added', true);
@@ -441,8 +459,22 @@ window.addDependencyFromModal = function() {
   }
 };
 
+window.updateDependencyLink = function(fromId, toId, field, value) {
+  const task = projectData.tasks.find(t => t.id === toId);
+  if (!task) return;
+
+  const changes = field === 'lag' ? { lag: parseInt(value) || 0 } : { type: value };
+  saveState(`Changed dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
+  if (setDependencyLink(task, fromId, changes)) {
+    save();
+    statusManager.show('Dependency updated', true);
+    renderApp({ fitView: false });
+    openTaskModal(selectedNodeId);
+  }
+};
+
 window.removePredecessor = function(predId, taskId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(predId)}' -> '${getTaskName(taskId)}'`);
   if (removeDependency(projectData, predId, taskId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -453,7 +485,7 @@ window.removePredecessor = function(predId, taskId) {
 };
 
 window.removeSuccessor = function(taskId, succId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(taskId)}' -> '${getTaskName(succId)}'`);
   if (removeDependency(projectData, taskId, succId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -475,7 +507,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
   save();
   closeSettings();
@@ -501,29 +533,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -563,11 +611,15 @@ async function handleFileImport(e) {
 
   try {
     const imported = await readJSONFile(file);
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -587,20 +639,23 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-          selectedNodeId = null;
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    // Deselect node if it no longer exists
+    if (selectedNodeId && !projectData.tasks.find(t => t.id === selectedNodeId)) {
+      selectedNodeId = null;
     }
+
+    const conflict = findChange(changes, 'task', selectedNodeId);
+    if (conflict) showEditConflict('taskModal', conflict);
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
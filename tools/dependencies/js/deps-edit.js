@@ -3,6 +3,8 @@
  * Add/remove dependencies with cycle detection
  */
 
+import { removeDependencyLink, pruneDependencyLinks } from '../../../shared/js/dependency-links.js';
+
 /**
  * Add a dependency between tasks
  * @param {Object} projectData - Project data
@@ -46,6 +48,7 @@ export function removeDependency(projectData, fromId, toId) {
   if (index === -1) return false;
 
   task.dependencies.splice(index, 1);
+  removeDependencyLink(task, fromId);
   return true;
 }
 
@@ -112,6 +115,7 @@ export function validateDependencies(projectData) {
     });
 
     task.dependencies = validDeps;
+    pruneDependencyLinks(task);
   });
 
   return removedCount;
@@ -14,6 +14,8 @@ import {
   generateSVGPath,
   isELKAvailable
 } from '../../pert/js/pert-elk.js';
+import { getDependencyLink, formatDependencyLink } from '../../../shared/js/dependency-links.js';
+import { parseSearchQuery, matchesLabelTerms } from '../../../shared/js/labels.js';
 
 // vis-network instance
 let network = null;
@@ -391,9 +393,14 @@ function getColumnName(columnId, workflow) {
 
 /**
  * Update the network with task data
+ * Nodes not matching the search (free text in the name, #label terms) are dimmed.
+ * @param {Array} tasks - Tasks to show
+ * @param {Object} workflow - Kanban workflow (column names)
+ * @param {Object} options - { fitView, searchQuery, categoryFilter, statusFilter, projectData }
  */
 export async function updateNetwork(tasks, workflow, options = {}) {
-  const { fitView = true, searchQuery = '', categoryFilter = null, statusFilter = null } = options;
+  const { fitView = true, searchQuery = '', categoryFilter = null, statusFilter = null, projectData = null } = options;
+  const { text: searchText, labels: labelTerms } = parseSearchQuery(searchQuery);
 
   isUpdatingNetwork = true;
 
@@ -424,7 +431,8 @@ export async function updateNetwork(tasks, workflow, options = {}) {
   filteredTasks.forEach(task => {
     const columnId = task.board?.columnId || 'backlog';
     const columnName = getColumnName(columnId, workflow);
-    const isSearchMatch = !searchQuery || task.name.toLowerCase().includes(searchQuery.toLowerCase());
+    const isSearchMatch = !searchQuery || (matchesLabelTerms(task, labelTerms, projectData) &&
+      (!searchText || task.name.toLowerCase().includes(searchText)));
 
     const nodeColor = getNodeColor(columnId);
     const dimmed = searchQuery && !isSearchMatch;
@@ -485,7 +493,8 @@ export async function updateNetwork(tasks, workflow, options = {}) {
           to: task.id,
           hidden: true,
           color: { color: 'transparent' },
-          width: 0
+          width: 0,
+          linkLabel: formatDependencyLink(getDependencyLink(task, predId))
         });
         elkEdges.push({
           id: edgeId,
@@ -578,7 +587,7 @@ export async function updateNetwork(tasks, workflow, options = {}) {
  */
 function clearSvgEdges() {
   if (!edgeSvgLayer) return;
-  const paths = edgeSvgLayer.querySelectorAll('path.edge-path');
+  const paths = edgeSvgLayer.querySelectorAll('path.edge-path, text.edge-label');
   paths.forEach(p => p.remove());
 }
 
@@ -654,6 +663,20 @@ function renderSvgEdges() {
     path.setAttribute('data-edge-id', edge.id);
 
     edgeSvgLayer.appendChild(path);
+
+    // Type and lag of links that are not plain finish-to-start
+    if (edge.linkLabel) {
+      const end = points[points.length - 1];
+      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      text.setAttribute('class', 'edge-label');
+      text.setAttribute('x', end.x - 10);
+      text.setAttribute('y', end.y - 5);
+      text.setAttribute('text-anchor', 'end');
+      text.setAttribute('fill', COLORS.textSecondary);
+      text.setAttribute('font-size', '11');
+      text.textContent = edge.linkLabel;
+      edgeSvgLayer.appendChild(text);
+    }
   });
 }
 
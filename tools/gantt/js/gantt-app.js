@@ -7,16 +7,40 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup, restoreBackup as restoreFromBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename, triggerPrint } from '../../../shared/js/export.js';
+import { throttleToFrame } from '../../../shared/js/virtual-list.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 import { initExportDropdown } from '../../../shared/js/export-dropdown.js';
+import { getCustomFields } from '../../../shared/js/custom-fields.js';
+import { renderFieldEditors, applyFieldEditors, renderFieldViewControls } from '../../../shared/js/custom-fields-ui.js';
+import { renderLabelPicker, applyLabelPicker } from '../../../shared/js/labels-ui.js';
+import { setParent } from '../../../shared/js/task-hierarchy.js';
+import { fillParentSelect } from '../../../shared/js/task-hierarchy-ui.js';
+import { renderRecurrenceEditor, applyRecurrenceEditor } from '../../../shared/js/recurrence-ui.js';
+import { renderTaskDiscussion } from '../../../shared/js/comments-ui.js';
+import { downloadArchive } from '../../../shared/js/attachments.js';
+import { getBaseline, getBaselineWeeks, compareToBaseline } from '../../../shared/js/baselines.js';
+import { renderBaselineManager } from '../../../shared/js/baselines-ui.js';
+import {
+  getWorkDays,
+  getTaskSpan,
+  getTotalDays,
+  getDateOfDay,
+  getWeeksOfSpan,
+  countWorkDays,
+  syncTaskDates
+} from '../../../shared/js/schedule.js';
+import { usesAutoSchedule, autoSchedule, getTaskConflicts } from '../../../shared/js/auto-schedule.js';
+import { buildGraph, runPertAnalysis } from '../../pert/js/pert-calc.js';
 
 // Import gantt-specific modules
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   defaultProjectData,
   migrateProjectData,
   migrateTask,
@@ -26,7 +50,7 @@ import {
   syncGanttToKanban
 } from './gantt-data.js';
 
-import { render } from './gantt-render.js';
+import { render, updateVisibleRows, setPrintLayout, ZOOM_LEVELS } from './gantt-render.js';
 
 import {
   addTask,
@@ -36,6 +60,10 @@ import {
   moveTaskToCategory,
   updateTaskDetails,
   setTaskWeekRange,
+  setTaskDateRange,
+  clickPlannedDay,
+  moveTaskBars,
+  resizeTaskBar,
   toggleWeek,
   fillWeekRange,
   addCategory,
@@ -48,18 +76,35 @@ import {
   startEditTitle
 } from './gantt-edit.js';
 
+import { setupBarDrag } from './gantt-drag.js';
+
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+// Per-project view preferences (timeline zoom)
+const VIEW_KEY = STORAGE_KEY + '_gantt_view';
+
 let projectData = null;
 let editMode = false;
 let collapsedCategories = new Set();
+let collapsedTasks = new Set();
 let searchQuery = '';
+let fieldView = { filterFieldId: '', filterValue: '', groupByFieldId: '' };
+let shownBaselineId = null;
+let zoom = 'week';
+let criticalPath = false;
+let criticalOnly = false;
+// PERT results behind the critical path view; cleared whenever the tasks change
+let criticalAnalysis = null;
 let saveCount = 0;
 
 // Drag state
 let draggedTaskId = null;
 let draggedCategory = null;
 let rangeStartCell = null;
+let selectedTaskIds = new Set();
 let activeDropdown = null;
 
 // Popover state
@@ -72,12 +117,13 @@ let tempTeam = [];
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_gantt' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -130,6 +176,14 @@ export function init() {
   save();
   createBackup(BACKUP_KEY, projectData);
 
+  // Restore the zoom and critical path view last used for this project
+  const view = loadFromStorage(VIEW_KEY);
+  if (view && ZOOM_LEVELS.includes(view.zoom)) {
+    zoom = view.zoom;
+  }
+  criticalPath = view?.criticalPath === true;
+  criticalOnly = criticalPath && view?.criticalOnly === true;
+
   // Setup event listeners
   setupEventListeners();
 
@@ -143,26 +197,30 @@ export function init() {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
-    }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+    criticalAnalysis = null;
+
+    const conflict = findChange(changes, 'task', currentPopoverTaskId);
+    if (conflict) showEditConflict('taskEditPopover', conflict);
+    if (currentPopoverTaskId && changes.some(c => c.entity === 'comment')) renderPopoverComments();
+    if (document.getElementById('baselineModal').classList.contains('active')) renderBaselinePanel();
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
 // ========== SAVE/LOAD ==========
 
 function save() {
+  criticalAnalysis = null;
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -172,14 +230,114 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getTaskName(taskId) {
+  return projectData.tasks.find(t => t.id === taskId)?.name || 'task';
 }
 
 // ========== RENDER ==========
 
 function renderApp() {
-  render(projectData, editMode, collapsedCategories, searchQuery, getHandlers());
+  renderFieldViewControls(document.getElementById('fieldView'), projectData, fieldView, renderApp);
+  render(projectData, editMode, collapsedCategories, searchQuery, getHandlers(), fieldView, collapsedTasks, getBaselineView(), zoom, getCriticalView());
+  document.querySelectorAll('#zoomToggle [data-zoom]').forEach(btn => {
+    btn.classList.toggle('view-toggle-btn--active', btn.dataset.zoom === zoom);
+  });
+  document.getElementById('criticalPathBtn').classList.toggle('view-toggle-btn--active', criticalPath);
+  document.getElementById('criticalOnlyBtn').classList.toggle('view-toggle-btn--active', criticalOnly);
+}
+
+/**
+ * Switch the timeline zoom and remember it for this project
+ * @param {string} nextZoom - One of ZOOM_LEVELS
+ */
+function setZoom(nextZoom) {
+  if (nextZoom === zoom || !ZOOM_LEVELS.includes(nextZoom)) return;
+  zoom = nextZoom;
+  rangeStartCell = null;
+  saveView();
+  renderApp();
+  statusManager.show(`Zoom: ${zoom}s`, true);
+}
+
+/**
+ * Remember the view preferences of this project (not part of the project data)
+ */
+function saveView() {
+  saveToStorage(VIEW_KEY, { zoom, criticalPath, criticalOnly });
+}
+
+/**
+ * Zoom the timeline in (closer) or out (wider) by one level
+ * @param {number} step - -1 to zoom in, 1 to zoom out
+ */
+function stepZoom(step) {
+  const index = ZOOM_LEVELS.indexOf(zoom) + step;
+  if (index >= 0 && index < ZOOM_LEVELS.length) setZoom(ZOOM_LEVELS[index]);
+}
+
+/**
+ * Ghost bar weeks and finish slips of the shown baseline
+ * @returns {Object|null} - { baseline, weeks, slips } or null when none is shown
+ */
+function getBaselineView() {
+  const baseline = shownBaselineId ? getBaseline(projectData, shownBaselineId) : null;
+  if (!baseline) return null;
+  const slips = new Map();
+  compareToBaseline(projectData, baseline).tasks.forEach(row => {
+    if (row.finishSlip) slips.set(row.taskId, row.finishSlip);
+  });
+  return { baseline, weeks: getBaselineWeeks(projectData, baseline), slips };
+}
+
+// ========== CRITICAL PATH ==========
+
+/**
+ * Run the PERT analysis on all tasks, as the PERT tool does
+ * The analysis is only run while the view is on and is reused until the
+ * tasks are saved or synced from another tab.
+ * @returns {Object|null} - { tasks, criticalOnly, criticalCount, projectDuration } or null when the view is off
+ */
+function getCriticalView() {
+  if (!criticalPath) return null;
+  if (!criticalAnalysis) {
+    const analysis = runPertAnalysis(buildGraph(projectData.tasks));
+    const tasks = new Map();
+    analysis.graph.nodes.forEach((node, taskId) => {
+      tasks.set(taskId, { slack: node.slack, isCritical: node.isCritical });
+    });
+    criticalAnalysis = {
+      tasks,
+      criticalCount: analysis.criticalCount,
+      projectDuration: analysis.projectDuration
+    };
+  }
+  return { ...criticalAnalysis, criticalOnly };
+}
+
+/**
+ * Show or hide critical path highlighting and float bars
+ */
+function toggleCriticalPath() {
+  criticalPath = !criticalPath;
+  if (!criticalPath) criticalOnly = false;
+  saveView();
+  renderApp();
+  statusManager.show(criticalPath ? 'Critical path shown' : 'Critical path hidden', true);
+}
+
+/**
+ * Show only the tasks on the critical path (turns highlighting on)
+ */
+function toggleCriticalOnly() {
+  criticalOnly = !criticalOnly;
+  if (criticalOnly) criticalPath = true;
+  saveView();
+  renderApp();
+  statusManager.show(criticalOnly ? 'Showing critical tasks only' : 'Showing all tasks', true);
 }
 
 // ========== EVENT HANDLERS OBJECT ==========
@@ -189,7 +347,7 @@ function getHandlers() {
     // Title
     onEditTitle: () => {
       if (!editMode) return;
-      saveState();
+      saveState('Renamed project');
       startEditTitle(projectData, () => {
         save();
         renderApp();
@@ -198,14 +356,14 @@ function getHandlers() {
 
     // Tasks
     onAddTask: (category) => {
-      saveState();
+      saveState(`Added task to ${category}`);
       if (addTask(projectData, category)) {
         save();
         renderApp();
       }
     },
     onDelete: (taskId) => {
-      saveState();
+      saveState(`Deleted '${getTaskName(taskId)}'`);
       if (deleteTask(projectData, taskId)) {
         save();
         renderApp();
@@ -213,14 +371,14 @@ function getHandlers() {
     },
     onRenameTask: (element, taskId) => {
       if (!editMode) return;
-      saveState();
+      saveState(`Renamed '${getTaskName(taskId)}'`);
       startRenameTask(element, taskId, projectData, () => {
         save();
         renderApp();
       });
     },
     onDuplicate: (taskId) => {
-      saveState();
+      saveState(`Duplicated '${getTaskName(taskId)}'`);
       if (duplicateTask(projectData, taskId)) {
         save();
         renderApp();
@@ -228,7 +386,7 @@ function getHandlers() {
       }
     },
     onCopyToReality: (taskId) => {
-      saveState();
+      saveState(`Copied plan to reality for '${getTaskName(taskId)}'`);
       if (copyPlannedToReality(projectData, taskId)) {
         // Sync to Kanban
         const task = projectData.tasks.find(t => t.id === taskId);
@@ -245,6 +403,10 @@ function getHandlers() {
 
     // Week cells
     onWeekClick: (e, taskId, week, type) => handleWeekClick(e, taskId, week, type),
+    onDayClick: (e, taskId, date, week, type) => handleDayClick(e, taskId, date, week, type),
+
+    // Bar selection
+    isSelected: (taskId) => selectedTaskIds.has(taskId),
 
     // Task drag-drop
     onDragStart: (e, taskId) => handleDragStart(e, taskId),
@@ -254,28 +416,28 @@ function getHandlers() {
 
     // Categories
     onAddCategory: () => {
-      saveState();
+      saveState('Added category');
       if (addCategory(projectData)) {
         save();
         renderApp();
       }
     },
     onDeleteCategory: (categoryName) => {
-      saveState();
+      saveState(`Deleted category '${categoryName}'`);
       if (deleteCategory(projectData, categoryName)) {
         save();
         renderApp();
       }
     },
     onSetCategoryColor: (categoryName, color) => {
-      saveState();
+      saveState(`Changed color of '${categoryName}'`);
       setCategoryColor(projectData, categoryName, color);
       save();
       renderApp();
     },
     onRenameCategory: (element, categoryName) => {
       if (!editMode) return;
-      saveState();
+      saveState(`Renamed category '${categoryName}'`);
       startRenameCategory(element, categoryName, projectData, () => {
         save();
         renderApp();
@@ -289,6 +451,14 @@ function getHandlers() {
       }
       renderApp();
     },
+    onToggleSubtasks: (taskId) => {
+      if (collapsedTasks.has(taskId)) {
+        collapsedTasks.delete(taskId);
+      } else {
+        collapsedTasks.add(taskId);
+      }
+      renderApp();
+    },
 
     // Category drag-drop
     onCategoryDragStart: (e, category) => handleCategoryDragStart(e, category),
@@ -303,15 +473,109 @@ function getHandlers() {
   };
 }
 
+// ========== AUTO-SCHEDULE ==========
+
+/**
+ * Follow up a change of planned weeks: push the successors of the changed
+ * tasks when auto-scheduling is on, otherwise warn about links they break
+ * Call after the change and before save().
+ * @param {Array} taskIds - IDs of the changed tasks
+ * @returns {Object|null} - { message, success } for the status bar, or null
+ */
+function scheduleDependents(taskIds) {
+  if (!usesAutoSchedule(projectData)) {
+    const conflict = taskIds.flatMap(taskId => getTaskConflicts(projectData, taskId))[0];
+    return conflict
+      ? { message: `'${getTaskName(conflict.toId)}' is scheduled too early for its link to '${getTaskName(conflict.fromId)}'`, success: false }
+      : null;
+  }
+
+  const { moved, conflicts } = autoSchedule(projectData, taskIds);
+  if (conflicts.length > 0) {
+    const conflict = conflicts[0];
+    const reason = conflict.reason === 'started' ? 'work on it has started' : 'it would run past the end of the timeline';
+    const more = conflicts.length > 1 ? ` (+${conflicts.length - 1} more)` : '';
+    return { message: `Could not move '${getTaskName(conflict.taskId)}': ${reason}${more}`, success: false };
+  }
+  if (moved.length > 0) {
+    return { message: `Moved ${moved.length} dependent task${moved.length === 1 ? '' : 's'}`, success: true };
+  }
+  return null;
+}
+
+// ========== BAR SELECTION AND DRAGGING ==========
+
+/**
+ * Add a task's bar to the selection, or take it out
+ * Selected bars are moved together by dragging any of them.
+ * @param {string} taskId - Task ID
+ */
+function toggleTaskSelection(taskId) {
+  if (selectedTaskIds.has(taskId)) {
+    selectedTaskIds.delete(taskId);
+  } else {
+    selectedTaskIds.add(taskId);
+  }
+  renderApp();
+  const count = selectedTaskIds.size;
+  statusManager.show(count > 0 ? `${count} task${count === 1 ? '' : 's'} selected (drag a bar to move them)` : 'Selection cleared', true);
+}
+
+function clearTaskSelection() {
+  if (selectedTaskIds.size === 0) return;
+  selectedTaskIds.clear();
+  renderApp();
+}
+
+/**
+ * Apply a dropped bar drag as one undo step
+ * @param {Object} drop - { taskIds, mode, offset } from gantt-drag.js
+ */
+function handleBarDrop({ taskIds, mode, offset }) {
+  // The offset counts rendered columns, which are days or weeks; coarser zooms are read-only
+  if (zoom !== 'day' && zoom !== 'week') return;
+  const unit = zoom;
+  const amount = `${Math.abs(offset)} ${unit}${Math.abs(offset) === 1 ? '' : 's'} ${offset > 0 ? 'later' : 'earlier'}`;
+  const subject = taskIds.length === 1 ? `'${getTaskName(taskIds[0])}'` : `${taskIds.length} tasks`;
+
+  // Try the drop on a copy so one that moves nothing leaves no undo entry
+  const draft = cloneProjectData(projectData);
+  const changed = mode === 'move'
+    ? moveTaskBars(draft, taskIds, offset, unit)
+    : (resizeTaskBar(draft, taskIds[0], mode, offset, unit) ? [taskIds[0]] : []);
+  if (changed.length === 0) {
+    statusManager.show('Nothing moved');
+    return;
+  }
+  saveState(mode === 'move' ? `Moved ${subject} ${amount}` : `Moved the ${mode} of ${subject} ${amount}`);
+  projectData = draft;
+  rangeStartCell = null;
+  const notice = scheduleDependents(changed);
+
+  save();
+  renderApp();
+  if (notice) {
+    statusManager.show(notice.message, notice.success);
+  } else if (changed.length < taskIds.length) {
+    statusManager.show(`Moved ${changed.length} of ${taskIds.length} tasks`);
+  }
+}
+
 // ========== WEEK CLICK HANDLING ==========
 
 function handleWeekClick(e, taskId, week, type) {
   const task = projectData.tasks.find(t => t.id === taskId);
   if (!task) return;
 
+  // Ctrl/Cmd+click selects bars for dragging together
+  if ((e.ctrlKey || e.metaKey) && type === 'planned') {
+    toggleTaskSelection(taskId);
+    return;
+  }
+
   if (e.shiftKey && rangeStartCell && rangeStartCell.taskId === taskId && rangeStartCell.type === type) {
     // Shift+click: fill range
-    saveState();
+    saveState(`Changed ${type} weeks of '${task.name}'`);
     const isAdding = !task[type].includes(rangeStartCell.week);
     fillWeekRange(projectData, taskId, rangeStartCell.week, week, type, isAdding);
     rangeStartCell = null;
@@ -320,25 +584,65 @@ function handleWeekClick(e, taskId, week, type) {
     if (type === 'reality') {
       syncGanttToKanban(task, projectData.workflow);
     }
+    const notice = type === 'planned' ? scheduleDependents([taskId]) : null;
 
     save();
     renderApp();
+    if (notice) statusManager.show(notice.message, notice.success);
   } else {
     // Regular click: toggle single cell and set as range start
     rangeStartCell = { taskId, week, type };
-    saveState();
+    saveState(`Toggled ${type} week ${week} of '${task.name}'`);
     toggleWeek(projectData, taskId, week, type);
 
     // Sync to Kanban if reality changed
     if (type === 'reality') {
       syncGanttToKanban(task, projectData.workflow);
     }
+    const notice = type === 'planned' ? scheduleDependents([taskId]) : null;
 
     save();
     renderApp();
+    if (notice) statusManager.show(notice.message, notice.success);
   }
 }
 
+// ========== DAY CLICK HANDLING ==========
+
+function handleDayClick(e, taskId, date, week, type) {
+  // Reality is tracked per week, so a day stands for its week
+  if (type === 'reality') {
+    handleWeekClick(e, taskId, week, type);
+    return;
+  }
+
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!task) return;
+
+  if (e.ctrlKey || e.metaKey) {
+    toggleTaskSelection(taskId);
+    return;
+  }
+
+  if (e.shiftKey && rangeStartCell && rangeStartCell.taskId === taskId && rangeStartCell.date) {
+    // Shift+click: plan the days between both clicks
+    saveState(`Changed dates of '${task.name}'`);
+    const [startDate, endDate] = [rangeStartCell.date, date].sort();
+    setTaskDateRange(projectData, taskId, startDate, endDate);
+    rangeStartCell = null;
+  } else {
+    // Regular click: extend or cut short and set as range start
+    rangeStartCell = { taskId, date, type };
+    saveState(`Changed dates of '${task.name}'`);
+    clickPlannedDay(projectData, taskId, date);
+  }
+  const notice = scheduleDependents([taskId]);
+
+  save();
+  renderApp();
+  if (notice) statusManager.show(notice.message, notice.success);
+}
+
 // ========== TASK DRAG AND DROP ==========
 
 function handleDragStart(e, taskId) {
@@ -368,7 +672,7 @@ function handleDrop(e, targetTaskId, targetCategory) {
   e.preventDefault();
   if (draggedTaskId === null) return;
 
-  saveState();
+  saveState(`Moved '${getTaskName(draggedTaskId)}'`);
   if (reorderTasks(projectData, draggedTaskId, targetTaskId, targetCategory)) {
     save();
     renderApp();
@@ -405,7 +709,7 @@ function handleCategoryDrop(e, targetCategory) {
   e.preventDefault();
   if (draggedCategory === null || draggedCategory === targetCategory) return;
 
-  saveState();
+  saveState(`Moved category '${draggedCategory}'`);
   if (reorderCategories(projectData, draggedCategory, targetCategory)) {
     save();
     renderApp();
@@ -441,7 +745,7 @@ function toggleMoveDropdown(dropdownEl, task) {
       if (cat !== task.category) {
         item.addEventListener('click', (e) => {
           e.stopPropagation();
-          saveState();
+          saveState(`Moved '${task.name}' to ${cat}`);
           moveTaskToCategory(projectData, task.id, cat);
           closeMoveDropdowns();
           save();
@@ -484,10 +788,17 @@ function openTaskPopover(taskId, anchorEl) {
     assigneeSelect.appendChild(opt);
   });
 
+  fillParentSelect(document.getElementById('popoverParent'), projectData.tasks, task);
+
   document.getElementById('popoverPriority').value = task.priority || '';
   document.getElementById('popoverMilestone').checked = task.isMilestone || false;
   document.getElementById('popoverNotes').value = task.notes || '';
 
+  renderLabelPicker(document.getElementById('popoverLabels'), projectData, task, { compact: true });
+  renderFieldEditors(document.getElementById('popoverCustomFields'), getCustomFields(projectData), task, { compact: true });
+  renderRecurrenceEditor(document.getElementById('popoverRecurrence'), projectData, task, { compact: true });
+  renderPopoverComments();
+
   // Position popover near anchor
   const popover = document.getElementById('taskEditPopover');
   const rect = anchorEl.getBoundingClientRect();
@@ -510,14 +821,36 @@ function handlePopoverOutsideClick(e) {
 
 function closeTaskPopover() {
   document.getElementById('taskEditPopover').classList.remove('active');
+  clearEditConflict('taskEditPopover');
   document.removeEventListener('click', handlePopoverOutsideClick);
   currentPopoverTaskId = null;
 }
 
+/**
+ * Render the comments and activity of the popover task
+ */
+function renderPopoverComments() {
+  renderTaskDiscussion(document.getElementById('popoverDiscussion'), projectData, currentPopoverTaskId, {
+    onCommit: commitChange,
+    compact: true
+  });
+}
+
+/**
+ * Apply a comment or baseline change through the usual undo, save and render flow
+ */
+function commitChange(label, mutate) {
+  saveState(label);
+  mutate(projectData);
+  save();
+  renderApp();
+  return projectData;
+}
+
 function saveTaskPopover() {
   if (!currentPopoverTaskId) return;
 
-  saveState();
+  saveState(`Edited details of '${getTaskName(currentPopoverTaskId)}'`);
   updateTaskDetails(projectData, currentPopoverTaskId, {
     assignee: document.getElementById('popoverAssignee').value,
     priority: document.getElementById('popoverPriority').value,
@@ -525,10 +858,19 @@ function saveTaskPopover() {
     notes: document.getElementById('popoverNotes').value
   });
 
+  const task = projectData.tasks.find(t => t.id === currentPopoverTaskId);
+  let seriesMessage = null;
+  if (task) {
+    setParent(projectData.tasks, task.id, document.getElementById('popoverParent').value);
+    applyLabelPicker(document.getElementById('popoverLabels'), task);
+    applyFieldEditors(document.getElementById('popoverCustomFields'), getCustomFields(projectData), task);
+    seriesMessage = applyRecurrenceEditor(document.getElementById('popoverRecurrence'), projectData, task);
+  }
+
   save();
   closeTaskPopover();
   renderApp();
-  statusManager.show('Task updated', true);
+  statusManager.show(seriesMessage || 'Task updated', true);
 }
 
 // ========== WEEK RANGE PICKER ==========
@@ -539,17 +881,55 @@ function openRangePicker(taskId) {
 
   currentRangeTaskId = taskId;
 
-  const planned = task.planned || [];
-  const startWeek = planned.length > 0 ? Math.min(...planned) : 1;
-  const endWeek = planned.length > 0 ? Math.max(...planned) : 1;
-
-  document.getElementById('rangeStartWeek').value = startWeek;
-  document.getElementById('rangeEndWeek').value = endWeek;
-  document.getElementById('rangeStartWeek').max = projectData.project.totalWeeks;
-  document.getElementById('rangeEndWeek').max = projectData.project.totalWeeks;
+  // Day zoom edits dates, the other zooms edit week numbers
+  const byDay = zoom === 'day';
+  document.getElementById('rangePickerTitle').textContent = byDay ? 'Set Dates' : 'Set Week Range';
+  document.getElementById('rangeWeekInputs').style.display = byDay ? 'none' : '';
+  document.getElementById('rangeDateInputs').style.display = byDay ? '' : 'none';
+
+  if (byDay) {
+    const project = projectData.project;
+    const span = getTaskSpan(task, project, getWorkDays(projectData));
+    const firstDay = project.startDate;
+    const lastDay = getDateOfDay(project, getTotalDays(project) - 1);
+
+    ['rangeStartDate', 'rangeEndDate'].forEach(id => {
+      const input = document.getElementById(id);
+      input.min = firstDay;
+      input.max = lastDay;
+    });
+    document.getElementById('rangeStartDate').value = span ? span.startDate : firstDay;
+    document.getElementById('rangeEndDate').value = span ? span.endDate : firstDay;
+    updateRangeDateHint();
+  } else {
+    const planned = task.planned || [];
+    const startWeek = planned.length > 0 ? Math.min(...planned) : 1;
+    const endWeek = planned.length > 0 ? Math.max(...planned) : 1;
+
+    document.getElementById('rangeStartWeek').value = startWeek;
+    document.getElementById('rangeEndWeek').value = endWeek;
+    document.getElementById('rangeStartWeek').max = projectData.project.totalWeeks;
+    document.getElementById('rangeEndWeek').max = projectData.project.totalWeeks;
+    document.getElementById('rangeDateHint').textContent = '';
+  }
 
   document.getElementById('rangePickerOverlay').classList.add('active');
-  document.getElementById('rangeStartWeek').focus();
+  document.getElementById(byDay ? 'rangeStartDate' : 'rangeStartWeek').focus();
+}
+
+/**
+ * Show the number of work days between the picked dates
+ */
+function updateRangeDateHint() {
+  const startDate = document.getElementById('rangeStartDate').value;
+  const endDate = document.getElementById('rangeEndDate').value;
+  const hint = document.getElementById('rangeDateHint');
+  if (!startDate || !endDate || endDate < startDate) {
+    hint.textContent = 'The end date must not be before the start date.';
+    return;
+  }
+  const days = countWorkDays(startDate, endDate, getWorkDays(projectData));
+  hint.textContent = `${days} work day${days === 1 ? '' : 's'}`;
 }
 
 function closeRangePicker(e) {
@@ -561,26 +941,57 @@ function closeRangePicker(e) {
 function applyWeekRange() {
   if (!currentRangeTaskId) return;
 
+  if (zoom === 'day') {
+    applyDateRange();
+    return;
+  }
+
   const startWeek = parseInt(document.getElementById('rangeStartWeek').value) || 1;
   const endWeek = parseInt(document.getElementById('rangeEndWeek').value) || startWeek;
 
-  saveState();
+  saveState(`Set weeks ${startWeek}-${endWeek} for '${getTaskName(currentRangeTaskId)}'`);
   if (setTaskWeekRange(projectData, currentRangeTaskId, startWeek, endWeek)) {
+    const notice = scheduleDependents([currentRangeTaskId]);
     save();
     closeRangePicker();
     renderApp();
-    statusManager.show('Week range updated', true);
+    statusManager.show(notice ? notice.message : 'Week range updated', notice ? notice.success : true);
   } else {
     statusManager.show('Invalid week range', false);
   }
 }
 
+function applyDateRange() {
+  const startDate = document.getElementById('rangeStartDate').value;
+  const endDate = document.getElementById('rangeEndDate').value;
+  const task = projectData.tasks.find(t => t.id === currentRangeTaskId);
+  if (!task || !startDate || !endDate || endDate < startDate) {
+    statusManager.show('Invalid dates', false);
+    return;
+  }
+
+  if (getWeeksOfSpan(projectData.project, startDate, endDate, getWorkDays(projectData)).length === 0) {
+    statusManager.show('No work days in the timeline between these dates', false);
+    return;
+  }
+
+  saveState(`Set dates ${startDate} to ${endDate} for '${task.name}'`);
+  setTaskDateRange(projectData, task.id, startDate, endDate);
+  const notice = scheduleDependents([task.id]);
+  save();
+  closeRangePicker();
+  renderApp();
+  statusManager.show(notice ? notice.message : 'Dates updated', notice ? notice.success : true);
+}
+
 // ========== SETTINGS MODAL ==========
 
 function openSettings() {
   document.getElementById('settingsTitle').value = projectData.project.title || projectData.project.name || '';
   document.getElementById('settingsStartDate').value = projectData.project.startDate;
   document.getElementById('settingsEndDate').value = projectData.project.endDate;
+  document.getElementById('settingsChecklistProgress').checked = projectData.project.checklistProgress === true;
+  document.getElementById('settingsAutoSchedule').checked = usesAutoSchedule(projectData);
   updateProjectDatesPreview();
   // Initialize team list
   tempTeam = [...(projectData.team || [])];
@@ -644,20 +1055,27 @@ function saveSettings() {
     return;
   }
 
-  saveState();
+  saveState('Changed project settings');
 
   // Update project data
   projectData.project.title = title || 'Untitled Project';
   projectData.project.startDate = startDate;
   projectData.project.endDate = endDate;
   projectData.project.totalWeeks = totalWeeks;
+  projectData.project.checklistProgress = document.getElementById('settingsChecklistProgress').checked;
+  const turnsOnAutoSchedule = document.getElementById('settingsAutoSchedule').checked && !usesAutoSchedule(projectData);
+  projectData.project.autoSchedule = document.getElementById('settingsAutoSchedule').checked;
   projectData.team = [...tempTeam];
+  // Tasks keep their week numbers; move their dates along with the new start
+  projectData.tasks.forEach(task => syncTaskDates(task, projectData.project, getWorkDays(projectData)));
+  // Turning auto-scheduling on resolves the links that are already broken
+  const notice = turnsOnAutoSchedule ? scheduleDependents(projectData.tasks.map(t => t.id)) : null;
 
   save();
   createBackup(BACKUP_KEY, projectData);
   closeSettings();
   renderApp();
-  statusManager.show('Settings saved', true);
+  statusManager.show(notice ? notice.message : 'Settings saved', notice ? notice.success : true);
 }
 
 function renderTeamList() {
@@ -698,6 +1116,32 @@ function addTeamMember() {
   input.focus();
 }
 
+// ========== BASELINES ==========
+
+function openBaselines() {
+  renderBaselinePanel();
+  document.getElementById('baselineModal').classList.add('active');
+}
+
+function closeBaselines() {
+  document.getElementById('baselineModal').classList.remove('active');
+}
+
+/**
+ * Render the baseline list and the slippage report of the shown baseline
+ */
+function renderBaselinePanel() {
+  renderBaselineManager(document.getElementById('baselineManager'), projectData, {
+    shownBaselineId,
+    disabled: !editMode,
+    onCommit: commitChange,
+    onShow: (baselineId) => {
+      shownBaselineId = baselineId;
+      renderApp();
+    }
+  });
+}
+
 // ========== EDIT MODE ==========
 
 function toggleEditMode() {
@@ -705,6 +1149,7 @@ function toggleEditMode() {
   document.body.classList.toggle('edit-mode', editMode);
   document.getElementById('editToggle').textContent = editMode ? 'View' : 'Edit';
   renderApp();
+  if (document.getElementById('baselineModal').classList.contains('active')) renderBaselinePanel();
 }
 
 // ========== COLLAPSE ALL ==========
@@ -737,29 +1182,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 function exportToJSON() {
@@ -769,6 +1230,14 @@ function exportToJSON() {
   statusManager.show('JSON exported', true);
 }
 
+async function exportArchive() {
+  const projectName = projectData.project.title || projectData.project.name || 'project';
+  const filename = sanitizeFilename(projectName);
+  statusManager.show('Preparing archive...');
+  const { files, missing } = await downloadArchive(projectData, STORAGE_KEY, filename);
+  statusManager.show(`Archive exported with ${files} file(s)${missing > 0 ? `, ${missing} not in this browser` : ''}`, true);
+}
+
 function exportToExcel() {
   const projectName = projectData.project.title || projectData.project.name || 'project';
   const xml = generateExcelXML();
@@ -978,16 +1447,20 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
-    // Migrate tasks to new format if needed
-    imported.tasks.forEach(task => migrateTask(task));
+    // Migrate older files through every version, then tasks to the new format
+    const migrated = migrateProjectData(validated);
+    migrated.tasks.forEach(task => migrateTask(task));
+    migrated.version = DATA_VERSION;
 
-    imported.version = DATA_VERSION;
-    projectData = imported;
+    projectData = migrated;
     save();
     renderApp();
     statusManager.show('Imported', true);
@@ -1004,6 +1477,7 @@ async function handleFileImport(e) {
 
 function closeModals() {
   closeSettings();
+  closeBaselines();
   closeRangePicker();
   closeTaskPopover();
   const searchInput = document.getElementById('searchInput');
@@ -1027,6 +1501,13 @@ function setupEventListeners() {
     }
   });
 
+  // Baselines modal
+  document.getElementById('baselineModal').addEventListener('click', (e) => {
+    if (e.target.classList.contains('modal-overlay')) {
+      closeBaselines();
+    }
+  });
+
   // Range picker keyboard support
   document.getElementById('rangeStartWeek').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') applyWeekRange();
@@ -1034,6 +1515,13 @@ function setupEventListeners() {
   document.getElementById('rangeEndWeek').addEventListener('keydown', (e) => {
     if (e.key === 'Enter') applyWeekRange();
   });
+  ['rangeStartDate', 'rangeEndDate'].forEach(id => {
+    const input = document.getElementById(id);
+    input.addEventListener('input', updateRangeDateHint);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') applyWeekRange();
+    });
+  });
 
   // Team member input keyboard support
   document.getElementById('newTeamMember').addEventListener('keydown', (e) => {
@@ -1058,6 +1546,7 @@ function setupEventListeners() {
 
     if (e.key === 'Escape') {
       closeModals();
+      clearTaskSelection();
       return;
     }
 
@@ -1082,11 +1571,40 @@ function setupEventListeners() {
     } else if (e.key === 'f' && !e.ctrlKey && !e.metaKey) {
       focusSearch();
       e.preventDefault();
+    } else if (e.key === 'c' && !e.ctrlKey && !e.metaKey) {
+      toggleCriticalPath();
+      e.preventDefault();
+    } else if ((e.key === '+' || e.key === '=') && !e.ctrlKey && !e.metaKey) {
+      stepZoom(-1);
+      e.preventDefault();
+    } else if (e.key === '-' && !e.ctrlKey && !e.metaKey) {
+      stepZoom(1);
+      e.preventDefault();
+    } else if (['1', '2', '3', '4'].includes(e.key) && !e.ctrlKey && !e.metaKey) {
+      setZoom(ZOOM_LEVELS[parseInt(e.key) - 1]);
+      e.preventDefault();
     }
   });
 
   // Search input
   document.getElementById('searchInput').addEventListener('input', (e) => filterTasks(e.target.value));
+
+  // Drag planned bars to move or resize them
+  setupBarDrag(document.getElementById('ganttChart'), {
+    getSelection: () => selectedTaskIds,
+    onDrop: handleBarDrop
+  });
+
+  // Large charts render the rows and columns in view; update them on scroll.
+  // Dependency arrows are placed in pixels; redraw them when the columns resize
+  const updateRows = throttleToFrame(() => updateVisibleRows());
+  window.addEventListener('scroll', updateRows, { passive: true });
+  document.getElementById('ganttChart').parentElement.addEventListener('scroll', updateRows, { passive: true });
+  window.addEventListener('resize', () => updateVisibleRows(true));
+
+  // Print every row, not only those in view
+  window.addEventListener('beforeprint', () => setPrintLayout(true));
+  window.addEventListener('afterprint', () => setPrintLayout(false));
 }
 
 // ========== EXPOSE GLOBAL FUNCTIONS ==========
@@ -1094,12 +1612,18 @@ function setupEventListeners() {
 
 window.toggleEditMode = toggleEditMode;
 window.exportToJSON = exportToJSON;
+window.exportArchive = exportArchive;
 window.exportToExcel = exportToExcel;
 window.exportToPDF = exportToPDF;
 window.importProject = importProject;
 window.openSettings = openSettings;
 window.closeSettings = closeSettings;
 window.saveSettings = saveSettings;
+window.setZoom = setZoom;
+window.toggleCriticalPath = toggleCriticalPath;
+window.toggleCriticalOnly = toggleCriticalOnly;
+window.openBaselines = openBaselines;
+window.closeBaselines = closeBaselines;
 window.addTeamMember = addTeamMember;
 window.toggleAllCategories = toggleAllCategories;
 window.filterTasks = filterTasks;
@@ -43,6 +43,7 @@ import {
   migrateTaskToV5,
   deriveStatus
 } from '../../../shared/js/unified-data.js';
+import { hasChecklist, deriveChecklistStatus } from '../../../shared/js/checklists.js';
 
 // Default project data (Gantt-specific example project)
 export const defaultProjectData = {
@@ -73,6 +74,12 @@ export const defaultProjectData = {
   },
   sprints: [],
   timeEntries: [],
+  customFields: [],
+  labels: [],
+  epics: [],
+  comments: [],
+  attachments: [],
+  baselines: [],
   tasks: [
     { id: "task_1", category: "Planning", name: "Plan game concept", planned: [1], reality: [], board: { columnId: "todo", position: 0 }, storyPoints: null, sprintId: null, backlogPosition: 0 },
     { id: "task_2", category: "Planning", name: "Create mood boards", planned: [1, 2], reality: [], board: { columnId: "todo", position: 1 }, storyPoints: null, sprintId: null, backlogPosition: 1 },
@@ -135,8 +142,12 @@ export function migrateTask(task) {
  * Wrapper for deriveStatus for backwards compatibility
  * @param {Object} task - Task object
  * @param {number|null} currentWeek - Current week number
+ * @param {Object} options - { checklistProgress } derives the status from the task's checklist
  * @returns {string} - Status: 'on-track', 'behind', 'ahead', 'complete', 'not-started'
  */
-export function getTaskStatus(task, currentWeek) {
+export function getTaskStatus(task, currentWeek, { checklistProgress = false } = {}) {
+  if (checklistProgress && hasChecklist(task)) {
+    return deriveChecklistStatus(task, currentWeek);
+  }
   return deriveStatus(task, currentWeek);
 }
@@ -0,0 +1,222 @@
+/**
+ * Gantt Drag Module - Move and resize planned bars with the pointer
+ * A bar is the planned cells of a task row. Dragging a bar moves it, dragging
+ * the handle on its first or last cell moves that end. Offsets snap to whole
+ * columns (weeks, or days on the day zoom). Cells are only previewed while
+ * dragging; the data changes once, on drop. Large charts render only some
+ * rows and columns, so bars are read from the row's data-bar column list and
+ * only rendered cells are previewed.
+ */
+
+// Pointer travel (px) before a press on a bar counts as a drag, not a click
+const DRAG_THRESHOLD = 4;
+
+let drag = null;
+let suppressClick = false;
+
+/**
+ * Get the rendered timeline cells of a task's planned row
+ * @param {HTMLElement} row - Planned task row
+ * @returns {Map} - Column index -> cell
+ */
+function getRowCells(row) {
+  return new Map([...row.querySelectorAll('.week-cell')].map(cell => [Number(cell.dataset.col), cell]));
+}
+
+/**
+ * Get the column indexes of a row's draggable bar
+ * @param {HTMLElement} row - Planned task row
+ * @returns {Array} - Sorted column indexes (empty for parents and unscheduled tasks)
+ */
+function getBarIndexes(row) {
+  return row.dataset.bar ? row.dataset.bar.split(',').map(Number) : [];
+}
+
+/**
+ * Keep an offset inside the limits of every dragged bar
+ * Moved bars stay on the timeline; resized bars keep at least one column.
+ * @param {number} offset - Columns dragged
+ * @returns {number} - Allowed offset
+ */
+function clampOffset(offset) {
+  let min = -Infinity;
+  let max = Infinity;
+  const lastColumn = drag.columnCount - 1;
+  drag.rows.forEach(({ indexes }) => {
+    const first = indexes[0];
+    const last = indexes[indexes.length - 1];
+    if (drag.mode === 'move') {
+      min = Math.max(min, -first);
+      max = Math.min(max, lastColumn - last);
+    } else if (drag.mode === 'start') {
+      min = Math.max(min, -first);
+      max = Math.min(max, last - first);
+    } else {
+      min = Math.max(min, first - last);
+      max = Math.min(max, lastColumn - last);
+    }
+  });
+  return Math.min(max, Math.max(min, offset));
+}
+
+/**
+ * Get the columns a dragged bar would cover
+ * Moves keep the bar's shape; resizes plan the dragged end and keep the
+ * cells between the ends. On the day zoom the new span is planned on every
+ * work day, as setTaskDates() does.
+ * @returns {Array} - Column indexes
+ */
+function getPreviewIndexes({ cells, indexes }, offset) {
+  const first = indexes[0];
+  const last = indexes[indexes.length - 1];
+  // Days off are only known for rendered cells; the others are not previewed
+  const isOff = (i) => cells.get(i)?.classList.contains('day-cell--off');
+
+  if (drag.isDayScale) {
+    const start = drag.mode === 'end' ? first : first + offset;
+    const end = drag.mode === 'start' ? last : last + offset;
+    const span = [];
+    for (let i = start; i <= end; i++) {
+      if (!isOff(i)) span.push(i);
+    }
+    return span;
+  }
+
+  if (drag.mode === 'move') return indexes.map(i => i + offset);
+  const start = drag.mode === 'start' ? first + offset : first;
+  const end = drag.mode === 'end' ? last + offset : last;
+  const kept = indexes.filter(i => i >= start && i <= end);
+  const added = [start, end];
+  for (let i = start; i < first; i++) added.push(i);
+  for (let i = last + 1; i <= end; i++) added.push(i);
+  return [...added, ...kept];
+}
+
+/**
+ * Show where the dragged bars would land
+ * @param {number} offset - Allowed offset in columns
+ */
+function showPreview(offset) {
+  drag.rows.forEach(row => {
+    row.cells.forEach(cell => cell.classList.remove('week-cell--drag-preview'));
+    getPreviewIndexes(row, offset).forEach(i => row.cells.get(i)?.classList.add('week-cell--drag-preview'));
+  });
+}
+
+/**
+ * Remove the preview of the dragged bars
+ * @param {HTMLElement} container - Gantt chart container
+ */
+function clearPreview(container) {
+  container.classList.remove('gantt--dragging');
+  container.querySelectorAll('.week-cell--drag-preview, .week-cell--drag-source').forEach(cell => {
+    cell.classList.remove('week-cell--drag-preview', 'week-cell--drag-source');
+  });
+}
+
+/**
+ * End the drag
+ * @param {HTMLElement} container - Gantt chart container
+ */
+function endDrag(container) {
+  if (!drag) return;
+  if (drag.started) clearPreview(container);
+  if (container.hasPointerCapture(drag.pointerId)) container.releasePointerCapture(drag.pointerId);
+  drag = null;
+}
+
+/**
+ * Set up bar dragging on the chart container
+ * Call once; the listeners are delegated, so re-rendering the rows keeps them.
+ * A drag that moved the bars swallows the click that follows it, so the cell
+ * under the pointer is not toggled as well.
+ * @param {HTMLElement} container - Gantt chart container
+ * @param {Object} options - Callbacks
+ * @param {Function} options.getSelection - Returns the selected task IDs (Set)
+ * @param {Function} options.onDrop - Called with { taskIds, mode, offset }; mode is 'move', 'start' or 'end'
+ */
+export function setupBarDrag(container, { getSelection, onDrop }) {
+  container.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0 || e.shiftKey || e.ctrlKey || e.metaKey) return;
+    const cell = e.target.closest('.week-cell--draggable');
+    const row = cell?.closest('.task-row--planned');
+    if (!row) return;
+
+    // Selected bars move together; resizing and unselected bars are single
+    const handle = e.target.closest('.bar-handle');
+    const mode = handle ? handle.dataset.edge : 'move';
+    const selection = getSelection();
+    const taskIds = mode === 'move' && selection.has(row.dataset.taskId) ? [...selection] : [row.dataset.taskId];
+
+    // Selected rows outside the rendered window move too, but are not
+    // previewed; the drop keeps them on the timeline
+    const rows = taskIds.map(taskId => {
+      const taskRow = container.querySelector(`.task-row--planned[data-task-id="${taskId}"]`);
+      return taskRow ? { taskId, cells: getRowCells(taskRow), indexes: getBarIndexes(taskRow) } : null;
+    }).filter(r => r && r.indexes.length > 0);
+    if (rows.length === 0) return;
+
+    drag = {
+      pointerId: e.pointerId,
+      startX: e.clientX,
+      columnWidth: cell.getBoundingClientRect().width || 1,
+      isDayScale: cell.classList.contains('day-cell'),
+      columnCount: Number(container.style.getPropertyValue('--total-columns')),
+      mode,
+      taskIds,
+      rows,
+      offset: null,
+      started: false,
+      cancelled: false
+    };
+  });
+
+  container.addEventListener('pointermove', (e) => {
+    if (!drag || drag.cancelled || e.pointerId !== drag.pointerId) return;
+    const dx = e.clientX - drag.startX;
+
+    if (!drag.started) {
+      if (Math.abs(dx) < DRAG_THRESHOLD) return;
+      drag.started = true;
+      container.setPointerCapture(drag.pointerId);
+      container.classList.add('gantt--dragging');
+      drag.rows.forEach(({ cells, indexes }) => indexes.forEach(i => cells.get(i)?.classList.add('week-cell--drag-source')));
+    }
+
+    const offset = clampOffset(Math.round(dx / drag.columnWidth));
+    if (offset !== drag.offset) {
+      drag.offset = offset;
+      showPreview(offset);
+    }
+  });
+
+  container.addEventListener('pointerup', (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    const { started, cancelled, offset, mode, taskIds } = drag;
+    endDrag(container);
+    if (!started) return;
+
+    suppressClick = true;
+    setTimeout(() => { suppressClick = false; }, 0);
+    if (!cancelled && offset !== 0) {
+      onDrop({ taskIds, mode, offset });
+    }
+  });
+
+  container.addEventListener('pointercancel', () => endDrag(container));
+
+  container.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }, true);
+
+  // Escape cancels a drag in progress; the bars stay put when released
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && drag?.started && !drag.cancelled) {
+      drag.cancelled = true;
+      clearPreview(container);
+    }
+  });
+}
@@ -3,6 +3,11 @@
  */
 
 import { generateTaskId, deriveColumnFromProgress } from '../../../shared/js/unified-data.js';
+import { detachChildren, hasChildren } from '../../../shared/js/task-hierarchy.js';
+import { removeTaskComments } from '../../../shared/js/comments.js';
+import { removeTaskAttachments } from '../../../shared/js/attachments.js';
+import { getWorkDays, getTaskSpan, setTaskDates, syncTaskDates, addDays, getDayIndex, getTotalDays } from '../../../shared/js/schedule.js';
+import { shiftTask } from '../../../shared/js/auto-schedule.js';
 
 // ========== TASK CRUD OPERATIONS ==========
 
@@ -25,6 +30,8 @@ export function addTask(projectData, category) {
     category: category,
     name: name.trim(),
     planned: [],
+    startDate: null,
+    endDate: null,
     reality: [],
     assignee: '',
     priority: '',
@@ -60,9 +67,15 @@ export function deleteTask(projectData, taskId) {
   const task = projectData.tasks.find(t => t.id === taskId);
   if (!task) return false;
 
-  if (!confirm(`Delete task "${task.name}"?`)) return false;
+  const message = hasChildren(projectData.tasks, taskId)
+    ? `Delete task "${task.name}"? Its subtasks move up one level.`
+    : `Delete task "${task.name}"?`;
+  if (!confirm(message)) return false;
 
+  detachChildren(projectData.tasks, taskId);
   projectData.tasks = projectData.tasks.filter(t => t.id !== taskId);
+  removeTaskComments(projectData, [taskId]);
+  removeTaskAttachments(projectData, [taskId]);
   return true;
 }
 
@@ -104,11 +117,14 @@ export function duplicateTask(projectData, taskId) {
     category: task.category,
     name: task.name + ' (copy)',
     planned: [...task.planned],
+    startDate: task.startDate || null,
+    endDate: task.endDate || null,
     reality: [],
     assignee: task.assignee || '',
     priority: task.priority || '',
     notes: task.notes || '',
     isMilestone: task.isMilestone || false,
+    parentId: task.parentId || null,
     board: {
       columnId: 'backlog',
       position: boardPosition
@@ -234,10 +250,124 @@ export function setTaskWeekRange(projectData, taskId, startWeek, endWeek) {
   for (let w = startWeek; w <= endWeek; w++) {
     task.planned.push(w);
   }
+  syncTaskDates(task, projectData.project, getWorkDays(projectData));
 
   return true;
 }
 
+/**
+ * Set the planned dates of a task (day view)
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {boolean} - Whether update was successful
+ */
+export function setTaskDateRange(projectData, taskId, startDate, endDate) {
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!task || !startDate || !endDate || endDate < startDate) return false;
+
+  return setTaskDates(task, projectData.project, startDate, endDate, getWorkDays(projectData));
+}
+
+/**
+ * Apply a click on a planned day (day view)
+ * A day outside the task's span extends the span to it; a day inside cuts
+ * the span short there. Clicking the only planned day unschedules the task.
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @param {string} date - Clicked day (YYYY-MM-DD)
+ * @returns {boolean} - Whether the task changed
+ */
+export function clickPlannedDay(projectData, taskId, date) {
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!task) return false;
+
+  const workDays = getWorkDays(projectData);
+  const span = getTaskSpan(task, projectData.project, workDays);
+
+  if (!span) return setTaskDates(task, projectData.project, date, date, workDays);
+  if (date < span.startDate) return setTaskDates(task, projectData.project, date, span.endDate, workDays);
+  if (date > span.endDate) return setTaskDates(task, projectData.project, span.startDate, date, workDays);
+  if (span.startDate === span.endDate) return setTaskDates(task, projectData.project, null, null, workDays);
+  if (date === span.startDate) return setTaskDates(task, projectData.project, addDays(date, 1), span.endDate, workDays);
+  return setTaskDates(task, projectData.project, span.startDate, date, workDays);
+}
+
+/**
+ * Move the planned bars of tasks (drag and drop)
+ * Week moves keep each task's planned weeks and weekdays; day moves shift
+ * the task's dates and plan the weeks of the new span. Parents and tasks
+ * that would leave the timeline stay put.
+ * @param {Object} projectData - Project data
+ * @param {Array} taskIds - Task IDs
+ * @param {number} offset - Columns to move (negative moves earlier)
+ * @param {string} unit - 'week' or 'day'
+ * @returns {Array} - IDs of the moved tasks
+ */
+export function moveTaskBars(projectData, taskIds, offset, unit) {
+  const project = projectData.project;
+  const workDays = getWorkDays(projectData);
+
+  return taskIds.filter(taskId => {
+    const task = projectData.tasks.find(t => t.id === taskId);
+    if (!task || hasChildren(projectData.tasks, taskId) || offset === 0) return false;
+    if (unit === 'week') return (task.planned || []).length > 0 && shiftTask(task, project, offset);
+
+    const span = getTaskSpan(task, project, workDays);
+    if (!span) return false;
+    const startDate = addDays(span.startDate, offset);
+    const endDate = addDays(span.endDate, offset);
+    if (getDayIndex(project, startDate) < 0 || getDayIndex(project, endDate) >= getTotalDays(project)) return false;
+    return setTaskDates(task, project, startDate, endDate, workDays);
+  });
+}
+
+/**
+ * Move one end of a task's planned bar (drag and drop)
+ * The dragged end lands on a planned week and the weeks in between keep
+ * their state, so gaps in the plan survive a week resize; a day resize sets
+ * the task's dates.
+ * @param {Object} projectData - Project data
+ * @param {string} taskId - Task ID
+ * @param {string} edge - 'start' or 'end'
+ * @param {number} offset - Columns to move the end by (negative moves earlier)
+ * @param {string} unit - 'week' or 'day'
+ * @returns {boolean} - Whether the task changed
+ */
+export function resizeTaskBar(projectData, taskId, edge, offset, unit) {
+  const task = projectData.tasks.find(t => t.id === taskId);
+  if (!task || hasChildren(projectData.tasks, taskId) || offset === 0) return false;
+  const project = projectData.project;
+  const workDays = getWorkDays(projectData);
+
+  if (unit === 'day') {
+    const span = getTaskSpan(task, project, workDays);
+    if (!span) return false;
+    const startDate = edge === 'start' ? addDays(span.startDate, offset) : span.startDate;
+    const endDate = edge === 'end' ? addDays(span.endDate, offset) : span.endDate;
+    if (endDate < startDate || getDayIndex(project, startDate) < 0 || getDayIndex(project, endDate) >= getTotalDays(project)) return false;
+    return setTaskDates(task, project, startDate, endDate, workDays);
+  }
+
+  const planned = task.planned || [];
+  if (planned.length === 0) return false;
+  const first = Math.min(...planned);
+  const last = Math.max(...planned);
+  const start = edge === 'start' ? first + offset : first;
+  const end = edge === 'end' ? last + offset : last;
+  if (start < 1 || end > project.totalWeeks || end < start) return false;
+
+  const weeks = new Set(planned.filter(w => w >= start && w <= end));
+  weeks.add(start);
+  weeks.add(end);
+  for (let w = start; w < first; w++) weeks.add(w);
+  for (let w = last + 1; w <= end; w++) weeks.add(w);
+  task.planned = [...weeks].sort((a, b) => a - b);
+  syncTaskDates(task, project, workDays);
+  return true;
+}
+
 /**
  * Toggle week for planned or reality
  * @param {Object} projectData - Project data
@@ -256,11 +386,13 @@ export function toggleWeek(projectData, taskId, week, type) {
   if (idx === -1) {
     task[type].push(week);
     task[type].sort((a, b) => a - b);
-    return true;
   } else {
     task[type].splice(idx, 1);
-    return false;
   }
+  if (type === 'planned') {
+    syncTaskDates(task, projectData.project, getWorkDays(projectData));
+  }
+  return idx === -1;
 }
 
 /**
@@ -291,6 +423,9 @@ export function fillWeekRange(projectData, taskId, startWeek, endWeek, type, isA
   }
 
   task[type].sort((a, b) => a - b);
+  if (type === 'planned') {
+    syncTaskDates(task, projectData.project, getWorkDays(projectData));
+  }
 }
 
 // ========== CATEGORY CRUD OPERATIONS ==========
@@ -337,6 +472,8 @@ export function deleteCategory(projectData, categoryName) {
 
   if (tasksInCategory.length > 0) {
     projectData.tasks = projectData.tasks.filter(t => t.category !== categoryName);
+    removeTaskComments(projectData, tasksInCategory.map(t => t.id));
+    removeTaskAttachments(projectData, tasksInCategory.map(t => t.id));
   }
   delete projectData.categories[categoryName];
   return true;
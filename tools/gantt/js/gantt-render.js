@@ -3,13 +3,72 @@
  */
 
 import {
-  generateMonthsFromDateRange,
   getCurrentWeek,
   getWeekDateRange,
   getTaskStatus,
   calculateProgress,
   calculateVariance
 } from './gantt-data.js';
+import { filterTasksByField, getGroupByField, groupTasksByField } from '../../../shared/js/custom-fields.js';
+import { parseSearchQuery, matchesLabelTerms } from '../../../shared/js/labels.js';
+import { renderLabelChips } from '../../../shared/js/labels-ui.js';
+import { renderRecurrenceBadge } from '../../../shared/js/recurrence-ui.js';
+import { orderByHierarchy, getWbsNumbers, getParentId, hasChildren, getRollup } from '../../../shared/js/task-hierarchy.js';
+import { hasChecklist, getChecklistProgress, usesChecklistProgress } from '../../../shared/js/checklists.js';
+import { formatSlip } from '../../../shared/js/baselines-ui.js';
+import {
+  getWorkDays,
+  getTotalDays,
+  getDateOfDay,
+  getTodayIndex,
+  isWorkDay,
+  parseDate,
+  addDays,
+  getTaskSpan,
+  isPlannedOnDay
+} from '../../../shared/js/schedule.js';
+import { getDependencyLinks } from '../../../shared/js/auto-schedule.js';
+import { formatDependencyLink } from '../../../shared/js/dependency-links.js';
+import { createVirtualList, placeNodes, createSpacer } from '../../../shared/js/virtual-list.js';
+
+// Zoom levels of the timeline, from closest to widest
+export const ZOOM_LEVELS = ['day', 'week', 'month', 'quarter'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Row heights (px) used until a row has been rendered; a task is its planned and reality rows
+const ROW_HEIGHTS = { task: 58, category: 41, group: 41, 'add-task': 42, 'add-category': 56 };
+// Charts with more columns than this render only the columns near the viewport
+const MIN_VIRTUAL_COLUMNS = 60;
+// Columns rendered on each side of the viewport; ranges snap to this step
+const COLUMN_OVERSCAN = 20;
+const COLUMN_STEP = 16;
+
+// Large charts keep only the rows near the viewport in the DOM (see virtual-list.js)
+const rowList = createVirtualList({ estimateHeight: item => ROW_HEIGHTS[item.kind] });
+// Rows and settings of the last render, for updateVisibleRows()
+let rowView = null;
+
+/**
+ * Get the timeline columns a planned bar covers
+ * @param {Array} planned - Planned weeks (the roll-up for parents)
+ * @param {Object|null} span - Dates of a leaf task on the day zoom (getTaskSpan())
+ * @param {Object} project - Project settings
+ * @param {Object} timeline - Timeline from getTimeline()
+ * @returns {Array} - Column indexes, in order
+ */
+function getBarColumns(planned, span, project, timeline) {
+  const isCovered = (column) => {
+    if (timeline.zoom === 'day') {
+      return span ? isPlannedOnDay(span, planned, project, column.date, timeline.workDays)
+        : !column.isOff && planned.includes(column.week);
+    }
+    if (timeline.zoom === 'week') return planned.includes(column.week);
+    // Months and quarters: any of their weeks
+    return column.weeks.some(week => planned.includes(week));
+  };
+  return timeline.columns.map((column, i) => isCovered(column) ? i : -1).filter(i => i !== -1);
+}
 
 /**
  * Render project title
@@ -93,8 +152,11 @@ export function updateCollapseAllButton(collapsedCategories, allCategories) {
 /**
  * Render legend
  * @param {Object} projectData - Project data
+ * @param {Object|null} baselineView - Shown baseline ({ baseline, weeks, slips })
+ * @param {string} zoom - One of ZOOM_LEVELS
+ * @param {Object|null} criticalView - Critical path analysis ({ tasks, criticalOnly, criticalCount, projectDuration })
  */
-export function renderLegend(projectData) {
+export function renderLegend(projectData, baselineView = null, zoom = 'week', criticalView = null) {
   const legendEl = document.getElementById('legend');
   legendEl.innerHTML = '';
 
@@ -116,14 +178,48 @@ export function renderLegend(projectData) {
   // Planned vs Reality
   const plannedItem = document.createElement('div');
   plannedItem.className = 'legend-item';
-  plannedItem.innerHTML = `<span class="legend-color" style="background: #888"></span>Planned (click to edit)`;
+  const isGrouped = zoom === 'month' || zoom === 'quarter';
+  plannedItem.innerHTML = `<span class="legend-color" style="background: #888"></span>` +
+    (zoom === 'day' ? 'Planned (click a day to extend or cut short)'
+      : isGrouped ? 'Planned (lighter when part of the period)' : 'Planned (click to edit)');
   legendEl.appendChild(plannedItem);
 
   const realityItem = document.createElement('div');
   realityItem.className = 'legend-item';
-  realityItem.innerHTML = `<span class="legend-color legend-color--reality" style="background: #888"></span>Reality (click to edit)`;
+  realityItem.innerHTML = `<span class="legend-color legend-color--reality" style="background: #888"></span>` +
+    (zoom === 'week' ? 'Reality (click to edit)' : 'Reality (tracked per week)');
   legendEl.appendChild(realityItem);
 
+  // Dependency arrows
+  const links = getDependencyLinks(projectData);
+  if (links.length > 0) {
+    const conflicts = links.filter(link => link.violated).length;
+    const dependencyItem = document.createElement('div');
+    dependencyItem.className = 'legend-item';
+    dependencyItem.innerHTML = '<span class="legend-arrow"></span>Dependency' +
+      (conflicts > 0 ? ` <span class="legend-arrow legend-arrow--conflict"></span>${conflicts} scheduled too early` : '');
+    legendEl.appendChild(dependencyItem);
+  }
+
+  // Critical path and float
+  if (criticalView) {
+    const criticalItem = document.createElement('div');
+    criticalItem.className = 'legend-item';
+    criticalItem.innerHTML = '<span class="legend-color legend-color--critical"></span>' +
+      `Critical path (${criticalView.criticalCount} task${criticalView.criticalCount === 1 ? '' : 's'}, ${criticalView.projectDuration} weeks)` +
+      ' <span class="legend-color legend-color--float"></span>Float';
+    legendEl.appendChild(criticalItem);
+  }
+
+  // Baseline ghost bars
+  if (baselineView) {
+    const baselineItem = document.createElement('div');
+    baselineItem.className = 'legend-item';
+    baselineItem.innerHTML = '<span class="legend-color legend-color--baseline"></span>';
+    baselineItem.appendChild(document.createTextNode(`Baseline: ${baselineView.baseline.name}`));
+    legendEl.appendChild(baselineItem);
+  }
+
   // Keyboard shortcuts hint
   const shortcutsHint = document.createElement('div');
   shortcutsHint.className = 'shortcuts-hint';
@@ -131,12 +227,145 @@ export function renderLegend(projectData) {
     <span><kbd>E</kbd> Edit</span>
     <span><kbd>S</kbd> Export</span>
     <span><kbd>F</kbd> Filter</span>
-    <span><kbd>Shift+Click</kbd> Week range</span>
+    <span><kbd>C</kbd> Critical path</span>
+    ${isGrouped ? '' : `<span><kbd>Shift+Click</kbd> ${zoom === 'day' ? 'Day' : 'Week'} range</span>`}
+    ${isGrouped ? '' : '<span><kbd>Ctrl+Click</kbd> Select bars to drag</span>'}
+    <span><kbd>+</kbd>/<kbd>-</kbd> Zoom</span>
     <span><kbd>Ctrl+Z</kbd> Undo</span>
   `;
   legendEl.appendChild(shortcutsHint);
 }
 
+/**
+ * Group consecutive weeks by the month or quarter their first day falls in
+ * @param {Object} project - Project with startDate and totalWeeks
+ * @param {Function} keyOf - Maps a week's start date (YYYY-MM-DD) to a group key
+ * @returns {Array} - [{ key, date, weeks }] with date = start of the first week
+ */
+function groupWeeks(project, keyOf) {
+  const groups = [];
+  for (let w = 1; w <= project.totalWeeks; w++) {
+    const date = getDateOfDay(project, (w - 1) * 7);
+    const key = keyOf(date);
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.weeks.push(w);
+    } else {
+      groups.push({ key, date, weeks: [w] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * Build header cells that span the columns of each group
+ * @param {Array} columns - Timeline columns
+ * @param {Function} keyOf - Maps a column to its group key
+ * @param {Function} labelOf - Maps the first column of a group to its label
+ * @returns {Array} - [{ label, span }]
+ */
+function spanColumns(columns, keyOf, labelOf) {
+  const cells = [];
+  let lastKey = null;
+  columns.forEach(column => {
+    const key = keyOf(column);
+    if (key === lastKey) {
+      cells[cells.length - 1].span++;
+    } else {
+      cells.push({ label: labelOf(column), span: 1 });
+      lastKey = key;
+    }
+  });
+  return cells;
+}
+
+/**
+ * Build the columns and header rows of the timeline
+ * Day zoom has one column per calendar day (days outside
+ * calendarSettings.workDays are marked as off), week zoom one per week,
+ * and month and quarter zoom one per month or quarter, holding the weeks
+ * that start in it.
+ * @param {Object} projectData - Project data
+ * @param {string} zoom - One of ZOOM_LEVELS
+ * @returns {Object} - { zoom, columns, headers, workDays }
+ */
+export function getTimeline(projectData, zoom = 'week') {
+  const project = projectData.project;
+  const workDays = getWorkDays(projectData);
+  const currentWeek = getCurrentWeek(project);
+  const format = (date, options) => parseDate(date).toLocaleDateString('en-US', { timeZone: 'UTC', ...options });
+  const monthOf = (date) => date.slice(0, 7);
+  const quarterOf = (date) => `${date.slice(0, 4)}-Q${Math.floor((parseInt(date.slice(5, 7)) - 1) / 3) + 1}`;
+  const monthLabel = (column) => format(column.date, { month: 'short' });
+  const yearLabel = (column) => column.date.slice(0, 4);
+  const weekRange = (weeks) => weeks.length > 1 ? `W${weeks[0]}-W${weeks[weeks.length - 1]}` : `W${weeks[0]}`;
+  let columns;
+  let headers;
+
+  if (zoom === 'day') {
+    const todayIndex = getTodayIndex(project);
+    columns = [];
+    for (let d = 0; d < getTotalDays(project); d++) {
+      const date = getDateOfDay(project, d);
+      columns.push({
+        week: Math.floor(d / 7) + 1,
+        weeks: [Math.floor(d / 7) + 1],
+        date,
+        label: String(parseDate(date).getUTCDate()),
+        title: format(date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
+        isMonthStart: d === 0 || date.endsWith('-01'),
+        isWeekStart: d % 7 === 0,
+        isToday: d === todayIndex,
+        isOff: !isWorkDay(date, workDays)
+      });
+    }
+    headers = [
+      spanColumns(columns, column => monthOf(column.date), monthLabel),
+      spanColumns(columns, column => column.week, column => `W${column.week}`)
+    ];
+  } else if (zoom === 'month' || zoom === 'quarter') {
+    const keyOf = zoom === 'month' ? monthOf : quarterOf;
+    columns = groupWeeks(project, keyOf).map((group, index) => ({
+      week: group.weeks[0],
+      weeks: group.weeks,
+      date: group.date,
+      label: zoom === 'month' ? format(group.date, { month: 'short' }) : group.key.slice(5),
+      title: `${zoom === 'month' ? format(group.date, { month: 'long', year: 'numeric' }) : group.key.replace('-', ' ')} (${weekRange(group.weeks)})`,
+      isMonthStart: index > 0,
+      isToday: group.weeks.includes(currentWeek),
+      isOff: false
+    }));
+    headers = [spanColumns(columns, yearLabel, yearLabel)];
+  } else {
+    const monthStarts = new Set(groupWeeks(project, monthOf).map(group => group.weeks[0]));
+    columns = [];
+    for (let w = 1; w <= project.totalWeeks; w++) {
+      columns.push({
+        week: w,
+        weeks: [w],
+        date: getDateOfDay(project, (w - 1) * 7),
+        label: `W${w}`,
+        title: getWeekDateRange(project, w),
+        isMonthStart: monthStarts.has(w),
+        isToday: w === currentWeek,
+        isOff: false
+      });
+    }
+    headers = [spanColumns(columns, column => monthOf(column.date), monthLabel)];
+  }
+
+  // The last header row labels the columns themselves
+  headers.push(columns.map(column => ({
+    label: column.label,
+    title: column.title,
+    span: 1,
+    isToday: column.isToday,
+    isOff: column.isOff
+  })));
+
+  return { zoom: ZOOM_LEVELS.includes(zoom) ? zoom : 'week', columns, headers, workDays };
+}
+
 /**
  * Render status indicator icon
  * @param {string} status - Task status
@@ -172,18 +401,38 @@ function getStatusInfo(status) {
  * @param {Object} projectData - Project data
  * @param {boolean} editMode - Whether in edit mode
  * @param {Object} handlers - Event handlers
+ * @param {Object} tree - Hierarchy info { depth, wbs, isCollapsed }
+ * @param {Object|null} baselineView - Shown baseline ({ baseline, weeks, slips })
+ * @param {Object|null} timeline - Timeline from getTimeline() (week zoom when omitted)
+ * @param {Object|null} criticalView - Critical path analysis ({ tasks: Map of taskId -> { slack, isCritical } })
+ * @param {Object|null} columnRange - Columns to render ({ start, end }); the others are covered by spacer cells
  */
-export function renderTaskRow(container, task, type, currentWeek, projectData, editMode, handlers) {
+export function renderTaskRow(container, task, type, currentWeek, projectData, editMode, handlers, tree = {}, baselineView = null, timeline = null, criticalView = null, columnRange = null) {
+  const { depth = 0, wbs = '', isCollapsed = false } = tree;
   const row = document.createElement('div');
   row.className = `task-row task-row--${type}`;
   row.dataset.taskId = task.id;
   row.dataset.type = type;
 
+  // Parent tasks show the roll-up of their subtasks and are not edited week by week
+  const isParent = hasChildren(projectData.tasks, task.id);
+  const checklistProgress = usesChecklistProgress(projectData);
+  const rollup = isParent ? getRollup(projectData.tasks, task.id, { checklistProgress }) : null;
+  const checklistDriven = !isParent && checklistProgress && hasChecklist(task);
+  const weeks = rollup ? { planned: rollup.planned, reality: rollup.reality } : task;
+  const baselineWeeks = baselineView && !isParent ? baselineView.weeks.get(task.id) || [] : [];
+  if (isParent) row.classList.add('task-row--parent');
+  // Parents summarize their subtasks and are not marked themselves
+  const analysis = criticalView && !isParent ? criticalView.tasks.get(task.id) : null;
+  if (analysis?.isCritical) row.classList.add('task-row--critical');
+  if (type === 'planned' && handlers.isSelected?.(task.id)) row.classList.add('task-row--selected');
+
   const color = projectData.categories[task.category] || '#666';
 
   // Task name cell (only show content on planned row)
   const nameDiv = document.createElement('div');
   nameDiv.className = 'task-name';
+  nameDiv.style.setProperty('--tree-depth', depth);
 
   if (type === 'reality') {
     // Print-only metadata row (hidden on screen, visible in print)
@@ -220,8 +469,27 @@ export function renderTaskRow(container, task, type, currentWeek, projectData, e
       row.addEventListener('drop', (e) => handlers.onDrop(e, task.id, task.category));
     }
 
+    // Subtask collapse toggle and WBS number
+    if (isParent) {
+      const subtaskToggle = document.createElement('span');
+      subtaskToggle.className = 'collapse-toggle subtask-toggle' + (isCollapsed ? ' collapse-toggle--collapsed' : '');
+      subtaskToggle.textContent = '\u25BC';
+      subtaskToggle.title = isCollapsed ? 'Show subtasks' : 'Hide subtasks';
+      subtaskToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handlers.onToggleSubtasks(task.id);
+      });
+      nameDiv.appendChild(subtaskToggle);
+    }
+    if (wbs) {
+      const wbsSpan = document.createElement('span');
+      wbsSpan.className = 'wbs-number';
+      wbsSpan.textContent = wbs;
+      nameDiv.appendChild(wbsSpan);
+    }
+
     // Status indicator with icon
-    const status = getTaskStatus(task, currentWeek);
+    const status = getTaskStatus({ ...task, ...weeks }, currentWeek, { checklistProgress: checklistDriven });
     const statusInfo = getStatusInfo(status);
     const statusIndicator = document.createElement('span');
     statusIndicator.className = `status-indicator status-indicator--${status}`;
@@ -248,6 +516,45 @@ export function renderTaskRow(container, task, type, currentWeek, projectData, e
     }
     nameDiv.appendChild(nameText);
 
+    // Roll-up progress of subtasks
+    if (rollup) {
+      const progress = document.createElement('span');
+      progress.className = 'rollup-progress';
+      progress.textContent = `${rollup.progress}%`;
+      progress.title = `${rollup.done} of ${rollup.total} subtasks done` +
+        (rollup.storyPoints !== null ? ` \u00B7 ${rollup.storyPoints} points` : '');
+      nameDiv.appendChild(progress);
+    }
+
+    // Checklist progress (when checklists drive progress)
+    if (checklistDriven) {
+      const checklist = getChecklistProgress(task);
+      const progress = document.createElement('span');
+      progress.className = 'rollup-progress';
+      progress.textContent = `${checklist.percent}%`;
+      progress.title = `${checklist.done} of ${checklist.total} checklist items done`;
+      nameDiv.appendChild(progress);
+    }
+
+    // Finish slip against the shown baseline
+    const slip = baselineView ? baselineView.slips.get(task.id) : null;
+    if (slip) {
+      const slipBadge = document.createElement('span');
+      slipBadge.className = `baseline-badge baseline-badge--${slip > 0 ? 'late' : 'early'}`;
+      slipBadge.textContent = formatSlip(slip);
+      slipBadge.title = `Finishes ${Math.abs(slip)} week(s) ${slip > 0 ? 'later' : 'earlier'} than in baseline '${baselineView.baseline.name}'`;
+      nameDiv.appendChild(slipBadge);
+    }
+
+    // Critical path marker
+    if (analysis?.isCritical) {
+      const criticalBadge = document.createElement('span');
+      criticalBadge.className = 'critical-badge';
+      criticalBadge.textContent = 'CP';
+      criticalBadge.title = 'On the critical path: any delay moves the project end';
+      nameDiv.appendChild(criticalBadge);
+    }
+
     // Priority dot (always visible, compact)
     if (task.priority) {
       const priorityDot = document.createElement('span');
@@ -256,6 +563,18 @@ export function renderTaskRow(container, task, type, currentWeek, projectData, e
       nameDiv.appendChild(priorityDot);
     }
 
+    // Label dots
+    const labelChips = renderLabelChips(task, projectData, { compact: true });
+    if (labelChips) {
+      nameDiv.insertAdjacentHTML('beforeend', labelChips);
+    }
+
+    // Recurring task icon
+    const recurrenceIcon = renderRecurrenceBadge(task, { compact: true });
+    if (recurrenceIcon) {
+      nameDiv.insertAdjacentHTML('beforeend', recurrenceIcon);
+    }
+
     // Hover-reveal container for assignee
     if (task.assignee) {
       const hoverMeta = document.createElement('span');
@@ -340,11 +659,11 @@ export function renderTaskRow(container, task, type, currentWeek, projectData, e
       });
       buttonsDiv.appendChild(editDetailsBtn);
 
-      // Week range picker button
+      // Week range (or dates) picker button
       const rangeBtn = document.createElement('button');
       rangeBtn.className = 'task-btn task-btn--range';
       rangeBtn.innerHTML = '\uD83D\uDCC5';
-      rangeBtn.title = 'Set week range';
+      rangeBtn.title = timeline?.zoom === 'day' ? 'Set dates' : 'Set week range';
       rangeBtn.addEventListener('click', (e) => {
         e.stopPropagation();
         handlers.onOpenRangePicker(task.id);
@@ -378,47 +697,128 @@ export function renderTaskRow(container, task, type, currentWeek, projectData, e
   typeDiv.textContent = type === 'planned' ? 'Plan' : 'Real';
   row.appendChild(typeDiv);
 
-  // Calculate month boundaries for visual separators
-  const months = generateMonthsFromDateRange(projectData.project);
-  let weekStart = 1;
-  const monthStarts = [1];
-  months.forEach(month => {
-    weekStart += month.weeks;
-    monthStarts.push(weekStart);
-  });
+  // Timeline cells (days, weeks, months or quarters)
+  if (!timeline) timeline = getTimeline(projectData);
+  const isDayScale = timeline.zoom === 'day';
+  const isGrouped = timeline.zoom === 'month' || timeline.zoom === 'quarter';
+  const planned = weeks.planned || [];
+  const reality = weeks.reality || [];
+  // Day zoom draws leaf tasks from their dates; parents fill the work days of their roll-up weeks
+  const span = isDayScale && !isParent ? getTaskSpan(task, projectData.project, timeline.workDays) : null;
+
+  // Total float trails the planned bar: the weeks the task can slip without moving the project end
+  const slack = type === 'planned' && analysis && planned.length > 0 ? analysis.slack : 0;
+  const lastPlanned = slack > 0 ? Math.max(...planned) : 0;
+  const isFloatWeek = (week) => week > lastPlanned && week <= lastPlanned + slack;
+  const floatEnd = span && slack > 0 ? addDays(span.endDate, slack * 7) : null;
+  const floatTitle = `${slack} week${slack === 1 ? '' : 's'} of float`;
+  const barColumns = type === 'planned' ? getBarColumns(planned, span, projectData.project, timeline) : [];
+  const isBarColumn = new Set(barColumns);
+
+  // Planned bars of leaf tasks can be dragged on the day and week zooms (see
+  // gantt-drag.js); the row lists the bar's columns, as its cells may be
+  // outside the rendered range. Month and quarter columns stay read-only.
+  const isDraggable = type === 'planned' && !isParent && (isDayScale || timeline.zoom === 'week');
+  if (isDraggable) row.dataset.bar = barColumns.join(',');
+
+  const { start = 0, end = timeline.columns.length } = columnRange || {};
+  const addSpacerCell = (count) => {
+    if (count <= 0) return;
+    const spacerDiv = document.createElement('div');
+    spacerDiv.className = 'week-cell-spacer';
+    spacerDiv.style.gridColumn = `span ${count}`;
+    row.appendChild(spacerDiv);
+  };
+  addSpacerCell(start);
 
-  // Week cells
-  for (let w = 1; w <= projectData.project.totalWeeks; w++) {
+  timeline.columns.slice(start, end).forEach((column, offset) => {
+    const w = column.week;
     const cellDiv = document.createElement('div');
     cellDiv.className = `week-cell week-cell--${type}`;
+    cellDiv.dataset.col = start + offset;
     cellDiv.style.setProperty('--task-color', color);
-    cellDiv.title = getWeekDateRange(projectData.project, w);
+    cellDiv.title = column.title;
 
     // Month separator
-    if (monthStarts.includes(w)) {
+    if (column.isMonthStart) {
       cellDiv.classList.add('week-cell--month-start');
     }
 
+    // Week separator and days off (day zoom)
+    if (isDayScale) {
+      cellDiv.classList.add('day-cell');
+      if (column.isWeekStart) cellDiv.classList.add('day-cell--week-start');
+      if (column.isOff) cellDiv.classList.add('day-cell--off');
+    }
+
     // Today marker
-    if (w === currentWeek) {
+    if (column.isToday) {
       cellDiv.classList.add('week-cell--today');
     }
 
-    if (type === 'planned') {
-      // Planned: show bar if in planned array
-      if (task.planned && task.planned.includes(w)) {
+    if (isGrouped) {
+      // Month or quarter: active when any of its weeks is, lighter when only some are
+      const covered = column.weeks.filter(week => (type === 'planned' ? planned : reality).includes(week)).length;
+      if (covered > 0) {
+        cellDiv.classList.add('week-cell--active');
+        if (covered < column.weeks.length) cellDiv.classList.add('week-cell--partial');
+        cellDiv.title = `${column.title}: ${covered} of ${column.weeks.length} weeks ${type === 'planned' ? 'planned' : 'worked'}`;
+      }
+      if (type === 'planned' && column.weeks.some(week => baselineWeeks.includes(week))) {
+        cellDiv.classList.add('week-cell--baseline');
+      }
+      if (covered === 0 && slack > 0 && column.weeks.some(isFloatWeek)) {
+        cellDiv.classList.add('week-cell--float');
+        cellDiv.title = `${column.title}: ${floatTitle}`;
+      }
+    } else if (type === 'planned') {
+      // Planned: show bar if in planned array (or span)
+      if (isBarColumn.has(start + offset)) {
         cellDiv.classList.add('week-cell--active');
+        if (isDraggable) cellDiv.classList.add('week-cell--draggable');
+      } else if (slack > 0 && (floatEnd ? column.date > span.endDate && column.date <= floatEnd : isFloatWeek(w))) {
+        cellDiv.classList.add('week-cell--float');
+        cellDiv.title = `${column.title}: ${floatTitle}`;
+      }
+      // Ghost bar of the shown baseline
+      if (!column.isOff && baselineWeeks.includes(w)) {
+        cellDiv.classList.add('week-cell--baseline');
       }
-      cellDiv.addEventListener('click', (e) => handlers.onWeekClick(e, task.id, w, 'planned'));
     } else {
-      // Reality: interactive + show saved state
-      if (task.reality && task.reality.includes(w)) {
+      // Reality: interactive + show saved state (whole weeks on the day zoom)
+      if (!column.isOff && reality.includes(w)) {
         cellDiv.classList.add('week-cell--active');
       }
-      cellDiv.addEventListener('click', (e) => handlers.onWeekClick(e, task.id, w, 'reality'));
+    }
+    if (isParent) {
+      cellDiv.classList.add('week-cell--rollup');
+    } else if (isGrouped) {
+      // Months and quarters are read-only; zoom in to edit
+    } else if (isDayScale) {
+      if (!column.isOff) {
+        cellDiv.addEventListener('click', (e) => handlers.onDayClick(e, task.id, column.date, w, type));
+      }
+    } else {
+      cellDiv.addEventListener('click', (e) => handlers.onWeekClick(e, task.id, w, type));
     }
 
     row.appendChild(cellDiv);
+  });
+
+  addSpacerCell(timeline.columns.length - end);
+
+  // The outer edges of the bar's first and last cell resize it
+  if (isDraggable && barColumns.length > 0) {
+    [['start', barColumns[0]], ['end', barColumns[barColumns.length - 1]]].forEach(([edge, col]) => {
+      const cell = row.querySelector(`[data-col="${col}"]`);
+      if (cell) {
+        const handle = document.createElement('span');
+        handle.className = `bar-handle bar-handle--${edge}`;
+        handle.dataset.edge = edge;
+        handle.title = edge === 'start' ? 'Drag to change the start' : 'Drag to change the end';
+        cell.appendChild(handle);
+      }
+    });
   }
 
   container.appendChild(row);
@@ -514,6 +914,26 @@ export function renderCategoryRow(container, category, isCollapsed, projectData,
   container.appendChild(catRow);
 }
 
+/**
+ * Render a custom field group row (read-only, used instead of category rows)
+ * @param {HTMLElement} container - Container element
+ * @param {Object} group - Group from groupTasksByField()
+ */
+export function renderFieldGroupRow(container, group) {
+  const groupRow = document.createElement('div');
+  groupRow.className = 'category-row category-row--field-group';
+
+  const nameDiv = document.createElement('div');
+  nameDiv.textContent = `${group.label} (${group.tasks.length})`;
+  groupRow.appendChild(nameDiv);
+
+  // Type and spacer cells, as in category rows
+  groupRow.appendChild(document.createElement('div'));
+  groupRow.appendChild(document.createElement('div'));
+
+  container.appendChild(groupRow);
+}
+
 /**
  * Render add task button
  * @param {HTMLElement} container - Container element
@@ -547,6 +967,267 @@ export function renderAddCategoryRow(container, onAddCategory) {
   container.appendChild(addCatRow);
 }
 
+// ========== DEPENDENCY ARROWS ==========
+
+/**
+ * Draw dependency arrows between the planned bars of linked tasks
+ * Arrows leave the predecessor's bar at its end (FS, FF) or start (SS, SF)
+ * and enter the successor's bar at its start (FS, SS) or end (FF, SF).
+ * Links the successor does not keep are drawn as conflicts. Bars are placed
+ * from the column headers and the row positions, so links to rows outside
+ * the rendered window are drawn too. Hidden or unscheduled tasks get no arrow.
+ * @param {Object} view - Rows and settings of the last render
+ * @param {Map} rowBoxes - Task ID -> { top, height } of its planned row, in px from the chart top
+ */
+function renderDependencyArrows(view, rowBoxes) {
+  const { container, projectData, timeline, links } = view;
+  container.querySelector('.dependency-arrows')?.remove();
+  if (links.length === 0) return;
+
+  const containerRect = container.getBoundingClientRect();
+  const columnCells = [...view.startMarker.children].slice(2);
+  const tasksById = new Map(projectData.tasks.map(task => [task.id, task]));
+  const parentIds = new Set(projectData.tasks.map(getParentId));
+  const bars = new Map();
+  const getBar = (taskId) => {
+    if (bars.has(taskId)) return bars.get(taskId);
+    const task = tasksById.get(taskId);
+    const box = rowBoxes.get(taskId);
+    let bar = null;
+    if (task && box) {
+      const isParent = parentIds.has(taskId);
+      const planned = isParent ? getRollup(projectData.tasks, taskId).planned : task.planned || [];
+      const span = timeline.zoom === 'day' && !isParent ? getTaskSpan(task, projectData.project, timeline.workDays) : null;
+      const columns = getBarColumns(planned, span, projectData.project, timeline);
+      if (columns.length > 0) {
+        const first = columnCells[columns[0]].getBoundingClientRect();
+        const last = columnCells[columns[columns.length - 1]].getBoundingClientRect();
+        bar = {
+          left: first.left - containerRect.left,
+          right: last.right - containerRect.left,
+          middle: box.top + box.height / 2,
+          height: box.height
+        };
+      }
+    }
+    bars.set(taskId, bar);
+    return bar;
+  };
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'dependency-arrows');
+  svg.setAttribute('width', container.scrollWidth);
+  svg.setAttribute('height', container.scrollHeight);
+  svg.innerHTML = '<defs>' + ['', '--conflict'].map(modifier => `
+    <marker id="dependencyArrowHead${modifier}" class="dependency-arrow__head${modifier ? ` dependency-arrow__head${modifier}` : ''}"
+      viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto">
+      <path d="M0,0 L6,3 L0,6 z"></path>
+    </marker>
+  `).join('') + '</defs>';
+
+  const gap = 6;
+  links.forEach(link => {
+    const from = getBar(link.fromId);
+    const to = getBar(link.toId);
+    if (!from || !to) return;
+
+    // Leave to the right from a finish, to the left from a start; enter
+    // a start from the left and a finish from the right
+    const out = link.type[0] === 'F' ? 1 : -1;
+    const into = link.type[1] === 'S' ? 1 : -1;
+    const x1 = out > 0 ? from.right : from.left;
+    const x2 = into > 0 ? to.left : to.right;
+
+    let d;
+    if ((x2 - (x1 + out * gap)) * into >= gap) {
+      d = `M${x1},${from.middle} H${x1 + out * gap} V${to.middle} H${x2}`;
+    } else {
+      // No room for a single bend: route along the successor's row border
+      const y = to.middle + (to.middle > from.middle ? -1 : 1) * to.height / 2;
+      d = `M${x1},${from.middle} H${x1 + out * gap} V${y} H${x2 - into * gap} V${to.middle} H${x2}`;
+    }
+
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('class', `dependency-arrow${link.violated ? ' dependency-arrow--conflict' : ''}`);
+    path.setAttribute('d', d);
+    path.setAttribute('marker-end', `url(#dependencyArrowHead${link.violated ? '--conflict' : ''})`);
+    const title = document.createElementNS(SVG_NS, 'title');
+    const linkLabel = formatDependencyLink(link);
+    title.textContent = `${tasksById.get(link.fromId).name} \u2192 ${tasksById.get(link.toId).name}` +
+      (linkLabel ? ` (${linkLabel})` : '') + (link.violated ? ' - scheduled too early' : '');
+    path.appendChild(title);
+    svg.appendChild(path);
+  });
+
+  container.appendChild(svg);
+}
+
+// ========== VISIBLE ROWS ==========
+
+// Identity of task objects, so cached rows are rebuilt when a task is replaced (undo, sync)
+const objectIds = new WeakMap();
+let nextObjectId = 1;
+
+function getObjectId(object) {
+  if (!objectIds.has(object)) objectIds.set(object, nextObjectId++);
+  return objectIds.get(object);
+}
+
+/**
+ * Get the timeline columns to render, or null for all of them
+ * Wide charts render the columns in the horizontal viewport and some
+ * overscan; the range moves in steps so small scrolls keep the rows.
+ * @param {Object} view - Rows and settings of the last render
+ * @returns {Object|null} - { start, end } column indexes
+ */
+function getColumnRange(view) {
+  const count = view.timeline.columns.length;
+  const firstCell = view.startMarker.children[2];
+  if (count <= MIN_VIRTUAL_COLUMNS || !firstCell) return null;
+
+  const cellRect = firstCell.getBoundingClientRect();
+  if (cellRect.width === 0) return null;
+  const viewportRect = view.container.parentElement.getBoundingClientRect();
+  const left = Math.max(viewportRect.left, 0);
+  const right = Math.min(viewportRect.right, window.innerWidth);
+  const first = Math.floor((left - cellRect.left) / cellRect.width) - COLUMN_OVERSCAN;
+  const last = Math.ceil((right - cellRect.left) / cellRect.width) + COLUMN_OVERSCAN;
+  const start = Math.min(count, Math.max(0, Math.floor(first / COLUMN_STEP) * COLUMN_STEP));
+  const end = Math.max(start, Math.min(count, Math.ceil(last / COLUMN_STEP) * COLUMN_STEP));
+  return { start, end };
+}
+
+/**
+ * Serialize what a row item shows; a cached row is reused while this stays the same
+ * Settings shared by all rows (zoom, edit mode, colors) are the cache context.
+ * @param {Object} view - Rows and settings of the last render
+ * @param {Object} item - Row item
+ * @param {Object|null} columnRange - Rendered columns
+ * @returns {string}
+ */
+function getRowSignature(view, item, columnRange) {
+  if (item.kind === 'group') return JSON.stringify([item.group.label, item.group.tasks.length]);
+  if (item.kind !== 'task') return JSON.stringify([item.category, item.isCollapsed]);
+
+  const { projectData, baselineView, criticalView, handlers } = view;
+  const { task, tree } = item;
+  const rollup = hasChildren(projectData.tasks, task.id)
+    ? getRollup(projectData.tasks, task.id, { checklistProgress: usesChecklistProgress(projectData) })
+    : null;
+  return JSON.stringify([
+    getObjectId(task),
+    task,
+    tree,
+    rollup,
+    baselineView ? [baselineView.weeks.get(task.id), baselineView.slips.get(task.id)] : null,
+    criticalView ? criticalView.tasks.get(task.id) : null,
+    Boolean(handlers.isSelected?.(task.id)),
+    columnRange
+  ]);
+}
+
+/**
+ * Render the rows of an item
+ * @param {Object} view - Rows and settings of the last render
+ * @param {Object} item - Row item
+ * @param {Object|null} columnRange - Rendered columns
+ * @returns {Array} - Row elements
+ */
+function renderRowItem(view, item, columnRange) {
+  const { projectData, editMode, handlers, currentWeek, baselineView, criticalView, timeline } = view;
+  const fragment = document.createDocumentFragment();
+
+  if (item.kind === 'group') {
+    renderFieldGroupRow(fragment, item.group);
+  } else if (item.kind === 'category') {
+    renderCategoryRow(fragment, item.category, item.isCollapsed, projectData, editMode, handlers);
+  } else if (item.kind === 'add-task') {
+    renderAddTaskRow(fragment, item.category, handlers.onAddTask);
+  } else if (item.kind === 'add-category') {
+    renderAddCategoryRow(fragment, handlers.onAddCategory);
+  } else {
+    // Planned and reality rows
+    ['planned', 'reality'].forEach(type => {
+      renderTaskRow(fragment, item.task, type, currentWeek, projectData, editMode, handlers, item.tree, baselineView, timeline, criticalView, columnRange);
+    });
+  }
+  return [...fragment.childNodes];
+}
+
+/**
+ * Get the element whose box is a row's box
+ * Task and category rows are display: contents, so their first cell is measured.
+ * @param {HTMLElement} node - Row element
+ * @returns {HTMLElement}
+ */
+function getRowBox(node) {
+  return node.classList.contains('task-row') || node.classList.contains('category-row') ? node.firstElementChild : node;
+}
+
+/**
+ * Put the rows near the viewport in the chart
+ * Called by render() and when the page or chart scrolls or resizes. Short
+ * projects keep every row; in large ones spacers stand in for the rows
+ * outside the window. Rows whose data did not change are reused, so an edit
+ * rebuilds only the rows it touched. Redraws the dependency arrows.
+ * @param {boolean} force - Update even when the rendered range did not change
+ */
+export function updateVisibleRows(force = false) {
+  const view = rowView;
+  if (!view || !view.container.isConnected) return;
+  const { container, items } = view;
+
+  // Rows start below the header; the page scrolls vertically
+  const rowsTop = view.startMarker.firstElementChild.getBoundingClientRect().bottom;
+  const { start, end, before, after } = rowList.getRange(items, -rowsTop, window.innerHeight - rowsTop);
+  const columnRange = rowList.isVirtual(items.length) ? getColumnRange(view) : null;
+  const rangeKey = JSON.stringify([start, end, columnRange]);
+  if (!force && rangeKey === view.rangeKey) return;
+  view.rangeKey = rangeKey;
+
+  const rendered = items.slice(start, end).map(item => ({
+    item,
+    nodes: rowList.getElements(item.key, getRowSignature(view, item, columnRange), () => renderRowItem(view, item, columnRange))
+  }));
+  view.topSpacer.style.height = `${before}px`;
+  view.bottomSpacer.style.height = `${after}px`;
+  placeNodes(container, [
+    ...(before > 0 ? [view.topSpacer] : []),
+    ...rendered.flatMap(({ nodes }) => nodes),
+    ...(after > 0 ? [view.bottomSpacer] : [])
+  ], view.startMarker, view.endMarker);
+
+  // Measure the rendered rows, so the spacers match them next time
+  const chartTop = container.getBoundingClientRect().top;
+  const plannedBoxes = new Map();
+  rendered.forEach(({ item, nodes }) => {
+    const boxes = nodes.map(node => getRowBox(node).getBoundingClientRect());
+    rowList.measure(item.key, boxes.reduce((sum, box) => sum + box.height, 0));
+    if (item.kind === 'task') plannedBoxes.set(item.key, { top: boxes[0].top - chartTop, height: boxes[0].height });
+  });
+
+  // Planned rows of every task, rendered or not, for the arrows
+  const rowBoxes = new Map();
+  let top = rowsTop - chartTop;
+  items.forEach(item => {
+    const height = rowList.getHeight(item);
+    if (item.kind === 'task' && !rowBoxes.has(item.task.id)) {
+      rowBoxes.set(item.task.id, plannedBoxes.get(item.key) || { top, height: height / 2 });
+    }
+    top += height;
+  });
+  renderDependencyArrows(view, rowBoxes);
+}
+
+/**
+ * Render every row for printing, or go back to rendering the visible ones
+ * @param {boolean} printing - Whether the page is being printed
+ */
+export function setPrintLayout(printing) {
+  rowList.setRenderAll(printing);
+  updateVisibleRows(true);
+}
+
 /**
  * Render the entire Gantt chart
  * @param {Object} projectData - Project data
@@ -554,8 +1235,13 @@ export function renderAddCategoryRow(container, onAddCategory) {
  * @param {Set} collapsedCategories - Set of collapsed category names
  * @param {string} searchQuery - Current search query
  * @param {Object} handlers - Event handlers
+ * @param {Object} fieldView - Custom field filter and grouping ({ filterFieldId, filterValue, groupByFieldId })
+ * @param {Set} collapsedTasks - Set of parent task IDs whose subtasks are hidden
+ * @param {Object|null} baselineView - Shown baseline ({ baseline, weeks, slips }) for ghost bars and slip badges
+ * @param {string} zoom - Timeline zoom, one of ZOOM_LEVELS
+ * @param {Object|null} criticalView - Critical path analysis for highlighting, float bars and the critical-only filter
  */
-export function render(projectData, editMode, collapsedCategories, searchQuery, handlers) {
+export function render(projectData, editMode, collapsedCategories, searchQuery, handlers, fieldView = {}, collapsedTasks = new Set(), baselineView = null, zoom = 'week', criticalView = null) {
   // Update header elements
   renderProjectTitle(projectData, editMode, handlers.onEditTitle);
   updateProgressStats(projectData);
@@ -564,89 +1250,92 @@ export function render(projectData, editMode, collapsedCategories, searchQuery,
   const allCategories = [...new Set(projectData.tasks.map(t => t.category))];
   updateCollapseAllButton(collapsedCategories, allCategories);
 
+  const timeline = getTimeline(projectData, zoom);
   const container = document.getElementById('ganttChart');
-  container.className = 'gantt';
+  container.className = `gantt gantt--${timeline.zoom}s`;
   container.innerHTML = '';
-  container.style.setProperty('--total-weeks', projectData.project.totalWeeks);
+  container.style.setProperty('--total-columns', timeline.columns.length);
 
   const currentWeek = getCurrentWeek(projectData.project);
 
-  // Generate months dynamically from date range
-  const months = generateMonthsFromDateRange(projectData.project);
-
-  // Month header row
-  const monthHeader = document.createElement('div');
-  monthHeader.className = 'month-header';
-  monthHeader.innerHTML = '<div>Task</div><div>Type</div>';
-
-  months.forEach(month => {
-    const monthDiv = document.createElement('div');
-    monthDiv.textContent = month.name;
-    monthDiv.style.gridColumn = `span ${month.weeks}`;
-    monthHeader.appendChild(monthDiv);
+  // Header rows, widest period first; the last row labels the columns
+  timeline.headers.forEach((cells, index) => {
+    const isFirst = index === 0;
+    const isLast = index === timeline.headers.length - 1;
+    const headerRow = document.createElement('div');
+    headerRow.className = isFirst ? 'month-header' : 'week-header';
+    if (isLast && timeline.zoom === 'day') headerRow.classList.add('week-header--days');
+    headerRow.innerHTML = isFirst ? '<div>Task</div><div>Type</div>' : '<div></div><div></div>';
+
+    cells.forEach(cell => {
+      const cellDiv = document.createElement('div');
+      cellDiv.textContent = cell.label;
+      if (cell.title) cellDiv.title = cell.title;
+      if (cell.span > 1) cellDiv.style.gridColumn = `span ${cell.span}`;
+      if (cell.isOff) cellDiv.classList.add('day-cell--off');
+      if (cell.isToday) cellDiv.classList.add('week-cell--today');
+      headerRow.appendChild(cellDiv);
+    });
+    container.appendChild(headerRow);
   });
-  container.appendChild(monthHeader);
 
-  // Week header row
-  const weekHeader = document.createElement('div');
-  weekHeader.className = 'week-header';
-  weekHeader.innerHTML = '<div></div><div></div>';
-
-  for (let w = 1; w <= projectData.project.totalWeeks; w++) {
-    const weekDiv = document.createElement('div');
-    weekDiv.textContent = `W${w}`;
-    weekDiv.title = getWeekDateRange(projectData.project, w);
-    if (w === currentWeek) {
-      weekDiv.classList.add('week-cell--today');
-    }
-    weekHeader.appendChild(weekDiv);
+  const { text: query, labels: labelTerms } = parseSearchQuery(searchQuery);
+  const matchesSearch = (t) => matchesLabelTerms(t, labelTerms, projectData) && (!query ||
+    t.name.toLowerCase().includes(query) ||
+    (t.assignee && t.assignee.toLowerCase().includes(query)) ||
+    (t.notes && t.notes.toLowerCase().includes(query)));
+  const matchesCritical = (t) => !criticalView?.criticalOnly || criticalView.tasks.get(t.id)?.isCritical === true;
+  const visibleTasks = filterTasksByField(projectData.tasks, projectData, fieldView)
+    .filter(t => matchesSearch(t) && matchesCritical(t));
+  const wbsNumbers = getWbsNumbers(projectData.tasks);
+
+  // Rows in display order; only those near the viewport are put in the DOM
+  const items = [];
+
+  // Grouping by a custom field replaces the category rows
+  const groupByField = getGroupByField(projectData, fieldView);
+  if (groupByField) {
+    // A task can be in several groups (multi select), so keys include the group
+    groupTasksByField(visibleTasks, groupByField).forEach((group, groupIndex) => {
+      items.push({ key: `group:${groupIndex}`, kind: 'group', group });
+      group.tasks.forEach(task => {
+        items.push({ key: `task:${groupIndex}:${task.id}`, kind: 'task', task, tree: { wbs: wbsNumbers.get(task.id) } });
+      });
+    });
   }
-  container.appendChild(weekHeader);
 
   // Group tasks by category
-  const categories = [...new Set(projectData.tasks.map(t => t.category))];
+  const categories = groupByField ? [] : [...new Set(projectData.tasks.map(t => t.category))];
 
   categories.forEach((category) => {
     const isCollapsed = collapsedCategories.has(category);
+    items.push({ key: `category:${category}`, kind: 'category', category, isCollapsed });
 
-    // Render category row
-    renderCategoryRow(container, category, isCollapsed, projectData, editMode, handlers);
+    // Tasks in this category (with search and field filters), subtasks under their parent;
+    // collapsed categories still show the add task button in edit mode
+    if (!isCollapsed) {
+      const categoryTasks = visibleTasks.filter(t => t.category === category);
+      let hiddenBelowDepth = null;
 
-    // Skip tasks if category is collapsed
-    if (isCollapsed) {
-      // Still show add task button in edit mode
-      if (editMode) {
-        renderAddTaskRow(container, category, handlers.onAddTask);
-      }
-      return;
-    }
+      orderByHierarchy(categoryTasks).forEach(({ task, depth }) => {
+        // Skip subtasks of a collapsed parent
+        if (hiddenBelowDepth !== null && depth > hiddenBelowDepth) return;
+        const isCollapsed = collapsedTasks.has(task.id);
+        hiddenBelowDepth = isCollapsed ? depth : null;
 
-    // Tasks in this category (with search filter)
-    let categoryTasks = projectData.tasks.filter(t => t.category === category);
-    if (searchQuery) {
-      categoryTasks = categoryTasks.filter(t =>
-        t.name.toLowerCase().includes(searchQuery) ||
-        (t.assignee && t.assignee.toLowerCase().includes(searchQuery)) ||
-        (t.notes && t.notes.toLowerCase().includes(searchQuery))
-      );
+        items.push({ key: `task:${task.id}`, kind: 'task', task, tree: { depth, wbs: wbsNumbers.get(task.id), isCollapsed } });
+      });
     }
 
-    categoryTasks.forEach(task => {
-      // Planned row
-      renderTaskRow(container, task, 'planned', currentWeek, projectData, editMode, handlers);
-      // Reality row
-      renderTaskRow(container, task, 'reality', currentWeek, projectData, editMode, handlers);
-    });
-
     // Add task button (edit mode only)
     if (editMode) {
-      renderAddTaskRow(container, category, handlers.onAddTask);
+      items.push({ key: `add-task:${category}`, kind: 'add-task', category });
     }
   });
 
   // Add category button (edit mode only)
-  if (editMode) {
-    renderAddCategoryRow(container, handlers.onAddCategory);
+  if (editMode && !groupByField) {
+    items.push({ key: 'add-category', kind: 'add-category' });
   }
 
   // Add print footer row (hidden on screen, visible in print)
@@ -655,28 +1344,61 @@ export function render(projectData, editMode, collapsedCategories, searchQuery,
   printFooter.textContent = `Exported ${new Date().toLocaleDateString()}`;
   container.appendChild(printFooter);
 
+  // Rows are cached between renders; anything outside the rows that changes
+  // how they look starts a new cache
+  const lastHeaderRow = printFooter.previousElementSibling;
+  rowList.beginPass(JSON.stringify({
+    editMode,
+    zoom: timeline.zoom,
+    startDate: projectData.project.startDate,
+    totalWeeks: projectData.project.totalWeeks,
+    workDays: timeline.workDays,
+    today: getTodayIndex(projectData.project),
+    currentWeek,
+    categories: projectData.categories,
+    labels: projectData.labels,
+    checklistProgress: usesChecklistProgress(projectData),
+    baseline: baselineView?.baseline.id || null,
+    critical: Boolean(criticalView)
+  }));
+  rowList.prune(new Set(items.map(item => item.key)));
+  rowView = {
+    container,
+    items,
+    startMarker: lastHeaderRow,
+    endMarker: printFooter,
+    topSpacer: createSpacer('gantt-spacer'),
+    bottomSpacer: createSpacer('gantt-spacer'),
+    projectData,
+    editMode,
+    handlers,
+    currentWeek,
+    baselineView,
+    criticalView,
+    timeline,
+    links: getDependencyLinks(projectData),
+    rangeKey: null
+  };
+  updateVisibleRows(true);
+
   // Add today marker overlay (continuous line through entire chart)
   if (currentWeek) {
-    // Remove any existing overlay
-    const existingOverlay = container.querySelector('.today-marker-overlay');
-    if (existingOverlay) existingOverlay.remove();
-
     // Create overlay after a brief delay to ensure layout is complete
     requestAnimationFrame(() => {
       const todayCell = container.querySelector('.week-cell--today');
-      // Get first cell of first category row (actual element, not display:contents)
-      const firstContentCell = container.querySelector('.category-row > div');
-      if (todayCell && firstContentCell) {
+      // Rows start below the last header row (its cells are actual elements, not display:contents)
+      const lastHeaderCell = lastHeaderRow.firstElementChild;
+      if (todayCell && lastHeaderCell) {
         const overlay = document.createElement('div');
         overlay.className = 'today-marker-overlay';
 
         // Get position relative to container
         const containerRect = container.getBoundingClientRect();
         const cellRect = todayCell.getBoundingClientRect();
-        const firstCellRect = firstContentCell.getBoundingClientRect();
+        const headerRect = lastHeaderCell.getBoundingClientRect();
 
         const leftPos = cellRect.left - containerRect.left + (cellRect.width / 2);
-        const topPos = firstCellRect.top - containerRect.top;
+        const topPos = headerRect.bottom - containerRect.top;
 
         overlay.style.left = `${leftPos}px`;
         overlay.style.top = `${topPos}px`;
@@ -686,5 +1408,5 @@ export function render(projectData, editMode, collapsedCategories, searchQuery,
   }
 
   // Render legend
-  renderLegend(projectData);
+  renderLegend(projectData, baselineView, timeline.zoom, criticalView);
 }
@@ -7,15 +7,27 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
+import { getCustomFields } from '../../../shared/js/custom-fields.js';
+import { renderFieldEditors, applyFieldEditors, renderFieldViewControls } from '../../../shared/js/custom-fields-ui.js';
+import { renderLabelPicker, applyLabelPicker } from '../../../shared/js/labels-ui.js';
+import { renderChecklistEditor, applyChecklistEditor } from '../../../shared/js/checklists-ui.js';
+import { setParent } from '../../../shared/js/task-hierarchy.js';
+import { fillParentSelect } from '../../../shared/js/task-hierarchy-ui.js';
+import { renderRecurrenceEditor, applyRecurrenceEditor } from '../../../shared/js/recurrence-ui.js';
+import { renderTaskDiscussion } from '../../../shared/js/comments-ui.js';
+import { renderTaskAttachments } from '../../../shared/js/attachments-ui.js';
+import { getAttachments, pruneAttachmentFiles, downloadArchive } from '../../../shared/js/attachments.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow,
@@ -26,7 +38,7 @@ import {
 } from '../../../shared/js/unified-data.js';
 
 // Import kanban modules
-import { render } from './kanban-render.js';
+import { render, updateVisibleCards, setPrintLayout } from './kanban-render.js';
 import {
   addTask,
   updateTask,
@@ -41,10 +53,15 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let collapsedColumns = new Set();
 let searchQuery = '';
+let fieldView = { filterFieldId: '', filterValue: '', groupByFieldId: '' };
 let saveCount = 0;
 
 // Drag state
@@ -57,12 +74,13 @@ let newTaskColumnId = null;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_kanban' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -77,6 +95,10 @@ export function init() {
   // Setup cross-tab sync
   setupStorageSync();
 
+  // Delete files of attachments removed a while ago
+  pruneAttachmentFiles(STORAGE_KEY, getAttachments(projectData).map(a => a.id))
+    .catch(e => console.warn('Attachment cleanup skipped:', e));
+
   // Initial render
   renderApp();
 }
@@ -128,7 +150,13 @@ function getDefaultProjectData() {
     workflow: JSON.parse(JSON.stringify(defaultWorkflow)),
     sprints: [],
     timeEntries: [],
-    tasks: []
+    tasks: [],
+    customFields: [],
+    labels: [],
+    epics: [],
+    comments: [],
+    attachments: [],
+    baselines: []
   };
 }
 
@@ -136,6 +164,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -145,14 +174,19 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getTaskName(taskId) {
+  return projectData.tasks.find(t => t.id === taskId)?.name || 'task';
 }
 
 // ========== RENDER ==========
 
 function renderApp() {
-  render(projectData, editMode, collapsedColumns, searchQuery, getHandlers());
+  renderFieldViewControls(document.getElementById('fieldView'), projectData, fieldView, renderApp);
+  render(projectData, editMode, collapsedColumns, searchQuery, getHandlers(), fieldView);
 }
 
 // ========== EVENT HANDLERS OBJECT ==========
@@ -169,7 +203,7 @@ function getHandlers() {
     onDeleteTask: (taskId) => {
       if (!editMode) return;
       if (confirm('Delete this task?')) {
-        saveState();
+        saveState(`Deleted '${getTaskName(taskId)}'`);
         if (deleteTask(projectData, taskId)) {
           save();
           renderApp();
@@ -257,7 +291,8 @@ function handleDrop(e, columnId) {
 
   const position = calculateDropPosition(cardsArea, e.clientY);
 
-  saveState();
+  const column = projectData.workflow.columns.find(c => c.id === columnId);
+  saveState(`Moved '${getTaskName(draggedTaskId)}' to ${column?.name || columnId}`);
   if (moveTask(projectData, draggedTaskId, columnId, position)) {
     save();
     renderApp();
@@ -292,6 +327,11 @@ function openTaskEdit(taskId) {
     categorySelect.appendChild(opt);
   });
 
+  // Parent dropdown
+  const parentSelect = document.getElementById('taskEditParent');
+  fillParentSelect(parentSelect, projectData.tasks, task);
+  parentSelect.disabled = !editMode;
+
   // Assignee dropdown
   const assigneeSelect = document.getElementById('taskEditAssignee');
   assigneeSelect.innerHTML = '<option value="">Unassigned</option>';
@@ -313,6 +353,13 @@ function openTaskEdit(taskId) {
   document.getElementById('taskEditNotes').value = task.notes || '';
   document.getElementById('taskEditNotes').disabled = !editMode;
 
+  renderLabelPicker(document.getElementById('taskEditLabels'), projectData, task, { disabled: !editMode });
+  renderChecklistEditor(document.getElementById('taskEditChecklist'), task, { disabled: !editMode });
+  renderFieldEditors(document.getElementById('taskEditCustomFields'), getCustomFields(projectData), task, { disabled: !editMode });
+  renderRecurrenceEditor(document.getElementById('taskEditRecurrence'), projectData, task, { disabled: !editMode });
+  renderTaskAttachmentList();
+  renderTaskComments();
+
   // Timeline (planned)
   const planned = task.planned || [];
   document.getElementById('taskEditStartWeek').value = planned.length > 0 ? Math.min(...planned) : '';
@@ -387,9 +434,41 @@ function updateProgressDisplay(task) {
 
 window.closeTaskEdit = function() {
   document.getElementById('taskEditModal').classList.remove('active');
+  clearEditConflict('taskEditModal');
   currentEditTaskId = null;
 };
 
+/**
+ * Render the attachments of the task being edited
+ */
+function renderTaskAttachmentList() {
+  renderTaskAttachments(document.getElementById('taskEditAttachments'), projectData, currentEditTaskId, {
+    onCommit: commitTaskChange,
+    disabled: !editMode
+  });
+}
+
+/**
+ * Render the comments and activity of the task being edited
+ */
+function renderTaskComments() {
+  renderTaskDiscussion(document.getElementById('taskEditDiscussion'), projectData, currentEditTaskId, {
+    onCommit: commitTaskChange,
+    disabled: !editMode
+  });
+}
+
+/**
+ * Apply a comment or attachment change through the usual undo, save and render flow
+ */
+function commitTaskChange(label, mutate) {
+  saveState(label);
+  mutate(projectData);
+  save();
+  renderApp();
+  return projectData;
+}
+
 /**
  * Get current reality weeks from the UI
  */
@@ -466,7 +545,7 @@ window.markTaskAsDone = function() {
   const task = projectData.tasks.find(t => t.id === currentEditTaskId);
   if (!task) return;
 
-  saveState();
+  saveState(`Marked '${task.name}' as done`);
 
   // Just move to Done - don't modify reality
   // Reality should reflect actual weeks worked, not planned weeks
@@ -488,7 +567,7 @@ window.saveTaskEdit = function() {
   // Get reality weeks from UI
   const reality = getCurrentRealityWeeks();
 
-  saveState();
+  saveState(`Edited '${getTaskName(currentEditTaskId)}'`);
 
   // Find the task to update
   const task = projectData.tasks.find(t => t.id === currentEditTaskId);
@@ -506,21 +585,28 @@ window.saveTaskEdit = function() {
     endWeek
   });
 
+  setParent(projectData.tasks, task.id, document.getElementById('taskEditParent').value);
+  applyLabelPicker(document.getElementById('taskEditLabels'), task);
+  applyChecklistEditor(document.getElementById('taskEditChecklist'), task);
+  applyFieldEditors(document.getElementById('taskEditCustomFields'), getCustomFields(projectData), task);
+
   // Update reality separately and sync to Kanban column
   task.reality = reality;
   syncGanttToKanban(task, projectData.workflow);
 
+  const seriesMessage = applyRecurrenceEditor(document.getElementById('taskEditRecurrence'), projectData, task);
+
   save();
   closeTaskEdit();
   renderApp();
-  statusManager.show('Task updated', true);
+  statusManager.show(seriesMessage || 'Task updated', true);
 };
 
 window.deleteCurrentTask = function() {
   if (!currentEditTaskId || !editMode) return;
 
   if (confirm('Delete this task?')) {
-    saveState();
+    saveState(`Deleted '${getTaskName(currentEditTaskId)}'`);
     if (deleteTask(projectData, currentEditTaskId)) {
       save();
       closeTaskEdit();
@@ -576,7 +662,7 @@ window.createNewTask = function() {
     return;
   }
 
-  saveState();
+  saveState(`Created '${name}'`);
   const newTask = addTask(projectData, {
     name,
     category: document.getElementById('newTaskCategory').value,
@@ -853,7 +939,7 @@ window.closeSettings = function(skipConfirm = false) {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed board settings');
 
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
 
@@ -903,29 +989,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -934,6 +1036,13 @@ window.exportToJSON = function() {
   statusManager.show('JSON exported', true);
 };
 
+window.exportArchive = async function() {
+  const filename = sanitizeFilename(projectData.project.title || projectData.project.name || "project");
+  statusManager.show('Preparing archive...');
+  const { files, missing } = await downloadArchive(projectData, STORAGE_KEY, filename);
+  statusManager.show(`Archive exported with ${files} file(s)${missing > 0 ? `, ${missing} not in this browser` : ''}`, true);
+};
+
 window.importProject = function() {
   document.getElementById('fileInput').click();
 };
@@ -945,13 +1054,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate to v9 if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -969,19 +1081,20 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
-    }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    const conflict = findChange(changes, 'task', currentEditTaskId);
+    if (conflict) showEditConflict('taskEditModal', conflict);
+    if (currentEditTaskId && changes.some(c => c.entity === 'comment')) renderTaskComments();
+    if (currentEditTaskId && changes.some(c => c.entity === 'attachment')) renderTaskAttachmentList();
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
@@ -1054,6 +1167,12 @@ function setupEventListeners() {
 
   // Search input
   document.getElementById('searchInput').addEventListener('input', (e) => filterTasks(e.target.value));
+
+  // Long columns render the cards in view; columns grow with the window,
+  // and printing shows every card
+  window.addEventListener('resize', updateVisibleCards);
+  window.addEventListener('beforeprint', () => setPrintLayout(true));
+  window.addEventListener('afterprint', () => setPrintLayout(false));
 }
 
 // ========== EXPOSE GLOBAL FUNCTIONS ==========
@@ -8,6 +8,11 @@ import {
   repositionColumn,
   getCurrentWeek
 } from '../../../shared/js/unified-data.js';
+import { detachChildren } from '../../../shared/js/task-hierarchy.js';
+import { removeTaskComments } from '../../../shared/js/comments.js';
+import { removeTaskAttachments } from '../../../shared/js/attachments.js';
+import { copyChecklist } from '../../../shared/js/checklists.js';
+import { getWorkDays, syncTaskDates } from '../../../shared/js/schedule.js';
 
 /**
  * Add a new task
@@ -56,6 +61,7 @@ export function addTask(projectData, taskData) {
       position
     }
   };
+  syncTaskDates(newTask, projectData.project, getWorkDays(projectData));
 
   projectData.tasks.push(newTask);
   return newTask;
@@ -90,6 +96,7 @@ export function updateTask(projectData, taskId, updates) {
       for (let w = startWeek; w <= endWeek; w++) {
         task.planned.push(w);
       }
+      syncTaskDates(task, projectData.project, getWorkDays(projectData));
     }
   }
 
@@ -109,7 +116,10 @@ export function deleteTask(projectData, taskId) {
   const task = projectData.tasks[index];
   const columnId = task.board?.columnId;
 
+  detachChildren(projectData.tasks, taskId);
   projectData.tasks.splice(index, 1);
+  removeTaskComments(projectData, [taskId]);
+  removeTaskAttachments(projectData, [taskId]);
 
   // Reposition remaining tasks in column
   if (columnId) {
@@ -179,6 +189,8 @@ export function duplicateTask(projectData, taskId) {
     id: generateTaskId(),
     name: `${task.name} (copy)`,
     reality: [], // Reset progress
+    checklist: copyChecklist(task.checklist),
+    recurrence: null, // A copy does not join the series
     board: {
       columnId: task.board?.columnId || 'backlog',
       position: columnTasks.length
@@ -214,6 +226,8 @@ export function updateColumn(projectData, columnId, updates) {
 
 /**
  * Calculate drop position from mouse coordinates
+ * Long columns render only some of their cards, so positions come from the
+ * cards' data-index rather than their place in the DOM.
  * @param {HTMLElement} cardsArea - Cards container
  * @param {number} clientY - Mouse Y coordinate
  * @returns {number} - Position index
@@ -228,11 +242,11 @@ export function calculateDropPosition(cardsArea, clientY) {
     const midY = rect.top + rect.height / 2;
 
     if (clientY < midY) {
-      return i;
+      return Number(cards[i].dataset.index);
     }
   }
 
-  return cards.length;
+  return Number(cards[cards.length - 1].dataset.index) + 1;
 }
 
 /**
@@ -247,13 +261,9 @@ export function showDropIndicator(cardsArea, position) {
   const indicator = document.createElement('div');
   indicator.className = 'drop-indicator';
 
-  const cards = cardsArea.querySelectorAll('.kanban-card');
-
-  if (position >= cards.length) {
-    cardsArea.appendChild(indicator);
-  } else {
-    cardsArea.insertBefore(indicator, cards[position]);
-  }
+  // Before the card at that position, or after the last rendered card
+  const next = Array.from(cardsArea.querySelectorAll('.kanban-card')).find(card => Number(card.dataset.index) >= position);
+  cardsArea.insertBefore(indicator, next || cardsArea.querySelector('.column-spacer--bottom'));
 }
 
 /**
@@ -3,6 +3,23 @@
  */
 
 import { getColumnTasks, deriveStatus, getCurrentWeek } from '../../../shared/js/unified-data.js';
+import { filterTasksByField, getGroupByField, groupTasksByField } from '../../../shared/js/custom-fields.js';
+import { parseSearchQuery, matchesLabelTerms } from '../../../shared/js/labels.js';
+import { renderLabelChips } from '../../../shared/js/labels-ui.js';
+import { renderHierarchyBadges } from '../../../shared/js/task-hierarchy-ui.js';
+import { renderRecurrenceBadge } from '../../../shared/js/recurrence-ui.js';
+import { hasChecklist, getChecklistProgress, usesChecklistProgress } from '../../../shared/js/checklists.js';
+import { renderChecklistBadge } from '../../../shared/js/checklists-ui.js';
+import { createVirtualList, placeNodes, createSpacer, throttleToFrame } from '../../../shared/js/virtual-list.js';
+
+// Heights (px, with the gap below) used until a card or group label has been rendered
+const CARD_HEIGHT = 130;
+const GROUP_LABEL_HEIGHT = 30;
+
+// Long columns keep only the cards near their scroll position in the DOM (see virtual-list.js)
+const cardList = createVirtualList({ estimateHeight: item => item.kind === 'group' ? GROUP_LABEL_HEIGHT : CARD_HEIGHT });
+// Cards and settings of each rendered cards area
+const columnViews = new WeakMap();
 
 /**
  * Render a single card
@@ -10,9 +27,10 @@ import { getColumnTasks, deriveStatus, getCurrentWeek } from '../../../shared/js
  * @param {Object} categories - Category colors
  * @param {boolean} editMode - Whether edit mode is active
  * @param {Object} handlers - Event handlers
+ * @param {Object} projectData - Project data (for label definitions)
  * @returns {HTMLElement} - Card element
  */
-export function renderCard(task, categories, editMode, handlers) {
+export function renderCard(task, categories, editMode, handlers, projectData = null) {
   const card = document.createElement('div');
   card.className = 'kanban-card';
   card.dataset.taskId = task.id;
@@ -35,12 +53,14 @@ export function renderCard(task, categories, editMode, handlers) {
   // Category color
   const categoryColor = categories[task.category] || '#7c7c8a';
 
-  // Calculate progress
+  // Calculate progress (from the checklist when the project uses checklist progress)
   const planned = task.planned || [];
   const reality = task.reality || [];
-  const progressPercent = planned.length > 0
-    ? Math.round((reality.length / planned.length) * 100)
-    : 0;
+  const checklistDriven = usesChecklistProgress(projectData) && hasChecklist(task);
+  const checklist = getChecklistProgress(task);
+  const progressPercent = checklistDriven
+    ? checklist.percent
+    : (planned.length > 0 ? Math.round((reality.length / planned.length) * 100) : 0);
 
   // Build card HTML
   let html = `
@@ -53,8 +73,19 @@ export function renderCard(task, categories, editMode, handlers) {
     </div>
   `;
 
+  // Labels
+  html += renderLabelChips(task, projectData);
+
+  // Parent and subtask badges
+  if (projectData) {
+    html += renderHierarchyBadges(task, projectData.tasks);
+  }
+
+  // Recurring task occurrence
+  html += renderRecurrenceBadge(task);
+
   // Meta row
-  const hasMeta = task.assignee || planned.length > 0 || task.notes;
+  const hasMeta = task.assignee || planned.length > 0 || task.notes || (hasChecklist(task) && !checklistDriven);
   if (hasMeta) {
     html += '<div class="kanban-card__meta">';
 
@@ -69,6 +100,11 @@ export function renderCard(task, categories, editMode, handlers) {
       `;
     }
 
+    // Checklist progress (shown in the progress bar instead when it drives progress)
+    if (!checklistDriven) {
+      html += renderChecklistBadge(task);
+    }
+
     // Notes indicator
     if (task.notes) {
       html += `
@@ -103,7 +139,7 @@ export function renderCard(task, categories, editMode, handlers) {
   }
 
   // Progress bar (show if there's progress to track)
-  if (planned.length > 0) {
+  if (planned.length > 0 || checklistDriven) {
     const isComplete = progressPercent >= 100;
     const fillClass = isComplete ? 'kanban-card__progress-fill--complete' : '';
     html += `
@@ -111,7 +147,9 @@ export function renderCard(task, categories, editMode, handlers) {
         <div class="kanban-card__progress-bar">
           <div class="kanban-card__progress-fill ${fillClass}" style="width: ${progressPercent}%;"></div>
         </div>
-        <span class="kanban-card__progress-text">${reality.length}/${planned.length} weeks</span>
+        <span class="kanban-card__progress-text">${checklistDriven
+          ? `${checklist.done}/${checklist.total} items`
+          : `${reality.length}/${planned.length} weeks`}</span>
       </div>
     `;
   }
@@ -166,9 +204,11 @@ export function renderCard(task, categories, editMode, handlers) {
  * @param {Object} categories - Category colors
  * @param {boolean} editMode - Whether edit mode is active
  * @param {Object} handlers - Event handlers
+ * @param {Object|null} groupByField - Custom field to group the cards by
+ * @param {Object} projectData - Project data (for label definitions)
  * @returns {HTMLElement} - Column element
  */
-export function renderColumn(column, tasks, categories, editMode, handlers) {
+export function renderColumn(column, tasks, categories, editMode, handlers, groupByField = null, projectData = null) {
   const columnTasks = getColumnTasks(tasks, column.id);
 
   const col = document.createElement('div');
@@ -213,9 +253,35 @@ export function renderColumn(column, tasks, categories, editMode, handlers) {
       </div>
     `;
   } else {
-    columnTasks.forEach(task => {
-      cardsArea.appendChild(renderCard(task, categories, editMode, handlers));
+    // Cards in display order; index is the drop position of the card
+    const items = [];
+    if (groupByField) {
+      // A task can be in several groups (multi select), so keys include the group
+      let index = 0;
+      groupTasksByField(columnTasks, groupByField).forEach((group, groupIndex) => {
+        items.push({ key: `group:${column.id}:${groupIndex}`, kind: 'group', group });
+        group.tasks.forEach(task => {
+          items.push({ key: `card:${groupIndex}:${task.id}`, kind: 'card', task, index: index++ });
+        });
+      });
+    } else {
+      columnTasks.forEach((task, index) => {
+        items.push({ key: `card:${task.id}`, kind: 'card', task, index });
+      });
+    }
+
+    columnViews.set(cardsArea, {
+      items,
+      categories,
+      editMode,
+      handlers,
+      projectData,
+      topSpacer: createSpacer('column-spacer'),
+      bottomSpacer: createSpacer('column-spacer column-spacer--bottom'),
+      rangeKey: null
     });
+    updateColumnCards(cardsArea, true);
+    cardsArea.addEventListener('scroll', throttleToFrame(() => updateColumnCards(cardsArea)), { passive: true });
   }
 
   // Drop zone events
@@ -238,6 +304,89 @@ export function renderColumn(column, tasks, categories, editMode, handlers) {
   return col;
 }
 
+// ========== VISIBLE CARDS ==========
+
+/**
+ * Serialize what a card shows; a cached card is reused while this stays the same
+ * Settings shared by all cards (edit mode, colors, labels) are the cache context.
+ * @param {Object} view - Cards and settings of the column
+ * @param {Object} item - Card or group label item
+ * @returns {string}
+ */
+function getCardSignature(view, item) {
+  if (item.kind === 'group') return JSON.stringify([item.group.label, item.group.tasks.length]);
+  return JSON.stringify([item.task, renderHierarchyBadges(item.task, view.projectData.tasks)]);
+}
+
+/**
+ * Render a card or group label
+ * @param {Object} view - Cards and settings of the column
+ * @param {Object} item - Card or group label item
+ * @returns {HTMLElement}
+ */
+function renderCardItem(view, item) {
+  if (item.kind === 'card') {
+    return renderCard(item.task, view.categories, view.editMode, view.handlers, view.projectData);
+  }
+  const label = document.createElement('div');
+  label.className = 'column-group-label';
+  label.textContent = `${item.group.label} (${item.group.tasks.length})`;
+  return label;
+}
+
+/**
+ * Put the cards near a column's scroll position in its cards area
+ * Short columns keep every card; in long ones spacers stand in for the
+ * others. Cards whose task did not change are reused.
+ * @param {HTMLElement} cardsArea - Cards container of a column
+ * @param {boolean} force - Update even when the rendered range did not change
+ */
+function updateColumnCards(cardsArea, force = false) {
+  const view = columnViews.get(cardsArea);
+  if (!view) return;
+
+  const viewTop = cardsArea.scrollTop;
+  const { start, end, before, after } = cardList.getRange(view.items, viewTop, viewTop + cardsArea.clientHeight);
+  const rangeKey = `${start}:${end}`;
+  if (!force && rangeKey === view.rangeKey) return;
+  view.rangeKey = rangeKey;
+
+  const rendered = view.items.slice(start, end).map(item => {
+    const [node] = cardList.getElements(item.key, getCardSignature(view, item), () => renderCardItem(view, item));
+    // Positions shift as cards move, so they are set on every pass
+    if (item.kind === 'card') node.dataset.index = item.index;
+    return { item, node };
+  });
+
+  // Measured heights include the gap below each card; the spacers have a gap of their own
+  const gap = cardsArea.isConnected ? parseFloat(getComputedStyle(cardsArea).rowGap) || 0 : 0;
+  view.topSpacer.style.height = `${Math.max(0, before - gap)}px`;
+  view.bottomSpacer.style.height = `${Math.max(0, after - gap)}px`;
+  placeNodes(cardsArea, [
+    ...(before > 0 ? [view.topSpacer] : []),
+    ...rendered.map(({ node }) => node),
+    ...(after > 0 ? [view.bottomSpacer] : [])
+  ]);
+
+  rendered.forEach(({ item, node }) => cardList.measure(item.key, node.getBoundingClientRect().height + gap));
+}
+
+/**
+ * Re-window the cards of every column, e.g. after the window resized
+ */
+export function updateVisibleCards() {
+  document.querySelectorAll('#kanbanBoard .column-cards').forEach(cardsArea => updateColumnCards(cardsArea, true));
+}
+
+/**
+ * Render every card for printing, or go back to rendering the visible ones
+ * @param {boolean} printing - Whether the page is being printed
+ */
+export function setPrintLayout(printing) {
+  cardList.setRenderAll(printing);
+  updateVisibleCards();
+}
+
 /**
  * Main render function for the Kanban board
  * @param {Object} projectData - Full project data
@@ -245,10 +394,13 @@ export function renderColumn(column, tasks, categories, editMode, handlers) {
  * @param {Set} collapsedColumns - Set of collapsed column IDs
  * @param {string} searchQuery - Search filter string
  * @param {Object} handlers - Event handlers
+ * @param {Object} fieldView - Custom field filter and grouping ({ filterFieldId, filterValue, groupByFieldId })
  */
-export function render(projectData, editMode, collapsedColumns, searchQuery, handlers) {
+export function render(projectData, editMode, collapsedColumns, searchQuery, handlers, fieldView = {}) {
   const board = document.getElementById('kanbanBoard');
   board.classList.remove('loading');
+  // Columns are rebuilt; keep where each was scrolled to
+  const scrollTops = new Map([...board.querySelectorAll('.column-cards')].map(area => [area.dataset.columnId, area.scrollTop]));
   board.innerHTML = '';
 
   // Set data attributes for print
@@ -258,20 +410,31 @@ export function render(projectData, editMode, collapsedColumns, searchQuery, han
   // Update header stats
   updateHeaderStats(projectData);
 
-  // Filter tasks by search
-  let tasks = projectData.tasks;
+  // Filter tasks by custom field and search
+  let tasks = filterTasksByField(projectData.tasks, projectData, fieldView);
   if (searchQuery) {
-    const query = searchQuery.toLowerCase();
-    tasks = tasks.filter(t =>
+    const { text: query, labels } = parseSearchQuery(searchQuery);
+    tasks = tasks.filter(t => matchesLabelTerms(t, labels, projectData) && (
+      !query ||
       t.name.toLowerCase().includes(query) ||
       t.category.toLowerCase().includes(query) ||
       (t.assignee && t.assignee.toLowerCase().includes(query))
-    );
+    ));
   }
 
   // Render columns
   const workflow = projectData.workflow || { columns: [] };
   const sortedColumns = [...workflow.columns].sort((a, b) => a.position - b.position);
+  const groupByField = getGroupByField(projectData, fieldView);
+
+  // Cards are cached between renders; settings that change every card start a new cache
+  cardList.beginPass(JSON.stringify({
+    editMode,
+    categories: projectData.categories,
+    labels: projectData.labels,
+    checklistProgress: usesChecklistProgress(projectData)
+  }));
+  const cardKeys = new Set();
 
   sortedColumns.forEach(column => {
     const colElement = renderColumn(
@@ -279,7 +442,9 @@ export function render(projectData, editMode, collapsedColumns, searchQuery, han
       tasks,
       projectData.categories,
       editMode,
-      handlers
+      handlers,
+      groupByField,
+      projectData
     );
 
     // Handle collapsed state
@@ -288,7 +453,17 @@ export function render(projectData, editMode, collapsedColumns, searchQuery, han
     }
 
     board.appendChild(colElement);
+
+    // Cards were windowed before the column was in the page; redo it at the kept scroll position
+    const cardsArea = colElement.querySelector('.column-cards');
+    const view = columnViews.get(cardsArea);
+    if (view) {
+      cardsArea.scrollTop = scrollTops.get(column.id) || 0;
+      updateColumnCards(cardsArea, true);
+      view.items.forEach(item => cardKeys.add(item.key));
+    }
   });
+  cardList.prune(cardKeys);
 
   // Update title
   document.getElementById('projectTitle').textContent = projectData.project.title;
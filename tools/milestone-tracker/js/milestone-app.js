@@ -7,15 +7,17 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow,
@@ -38,6 +40,10 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let currentView = 'timeline'; // 'timeline' or 'list'
@@ -52,12 +58,13 @@ let currentEditMilestoneId = null;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_milestone-tracker' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -126,6 +133,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -135,8 +143,8 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
 }
 
 // ========== RENDER ==========
@@ -169,7 +177,7 @@ function handleDeleteMilestone(milestoneId) {
   if (!milestone) return;
 
   if (confirm(`Delete milestone "${milestone.name}"? The task will remain but will no longer be marked as a milestone.`)) {
-    saveState();
+    saveState(`Deleted milestone '${milestone.name}'`);
     deleteMilestone(projectData, milestoneId);
 
     if (selectedMilestoneId === milestoneId) {
@@ -227,7 +235,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
   save();
   closeSettings();
@@ -266,7 +274,7 @@ window.createNewMilestone = function() {
   const deadline = document.getElementById('newMilestoneDeadline').value;
   const notes = document.getElementById('newMilestoneNotes').value.trim();
 
-  saveState();
+  saveState(`Created milestone '${name}'`);
   const newMilestone = createMilestone(projectData, {
     name,
     milestoneDeadline: deadline || null,
@@ -374,6 +382,7 @@ window.toggleDependency = function(taskId) {
 
 window.closeEditMilestone = function() {
   document.getElementById('editMilestoneModal').classList.remove('active');
+  clearEditConflict('editMilestoneModal');
   currentEditMilestoneId = null;
 };
 
@@ -382,7 +391,8 @@ window.saveEditMilestone = function() {
 
   const progressOverride = document.getElementById('editMilestoneProgressOverride').value;
 
-  saveState();
+  const milestone = projectData.tasks.find(t => t.id === currentEditMilestoneId);
+  saveState(`Edited milestone '${milestone?.name || ''}'`);
 
   updateMilestone(projectData, currentEditMilestoneId, {
     name: document.getElementById('editMilestoneName').value,
@@ -435,7 +445,8 @@ window.closeConvertTask = function() {
 };
 
 window.convertTask = function(taskId) {
-  saveState();
+  const task = projectData.tasks.find(t => t.id === taskId);
+  saveState(`Made '${task?.name || 'task'}' a milestone`);
   convertTaskToMilestone(projectData, taskId);
   selectedMilestoneId = taskId;
   save();
@@ -462,29 +473,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -504,13 +531,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate to v9 if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -530,28 +560,26 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-
-          // Update selected milestone if it no longer exists
-          if (selectedMilestoneId) {
-            const milestone = projectData.tasks.find(t => t.id === selectedMilestoneId && t.isMilestone);
-            if (!milestone) {
-              selectedMilestoneId = null;
-            }
-          }
-
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    // Update selected milestone if it no longer exists
+    if (selectedMilestoneId) {
+      const milestone = projectData.tasks.find(t => t.id === selectedMilestoneId && t.isMilestone);
+      if (!milestone) {
+        selectedMilestoneId = null;
       }
     }
+
+    const conflict = findChange(changes, 'task', currentEditMilestoneId);
+    if (conflict) showEditConflict('editMilestoneModal', conflict);
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
@@ -8,6 +8,7 @@ import {
   calculateMilestoneStatus,
   getMilestoneDependencies
 } from '../../../shared/js/unified-data.js';
+import { parseSearchQuery, matchesLabelTerms } from '../../../shared/js/labels.js';
 
 // SVG icon for milestone diamond
 const DIAMOND_SVG = `<svg viewBox="0 0 24 24" fill="currentColor">
@@ -36,11 +37,12 @@ export function render(projectData, editMode, currentView, selectedMilestoneId,
 
   // Apply search filter
   if (searchQuery) {
-    const query = searchQuery.toLowerCase();
-    milestones = milestones.filter(m =>
+    const { text: query, labels } = parseSearchQuery(searchQuery);
+    milestones = milestones.filter(m => matchesLabelTerms(m, labels, projectData) && (
+      !query ||
       m.name.toLowerCase().includes(query) ||
       (m.milestoneNotes && m.milestoneNotes.toLowerCase().includes(query))
-    );
+    ));
   }
 
   // Apply status filter
@@ -8,16 +8,20 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 import { initExportDropdown } from '../../../shared/js/export-dropdown.js';
+import { setDependencyLink } from '../../../shared/js/dependency-links.js';
+import { renderDependencyLinkControls } from '../../../shared/js/dependency-links-ui.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow,
@@ -26,7 +30,7 @@ import {
 
 // Import PERT modules
 import { buildGraph, runPertAnalysis } from './pert-calc.js';
-import { renderTable, renderSidebar, renderStats } from './pert-render.js';
+import { renderTable, renderSidebar, renderStats, matchesNodeSearch } from './pert-render.js';
 import {
   addDependency,
   removeDependency,
@@ -58,6 +62,10 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let drawMode = false;
@@ -77,6 +85,7 @@ let pertResults = null;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // Network initialized flag
 let networkInitialized = false;
@@ -85,7 +94,7 @@ let networkInitialized = false;
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_pert' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -184,6 +193,7 @@ function initializeNetwork() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -193,8 +203,12 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getTaskName(taskId) {
+  return projectData.tasks.find(t => t.id === taskId)?.name || 'task';
 }
 
 // ========== DATA PROCESSING ==========
@@ -268,7 +282,21 @@ function renderDiagramView(options = {}) {
   const criticalSet = new Set(pertResults.criticalPath);
 
   // Update vis-network (preserve view when just adding/removing edges)
-  updateNetwork(pertResults, criticalSet, { fitView });
+  updateNetwork(pertResults, criticalSet, { fitView, ...getNodeDisplayOptions() });
+}
+
+/**
+ * Label definitions and search dimming for the diagram nodes
+ * @returns {Object} - { labels, dimmedIds }
+ */
+function getNodeDisplayOptions() {
+  const dimmedIds = new Set();
+  if (pertResults && searchQuery) {
+    pertResults.graph.nodes.forEach((node, id) => {
+      if (!matchesNodeSearch(node, searchQuery, projectData)) dimmedIds.add(id);
+    });
+  }
+  return { labels: projectData.labels || [], dimmedIds };
 }
 
 function renderTableView() {
@@ -291,7 +319,8 @@ function renderTableView() {
     sortColumn,
     sortDirection,
     handlers: getHandlers(),
-    searchQuery
+    searchQuery,
+    projectData
   });
 }
 
@@ -319,7 +348,7 @@ function updateStats() {
 function refreshNetworkAppearance() {
   runAnalysis();
   const criticalSet = new Set(pertResults?.criticalPath || []);
-  updateNodesAppearance(pertResults, criticalSet);
+  updateNodesAppearance(pertResults, criticalSet, getNodeDisplayOptions());
   updateEdgesAppearance(pertResults, criticalSet);
   updateStats();
 
@@ -360,7 +389,7 @@ function handleNodeDoubleClick(nodeId) {
 
 function handleEdgeAdd(fromId, toId) {
   // Validate and add dependency
-  saveState();
+  saveState(`Added dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
   if (addDependency(projectData, fromId, toId)) {
     save();
     statusManager.show('Dependency created', true);
@@ -378,7 +407,7 @@ function handleEdgeAdd(fromId, toId) {
 }
 
 function handleEdgeDelete(fromId, toId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
   if (removeDependency(projectData, fromId, toId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -565,6 +594,7 @@ function openTaskModal(nodeId) {
             <span class="dependency-item__name">${escapeHtml(pred.name)}</span>
             ${pred.isCritical ? '<span class="dependency-item__badge dependency-item__badge--critical">Critical</span>' : ''}
           </div>
+          ${renderDependencyLinkControls(node.task, pred.id, editMode)}
           ${editMode ? `<button class="dependency-item__remove" onclick="removePredecessor('${pred.id}', '${nodeId}')">&times;</button>` : ''}
         </div>
       `).join('')
@@ -585,6 +615,7 @@ function openTaskModal(nodeId) {
             <span class="dependency-item__name">${escapeHtml(succ.name)}</span>
             ${succ.isCritical ? '<span class="dependency-item__badge dependency-item__badge--critical">Critical</span>' : ''}
           </div>
+          ${renderDependencyLinkControls(succ.task, nodeId, editMode)}
           ${editMode ? `<button class="dependency-item__remove" onclick="removeSuccessor('${nodeId}', '${succ.id}')">&times;</button>` : ''}
         </div>
       `).join('')
@@ -601,6 +632,7 @@ function openTaskModal(nodeId) {
 
 window.closeTaskModal = function() {
   document.getElementById('taskModal').classList.remove('active');
+  clearEditConflict('taskModal');
 };
 
 window.addDependencyFromModal = function() {
@@ -608,7 +640,7 @@ window.addDependencyFromModal = function() {
   const predId = select.value;
   if (!predId || !selectedNodeId) return;
 
-  saveState();
+  saveState(`Added dependency '${getTaskName(predId)}' -> '${getTaskName(selectedNodeId)}'`);
   if (addDependency(projectData, predId, selectedNodeId)) {
     save();
     statusManager.show('Dependency added', true);
@@ -622,8 +654,24 @@ window.addDependencyFromModal = function() {
   }
 };
 
+window.updateDependencyLink = function(fromId, toId, field, value) {
+  const task = projectData.tasks.find(t => t.id === toId);
+  if (!task) return;
+
+  const changes = field === 'lag' ? { lag: parseInt(value) || 0 } : { type: value };
+  saveState(`Changed dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
+  if (setDependencyLink(task, fromId, changes)) {
+    save();
+    statusManager.show('Dependency updated', true);
+
+    // ES/EF and the critical path depend on the link
+    refreshNetworkAppearance();
+    openTaskModal(selectedNodeId);
+  }
+};
+
 window.removePredecessor = function(predId, taskId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(predId)}' -> '${getTaskName(taskId)}'`);
   if (removeDependency(projectData, predId, taskId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -638,7 +686,7 @@ window.removePredecessor = function(predId, taskId) {
 };
 
 window.removeSuccessor = function(taskId, succId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(taskId)}' -> '${getTaskName(succId)}'`);
   if (removeDependency(projectData, taskId, succId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -654,7 +702,7 @@ window.removeSuccessor = function(taskId, succId) {
 
 // Global function for sidebar
 window.removeDependency = function(fromId, toId) {
-  saveState();
+  saveState(`Removed dependency '${getTaskName(fromId)}' -> '${getTaskName(toId)}'`);
   if (removeDependency(projectData, fromId, toId)) {
     save();
     statusManager.show('Dependency removed', true);
@@ -677,7 +725,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
   save();
   closeSettings();
@@ -703,29 +751,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -769,13 +833,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -795,30 +862,28 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-
-          // Update selected node if it no longer exists
-          if (selectedNodeId) {
-            const task = projectData.tasks.find(t => t.id === selectedNodeId);
-            if (!task) {
-              selectedNodeId = null;
-              networkSelectNode(null);
-              closeSidebar();
-            }
-          }
-
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    // Update selected node if it no longer exists
+    if (selectedNodeId) {
+      const task = projectData.tasks.find(t => t.id === selectedNodeId);
+      if (!task) {
+        selectedNodeId = null;
+        networkSelectNode(null);
+        closeSidebar();
       }
     }
+
+    const conflict = findChange(changes, 'task', selectedNodeId);
+    if (conflict) showEditConflict('taskModal', conflict);
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
@@ -1,8 +1,11 @@
 /**
  * PERT Calculation Module
  * Implements PERT algorithm: forward pass, backward pass, critical path
+ * Links honor their type (FS/SS/FF/SF) and lag in weeks from task.dependencyLinks
  */
 
+import { getDependencyLink } from '../../../shared/js/dependency-links.js';
+
 /**
  * Build an adjacency list graph from tasks with dependencies
  * @param {Array} tasks - Tasks with dependencies arrays
@@ -12,7 +15,8 @@ export function buildGraph(tasks) {
   const graph = {
     nodes: new Map(),      // taskId -> node data
     adjacency: new Map(),  // taskId -> Set of successor taskIds
-    reverse: new Map()     // taskId -> Set of predecessor taskIds
+    reverse: new Map(),    // taskId -> Set of predecessor taskIds
+    links: new Map()       // 'fromId>toId' -> { type, lag }
   };
 
   // Create nodes for all tasks
@@ -47,6 +51,7 @@ export function buildGraph(tasks) {
         // predId -> task.id (predecessor points to successor)
         graph.adjacency.get(predId).add(task.id);
         graph.reverse.get(task.id).add(predId);
+        graph.links.set(`${predId}>${task.id}`, getDependencyLink(task, predId));
       }
     });
   });
@@ -136,9 +141,47 @@ export function topologicalSort(graph) {
   return sorted;
 }
 
+/**
+ * Get the type and lag of an edge
+ * @param {Object} graph - Graph structure
+ * @param {string} fromId - Predecessor node ID
+ * @param {string} toId - Successor node ID
+ * @returns {Object} - { type, lag } (FS with no lag when not set)
+ */
+export function getEdgeLink(graph, fromId, toId) {
+  return graph.links?.get(`${fromId}>${toId}`) || { type: 'FS', lag: 0 };
+}
+
+/**
+ * Earliest start a link allows its successor
+ * FS: after the predecessor finishes, SS: when it starts,
+ * FF: finish when it finishes, SF: finish when it starts; all plus lag
+ */
+function getLinkedStart(pred, duration, { type, lag }) {
+  switch (type) {
+    case 'SS': return pred.es + lag;
+    case 'FF': return pred.ef + lag - duration;
+    case 'SF': return pred.es + lag - duration;
+    default: return pred.ef + lag;
+  }
+}
+
+/**
+ * Latest finish a link allows its predecessor (mirror of getLinkedStart)
+ */
+function getLinkedFinish(succ, duration, { type, lag }) {
+  switch (type) {
+    case 'SS': return succ.ls - lag + duration;
+    case 'FF': return succ.lf - lag;
+    case 'SF': return succ.lf - lag + duration;
+    default: return succ.ls - lag;
+  }
+}
+
 /**
  * Forward pass: Calculate Early Start (ES) and Early Finish (EF)
- * ES = max(EF of all predecessors), or 0 if no predecessors
+ * ES = max(start each predecessor link allows), or 0 if no predecessors;
+ * for plain FS links that is the max EF of the predecessors
  * EF = ES + Duration
  * @param {Object} graph - Graph structure
  */
@@ -153,15 +196,16 @@ export function forwardPass(graph) {
       // Start node
       node.es = 0;
     } else {
-      // ES = max(EF of all predecessors)
-      let maxEF = 0;
+      // ES = max(start allowed by each predecessor link)
+      let maxStart = 0;
       predecessors.forEach(predId => {
         const pred = graph.nodes.get(predId);
-        if (pred.ef > maxEF) {
-          maxEF = pred.ef;
+        const start = getLinkedStart(pred, node.duration, getEdgeLink(graph, predId, nodeId));
+        if (start > maxStart) {
+          maxStart = start;
         }
       });
-      node.es = maxEF;
+      node.es = maxStart;
     }
 
     node.ef = node.es + node.duration;
@@ -170,7 +214,8 @@ export function forwardPass(graph) {
 
 /**
  * Backward pass: Calculate Late Start (LS) and Late Finish (LF)
- * LF = min(LS of all successors), or project end if no successors
+ * LF = min(finish each successor link allows, project end); for plain FS
+ * links that is the min LS of the successors
  * LS = LF - Duration
  * @param {Object} graph - Graph structure
  */
@@ -194,15 +239,16 @@ export function backwardPass(graph) {
       // End node
       node.lf = projectEnd;
     } else {
-      // LF = min(LS of all successors)
-      let minLS = Infinity;
+      // LF = min(finish allowed by each successor link)
+      let minFinish = projectEnd;
       successors.forEach(succId => {
         const succ = graph.nodes.get(succId);
-        if (succ.ls < minLS) {
-          minLS = succ.ls;
+        const finish = getLinkedFinish(succ, node.duration, getEdgeLink(graph, nodeId, succId));
+        if (finish < minFinish) {
+          minFinish = finish;
         }
       });
-      node.lf = minLS;
+      node.lf = minFinish;
     }
 
     node.ls = node.lf - node.duration;
@@ -367,7 +413,8 @@ export function getSuccessors(graph, nodeId) {
 /**
  * Get all edges in the graph
  * @param {Object} graph - Graph structure
- * @returns {Array} - Array of {from, to, isCritical} objects
+ * An edge is critical when it joins critical nodes and drives the successor's start
+ * @returns {Array} - Array of {from, to, type, lag, isCritical} objects
  */
 export function getAllEdges(graph) {
   const edges = [];
@@ -376,10 +423,13 @@ export function getAllEdges(graph) {
     const fromNode = graph.nodes.get(fromId);
     successors.forEach(toId => {
       const toNode = graph.nodes.get(toId);
+      const link = getEdgeLink(graph, fromId, toId);
       edges.push({
         from: fromId,
         to: toId,
-        isCritical: fromNode.isCritical && toNode.isCritical && toNode.es === fromNode.ef
+        type: link.type,
+        lag: link.lag,
+        isCritical: fromNode.isCritical && toNode.isCritical && getLinkedStart(fromNode, toNode.duration, link) === toNode.es
       });
     });
   });
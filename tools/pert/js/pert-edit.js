@@ -5,6 +5,7 @@
 
 import { wouldCreateCycle, edgeExists } from './pert-calc.js';
 import { calculateGhostEdge } from './pert-layout.js';
+import { removeDependencyLink, pruneDependencyLinks } from '../../../shared/js/dependency-links.js';
 
 /**
  * Create draw mode state manager
@@ -213,6 +214,7 @@ export function removeDependency(projectData, fromId, toId) {
   if (index === -1) return false;
 
   task.dependencies.splice(index, 1);
+  removeDependencyLink(task, fromId);
   return true;
 }
 
@@ -317,6 +319,7 @@ export function validateDependencies(projectData) {
     });
 
     task.dependencies = validDeps;
+    pruneDependencyLinks(task);
   });
 
   // TODO: Could also detect and break cycles here
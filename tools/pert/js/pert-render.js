@@ -4,6 +4,8 @@
  */
 
 import { getAllEdges, getPredecessors, getSuccessors } from './pert-calc.js';
+import { parseSearchQuery, matchesLabelTerms } from '../../../shared/js/labels.js';
+import { renderLabelChips } from '../../../shared/js/labels-ui.js';
 import {
   positionNodes,
   calculateEdgePath,
@@ -13,6 +15,20 @@ import {
   NODE_HEIGHT
 } from './pert-layout.js';
 
+/**
+ * Check whether a node matches a search query (name and #label terms)
+ * @param {Object} node - Graph node
+ * @param {string} searchQuery - Search query
+ * @param {Object} projectData - Project data (for label definitions)
+ * @returns {boolean}
+ */
+export function matchesNodeSearch(node, searchQuery, projectData) {
+  if (!searchQuery) return true;
+  const { text, labels } = parseSearchQuery(searchQuery);
+  return matchesLabelTerms(node.task, labels, projectData) &&
+    (!text || node.name.toLowerCase().includes(text));
+}
+
 /**
  * Render the complete PERT diagram
  * @param {Object} params - Render parameters
@@ -27,7 +43,8 @@ export function renderDiagram(params) {
     editMode,
     drawModeState,
     handlers,
-    searchQuery
+    searchQuery,
+    projectData
   } = params;
 
   if (!graph || graph.nodes.size === 0) {
@@ -90,7 +107,7 @@ export function renderDiagram(params) {
   // Render nodes
   const criticalSet = new Set(criticalPath);
   graph.nodes.forEach((node, id) => {
-    const matchesSearch = !searchQuery || node.name.toLowerCase().includes(searchQuery);
+    const matchesSearch = matchesNodeSearch(node, searchQuery, projectData);
     const opacity = searchQuery && !matchesSearch ? 0.3 : 1;
 
     renderNode({
@@ -375,7 +392,8 @@ export function renderTable(params) {
     sortColumn,
     sortDirection,
     handlers,
-    searchQuery
+    searchQuery,
+    projectData
   } = params;
 
   if (!graph || graph.nodes.size === 0) {
@@ -391,7 +409,7 @@ export function renderTable(params) {
 
   // Filter by search query
   const filteredNodes = searchQuery
-    ? nodes.filter(n => n.name.toLowerCase().includes(searchQuery))
+    ? nodes.filter(n => matchesNodeSearch(n, searchQuery, projectData))
     : nodes;
 
   // Sort nodes
@@ -410,6 +428,7 @@ export function renderTable(params) {
         <td class="pert-table__task-name ${isMilestone ? 'pert-table__task-name--milestone' : ''}"
             title="${escapeHtml(node.name)}">
           ${escapeHtml(truncateText(node.name, 25))}
+          ${renderLabelChips(node.task, projectData, { compact: true })}
         </td>
         <td class="pert-table__duration">${node.duration}w</td>
         <td class="pert-table__value">${node.es}</td>
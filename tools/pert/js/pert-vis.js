@@ -13,6 +13,9 @@ import {
   generateSVGPath,
   isELKAvailable
 } from './pert-elk.js';
+import { getTaskLabels } from '../../../shared/js/labels.js';
+import { formatDependencyLink } from '../../../shared/js/dependency-links.js';
+import { getEdgeLink } from './pert-calc.js';
 
 // vis-network instance
 let network = null;
@@ -185,6 +188,12 @@ function getNetworkOptions(editMode) {
           size: 13,
           face: 'JetBrains Mono, monospace',
           mod: 'bold'
+        },
+        ital: {
+          color: COLORS.textSecondary,
+          size: 11,
+          face: 'JetBrains Mono, monospace',
+          mod: 'italic'
         }
       },
       color: {
@@ -389,10 +398,10 @@ function setupEventHandlers() {
  * Two-phase approach: render nodes first to measure, then run ELK with actual dimensions
  * @param {Object} pertResults - PERT analysis results
  * @param {Set} criticalPathSet - Set of node IDs on critical path
- * @param {Object} options - Options { fitView: boolean }
+ * @param {Object} options - Options { fitView: boolean, labels: Array, dimmedIds: Set }
  */
 export async function updateNetwork(pertResults, criticalPathSet, options = {}) {
-  const { fitView = true } = options;
+  const { fitView = true, labels = [], dimmedIds = new Set() } = options;
 
   // Set guard to prevent edge rendering during update
   isUpdatingNetwork = true;
@@ -422,14 +431,15 @@ export async function updateNetwork(pertResults, criticalPathSet, options = {})
     const isComplete = node.isComplete;
 
     // Build multi-line label with PERT values
-    const label = buildNodeLabel(node);
+    const label = buildNodeLabel(node, labels);
 
     nodes.push({
       id: id,
       label: label,
       title: buildNodeTooltip(node),
       color: getNodeColor(isCritical, isComplete),
-      font: { multi: 'html' },
+      font: getNodeFont(node, labels),
+      opacity: dimmedIds.has(id) ? 0.3 : 1,
       nodeData: node
     });
 
@@ -456,7 +466,8 @@ export async function updateNetwork(pertResults, criticalPathSet, options = {})
         to: toId,
         hidden: true,
         color: { color: 'transparent' },
-        width: 0
+        width: 0,
+        linkLabel: formatDependencyLink(getEdgeLink(graph, fromId, toId))
       });
 
       // ELK edge (dimensions added after measuring)
@@ -590,8 +601,8 @@ export async function updateNetwork(pertResults, criticalPathSet, options = {})
 function clearSvgEdges() {
   if (!edgeSvgLayer) return;
 
-  // Remove all path elements (keep defs)
-  const paths = edgeSvgLayer.querySelectorAll('path.edge-path');
+  // Remove all path and label elements (keep defs)
+  const paths = edgeSvgLayer.querySelectorAll('path.edge-path, text.edge-label');
   paths.forEach(p => p.remove());
 }
 
@@ -677,6 +688,20 @@ function renderSvgEdges() {
     path.setAttribute('data-edge-id', edge.id);
 
     edgeSvgLayer.appendChild(path);
+
+    // Type and lag of links that are not plain finish-to-start
+    if (edge.linkLabel) {
+      const end = points[points.length - 1];
+      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      text.setAttribute('class', 'edge-label');
+      text.setAttribute('x', end.x - 10);
+      text.setAttribute('y', end.y - 5);
+      text.setAttribute('text-anchor', 'end');
+      text.setAttribute('fill', COLORS.textSecondary);
+      text.setAttribute('font-size', '11');
+      text.textContent = edge.linkLabel;
+      edgeSvgLayer.appendChild(text);
+    }
   });
 }
 
@@ -736,9 +761,11 @@ export function removeEdgeFromNetwork(fromId, toId) {
  * This preserves the network structure and manipulation state
  * @param {Object} pertResults - PERT analysis results
  * @param {Set} criticalPathSet - Set of node IDs on critical path
+ * @param {Object} options - Options { labels: Array, dimmedIds: Set }
  */
-export function updateNodesAppearance(pertResults, criticalPathSet) {
+export function updateNodesAppearance(pertResults, criticalPathSet, options = {}) {
   if (!nodesDataSet || !pertResults || !pertResults.graph) return;
+  const { labels = [], dimmedIds = new Set() } = options;
 
   const updates = [];
 
@@ -748,9 +775,11 @@ export function updateNodesAppearance(pertResults, criticalPathSet) {
 
     updates.push({
       id: id,
-      label: buildNodeLabel(node),
+      label: buildNodeLabel(node, labels),
       title: buildNodeTooltip(node),
       color: getNodeColor(isCritical, isComplete),
+      font: getNodeFont(node, labels),
+      opacity: dimmedIds.has(id) ? 0.3 : 1,
       nodeData: node
     });
   });
@@ -781,13 +810,15 @@ export function updateEdgesAppearance(pertResults, criticalPathSet) {
           highlight: COLORS.accentBright,
           hover: COLORS.textSecondary
         },
-        width: isCritical ? 2.5 : 1.5
+        width: isCritical ? 2.5 : 1.5,
+        linkLabel: formatDependencyLink(getEdgeLink(pertResults.graph, fromId, toId))
       });
     });
   });
 
   // Batch update all edges
   edgesDataSet.update(updates);
+  renderSvgEdges();
 }
 
 /**
@@ -801,14 +832,34 @@ export function hasNodes() {
 /**
  * Build the node label with PERT values
  * @param {Object} node - Node data
+ * @param {Array} labels - Project label definitions
  * @returns {string} Formatted label
  */
-function buildNodeLabel(node) {
+function buildNodeLabel(node, labels = []) {
   const name = truncateText(node.name, 20);
+  const taskLabels = getTaskLabels(node.task, labels);
+  const labelLine = taskLabels.length > 0
+    ? `\n<i>${truncateText(taskLabels.map(l => '#' + l.name).join(' '), 24)}</i>`
+    : '';
   return `<b>${name}</b>\n` +
          `ES: ${node.es}  EF: ${node.ef}\n` +
          `LS: ${node.ls}  LF: ${node.lf}\n` +
-         `${node.duration}w | Slack: ${node.slack}`;
+         `${node.duration}w | Slack: ${node.slack}` +
+         labelLine;
+}
+
+/**
+ * Get the per-node font, coloring the label line after the task's first label
+ * @param {Object} node - Node data
+ * @param {Array} labels - Project label definitions
+ * @returns {Object} vis-network font options
+ */
+function getNodeFont(node, labels = []) {
+  const [firstLabel] = getTaskLabels(node.task, labels);
+  return {
+    multi: 'html',
+    ital: { color: firstLabel ? firstLabel.color : COLORS.textSecondary }
+  };
 }
 
 /**
@@ -7,15 +7,17 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   generateMemberId,
@@ -40,6 +42,10 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let currentView = 'week'; // 'week' or 'month'
@@ -55,12 +61,13 @@ let currentAvailabilityDate = null;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_resource-calendar' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -157,6 +164,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -166,8 +174,8 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
 }
 
 // ========== RENDER ==========
@@ -275,6 +283,7 @@ function openEditMember(memberId) {
 
 window.closeMemberModal = function() {
   document.getElementById('memberModal').classList.remove('active');
+  clearEditConflict('memberModal');
   currentEditMemberId = null;
 };
 
@@ -292,7 +301,7 @@ window.saveMember = function() {
     hoursPerWeek: parseInt(document.getElementById('memberHours').value) || 40
   };
 
-  saveState();
+  saveState(currentEditMemberId ? `Edited '${name}'` : `Added '${name}'`);
 
   if (currentEditMemberId) {
     updateMember(projectData, currentEditMemberId, memberData);
@@ -314,7 +323,7 @@ window.deleteMember = function() {
   if (!member) return;
 
   if (confirm(`Delete "${member.name}"?`)) {
-    saveState();
+    saveState(`Deleted '${member.name}'`);
     deleteMember(projectData, currentEditMemberId);
     save();
     closeMemberModal();
@@ -365,6 +374,7 @@ function openAvailabilityModal(memberId, date) {
 
 window.closeAvailabilityModal = function() {
   document.getElementById('availabilityModal').classList.remove('active');
+  clearEditConflict('availabilityModal');
   currentAvailabilityMemberId = null;
   currentAvailabilityDate = null;
 };
@@ -387,7 +397,7 @@ window.saveAvailability = function() {
     hours = 0;
   }
 
-  saveState();
+  saveState(`Set ${type} for '${member.name}'`);
 
   setAvailability(projectData, currentAvailabilityMemberId, startDate, endDate, {
     type,
@@ -422,7 +432,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed calendar settings');
 
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
   projectData.calendarSettings.hoursPerDay = parseInt(document.getElementById('settingsHoursPerDay').value) || 8;
@@ -506,29 +516,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -548,13 +574,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate to v9 if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -573,19 +602,21 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
-    }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    const conflict = findChange(changes, 'member', currentEditMemberId);
+    if (conflict) showEditConflict('memberModal', conflict);
+
+    const availabilityConflict = findChange(changes, 'member', currentAvailabilityMemberId);
+    if (availabilityConflict) showEditConflict('availabilityModal', availabilityConflict);
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
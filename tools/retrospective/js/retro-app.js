@@ -7,16 +7,18 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 import { initExportDropdown } from '../../../shared/js/export-dropdown.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow
@@ -39,6 +41,10 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let activeRetroId = null;
@@ -54,12 +60,13 @@ let currentNewItemColumn = 'went-well';
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_retrospective' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -169,6 +176,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -178,8 +186,14 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getItemText(itemId) {
+  const retro = projectData.retrospectives.find(r => r.id === activeRetroId);
+  const text = retro?.items.find(i => i.id === itemId)?.text || 'item';
+  return text.length > 40 ? text.slice(0, 37) + '...' : text;
 }
 
 // ========== RENDER ==========
@@ -211,7 +225,7 @@ function selectItem(itemId) {
 function handleVote(itemId) {
   if (!activeRetroId) return;
 
-  saveState();
+  saveState(`Voted for '${getItemText(itemId)}'`);
   voteItem(projectData, activeRetroId, itemId);
   save();
   renderApp();
@@ -221,7 +235,7 @@ function handleDeleteItem(itemId) {
   if (!editMode || !activeRetroId) return;
 
   if (confirm('Delete this item?')) {
-    saveState();
+    saveState(`Deleted '${getItemText(itemId)}'`);
     deleteItem(projectData, activeRetroId, itemId);
 
     if (selectedItemId === itemId) {
@@ -237,7 +251,7 @@ function handleDeleteItem(itemId) {
 function handleGroup(targetId, sourceId) {
   if (!editMode || !activeRetroId) return;
 
-  saveState();
+  saveState(`Grouped '${getItemText(sourceId)}' with '${getItemText(targetId)}'`);
   const success = groupItems(projectData, activeRetroId, targetId, sourceId);
 
   if (success) {
@@ -256,7 +270,7 @@ function handleMoveToColumn(itemId, column) {
   const item = retro.items.find(i => i.id === itemId);
   if (!item || item.column === column) return;
 
-  saveState();
+  saveState(`Moved '${item.text}' to ${column.replace(/-/g, ' ')}`);
   const success = moveItem(projectData, activeRetroId, itemId, column, 0);
 
   if (success) {
@@ -295,7 +309,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
   save();
   closeSettings();
@@ -335,7 +349,7 @@ window.createNewRetro = function() {
   const sprintId = document.getElementById('newRetroSprintId').value || null;
   const isAnonymous = document.getElementById('newRetroAnonymous').checked;
 
-  saveState();
+  saveState(`Created '${name}'`);
   const newRetro = createRetrospective(projectData, {
     name,
     sprintId,
@@ -376,13 +390,15 @@ window.openEditRetro = function() {
 
 window.closeEditRetro = function() {
   document.getElementById('editRetroModal').classList.remove('active');
+  clearEditConflict('editRetroModal');
   currentEditRetroId = null;
 };
 
 window.saveEditRetro = function() {
   if (!currentEditRetroId) return;
 
-  saveState();
+  const retro = projectData.retrospectives.find(r => r.id === currentEditRetroId);
+  saveState(`Edited '${retro?.name || 'retrospective'}'`);
 
   updateRetrospective(projectData, currentEditRetroId, {
     name: document.getElementById('editRetroName').value.trim() || 'Untitled',
@@ -403,7 +419,7 @@ window.deleteCurrentRetro = function() {
   if (!retro) return;
 
   if (confirm(`Delete "${retro.name}"? This will remove all items in this retrospective.`)) {
-    saveState();
+    saveState(`Deleted '${retro.name}'`);
     deleteRetrospective(projectData, currentEditRetroId);
 
     if (activeRetroId === currentEditRetroId) {
@@ -459,7 +475,7 @@ window.createNewItem = function() {
 
   const author = document.getElementById('newItemAuthor').value.trim() || null;
 
-  saveState();
+  saveState(`Added '${text}'`);
   addItem(projectData, activeRetroId, {
     column: currentNewItemColumn,
     text,
@@ -496,13 +512,14 @@ window.openEditItem = function(itemId) {
 
 window.closeEditItem = function() {
   document.getElementById('editItemModal').classList.remove('active');
+  clearEditConflict('editItemModal');
   currentEditItemId = null;
 };
 
 window.saveEditItem = function() {
   if (!currentEditItemId || !activeRetroId) return;
 
-  saveState();
+  saveState(`Edited '${getItemText(currentEditItemId)}'`);
 
   updateItem(projectData, activeRetroId, currentEditItemId, {
     text: document.getElementById('editItemText').value.trim() || 'Item',
@@ -597,29 +614,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -662,13 +695,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -692,30 +728,33 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-
-          // Update active retro if it no longer exists
-          if (activeRetroId) {
-            const retro = projectData.retrospectives?.find(r => r.id === activeRetroId);
-            if (!retro) {
-              activeRetroId = projectData.retrospectives?.length > 0
-                ? projectData.retrospectives[0].id
-                : null;
-            }
-          }
-
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    // Update active retro if it no longer exists
+    if (activeRetroId) {
+      const retro = projectData.retrospectives?.find(r => r.id === activeRetroId);
+      if (!retro) {
+        activeRetroId = projectData.retrospectives?.length > 0
+          ? projectData.retrospectives[0].id
+          : null;
       }
     }
+
+    const conflict = findChange(changes, 'retro', currentEditRetroId);
+    if (conflict) showEditConflict('editRetroModal', conflict);
+
+    if (currentEditItemId) {
+      const itemConflict = findChange(changes, 'retro', activeRetroId);
+      if (itemConflict) showEditConflict('editItemModal', itemConflict);
+    }
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
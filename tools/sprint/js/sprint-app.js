@@ -7,15 +7,28 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
+import { getCustomFields } from '../../../shared/js/custom-fields.js';
+import { renderFieldEditors, applyFieldEditors, renderFieldViewControls } from '../../../shared/js/custom-fields-ui.js';
+import { renderLabelPicker, applyLabelPicker } from '../../../shared/js/labels-ui.js';
+import { renderChecklistEditor, applyChecklistEditor } from '../../../shared/js/checklists-ui.js';
+import { renderTaskDiscussion } from '../../../shared/js/comments-ui.js';
+import { renderTaskAttachments } from '../../../shared/js/attachments-ui.js';
+import { getAttachments, pruneAttachmentFiles, downloadArchive } from '../../../shared/js/attachments.js';
+import { setParent } from '../../../shared/js/task-hierarchy.js';
+import { fillParentSelect } from '../../../shared/js/task-hierarchy-ui.js';
+import { generateEpicId, getEpics, deleteEpic } from '../../../shared/js/epics.js';
+import { LABEL_COLORS } from '../../../shared/js/labels.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow,
@@ -30,7 +43,7 @@ import {
 } from '../../../shared/js/unified-data.js';
 
 // Import sprint modules
-import { render } from './sprint-render.js';
+import { render, renderEpicList } from './sprint-render.js';
 import {
   addTask,
   updateTask,
@@ -49,10 +62,15 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let activeSprintId = null;
 let searchQuery = '';
+let fieldView = { filterFieldId: '', filterValue: '', groupByFieldId: '' };
 let saveCount = 0;
 
 // Drag state
@@ -62,16 +80,18 @@ let dragSource = null; // 'backlog' or 'sprint'
 // Modal state
 let currentEditTaskId = null;
 let currentEditSprintId = null;
+let currentEditEpicId = null;
 
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_sprint' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -86,6 +106,10 @@ export function init() {
   // Setup cross-tab sync
   setupStorageSync();
 
+  // Delete files of attachments removed a while ago
+  pruneAttachmentFiles(STORAGE_KEY, getAttachments(projectData).map(a => a.id))
+    .catch(e => console.warn('Attachment cleanup skipped:', e));
+
   // Setup points selector handlers
   setupPointsSelectors();
 
@@ -144,7 +168,13 @@ function getDefaultProjectData() {
     workflow: JSON.parse(JSON.stringify(defaultWorkflow)),
     sprints: [],
     timeEntries: [],
-    tasks: []
+    tasks: [],
+    customFields: [],
+    labels: [],
+    epics: [],
+    comments: [],
+    attachments: [],
+    baselines: []
   };
 }
 
@@ -152,6 +182,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -161,14 +192,26 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getTaskName(taskId) {
+  return projectData.tasks.find(t => t.id === taskId)?.name || 'task';
+}
+
+function getSprintName(sprintId) {
+  return projectData.sprints.find(s => s.id === sprintId)?.name || 'sprint';
 }
 
 // ========== RENDER ==========
 
 function renderApp() {
-  render(projectData, editMode, activeSprintId, searchQuery, getHandlers());
+  renderFieldViewControls(document.getElementById('fieldView'), projectData, fieldView, renderApp);
+  render(projectData, editMode, activeSprintId, searchQuery, getHandlers(), fieldView);
+  if (document.getElementById('epicsModal').classList.contains('active')) {
+    renderEpicList(document.getElementById('epicList'), projectData, editMode, getHandlers());
+  }
 }
 
 // ========== EVENT HANDLERS OBJECT ==========
@@ -186,6 +229,9 @@ function getHandlers() {
     },
     onSprintEdit: (sprintId) => openSprintEdit(sprintId),
 
+    // Epic events
+    onEpicEdit: (epicId) => openEpicEdit(epicId),
+
     // Drag events
     onDragStart: (e, taskId, source) => handleDragStart(e, taskId, source),
     onDragEnd: (e) => handleDragEnd(e),
@@ -206,7 +252,7 @@ function getHandlers() {
 function handleDeleteTask(taskId) {
   if (!editMode) return;
   if (confirm('Delete this task?')) {
-    saveState();
+    saveState(`Deleted '${getTaskName(taskId)}'`);
     if (deleteTask(projectData, taskId)) {
       save();
       renderApp();
@@ -217,7 +263,7 @@ function handleDeleteTask(taskId) {
 
 function handleMoveToBacklog(taskId) {
   if (!editMode) return;
-  saveState();
+  saveState(`Moved '${getTaskName(taskId)}' to backlog`);
   if (moveTaskToBacklog(projectData, taskId)) {
     save();
     renderApp();
@@ -284,7 +330,7 @@ function handleDropBacklog(e) {
 
   const position = calculateDropPosition(backlogList, e.clientY, '.backlog-item');
 
-  saveState();
+  saveState(`Moved '${getTaskName(draggedTaskId)}' to backlog`);
 
   if (dragSource === 'sprint') {
     // Moving from sprint to backlog
@@ -335,7 +381,8 @@ function handleDropSprint(e, sprintId) {
 
   const position = calculateDropPosition(sprintTasks, e.clientY, '.sprint-task');
 
-  saveState();
+  const sprint = projectData.sprints.find(s => s.id === sprintId);
+  saveState(`Moved '${getTaskName(draggedTaskId)}' to ${sprint?.name || 'sprint'}`);
 
   if (dragSource === 'backlog') {
     // Moving from backlog to sprint
@@ -393,6 +440,23 @@ function openTaskEdit(taskId) {
     categorySelect.appendChild(opt);
   });
 
+  // Parent dropdown
+  const parentSelect = document.getElementById('taskEditParent');
+  fillParentSelect(parentSelect, projectData.tasks, task);
+  parentSelect.disabled = !editMode;
+
+  // Epic dropdown
+  const epicSelect = document.getElementById('taskEditEpic');
+  epicSelect.innerHTML = '<option value="">None</option>';
+  epicSelect.disabled = !editMode;
+  getEpics(projectData).forEach(epic => {
+    const opt = document.createElement('option');
+    opt.value = epic.id;
+    opt.textContent = epic.name;
+    if (epic.id === task.epicId) opt.selected = true;
+    epicSelect.appendChild(opt);
+  });
+
   // Assignee dropdown
   const assigneeSelect = document.getElementById('taskEditAssignee');
   assigneeSelect.innerHTML = '<option value="">Unassigned</option>';
@@ -411,6 +475,12 @@ function openTaskEdit(taskId) {
   document.getElementById('taskEditNotes').value = task.notes || '';
   document.getElementById('taskEditNotes').disabled = !editMode;
 
+  renderLabelPicker(document.getElementById('taskEditLabels'), projectData, task, { disabled: !editMode });
+  renderChecklistEditor(document.getElementById('taskEditChecklist'), task, { disabled: !editMode });
+  renderFieldEditors(document.getElementById('taskEditCustomFields'), getCustomFields(projectData), task, { disabled: !editMode });
+  renderTaskAttachmentList();
+  renderTaskComments();
+
   // Kanban column
   const columnSelect = document.getElementById('taskEditColumn');
   columnSelect.innerHTML = '';
@@ -428,15 +498,47 @@ function openTaskEdit(taskId) {
 
 window.closeTaskEdit = function() {
   document.getElementById('taskEditModal').classList.remove('active');
+  clearEditConflict('taskEditModal');
   currentEditTaskId = null;
 };
 
+/**
+ * Render the attachments of the task being edited
+ */
+function renderTaskAttachmentList() {
+  renderTaskAttachments(document.getElementById('taskEditAttachments'), projectData, currentEditTaskId, {
+    onCommit: commitTaskChange,
+    disabled: !editMode
+  });
+}
+
+/**
+ * Render the comments and activity of the task being edited
+ */
+function renderTaskComments() {
+  renderTaskDiscussion(document.getElementById('taskEditDiscussion'), projectData, currentEditTaskId, {
+    onCommit: commitTaskChange,
+    disabled: !editMode
+  });
+}
+
+/**
+ * Apply a comment or attachment change through the usual undo, save and render flow
+ */
+function commitTaskChange(label, mutate) {
+  saveState(label);
+  mutate(projectData);
+  save();
+  renderApp();
+  return projectData;
+}
+
 window.saveTaskEdit = function() {
   if (!currentEditTaskId) return;
 
   const points = document.getElementById('taskEditPoints').value;
 
-  saveState();
+  saveState(`Edited '${getTaskName(currentEditTaskId)}'`);
 
   updateTask(projectData, currentEditTaskId, {
     name: document.getElementById('taskEditName').value,
@@ -448,6 +550,15 @@ window.saveTaskEdit = function() {
     columnId: document.getElementById('taskEditColumn').value
   });
 
+  const task = projectData.tasks.find(t => t.id === currentEditTaskId);
+  if (task) {
+    setParent(projectData.tasks, task.id, document.getElementById('taskEditParent').value);
+    task.epicId = document.getElementById('taskEditEpic').value || null;
+    applyLabelPicker(document.getElementById('taskEditLabels'), task);
+    applyChecklistEditor(document.getElementById('taskEditChecklist'), task);
+    applyFieldEditors(document.getElementById('taskEditCustomFields'), getCustomFields(projectData), task);
+  }
+
   save();
   closeTaskEdit();
   renderApp();
@@ -495,7 +606,7 @@ window.createNewTask = function() {
 
   const points = document.getElementById('newTaskPoints').value;
 
-  saveState();
+  saveState(`Created '${name}'`);
   const newTask = addTask(projectData, {
     name,
     category: document.getElementById('newTaskCategory').value,
@@ -582,6 +693,7 @@ function openSprintEdit(sprintId) {
 
 window.closeSprintEdit = function() {
   document.getElementById('sprintEditModal').classList.remove('active');
+  clearEditConflict('sprintEditModal');
   currentEditSprintId = null;
 };
 
@@ -600,7 +712,7 @@ window.saveSprint = function() {
     status: document.getElementById('sprintEditStatus').value
   };
 
-  saveState();
+  saveState(currentEditSprintId ? `Edited sprint '${name}'` : `Created sprint '${name}'`);
 
   if (currentEditSprintId) {
     updateSprint(projectData, currentEditSprintId, sprintData);
@@ -619,7 +731,7 @@ window.saveSprint = function() {
 window.startSprint = function() {
   if (!currentEditSprintId) return;
 
-  saveState();
+  saveState(`Started '${getSprintName(currentEditSprintId)}'`);
   updateSprint(projectData, currentEditSprintId, { status: 'active' });
   save();
   closeSprintEdit();
@@ -630,7 +742,7 @@ window.startSprint = function() {
 window.completeSprint = function() {
   if (!currentEditSprintId) return;
 
-  saveState();
+  saveState(`Completed '${getSprintName(currentEditSprintId)}'`);
   updateSprint(projectData, currentEditSprintId, { status: 'completed' });
 
   // Select next sprint or null
@@ -655,7 +767,7 @@ window.deleteSprint = function() {
     : `Delete "${sprint.name}"?`;
 
   if (confirm(message)) {
-    saveState();
+    saveState(`Deleted sprint '${sprint.name}'`);
     deleteSprint(projectData, currentEditSprintId);
 
     // Select another sprint
@@ -671,6 +783,110 @@ window.deleteSprint = function() {
   }
 };
 
+// ========== EPICS MODAL ==========
+
+window.openEpics = function() {
+  renderEpicList(document.getElementById('epicList'), projectData, editMode, getHandlers());
+  document.getElementById('epicsModal').classList.add('active');
+};
+
+window.closeEpics = function() {
+  document.getElementById('epicsModal').classList.remove('active');
+};
+
+window.openNewEpic = function() {
+  if (!editMode) return;
+
+  currentEditEpicId = null;
+
+  const epics = getEpics(projectData);
+  document.getElementById('epicEditTitle').textContent = 'New Epic';
+  document.getElementById('epicEditName').value = '';
+  document.getElementById('epicEditColor').value = LABEL_COLORS[epics.length % LABEL_COLORS.length];
+  document.getElementById('epicEditGoal').value = '';
+  document.getElementById('epicEditTargetDate').value = '';
+  document.getElementById('deleteEpicBtn').style.display = 'none';
+
+  document.getElementById('epicEditModal').classList.add('active');
+  document.getElementById('epicEditName').focus();
+};
+
+function openEpicEdit(epicId) {
+  if (!editMode) return;
+
+  const epic = getEpics(projectData).find(e => e.id === epicId);
+  if (!epic) return;
+
+  currentEditEpicId = epicId;
+
+  document.getElementById('epicEditTitle').textContent = 'Edit Epic';
+  document.getElementById('epicEditName').value = epic.name;
+  document.getElementById('epicEditColor').value = epic.color;
+  document.getElementById('epicEditGoal').value = epic.goal || '';
+  document.getElementById('epicEditTargetDate').value = epic.targetDate || '';
+  document.getElementById('deleteEpicBtn').style.display = '';
+
+  document.getElementById('epicEditModal').classList.add('active');
+}
+
+window.closeEpicEdit = function() {
+  document.getElementById('epicEditModal').classList.remove('active');
+  clearEditConflict('epicEditModal');
+  currentEditEpicId = null;
+};
+
+window.saveEpic = function() {
+  const name = document.getElementById('epicEditName').value.trim();
+  if (!name) {
+    statusManager.show('Enter an epic name');
+    return;
+  }
+
+  const epicData = {
+    name,
+    color: document.getElementById('epicEditColor').value,
+    goal: document.getElementById('epicEditGoal').value.trim(),
+    targetDate: document.getElementById('epicEditTargetDate').value || null
+  };
+
+  saveState(currentEditEpicId ? `Edited epic '${name}'` : `Created epic '${name}'`);
+
+  if (!Array.isArray(projectData.epics)) projectData.epics = [];
+  const epic = projectData.epics.find(e => e.id === currentEditEpicId);
+  if (epic) {
+    Object.assign(epic, epicData);
+    statusManager.show('Epic updated', true);
+  } else {
+    projectData.epics.push({ id: generateEpicId(), ...epicData });
+    statusManager.show('Epic created', true);
+  }
+
+  save();
+  closeEpicEdit();
+  renderApp();
+};
+
+window.deleteCurrentEpic = function() {
+  if (!currentEditEpicId || !editMode) return;
+
+  const epic = getEpics(projectData).find(e => e.id === currentEditEpicId);
+  if (!epic) return;
+
+  const linked = projectData.tasks.filter(t => t.epicId === currentEditEpicId).length;
+  const message = linked > 0
+    ? `Delete epic "${epic.name}"? ${linked} task(s) will be unlinked from it.`
+    : `Delete epic "${epic.name}"?`;
+
+  if (confirm(message)) {
+    saveState(`Deleted epic '${epic.name}'`);
+    deleteEpic(projectData, currentEditEpicId);
+    save();
+    closeEpicEdit();
+    renderApp();
+    statusManager.show('Epic deleted', true);
+  }
+};
+
 // ========== SETTINGS MODAL ==========
 
 window.openSettings = function() {
@@ -683,7 +899,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
 
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
 
@@ -757,29 +973,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -788,6 +1020,13 @@ window.exportToJSON = function() {
   statusManager.show('JSON exported', true);
 };
 
+window.exportArchive = async function() {
+  const filename = sanitizeFilename(projectData.project.title || projectData.project.name || "project");
+  statusManager.show('Preparing archive...');
+  const { files, missing } = await downloadArchive(projectData, STORAGE_KEY, filename);
+  statusManager.show(`Archive exported with ${files} file(s)${missing > 0 ? `, ${missing} not in this browser` : ''}`, true);
+};
+
 window.importProject = function() {
   document.getElementById('fileInput').click();
 };
@@ -799,13 +1038,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate to v9 if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -828,26 +1070,32 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-
-          // Update active sprint if it no longer exists
-          if (activeSprintId && !projectData.sprints.find(s => s.id === activeSprintId)) {
-            const nonCompleted = projectData.sprints.filter(s => s.status !== 'completed');
-            activeSprintId = nonCompleted.length > 0 ? nonCompleted[0].id : null;
-          }
-
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    // Update active sprint if it no longer exists
+    if (activeSprintId && !projectData.sprints.find(s => s.id === activeSprintId)) {
+      const nonCompleted = projectData.sprints.filter(s => s.status !== 'completed');
+      activeSprintId = nonCompleted.length > 0 ? nonCompleted[0].id : null;
     }
+
+    const conflict = findChange(changes, 'task', currentEditTaskId);
+    if (conflict) showEditConflict('taskEditModal', conflict);
+    if (currentEditTaskId && changes.some(c => c.entity === 'comment')) renderTaskComments();
+    if (currentEditTaskId && changes.some(c => c.entity === 'attachment')) renderTaskAttachmentList();
+
+    const sprintEditConflict = findChange(changes, 'sprint', currentEditSprintId);
+    if (sprintEditConflict) showEditConflict('sprintEditModal', sprintEditConflict);
+
+    const epicEditConflict = findChange(changes, 'epic', currentEditEpicId);
+    if (epicEditConflict) showEditConflict('epicEditModal', epicEditConflict);
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 
@@ -858,6 +1106,8 @@ function closeModals() {
   closeTaskEdit();
   closeNewTask();
   closeSprintEdit();
+  closeEpicEdit();
+  closeEpics();
   const searchInput = document.getElementById('searchInput');
   if (document.activeElement === searchInput) {
     searchInput.blur();
@@ -891,6 +1141,11 @@ function setupEventListeners() {
     if (e.key === 'Enter') saveSprint();
   });
 
+  // Epic name Enter key
+  document.getElementById('epicEditName').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveEpic();
+  });
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     const inInput = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
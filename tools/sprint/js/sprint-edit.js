@@ -11,6 +11,10 @@ import {
   getCurrentWeek,
   getSprintWeekNumber
 } from '../../../shared/js/unified-data.js';
+import { detachChildren } from '../../../shared/js/task-hierarchy.js';
+import { getWorkDays, setTaskDates } from '../../../shared/js/schedule.js';
+import { removeTaskComments } from '../../../shared/js/comments.js';
+import { removeTaskAttachments } from '../../../shared/js/attachments.js';
 
 // ========== TASK CRUD ==========
 
@@ -95,7 +99,10 @@ export function deleteTask(projectData, taskId) {
   const index = projectData.tasks.findIndex(t => t.id === taskId);
   if (index === -1) return false;
 
+  detachChildren(projectData.tasks, taskId);
   projectData.tasks.splice(index, 1);
+  removeTaskComments(projectData, [taskId]);
+  removeTaskAttachments(projectData, [taskId]);
   return true;
 }
 
@@ -232,24 +239,11 @@ export function moveTaskToSprint(projectData, taskId, sprintId, position = 0) {
   task.sprintId = sprintId;
   task.backlogPosition = position;
 
-  // Optionally sync planned weeks to sprint dates
+  // Optionally sync planned dates (and weeks) to sprint dates
   if (sprint.startDate && sprint.endDate && projectData.project?.startDate) {
     // Only set planned if it's empty
     if (!task.planned || task.planned.length === 0) {
-      const projectStart = new Date(projectData.project.startDate);
-      const sprintStart = new Date(sprint.startDate);
-      const sprintEnd = new Date(sprint.endDate);
-
-      // Calculate start and end weeks relative to project
-      const startDiffDays = Math.floor((sprintStart - projectStart) / (1000 * 60 * 60 * 24));
-      const endDiffDays = Math.floor((sprintEnd - projectStart) / (1000 * 60 * 60 * 24));
-      const startWeek = Math.floor(startDiffDays / 7) + 1;
-      const endWeek = Math.floor(endDiffDays / 7) + 1;
-
-      task.planned = [];
-      for (let w = startWeek; w <= endWeek; w++) {
-        task.planned.push(w);
-      }
+      setTaskDates(task, projectData.project, sprint.startDate, sprint.endDate, getWorkDays(projectData));
     }
   }
 
@@ -9,6 +9,12 @@ import {
   calculateVelocity,
   getSprintWeekNumber
 } from '../../../shared/js/unified-data.js';
+import { filterTasksByField, getGroupByField, groupTasksByField } from '../../../shared/js/custom-fields.js';
+import { parseSearchQuery, matchesLabelTerms } from '../../../shared/js/labels.js';
+import { renderLabelChips } from '../../../shared/js/labels-ui.js';
+import { renderHierarchyBadges } from '../../../shared/js/task-hierarchy-ui.js';
+import { renderChecklistBadge } from '../../../shared/js/checklists-ui.js';
+import { getEpics, getTaskEpic, calculateEpicProgress } from '../../../shared/js/epics.js';
 
 /**
  * Format sprint date range for display
@@ -34,24 +40,47 @@ function formatSprintDateRange(sprint) {
  * @param {string|null} activeSprintId - Currently selected sprint
  * @param {string} searchQuery - Search filter string
  * @param {Object} handlers - Event handlers
+ * @param {Object} fieldView - Custom field filter and grouping ({ filterFieldId, filterValue, groupByFieldId })
  */
-export function render(projectData, editMode, activeSprintId, searchQuery, handlers) {
+export function render(projectData, editMode, activeSprintId, searchQuery, handlers, fieldView = {}) {
   // Update header stats
   updateHeaderStats(projectData);
 
   // Render backlog
-  renderBacklog(projectData, editMode, searchQuery, handlers);
+  renderBacklog(projectData, editMode, searchQuery, handlers, fieldView);
 
   // Render sprint tabs
   renderSprintTabs(projectData, editMode, activeSprintId, handlers);
 
   // Render sprint board
-  renderSprintBoard(projectData, editMode, activeSprintId, searchQuery, handlers);
+  renderSprintBoard(projectData, editMode, activeSprintId, searchQuery, handlers, fieldView);
 
   // Update title
   document.getElementById('projectTitle').textContent = projectData.project.title;
 }
 
+/**
+ * Append task elements, under custom field group labels when grouping
+ * @param {HTMLElement} container - Container element
+ * @param {Array} tasks - Tasks to render
+ * @param {Object|null} groupByField - Custom field to group by
+ * @param {Function} renderItem - Creates the element for a task
+ */
+function appendTaskItems(container, tasks, groupByField, renderItem) {
+  if (!groupByField) {
+    tasks.forEach(task => container.appendChild(renderItem(task)));
+    return;
+  }
+
+  groupTasksByField(tasks, groupByField).forEach(group => {
+    const label = document.createElement('div');
+    label.className = 'task-group-label';
+    label.textContent = `${group.label} (${group.tasks.length})`;
+    container.appendChild(label);
+    group.tasks.forEach(task => container.appendChild(renderItem(task)));
+  });
+}
+
 /**
  * Update header statistics
  * @param {Object} projectData - Project data
@@ -79,21 +108,23 @@ function updateHeaderStats(projectData) {
  * @param {boolean} editMode - Edit mode flag
  * @param {string} searchQuery - Search filter
  * @param {Object} handlers - Event handlers
+ * @param {Object} fieldView - Custom field filter and grouping
  */
-function renderBacklog(projectData, editMode, searchQuery, handlers) {
+function renderBacklog(projectData, editMode, searchQuery, handlers, fieldView) {
   const backlogList = document.getElementById('backlogList');
   backlogList.innerHTML = '';
 
-  let backlogTasks = getProductBacklog(projectData.tasks);
+  let backlogTasks = filterTasksByField(getProductBacklog(projectData.tasks), projectData, fieldView);
 
   // Apply search filter
   if (searchQuery) {
-    const query = searchQuery.toLowerCase();
-    backlogTasks = backlogTasks.filter(t =>
+    const { text: query, labels } = parseSearchQuery(searchQuery);
+    backlogTasks = backlogTasks.filter(t => matchesLabelTerms(t, labels, projectData) && (
+      !query ||
       t.name.toLowerCase().includes(query) ||
       t.category.toLowerCase().includes(query) ||
       (t.assignee && t.assignee.toLowerCase().includes(query))
-    );
+    ));
   }
 
   // Update backlog stats
@@ -109,15 +140,14 @@ function renderBacklog(projectData, editMode, searchQuery, handlers) {
           <line x1="12" y1="8" x2="12" y2="16"/>
           <line x1="8" y1="12" x2="16" y2="12"/>
         </svg>
-        <span class="backlog-empty__text">${searchQuery ? 'No matching tasks' : 'No items in backlog'}</span>
+        <span class="backlog-empty__text">${searchQuery || fieldView.filterFieldId ? 'No matching tasks' : 'No items in backlog'}</span>
       </div>
     `;
     return;
   }
 
-  backlogTasks.forEach(task => {
-    backlogList.appendChild(renderBacklogItem(task, projectData.categories, editMode, handlers));
-  });
+  appendTaskItems(backlogList, backlogTasks, getGroupByField(projectData, fieldView),
+    task => renderBacklogItem(task, projectData.categories, editMode, handlers, projectData));
 }
 
 /**
@@ -126,9 +156,10 @@ function renderBacklog(projectData, editMode, searchQuery, handlers) {
  * @param {Object} categories - Category colors
  * @param {boolean} editMode - Edit mode flag
  * @param {Object} handlers - Event handlers
+ * @param {Object} projectData - Project data (for label definitions)
  * @returns {HTMLElement} - Backlog item element
  */
-function renderBacklogItem(task, categories, editMode, handlers) {
+function renderBacklogItem(task, categories, editMode, handlers, projectData) {
   const item = document.createElement('div');
   item.className = 'backlog-item';
   item.dataset.taskId = task.id;
@@ -161,7 +192,11 @@ function renderBacklogItem(task, categories, editMode, handlers) {
       <div class="backlog-item__meta">
         <span class="backlog-item__category">${escapeHtml(task.category)}</span>
         ${task.assignee ? `<span class="backlog-item__assignee">${escapeHtml(task.assignee)}</span>` : ''}
+        ${renderEpicBadge(task, projectData)}
+        ${renderChecklistBadge(task)}
       </div>
+      ${renderLabelChips(task, projectData)}
+      ${renderHierarchyBadges(task, projectData.tasks)}
     </div>
     <span class="points-badge ${pointsClass}">${pointsDisplay}</span>
     <div class="task-actions">
@@ -263,8 +298,9 @@ function renderSprintTabs(projectData, editMode, activeSprintId, handlers) {
  * @param {string|null} activeSprintId - Active sprint ID
  * @param {string} searchQuery - Search filter
  * @param {Object} handlers - Event handlers
+ * @param {Object} fieldView - Custom field filter and grouping
  */
-function renderSprintBoard(projectData, editMode, activeSprintId, searchQuery, handlers) {
+function renderSprintBoard(projectData, editMode, activeSprintId, searchQuery, handlers, fieldView) {
   const board = document.getElementById('sprintBoard');
   board.innerHTML = '';
 
@@ -296,16 +332,17 @@ function renderSprintBoard(projectData, editMode, activeSprintId, searchQuery, h
   board.appendChild(sprintInfo);
 
   // Sprint tasks
-  let sprintTasks = getSprintTasks(projectData.tasks, activeSprintId);
+  let sprintTasks = filterTasksByField(getSprintTasks(projectData.tasks, activeSprintId), projectData, fieldView);
 
   // Apply search filter
   if (searchQuery) {
-    const query = searchQuery.toLowerCase();
-    sprintTasks = sprintTasks.filter(t =>
+    const { text: query, labels } = parseSearchQuery(searchQuery);
+    sprintTasks = sprintTasks.filter(t => matchesLabelTerms(t, labels, projectData) && (
+      !query ||
       t.name.toLowerCase().includes(query) ||
       t.category.toLowerCase().includes(query) ||
       (t.assignee && t.assignee.toLowerCase().includes(query))
-    );
+    ));
   }
 
   const tasksContainer = document.createElement('div');
@@ -331,9 +368,8 @@ function renderSprintBoard(projectData, editMode, activeSprintId, searchQuery, h
       </div>
     `;
   } else {
-    sprintTasks.forEach(task => {
-      tasksContainer.appendChild(renderSprintTask(task, projectData, editMode, handlers));
-    });
+    appendTaskItems(tasksContainer, sprintTasks, getGroupByField(projectData, fieldView),
+      task => renderSprintTask(task, projectData, editMode, handlers));
   }
 
   // Drag events for sprint tasks area
@@ -468,7 +504,11 @@ function renderSprintTask(task, projectData, editMode, handlers) {
       <div class="sprint-task__meta">
         ${assigneeHtml}
         <span class="status-chip ${statusClass}">${statusText}</span>
+        ${renderEpicBadge(task, projectData)}
+        ${renderChecklistBadge(task)}
       </div>
+      ${renderLabelChips(task, projectData)}
+      ${renderHierarchyBadges(task, projectData.tasks)}
     </div>
     <span class="points-badge ${pointsClass}">${pointsDisplay}</span>
     <button class="move-to-backlog" data-action="move-backlog">
@@ -566,6 +606,94 @@ function renderCapacityBar(sprintTasks, projectData) {
   return bar;
 }
 
+/**
+ * Render the epic a task belongs to as a colored badge
+ * @param {Object} task - Task data
+ * @param {Object} projectData - Project data
+ * @returns {string} - HTML ('' when the task has no epic)
+ */
+function renderEpicBadge(task, projectData) {
+  const epic = getTaskEpic(task, projectData);
+  if (!epic) return '';
+  return `<span class="epic-badge" style="--epic-color: ${epic.color};" title="Epic: ${escapeHtml(epic.name)}">${escapeHtml(epic.name)}</span>`;
+}
+
+// ========== EPICS ==========
+
+const EPIC_STATUS_TEXT = {
+  'done': 'Done',
+  'on-track': 'On track',
+  'at-risk': 'At risk',
+  'no-forecast': 'No forecast',
+  'not-started': 'No tasks'
+};
+
+/**
+ * Format an ISO date for display
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - Formatted date like "Mar 14, 2026"
+ */
+function formatDate(date) {
+  return new Date(date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * Render the epics with their progress and forecasted finish
+ * @param {HTMLElement} container - List container
+ * @param {Object} projectData - Project data
+ * @param {boolean} editMode - Edit mode flag
+ * @param {Object} handlers - Event handlers (onEpicEdit)
+ */
+export function renderEpicList(container, projectData, editMode, handlers) {
+  const epics = getEpics(projectData);
+
+  if (epics.length === 0) {
+    container.innerHTML = '<p class="epic-list__empty">No epics yet. Epics group tasks that span several sprints.</p>';
+    return;
+  }
+
+  container.innerHTML = epics.map(epic => {
+    const progress = calculateEpicProgress(epic, projectData.tasks, projectData.sprints);
+    const sprintNames = progress.sprintIds
+      .map(id => projectData.sprints.find(s => s.id === id)?.name)
+      .filter(Boolean);
+
+    let forecast = 'Complete a sprint to forecast from velocity';
+    if (progress.status === 'done') {
+      forecast = 'All tasks done';
+    } else if (progress.status === 'not-started') {
+      forecast = 'Assign tasks to this epic to track it';
+    } else if (progress.forecastDate) {
+      forecast = `Forecast ${formatDate(progress.forecastDate)} · ${progress.sprintsRemaining} sprint(s) at ${progress.velocity} pts`;
+    }
+
+    return `
+      <div class="epic-item${editMode ? ' epic-item--editable' : ''}" data-epic-id="${epic.id}" style="--epic-color: ${epic.color};">
+        <div class="epic-item__header">
+          <span class="epic-item__name">${escapeHtml(epic.name)}</span>
+          <span class="epic-item__status epic-item__status--${progress.status}">${EPIC_STATUS_TEXT[progress.status]}</span>
+        </div>
+        ${epic.goal ? `<p class="epic-item__goal">${escapeHtml(epic.goal)}</p>` : ''}
+        <div class="epic-item__track">
+          <div class="epic-item__fill" style="width: ${progress.percent}%;"></div>
+        </div>
+        <div class="epic-item__meta">
+          <span>${progress.donePoints}/${progress.totalPoints} pts · ${progress.doneTasks}/${progress.totalTasks} tasks${progress.unestimated > 0 ? ` · ${progress.unestimated} unestimated` : ''}</span>
+          ${epic.targetDate ? `<span>Target ${formatDate(epic.targetDate)}</span>` : ''}
+        </div>
+        <div class="epic-item__forecast">${forecast}</div>
+        ${sprintNames.length > 0 ? `<div class="epic-item__sprints">${sprintNames.map(name => escapeHtml(name)).join(', ')}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+
+  if (editMode) {
+    container.querySelectorAll('.epic-item').forEach(item => {
+      item.addEventListener('click', () => handlers.onEpicEdit(item.dataset.epicId));
+    });
+  }
+}
+
 /**
  * Get CSS class for points badge based on value
  * @param {number|null} points - Story points
@@ -7,15 +7,17 @@
 import { saveToStorage, loadFromStorage } from '../../../shared/js/storage.js';
 import { createBackup } from '../../../shared/js/backup.js';
 import { createUndoManager } from '../../../shared/js/undo.js';
+import { openUndoHistory } from '../../../shared/js/undo-ui.js';
 import { downloadJSON, readJSONFile, sanitizeFilename } from '../../../shared/js/export.js';
 import { createStatusManager } from '../../../shared/js/status.js';
 import { initNavigation } from '../../../shared/js/navigation.js';
+import { confirmImport } from '../../../shared/js/import-dialog.js';
+import { createChangeFeed, applyChanges, findChange, showEditConflict, clearEditConflict } from '../../../shared/js/change-feed.js';
+import { getActiveStorageKey, getActiveBackupKey } from '../../../shared/js/project-manager.js';
 
 // Import unified data module
 import {
   DATA_VERSION,
-  STORAGE_KEY,
-  BACKUP_KEY,
   migrateToLatest,
   cloneProjectData,
   defaultWorkflow,
@@ -38,6 +40,10 @@ import {
 
 // ========== APP STATE ==========
 
+// Storage keys of the project selected in the navigation switcher
+const STORAGE_KEY = getActiveStorageKey();
+const BACKUP_KEY = getActiveBackupKey();
+
 let projectData = null;
 let editMode = false;
 let activeView = 'today'; // 'today', 'week', 'reports'
@@ -63,12 +69,13 @@ let currentEditEntryId = null;
 // Managers
 let undoManager = null;
 let statusManager = null;
+let changeFeed = null;
 
 // ========== INITIALIZATION ==========
 
 export function init() {
   // Initialize managers
-  undoManager = createUndoManager(50);
+  undoManager = createUndoManager(50, { sessionKey: STORAGE_KEY + '_undo_time-tracker' });
   statusManager = createStatusManager('status');
 
   // Initialize navigation
@@ -142,6 +149,7 @@ function getDefaultProjectData() {
 
 function save() {
   saveToStorage(STORAGE_KEY, projectData);
+  if (changeFeed) changeFeed.publish(projectData);
   statusManager.show('Saved', true);
 
   // Create auto-backup every 10 saves
@@ -151,8 +159,13 @@ function save() {
   }
 }
 
-function saveState() {
-  undoManager.saveState(projectData);
+function saveState(label) {
+  undoManager.saveState(projectData, label);
+}
+
+function getEntryLabel(entryId) {
+  const entry = projectData.timeEntries.find(e => e.id === entryId);
+  return entry ? `${entry.date} ${entry.startTime}-${entry.endTime}` : '';
 }
 
 // ========== RENDER ==========
@@ -241,7 +254,7 @@ window.stopTimer = function() {
   const endTime = endDate.toTimeString().slice(0, 5);
   const date = startDate.toISOString().split('T')[0];
 
-  saveState();
+  saveState('Logged timer entry');
   const entry = addTimeEntry(projectData, {
     taskId: timerState.taskId,
     date,
@@ -353,7 +366,7 @@ window.quickAddEntry = function() {
     return;
   }
 
-  saveState();
+  saveState(`Added entry ${startTime}-${endTime}`);
   const entry = addTimeEntry(projectData, {
     taskId,
     date: getTodayDate(),
@@ -419,13 +432,14 @@ function updateDurationDisplay() {
 
 window.closeEntryEdit = function() {
   document.getElementById('entryEditModal').classList.remove('active');
+  clearEditConflict('entryEditModal');
   currentEditEntryId = null;
 };
 
 window.saveEntryEdit = function() {
   if (!currentEditEntryId) return;
 
-  saveState();
+  saveState(`Edited entry ${getEntryLabel(currentEditEntryId)}`);
 
   updateTimeEntry(projectData, currentEditEntryId, {
     date: document.getElementById('entryEditDate').value,
@@ -452,7 +466,7 @@ window.deleteEntry = function(entryId) {
   if (!editMode) return;
 
   if (confirm('Delete this entry?')) {
-    saveState();
+    saveState(`Deleted entry ${getEntryLabel(entryId)}`);
     if (deleteTimeEntry(projectData, entryId)) {
       save();
       renderApp();
@@ -503,7 +517,7 @@ window.closeSettings = function() {
 };
 
 window.saveSettings = function() {
-  saveState();
+  saveState('Changed project settings');
 
   projectData.project.title = document.getElementById('settingsTitle').value.trim() || 'Untitled Project';
 
@@ -540,29 +554,45 @@ function focusSearch() {
 // ========== UNDO/REDO ==========
 
 function undo() {
+  const label = undoManager.getUndoLabel();
   const previousState = undoManager.undo(projectData);
   if (previousState) {
     projectData = previousState;
     save();
     renderApp();
-    statusManager.show('Undone', true);
+    statusManager.show(`Undone: ${label}`, true);
   } else {
     statusManager.show('Nothing to undo');
   }
 }
 
 function redo() {
+  const label = undoManager.getRedoLabel();
   const nextState = undoManager.redo(projectData);
   if (nextState) {
     projectData = nextState;
     save();
     renderApp();
-    statusManager.show('Redone', true);
+    statusManager.show(`Redone: ${label}`, true);
   } else {
     statusManager.show('Nothing to redo');
   }
 }
 
+function jumpHistory(steps) {
+  const state = undoManager.jump(projectData, steps);
+  if (state) {
+    projectData = state;
+    save();
+    renderApp();
+    statusManager.show(steps < 0 ? `Undone ${-steps} action(s)` : `Redone ${steps} action(s)`, true);
+  }
+}
+
+window.showHistory = function() {
+  openUndoHistory(undoManager, jumpHistory);
+};
+
 // ========== EXPORT/IMPORT ==========
 
 window.exportToJSON = function() {
@@ -582,13 +612,16 @@ async function handleFileImport(e) {
   try {
     const imported = await readJSONFile(file);
 
-    // Validate structure
-    if (!imported.project || !imported.tasks || !imported.categories) {
-      throw new Error('Invalid project file structure');
+    // Validate structure and references, offering repair or cancel
+    const validated = await confirmImport(imported);
+    if (!validated) {
+      statusManager.show('Import cancelled');
+      e.target.value = '';
+      return;
     }
 
     // Migrate to v8 if needed
-    const migrated = migrateToLatest(imported);
+    const migrated = migrateToLatest(validated);
     migrated.version = DATA_VERSION;
 
     projectData = migrated;
@@ -606,19 +639,18 @@ async function handleFileImport(e) {
 // ========== CROSS-TAB SYNC ==========
 
 function setupStorageSync() {
-  window.addEventListener('storage', (e) => {
-    if (e.key === STORAGE_KEY && e.newValue) {
-      try {
-        const newData = JSON.parse(e.newValue);
-        if (newData.version >= DATA_VERSION) {
-          projectData = newData;
-          renderApp();
-          statusManager.show('Synced from another tab', true);
-        }
-      } catch (err) {
-        console.error('Failed to sync from storage event:', err);
-      }
-    }
+  changeFeed = createChangeFeed(STORAGE_KEY, projectData);
+  changeFeed.subscribe((changes) => {
+    // Merge only what changed; unsaved modal input stays intact and the undo
+    // history takes the changes too, so undo never reverts the other tab's edits
+    applyChanges(projectData, changes);
+    undoManager.rebase(state => applyChanges(state, changes));
+
+    const conflict = findChange(changes, 'entry', currentEditEntryId);
+    if (conflict) showEditConflict('entryEditModal', conflict);
+
+    renderApp();
+    statusManager.show('Synced from another tab', true);
   });
 }
 